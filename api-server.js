@@ -0,0 +1,520 @@
+// Optional local HTTP API for scripts, editor plugins and git hooks. It only
+// listens on 127.0.0.1, wants `Authorization: Bearer <token>` on every call
+// but /openapi.json, and maps each route onto an IPC handler from main.js,
+// so validation and results are exactly those the window gets.
+
+const crypto = require("crypto");
+const http = require("http");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+function generateApiToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+function listParam(value) {
+  return value
+    ? String(value)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : [];
+}
+
+function optionalNumber(value) {
+  return value === undefined ? undefined : Number(value);
+}
+
+// Each route names the IPC channel it runs and builds that handler's
+// arguments from the request. `changes` marks routes that write todos.
+const ROUTES = [
+  {
+    method: "GET",
+    pattern: /^\/todos$/,
+    channel: "get-todos",
+    args: ({ query }) => [
+      {
+        status: query.status,
+        sort: query.sort,
+        cursor: query.cursor || null,
+        limit: optionalNumber(query.limit),
+        due: query.due || null,
+        tags: listParam(query.tags),
+        project: query.project || "",
+      },
+    ],
+  },
+  {
+    method: "GET",
+    pattern: /^\/todos\/search$/,
+    channel: "search-todos",
+    args: ({ query }) => [
+      query.q || "",
+      query.from || "",
+      query.to || "",
+      query.mode,
+      {
+        dateField: query.dateField,
+        tags: listParam(query.tags),
+        project: query.project || "",
+      },
+    ],
+  },
+  {
+    method: "POST",
+    pattern: /^\/todos$/,
+    channel: "add-todo",
+    changes: true,
+    // Nothing is added when the text looks like a duplicate.
+    status: (result) => (result.item ? 201 : 200),
+    args: ({ body }) => {
+      const { text, ...options } = body;
+      if (typeof text !== "string" || !text.trim()) {
+        throw new ApiError(400, "The body needs a non-empty text.");
+      }
+      return [text, options];
+    },
+  },
+  {
+    method: "PATCH",
+    pattern: /^\/todos\/([^/]+)$/,
+    channel: "update-todo",
+    changes: true,
+    // Without `text` the todo keeps its wording.
+    args: ({ params, body }) => {
+      const { text, ...options } = body;
+      return [params[0], text, options];
+    },
+  },
+  {
+    method: "DELETE",
+    pattern: /^\/todos\/([^/]+)$/,
+    channel: "delete-todo",
+    changes: true,
+    args: ({ params, query }) => [params[0], { children: query.children }],
+  },
+];
+
+const todoSchema = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    text: { type: "string" },
+    timestamp: { type: "number", description: "Created, epoch ms" },
+    completed: { type: "boolean" },
+    completedAt: { type: "number", nullable: true },
+    tags: { type: "array", items: { type: "string" } },
+    project: { type: "string" },
+    dueAt: { type: "number", nullable: true },
+    remindAt: { type: "number", nullable: true },
+    recurrence: { type: "string" },
+    parentId: { type: "string" },
+    priority: {
+      type: "integer",
+      description: "0 none, 1 low, 2 medium, 3 high",
+    },
+  },
+};
+
+const todoOptionsSchema = {
+  type: "object",
+  properties: {
+    project: { type: "string" },
+    dueAt: { type: "number", description: "Epoch ms, 0 to clear" },
+    remindAt: { type: "number", description: "Epoch ms, 0 to clear" },
+    recurrence: {
+      type: "string",
+      description: "RRULE subset, e.g. FREQ=DAILY",
+    },
+    priority: {
+      type: "integer",
+      description: "0 none, 1 low, 2 medium, 3 high",
+    },
+    notes: { type: "string", description: "Markdown notes" },
+  },
+};
+
+const errorResponse = {
+  description: "Invalid request or rejected by validation",
+  content: {
+    "application/json": {
+      schema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean", enum: [false] },
+          error: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+function jsonResponse(description, properties) {
+  return {
+    description,
+    content: {
+      "application/json": {
+        schema: {
+          type: "object",
+          properties: { success: { type: "boolean" }, ...properties },
+        },
+      },
+    },
+  };
+}
+
+function queryParam(name, description, schema = { type: "string" }) {
+  return { name, in: "query", required: false, description, schema };
+}
+
+const idParam = {
+  name: "id",
+  in: "path",
+  required: true,
+  schema: { type: "string" },
+};
+
+const OPENAPI_DOCUMENT = {
+  openapi: "3.0.3",
+  info: {
+    title: "Electron Todo local API",
+    version: "1.0.0",
+    description:
+      "Loopback-only API over the same operations as the app's window. " +
+      "Every endpoint except this document needs the token shown in the " +
+      "app, sent as `Authorization: Bearer <token>`.",
+  },
+  servers: [
+    {
+      url: "http://127.0.0.1:{port}",
+      variables: { port: { default: "7391" } },
+    },
+  ],
+  components: {
+    securitySchemes: { bearer: { type: "http", scheme: "bearer" } },
+    schemas: { Todo: todoSchema },
+  },
+  security: [{ bearer: [] }],
+  paths: {
+    "/todos": {
+      get: {
+        summary: "List todos, one page at a time",
+        parameters: [
+          queryParam("status", "active, completed or all"),
+          queryParam("sort", "newest, oldest, alphabetical or due"),
+          queryParam("cursor", "nextCursor from the previous page"),
+          queryParam("limit", "Page size", { type: "integer" }),
+          queryParam("due", "overdue, today or upcoming"),
+          queryParam("tags", "Comma-separated tags that must all be set"),
+          queryParam("project", "Project name"),
+        ],
+        responses: {
+          200: jsonResponse("A page of todos", {
+            todos: {
+              type: "array",
+              items: { $ref: "#/components/schemas/Todo" },
+            },
+            total: { type: "integer" },
+            nextCursor: { type: "string", nullable: true },
+          }),
+          400: errorResponse,
+        },
+      },
+      post: {
+        summary: "Add a todo",
+        description:
+          "Near-duplicates of existing todos are not added: the response " +
+          "has `item: null` and the `duplicates`. Send `allowDuplicate: " +
+          "true` to add anyway or `mergeInto: <id>` to merge.",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                allOf: [
+                  todoOptionsSchema,
+                  {
+                    type: "object",
+                    required: ["text"],
+                    properties: {
+                      text: { type: "string" },
+                      parentId: { type: "string" },
+                      allowDuplicate: { type: "boolean" },
+                      mergeInto: { type: "string" },
+                      parse: {
+                        type: "boolean",
+                        description:
+                          "Take a due date, time and priority written in " +
+                          'the text out of it, e.g. "call Ana friday 5pm !high"',
+                      },
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        },
+        responses: {
+          201: jsonResponse("The new todo", {
+            item: { $ref: "#/components/schemas/Todo" },
+          }),
+          200: jsonResponse("Likely duplicates; nothing was added", {
+            item: { type: "object", nullable: true },
+            duplicates: { type: "array", items: { type: "object" } },
+          }),
+          400: errorResponse,
+        },
+      },
+    },
+    "/todos/search": {
+      get: {
+        summary: "Search todos",
+        parameters: [
+          queryParam(
+            "q",
+            "Search text; may use operators such as tag:work or after:14d"
+          ),
+          queryParam("mode", "hybrid (default), semantic or keyword"),
+          queryParam("from", "YYYY-MM-DD"),
+          queryParam("to", "YYYY-MM-DD"),
+          queryParam("dateField", "created (default) or due"),
+          queryParam("tags", "Comma-separated tags that must all be set"),
+          queryParam("project", "Project name"),
+        ],
+        responses: {
+          200: jsonResponse("Matching todos, best first", {
+            results: {
+              type: "array",
+              items: { $ref: "#/components/schemas/Todo" },
+            },
+          }),
+          400: errorResponse,
+        },
+      },
+    },
+    "/todos/{id}": {
+      patch: {
+        summary: "Edit a todo",
+        parameters: [idParam],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                allOf: [
+                  todoOptionsSchema,
+                  {
+                    type: "object",
+                    properties: {
+                      text: {
+                        type: "string",
+                        description: "New text; leave out to keep it",
+                      },
+                      scope: { type: "string", enum: ["instance", "series"] },
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        },
+        responses: {
+          200: jsonResponse("The updated todo", {
+            item: { $ref: "#/components/schemas/Todo" },
+          }),
+          400: errorResponse,
+          404: errorResponse,
+        },
+      },
+      delete: {
+        summary: "Move a todo to the trash",
+        parameters: [
+          idParam,
+          queryParam("children", "promote (default) or cascade"),
+        ],
+        responses: {
+          200: jsonResponse("Ids trashed and subtasks moved up", {
+            deletedIds: { type: "array", items: { type: "string" } },
+            promotedIds: { type: "array", items: { type: "string" } },
+          }),
+          404: errorResponse,
+        },
+      },
+    },
+  },
+};
+
+// Handler errors are plain messages; these pick a fitting status for them.
+function statusForError(message) {
+  if (/not found/i.test(message)) return 404;
+  if (/not initialized/i.test(message)) return 503;
+  return 400;
+}
+
+function tokensMatch(given, expected) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// A body over MAX_BODY_BYTES is answered with 413 straight away. The rest
+// of it is read and dropped rather than cut off, since resetting the
+// connection could lose the answer; `Connection: close` ends it afterwards.
+function readJsonBody(request, response) {
+  return new Promise((resolve, reject) => {
+    const type = request.headers["content-type"] || "";
+    if (!type.startsWith("application/json")) {
+      reject(new ApiError(415, "Send the body as application/json."));
+      return;
+    }
+    let size = 0;
+    const chunks = [];
+    request.on("data", (chunk) => {
+      if (size > MAX_BODY_BYTES) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        chunks.length = 0;
+        response.setHeader("Connection", "close");
+        reject(new ApiError(413, "Request body is too large."));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => {
+      if (size > MAX_BODY_BYTES) return;
+      try {
+        const body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+        if (!body || typeof body !== "object" || Array.isArray(body)) {
+          throw new Error("not an object");
+        }
+        resolve(body);
+      } catch (error) {
+        reject(new ApiError(400, "The body must be a JSON object."));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+// A path segment without its percent-encoding.
+function decodePart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch (error) {
+    throw new ApiError(400, `Malformed path segment: ${part}`);
+  }
+}
+
+function sendJson(response, status, body) {
+  const payload = JSON.stringify(body);
+  response.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(payload),
+    "Cache-Control": "no-store",
+  });
+  response.end(payload);
+}
+
+/**
+ * Creates the API server (not yet listening).
+ *
+ * `invoke(channel, ...args)` runs an IPC handler and resolves with its
+ * result; `getToken()` returns the current token; `onChange(channel)` is
+ * called after a successful write so the window can refresh.
+ */
+function createApiServer({ invoke, getToken, onChange = () => {} }) {
+  let port = 0;
+
+  async function route(request, response) {
+    // A page in a browser can reach loopback ports too: refuse anything
+    // that isn't addressed to this server directly (DNS rebinding) or that
+    // carries a web origin.
+    const host = request.headers.host || "";
+    if (
+      ![`127.0.0.1:${port}`, `localhost:${port}`].includes(host) ||
+      request.headers.origin
+    ) {
+      throw new ApiError(403, "Requests must come from this machine.");
+    }
+    const url = new URL(request.url, `http://${host}`);
+    if (request.method === "GET" && url.pathname === "/openapi.json") {
+      sendJson(response, 200, OPENAPI_DOCUMENT);
+      return;
+    }
+    const auth = request.headers.authorization || "";
+    const token = getToken();
+    if (!token || !tokensMatch(auth.replace(/^Bearer\s+/i, ""), token)) {
+      throw new ApiError(401, "Missing or wrong API token.");
+    }
+
+    const candidates = ROUTES.filter((r) => r.pattern.test(url.pathname));
+    if (candidates.length === 0) {
+      throw new ApiError(404, `No such endpoint: ${url.pathname}`);
+    }
+    const matched = candidates.find((r) => r.method === request.method);
+    if (!matched) {
+      throw new ApiError(405, `${request.method} is not supported here.`);
+    }
+    const params = matched.pattern.exec(url.pathname).slice(1).map(decodePart);
+    const query = Object.fromEntries(url.searchParams);
+    const body = ["POST", "PATCH"].includes(request.method)
+      ? await readJsonBody(request, response)
+      : {};
+    const result = await invoke(
+      matched.channel,
+      ...matched.args({ params, query, body })
+    );
+    if (!result.success) {
+      sendJson(response, statusForError(result.error || ""), result);
+      return;
+    }
+    if (matched.changes) onChange(matched.channel);
+    sendJson(response, matched.status ? matched.status(result) : 200, result);
+  }
+
+  const server = http.createServer((request, response) => {
+    route(request, response).catch((error) => {
+      if (!(error instanceof ApiError)) {
+        console.error("Local API request failed:", error);
+      }
+      sendJson(response, error.status || 500, {
+        success: false,
+        error: error.message,
+      });
+    });
+  });
+
+  return {
+    /** Listens on 127.0.0.1:`requestedPort`; resolves with the port. */
+    listen(requestedPort) {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(requestedPort, "127.0.0.1", () => {
+          server.removeListener("error", reject);
+          port = server.address().port;
+          resolve(port);
+        });
+      });
+    },
+    close() {
+      return new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      });
+    },
+  };
+}
+
+module.exports = {
+  OPENAPI_DOCUMENT,
+  generateApiToken,
+  createApiServer,
+};
@@ -0,0 +1,242 @@
+// Files attached to todos. Each file is copied into `todo_attachments` next
+// to `todo_lancedb`, as `<attachment id>/<file name>`, and listed in its
+// todo's `attachments` column (a JSON array of the entries made here). The
+// text read from the file is chunked and embedded into the chunks table
+// (see note-chunks.js) with source "attachment" and the attachment's id as
+// `sourceId`, so a search finds the todo by what its files say.
+
+const fs = require("fs");
+const path = require("path");
+const { col } = require("./sql");
+const {
+  normalizeText,
+  contentHash,
+  chunkText,
+  embedChunks,
+  buildChunkRows,
+  sqlList,
+  readRows,
+} = require("./note-chunks");
+
+const ATTACHMENTS_DIR = "todo_attachments";
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_TODO = 20;
+// Text past this many characters of a file is kept out of the index.
+const MAX_ATTACHMENT_TEXT_CHARS = 200000;
+const MARKDOWN_EXTENSIONS = [".md", ".markdown"];
+// How much of a file is checked for NUL bytes to tell text from binary.
+const SNIFF_BYTES = 8192;
+
+// Where `attachment` is stored under `dir` (the todo_attachments directory).
+function attachmentPath(dir, attachment) {
+  return path.join(dir, attachment.id, attachment.name);
+}
+
+// The attachments column as an array; [] if empty or unreadable.
+function parseAttachments(json) {
+  try {
+    const attachments = JSON.parse(json || "[]");
+    return Array.isArray(attachments) ? attachments : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function readHead(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// "pdf", "markdown" or "text" (plain text and source code) for the file at
+// `filePath`; null for binary files, which can't be indexed.
+function attachmentKind(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === ".pdf") return "pdf";
+  if (readHead(filePath).includes(0)) return null;
+  return MARKDOWN_EXTENSIONS.includes(extension) ? "markdown" : "text";
+}
+
+/**
+ * Reads the text of a `kind` file for indexing: normalized (see
+ * normalizeText) and cut at MAX_ATTACHMENT_TEXT_CHARS. Resolves with
+ * { text, truncated }.
+ */
+async function readAttachmentText(filePath, kind) {
+  let text;
+  if (kind === "pdf") {
+    // Loaded on first use. The package's main module runs a self-test when
+    // it thinks it was started directly; the parser itself lives in lib/.
+    const pdfParse = require("pdf-parse/lib/pdf-parse.js");
+    text = (await pdfParse(fs.readFileSync(filePath))).text;
+  } else {
+    text = fs.readFileSync(filePath, "utf8").replace(/^\uFEFF/, "");
+  }
+  const normalized = normalizeText(text);
+  return {
+    text: normalizeText(normalized.slice(0, MAX_ATTACHMENT_TEXT_CHARS)),
+    truncated: normalized.length > MAX_ATTACHMENT_TEXT_CHARS,
+  };
+}
+
+// Chunks of an attachment's text; only Markdown files have headings.
+function chunkAttachmentText(text, kind) {
+  return chunkText(text, kind === "markdown");
+}
+
+/**
+ * Checks a file to attach and reads it. Resolves with { attachment, chunks }:
+ * the entry for the attachments column (with an id from `newId`) and the
+ * chunks of its text, not yet embedded. Throws a readable error for files
+ * that are too big or binary.
+ */
+async function readAttachment(filePath, newId) {
+  const name = path.basename(filePath);
+  const stat = fs.statSync(filePath);
+  if (!stat.isFile()) {
+    throw new Error(`${name} is not a file.`);
+  }
+  if (stat.size > MAX_ATTACHMENT_BYTES) {
+    throw new Error(
+      `${name} is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB.`
+    );
+  }
+  const kind = attachmentKind(filePath);
+  if (!kind) {
+    throw new Error(`${name} is not a text, Markdown, PDF or source file.`);
+  }
+  const { text, truncated } = await readAttachmentText(filePath, kind);
+  return {
+    attachment: {
+      id: newId(),
+      name,
+      kind,
+      size: stat.size,
+      addedAt: Date.now(),
+      // Characters of text indexed; 0 for e.g. a scanned PDF.
+      chars: text.length,
+      truncated,
+      textHash: contentHash(text),
+    },
+    chunks: chunkAttachmentText(text, kind),
+  };
+}
+
+// Rows for the chunks table from `attachment`'s embedded chunks.
+function attachmentChunkRows(todoId, attachment, chunks) {
+  return buildChunkRows(
+    {
+      todoId,
+      source: "attachment",
+      sourceId: attachment.id,
+      sourceHash: attachment.textHash,
+    },
+    chunks
+  );
+}
+
+// Deletes the stored files of `attachments`.
+function removeAttachmentFiles(dir, attachments) {
+  attachments.forEach((attachment) =>
+    fs.rmSync(path.join(dir, attachment.id), { recursive: true, force: true })
+  );
+}
+
+/**
+ * Makes the attachment chunks in `chunks` match the attachments listed in
+ * `todos`, like syncNoteChunks does for notes: attachments without their
+ * chunks are read again from `dir`, chunked and embedded with `embed`;
+ * chunks of attachments no longer listed are deleted. Returns the number of
+ * attachments whose chunks changed.
+ */
+async function syncAttachmentChunks({
+  todos,
+  chunks,
+  embed,
+  dir,
+  log = console.log,
+}) {
+  const todoRows = await readRows(todos, "attachments != '[]'", [
+    "id",
+    "attachments",
+  ]);
+  const chunkRows = await readRows(chunks, "source = 'attachment'", [
+    "todoId",
+    "sourceId",
+    "sourceHash",
+  ]);
+  const listed = todoRows.flatMap((row) =>
+    parseAttachments(row.attachments)
+      // Files without text have no chunks.
+      .filter((attachment) => attachment.chars > 0)
+      .map((attachment) => ({ todoId: row.id, attachment }))
+  );
+  const stored = new Map();
+  chunkRows.forEach((row) => {
+    const key = `${row.todoId}:${row.sourceId}`;
+    if (!stored.has(key)) {
+      stored.set(key, { sourceId: row.sourceId, hashes: new Set() });
+    }
+    stored.get(key).hashes.add(row.sourceHash);
+  });
+  const stale = listed.filter(({ todoId, attachment }) => {
+    const key = `${todoId}:${attachment.id}`;
+    const entry = stored.get(key);
+    stored.delete(key);
+    return !(
+      entry &&
+      entry.hashes.size === 1 &&
+      entry.hashes.has(attachment.textHash)
+    );
+  });
+  const removed = [
+    ...stale.map(({ attachment }) => attachment.id),
+    ...[...stored.values()].map((entry) => entry.sourceId),
+  ];
+  if (removed.length > 0) {
+    await chunks.delete(
+      `source = 'attachment' AND ${col("sourceId")} IN (${sqlList(removed)})`
+    );
+  }
+  for (const { todoId, attachment } of stale) {
+    let text;
+    try {
+      ({ text } = await readAttachmentText(
+        attachmentPath(dir, attachment),
+        attachment.kind
+      ));
+    } catch (error) {
+      log(`Attachment ${attachment.name} can't be read: ${error.message}`);
+      continue;
+    }
+    const rows = attachmentChunkRows(
+      todoId,
+      attachment,
+      await embedChunks(chunkAttachmentText(text, attachment.kind), embed)
+    );
+    if (rows.length > 0) await chunks.add(rows);
+  }
+  if (removed.length > 0) {
+    log(
+      `Attachment chunks: re-indexed ${stale.length} file(s), ` +
+        `dropped ${stored.size} orphaned.`
+    );
+  }
+  return removed.length;
+}
+
+module.exports = {
+  ATTACHMENTS_DIR,
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_TODO,
+  attachmentPath,
+  parseAttachments,
+  readAttachment,
+  attachmentChunkRows,
+  removeAttachmentFiles,
+  syncAttachmentChunks,
+};
@@ -0,0 +1,261 @@
+const fs = require("fs");
+const path = require("path");
+
+// Backups of the LanceDB directory and access to the todos table's own
+// version history. Everything here works on paths; main.js takes the write
+// lock around it and does the validation and switch-over.
+//
+// A backup is a directory under `todo_backups/` holding a copy of
+// `todo_lancedb/`, the schema metadata file and `backup.json` (see
+// createBackup). It is written as `<name>.partial` and renamed when complete,
+// so a crash never leaves a half-copied backup in the list.
+//
+// LanceDB writes a new table version (a manifest under `_versions/`) on every
+// change and keeps the old ones, which the app never cleans up. stageTable
+// copies a table (from a backup or the live database) under a new name and,
+// for a past version, drops the newer manifests so that version is the
+// copy's latest.
+
+const MANIFEST_FILE = "backup.json";
+const PARTIAL_SUFFIX = ".partial";
+const BACKUP_NAME = /^backup-[0-9TZ-]+$/;
+const BACKUP_REASONS = ["manual", "scheduled", "before-restore"];
+const HOUR_MS = 60 * 60 * 1000;
+// Largest version number, for manifests named by the newer Lance scheme
+// (u64::MAX - version, zero-padded to 20 digits).
+const U64_MAX = BigInt("18446744073709551615");
+
+class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BackupError";
+  }
+}
+
+// e.g. "backup-2024-05-01T09-30-00-000Z"; sorts by creation time.
+function backupName(now) {
+  return `backup-${new Date(now).toISOString().replace(/[:.]/g, "-")}`;
+}
+
+function backupDir(backupsDir, name) {
+  if (!BACKUP_NAME.test(String(name))) {
+    throw new BackupError(`Invalid backup name: ${name}`);
+  }
+  return path.join(backupsDir, name);
+}
+
+function readManifest(dir) {
+  const manifest = JSON.parse(
+    fs.readFileSync(path.join(dir, MANIFEST_FILE), "utf8")
+  );
+  if (!manifest || !Number.isFinite(manifest.createdAt)) {
+    throw new BackupError(`${dir} has no valid ${MANIFEST_FILE}.`);
+  }
+  return manifest;
+}
+
+/**
+ * Copies `dbPath` and `metaPath` into a new backup under `backupsDir` and
+ * resolves with its listing entry. `manifest` is stored as `backup.json`
+ * (activeTable, embedding, schemaVersion, todoCount) together with the
+ * reason and creation time. The caller holds the write lock meanwhile.
+ */
+async function createBackup({
+  backupsDir,
+  dbPath,
+  metaPath,
+  reason,
+  manifest,
+  now = Date.now(),
+}) {
+  if (!BACKUP_REASONS.includes(reason)) {
+    throw new BackupError(`Unknown backup reason: ${reason}`);
+  }
+  fs.mkdirSync(backupsDir, { recursive: true });
+  removePartialBackups(backupsDir);
+  const name = backupName(now);
+  const finalDir = backupDir(backupsDir, name);
+  if (fs.existsSync(finalDir)) {
+    throw new BackupError(`Backup ${name} already exists.`);
+  }
+  const partialDir = finalDir + PARTIAL_SUFFIX;
+  try {
+    await fs.promises.cp(dbPath, path.join(partialDir, path.basename(dbPath)), {
+      recursive: true,
+    });
+    if (fs.existsSync(metaPath)) {
+      fs.copyFileSync(metaPath, path.join(partialDir, path.basename(metaPath)));
+    }
+    fs.writeFileSync(
+      path.join(partialDir, MANIFEST_FILE),
+      JSON.stringify({ ...manifest, reason, createdAt: now }, null, 2)
+    );
+    fs.renameSync(partialDir, finalDir);
+  } catch (error) {
+    fs.rmSync(partialDir, { recursive: true, force: true });
+    throw error;
+  }
+  return { name, ...readManifest(finalDir) };
+}
+
+// Leftovers of backups interrupted by a crash.
+function removePartialBackups(backupsDir) {
+  fs.readdirSync(backupsDir)
+    .filter((entry) => entry.endsWith(PARTIAL_SUFFIX))
+    .forEach((entry) =>
+      fs.rmSync(path.join(backupsDir, entry), { recursive: true, force: true })
+    );
+}
+
+// Every complete backup, newest first. Unreadable ones are skipped.
+function listBackups(backupsDir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(backupsDir);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  return entries
+    .filter((entry) => BACKUP_NAME.test(entry))
+    .map((name) => {
+      try {
+        return { name, ...readManifest(path.join(backupsDir, name)) };
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+function deleteBackup(backupsDir, name) {
+  const dir = backupDir(backupsDir, name);
+  if (!fs.existsSync(dir)) {
+    throw new BackupError(`Backup ${name} not found.`);
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Deletes automatic backups (scheduled and before-restore) beyond the newest
+ * `keep`; manual ones stay until deleted by hand. Returns the removed names.
+ */
+function rotateBackups(backupsDir, keep) {
+  const automatic = listBackups(backupsDir).filter(
+    (backup) => backup.reason !== "manual"
+  );
+  return automatic.slice(Math.max(0, keep)).map((backup) => {
+    deleteBackup(backupsDir, backup.name);
+    return backup.name;
+  });
+}
+
+// Whether a scheduled backup is due: none yet, or the newest is older than
+// `intervalHours` (0 turns scheduled backups off).
+function isBackupDue(backups, intervalHours, now) {
+  if (!(intervalHours > 0)) return false;
+  if (backups.length === 0) return true;
+  return now - backups[0].createdAt >= intervalHours * HOUR_MS;
+}
+
+function tableDir(dbPath, tableName) {
+  return path.join(dbPath, `${tableName}.lance`);
+}
+
+function manifestVersion(fileName) {
+  const match = /^(\d+)\.manifest$/.exec(fileName);
+  if (!match) return null;
+  return match[1].length === 20
+    ? Number(U64_MAX - BigInt(match[1]))
+    : Number(match[1]);
+}
+
+/**
+ * The versions of `tableName` in `dbPath`, newest first, as
+ * { version, createdAt, fileName }. `createdAt` is when the version was
+ * written.
+ */
+function listTableVersions(dbPath, tableName) {
+  const versionsDir = path.join(tableDir(dbPath, tableName), "_versions");
+  return fs
+    .readdirSync(versionsDir)
+    .map((fileName) => ({ fileName, version: manifestVersion(fileName) }))
+    .filter((entry) => entry.version !== null)
+    .map((entry) => ({
+      ...entry,
+      createdAt: fs.statSync(path.join(versionsDir, entry.fileName)).mtimeMs,
+    }))
+    .sort((a, b) => b.version - a.version);
+}
+
+// Name for a restored copy of `tableName`, e.g. "todos_restored_lq3k9x2a".
+function restoredTableName(tableName, now) {
+  const base = tableName.replace(/_restored_[a-z0-9]+$/, "");
+  return `${base}_restored_${now.toString(36)}`;
+}
+
+/**
+ * Copies table `sourceTable` of the database at `sourceDbPath` into
+ * `targetDbPath` as `targetTable`. With `version`, the copy ends at that
+ * version: newer manifests are removed and `_latest.manifest` (written by
+ * older Lance releases) points at it. A copy that turns out to be unusable
+ * is removed with discardStagedTable.
+ */
+async function stageTable({
+  sourceDbPath,
+  sourceTable,
+  targetDbPath,
+  targetTable,
+  version = null,
+}) {
+  const source = tableDir(sourceDbPath, sourceTable);
+  const target = tableDir(targetDbPath, targetTable);
+  if (!fs.existsSync(source)) {
+    throw new BackupError(`Table ${sourceTable} not found in ${sourceDbPath}.`);
+  }
+  if (fs.existsSync(target)) {
+    throw new BackupError(`Table ${targetTable} already exists.`);
+  }
+  await fs.promises.cp(source, target, { recursive: true });
+  if (version === null) return;
+  try {
+    const versions = listTableVersions(targetDbPath, targetTable);
+    const chosen = versions.find((entry) => entry.version === version);
+    if (!chosen) {
+      throw new BackupError(`Version ${version} of ${sourceTable} not found.`);
+    }
+    const versionsDir = path.join(target, "_versions");
+    versions
+      .filter((entry) => entry.version > version)
+      .forEach((entry) =>
+        fs.unlinkSync(path.join(versionsDir, entry.fileName))
+      );
+    const latest = path.join(target, "_latest.manifest");
+    if (fs.existsSync(latest)) {
+      fs.copyFileSync(path.join(versionsDir, chosen.fileName), latest);
+    }
+  } catch (error) {
+    discardStagedTable(targetDbPath, targetTable);
+    throw error;
+  }
+}
+
+function discardStagedTable(dbPath, tableName) {
+  fs.rmSync(tableDir(dbPath, tableName), { recursive: true, force: true });
+}
+
+module.exports = {
+  BackupError,
+  BACKUP_REASONS,
+  backupDir,
+  createBackup,
+  listBackups,
+  deleteBackup,
+  rotateBackups,
+  isBackupDue,
+  listTableVersions,
+  restoredTableName,
+  stageTable,
+  discardStagedTable,
+};
@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+// `todo`: the todo list from a terminal. Works on the app's own database
+// (see todo-store.js), whether or not the app is open; the app picks up the
+// changes within a second or so.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseArgs } = require("util");
+const { SettingsStore } = require("./settings");
+const { EXPORT_FORMATS } = require("./import-export");
+const { startEmbeddingWorker } = require("./embedding-service");
+const { TodoStore } = require("./todo-store");
+const { PRIORITIES } = require("./entry-parser");
+
+// Same as Electron's userData directory for this app.
+const APP_NAME = "electron-todo-lancedb-app";
+
+const USAGE = `Usage: todo <command> [options]
+
+Commands:
+  add <text>          Add a todo
+      --project <name> --due <date> --remind <date> --parent <id>
+      --repeat <rule>  --priority none|low|medium|high  --notes <markdown>
+      --parse (read a due date and priority from the text, e.g.
+      "renew passport next friday !high")
+      --force (add even if it looks like a duplicate)
+      --merge-into <id> (fold it into an existing todo instead)
+  list                List todos
+      --status all|active|completed  --sort newest|oldest|alphabetical|due
+      --tag <tag> (repeatable)  --project <name>  --due overdue|today|upcoming
+      --limit <n>
+  search <query>      Search todos; the query may use the search box's
+                      operators, e.g. "tag:work after:14d is:open deploy"
+      --mode hybrid|semantic|keyword  --from <YYYY-MM-DD>  --to <YYYY-MM-DD>
+      --date-field created|due  --tag <tag>  --project <name>
+  edit <id> [text]    Edit a todo; options as for add, "none" clears a date
+      --series (edit every open occurrence of a repeating todo)
+  rm <id>             Move a todo to the trash
+      --cascade (its subtasks too; otherwise they move up a level)
+  export              Print every todo
+      --format json|csv|markdown  --vectors  --output <file>
+
+Options for every command:
+  --json              Print results as JSON
+  --data-dir <dir>    App data directory (default: $TODO_DATA_DIR or the
+                      app's own)
+`;
+
+const OPTIONS = {
+  json: { type: "boolean" },
+  "data-dir": { type: "string" },
+  help: { type: "boolean", short: "h" },
+  project: { type: "string" },
+  due: { type: "string" },
+  remind: { type: "string" },
+  parent: { type: "string" },
+  repeat: { type: "string" },
+  force: { type: "boolean" },
+  "merge-into": { type: "string" },
+  priority: { type: "string" },
+  parse: { type: "boolean" },
+  notes: { type: "string" },
+  status: { type: "string" },
+  sort: { type: "string" },
+  tag: { type: "string", multiple: true },
+  limit: { type: "string" },
+  mode: { type: "string" },
+  from: { type: "string" },
+  to: { type: "string" },
+  "date-field": { type: "string" },
+  series: { type: "boolean" },
+  cascade: { type: "boolean" },
+  format: { type: "string" },
+  vectors: { type: "boolean" },
+  output: { type: "string" },
+};
+
+// Priority numbers back to their names, for output.
+const PRIORITY_NAMES = Object.fromEntries(
+  Object.entries(PRIORITIES).map(([name, value]) => [value, name])
+);
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+function defaultDataDir() {
+  if (process.env.TODO_DATA_DIR) return process.env.TODO_DATA_DIR;
+  const home = os.homedir();
+  if (process.platform === "win32") {
+    return path.join(
+      process.env.APPDATA || path.join(home, "AppData", "Roaming"),
+      APP_NAME
+    );
+  }
+  if (process.platform === "darwin") {
+    return path.join(home, "Library", "Application Support", APP_NAME);
+  }
+  return path.join(
+    process.env.XDG_CONFIG_HOME || path.join(home, ".config"),
+    APP_NAME
+  );
+}
+
+// Dates and times as ISO 8601 ("2024-05-01", "2024-05-01T09:00"); "none"
+// clears the field on edit.
+function parseDateOption(name, value) {
+  if (value === undefined) return undefined;
+  if (value === "none") return null;
+  const ms = new Date(value).getTime();
+  if (isNaN(ms)) {
+    throw new UsageError(`--${name} is not a date: ${value}`);
+  }
+  return ms;
+}
+
+function requireArgument(value, name) {
+  if (!value) throw new UsageError(`Missing ${name}.`);
+  return value;
+}
+
+function formatDate(ms) {
+  return new Date(ms).toISOString().slice(0, 16).replace("T", " ");
+}
+
+function formatTodo(todo, depth = 0) {
+  const details = [];
+  if (todo.priority) details.push(`${PRIORITY_NAMES[todo.priority]} priority`);
+  if (todo.project) details.push(`project: ${todo.project}`);
+  if (todo.dueAt) details.push(`due ${formatDate(todo.dueAt)}`);
+  if (todo.recurrenceText) details.push(todo.recurrenceText.toLowerCase());
+  if (todo.progress) {
+    details.push(`${todo.progress.done}/${todo.progress.total} done`);
+  }
+  return (
+    `${"  ".repeat(depth)}[${todo.completed ? "x" : " "}] ${todo.id}  ` +
+    `${todo.text}${details.length ? `  (${details.join(", ")})` : ""}`
+  );
+}
+
+function todoOptions(values) {
+  return {
+    project: values.project,
+    dueAt: parseDateOption("due", values.due),
+    remindAt: parseDateOption("remind", values.remind),
+    recurrence: values.repeat === "none" ? "" : values.repeat,
+    priority: values.priority,
+    notes: values.notes,
+  };
+}
+
+const COMMANDS = {
+  async add(store, [text], values) {
+    const result = await store.addTodo(requireArgument(text, "todo text"), {
+      ...todoOptions(values),
+      parentId: values.parent,
+      parse: values.parse,
+      allowDuplicate: values.force,
+      mergeInto: values["merge-into"],
+    });
+    if (!result.item) {
+      const lines = result.duplicates.map(
+        (todo) =>
+          `${formatTodo(todo)}  ${Math.round(todo.similarity * 100)}% similar`
+      );
+      // Nothing was added; exit non-zero so scripts notice.
+      return {
+        result,
+        text:
+          "Looks like an existing todo; nothing was added:\n" +
+          `${lines.join("\n")}\n` +
+          "Use --force to add it anyway or --merge-into <id> to merge.",
+        exitCode: 1,
+      };
+    }
+    return {
+      result,
+      text: `${result.merged ? "Merged into" : "Added"} ${formatTodo(
+        result.item
+      )}`,
+    };
+  },
+
+  async list(store, args, values) {
+    const page = await store.listTodos({
+      status: values.status,
+      sort: values.sort,
+      limit: values.limit,
+      tags: values.tag,
+      project: values.project,
+      due: values.due,
+    });
+    const lines = page.todos.map((todo) => formatTodo(todo, todo.depth));
+    if (page.nextCursor) {
+      lines.push(`... ${page.total - page.todos.length} more (use --limit)`);
+    }
+    return { result: page, text: lines.join("\n") || "No todos." };
+  },
+
+  async search(store, [query], values) {
+    const results = await store.searchTodos(
+      requireArgument(query, "search query"),
+      values.from,
+      values.to,
+      values.mode,
+      {
+        dateField: values["date-field"],
+        tags: values.tag,
+        project: values.project,
+      }
+    );
+    const lines = results.map((todo) => {
+      const line = `${formatTodo(todo)}  [${todo.matchedBy}]`;
+      if (!todo.matchedPassage) return line;
+      const { source, sourceId, text } = todo.matchedPassage;
+      const passage = text.replace(/\s+/g, " ");
+      const attachment =
+        source === "attachment" &&
+        todo.attachments.find((entry) => entry.id === sourceId);
+      return `${line}\n    ${attachment ? attachment.name : "notes"}: ${
+        passage.length > 100 ? `${passage.slice(0, 99)}\u2026` : passage
+      }`;
+    });
+    return { result: results, text: lines.join("\n") || "No matches." };
+  },
+
+  async edit(store, [id, text], values) {
+    const result = await store.updateTodo(
+      requireArgument(id, "todo id"),
+      text,
+      { ...todoOptions(values), scope: values.series ? "series" : "occurrence" }
+    );
+    return { result, text: `Updated ${formatTodo(result.item)}` };
+  },
+
+  async rm(store, [id], values) {
+    const result = await store.deleteTodo(requireArgument(id, "todo id"), {
+      children: values.cascade ? "cascade" : "promote",
+    });
+    return {
+      result,
+      text: `Moved ${result.deletedIds.length} todo(s) to the trash.`,
+    };
+  },
+
+  async export(store, args, values) {
+    const format = values.format || "json";
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new UsageError(`Unsupported export format: ${format}`);
+    }
+    const { content, count } = await store.exportTodos(format, {
+      includeVectors: Boolean(values.vectors),
+    });
+    if (!values.output) return { raw: content };
+    fs.writeFileSync(values.output, content);
+    return {
+      result: { filePath: values.output, count },
+      text: `Exported ${count} todos to ${values.output}`,
+    };
+  },
+};
+
+// Only these commands embed text; the others run without loading a model.
+function needsEmbedder(command, args, values) {
+  if (command === "add") return true;
+  // New notes are chunked and embedded.
+  if (command === "edit") {
+    return args[1] !== undefined || values.notes !== undefined;
+  }
+  if (command === "search") return values.mode !== "keyword";
+  return false;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+  const dataDir = values["data-dir"] || defaultDataDir();
+  const settings = new SettingsStore(path.join(dataDir, "todo_settings.json"));
+  // stdout is kept for results, so progress messages are dropped.
+  const store = new TodoStore({ dataDir, settings, log: () => {} });
+  try {
+    if (needsEmbedder(command, args, values)) {
+      store.embedder = await startEmbeddingWorker(settings.get("embedding"));
+    }
+    // The app creates and migrates the table; the CLI only uses it.
+    await store.open({
+      tableName: settings.get("activeTable"),
+      create: false,
+      migrate: false,
+    });
+    const output = await COMMANDS[command](store, args, values);
+    if (output.raw !== undefined) {
+      process.stdout.write(output.raw);
+    } else if (values.json) {
+      process.stdout.write(`${JSON.stringify(output.result, null, 2)}\n`);
+    } else {
+      process.stdout.write(`${output.text}\n`);
+    }
+    return output.exitCode || 0;
+  } finally {
+    if (store.embedder) store.embedder.terminate();
+  }
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    const usage =
+      error instanceof UsageError ||
+      String(error.code).startsWith("ERR_PARSE_ARGS_");
+    process.stderr.write(`todo: ${error.message}\n`);
+    if (usage) process.stderr.write("Run `todo --help` for usage.\n");
+    process.exitCode = usage ? 2 : 1;
+  }
+);
@@ -0,0 +1,112 @@
+// Near-duplicate detection and merging. The embedding pipeline normalizes
+// vectors, so cosine similarity is a plain dot product and LanceDB's default
+// (squared L2) distance converts to it directly. Reading and writing rows
+// stays in main.js.
+
+const { parseTags } = require("./tags");
+
+// LanceDB's `_distance` for normalized vectors -> cosine similarity.
+function similarityFromDistance(distance) {
+  return 1 - distance / 2;
+}
+
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Groups rows whose vectors are at least `threshold` similar, following
+ * chains (A~B and B~C puts all three together). Occurrences of the same
+ * recurring series are never paired. Compares every pair, so it is meant for
+ * an on-demand scan rather than every keystroke.
+ *
+ * Returns [{ rows, similarity }] with the strongest pair similarity of each
+ * group, most similar groups first and rows oldest first.
+ */
+function groupDuplicates(rows, threshold) {
+  const parent = rows.map((row, index) => index);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const best = new Map();
+  const vectors = rows.map((row) => Array.from(row.vector));
+  for (let i = 0; i < rows.length; i++) {
+    for (let j = i + 1; j < rows.length; j++) {
+      if (rows[i].seriesId && rows[i].seriesId === rows[j].seriesId) continue;
+      const similarity = dotProduct(vectors[i], vectors[j]);
+      if (similarity < threshold) continue;
+      const rootI = find(i);
+      const rootJ = find(j);
+      const strongest = Math.max(
+        similarity,
+        best.get(rootI) || 0,
+        best.get(rootJ) || 0
+      );
+      parent[rootJ] = rootI;
+      best.delete(rootJ);
+      best.set(rootI, strongest);
+    }
+  }
+
+  const members = new Map();
+  rows.forEach((row, index) => {
+    const root = find(index);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(row);
+  });
+  return [...members.entries()]
+    .filter(([, group]) => group.length > 1)
+    .map(([root, group]) => ({
+      rows: group.sort((a, b) => a.timestamp - b.timestamp),
+      similarity: best.get(root),
+    }))
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+function earliest(times) {
+  const set = times.filter((time) => time > 0);
+  return set.length > 0 ? Math.min(...set) : 0;
+}
+
+/**
+ * Changes that fold `sources` into `target`: the target keeps its wording
+ * and gains the sources' missing #tags, takes the first source project if it
+ * has none, keeps the earliest due date and reminder and the highest
+ * priority, and appends the sources' notes to its own.
+ */
+function mergeFields(target, sources) {
+  const tags = new Set(parseTags(target.text));
+  const missing = [];
+  sources.forEach((source) =>
+    parseTags(source.text).forEach((tag) => {
+      if (!tags.has(tag)) {
+        tags.add(tag);
+        missing.push(`#${tag}`);
+      }
+    })
+  );
+  const withProject = sources.find((source) => source.project);
+  return {
+    text: [target.text, ...missing].join(" "),
+    project: target.project || (withProject ? withProject.project : ""),
+    dueAt: earliest([target, ...sources].map((row) => row.dueAt)),
+    remindAt: earliest([target, ...sources].map((row) => row.remindAt)),
+    priority: Math.max(...[target, ...sources].map((row) => row.priority || 0)),
+    notes: [target, ...sources]
+      .map((row) => row.notes || "")
+      .filter(Boolean)
+      .join("\n\n"),
+  };
+}
+
+module.exports = {
+  similarityFromDistance,
+  groupDuplicates,
+  mergeFields,
+};
@@ -0,0 +1,185 @@
+// Main-process side of embedding: a request queue in front of an
+// embedding-worker.js thread. Texts asked for while a batch is running are
+// sent together as the next batch, identical texts are embedded once, and
+// recent vectors are kept in an LRU cache keyed by a hash of the text.
+
+const crypto = require("crypto");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { normalizeEmbeddingConfig } = require("./embeddings");
+
+const WORKER_PATH = path.join(__dirname, "embedding-worker.js");
+const DEFAULT_BATCH_SIZE = 32;
+const DEFAULT_CACHE_SIZE = 1000;
+
+// Least-recently-used map: reading an entry makes it the newest, and adding
+// past `maxEntries` evicts the oldest.
+class LruCache {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+function textHash(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Wraps `embedBatch` (texts -> Promise<vectors>) so callers can ask for any
+ * number of texts at any time. Only one batch of at most `batchSize` texts
+ * runs at once; everything requested meanwhile waits for the next one.
+ * Returns { embed(texts) -> Promise<vectors>, cache }.
+ */
+function createBatchingEmbedder(
+  embedBatch,
+  { batchSize = DEFAULT_BATCH_SIZE, cacheSize = DEFAULT_CACHE_SIZE } = {}
+) {
+  const cache = new LruCache(cacheSize);
+  // Hash -> promise for texts queued or in the running batch.
+  const waiting = new Map();
+  let queue = [];
+  let running = false;
+
+  async function drain() {
+    while (queue.length > 0) {
+      const batch = queue.slice(0, batchSize);
+      queue = queue.slice(batchSize);
+      try {
+        const vectors = await embedBatch(batch.map((entry) => entry.text));
+        batch.forEach((entry, index) => {
+          cache.set(entry.hash, vectors[index]);
+          entry.resolve(vectors[index]);
+        });
+      } catch (error) {
+        batch.forEach((entry) => entry.reject(error));
+      } finally {
+        batch.forEach((entry) => waiting.delete(entry.hash));
+      }
+    }
+    running = false;
+  }
+
+  function embedOne(text) {
+    const hash = textHash(text);
+    const cached = cache.get(hash);
+    if (cached) return Promise.resolve(cached);
+    if (waiting.has(hash)) return waiting.get(hash);
+    const promise = new Promise((resolve, reject) =>
+      queue.push({ hash, text, resolve, reject })
+    );
+    waiting.set(hash, promise);
+    if (!running) {
+      running = true;
+      // Lets the rest of the current tick's requests join the first batch.
+      setImmediate(drain);
+    }
+    return promise;
+  }
+
+  return {
+    embed: (texts) => Promise.all(texts.map(embedOne)),
+    cache,
+  };
+}
+
+/**
+ * Starts a worker for the provider `config` and resolves once its model is
+ * loaded, with the same shape as a provider from embeddings.js plus
+ * `terminate()`. Requests still pending when the worker dies are rejected.
+ */
+function startEmbeddingWorker(config, options = {}) {
+  const normalized = normalizeEmbeddingConfig(config);
+  const worker = new Worker(options.workerPath || WORKER_PATH, {
+    workerData: { config: normalized },
+  });
+  const requests = new Map();
+  let nextId = 1;
+  let stopped = null;
+
+  const fail = (error) => {
+    stopped = stopped || error;
+    requests.forEach((request) => request.reject(stopped));
+    requests.clear();
+  };
+
+  const embedBatch = (texts) =>
+    new Promise((resolve, reject) => {
+      if (stopped) {
+        reject(stopped);
+        return;
+      }
+      const id = nextId++;
+      requests.set(id, { resolve, reject });
+      worker.postMessage({ id, texts });
+    });
+
+  return new Promise((resolve, reject) => {
+    worker.on("message", (message) => {
+      if (message.type === "ready") {
+        const { embed, cache } = createBatchingEmbedder(embedBatch, options);
+        resolve({
+          key: message.key,
+          config: message.config,
+          dimension: message.dimension,
+          embed,
+          cache,
+          terminate: () => {
+            fail(new Error("Embedding worker was stopped."));
+            return worker.terminate();
+          },
+        });
+        return;
+      }
+      if (message.type === "failed") {
+        reject(new Error(message.error));
+        worker.terminate();
+        return;
+      }
+      const request = requests.get(message.id);
+      if (!request) return;
+      requests.delete(message.id);
+      if (message.error) {
+        request.reject(new Error(message.error));
+      } else {
+        request.resolve(message.vectors);
+      }
+    });
+    worker.on("error", (error) => {
+      console.error("Embedding worker crashed:", error);
+      fail(error);
+      reject(error);
+    });
+    worker.on("exit", (code) => {
+      fail(new Error(`Embedding worker exited with code ${code}.`));
+      reject(stopped);
+    });
+  });
+}
+
+module.exports = {
+  LruCache,
+  textHash,
+  createBatchingEmbedder,
+  startEmbeddingWorker,
+};
@@ -0,0 +1,42 @@
+// Worker thread that owns one embedding provider, so model inference and
+// endpoint calls never block Electron's main process. Started by
+// embedding-service.js with the provider config as `workerData`.
+//
+//   -> { id, texts }
+//   <- { type: "ready", key, config, dimension } | { type: "failed", error }
+//   <- { id, vectors } | { id, error }
+
+const { parentPort, workerData } = require("worker_threads");
+const { createEmbeddingProvider } = require("./embeddings");
+
+// transformers.js is ESM-only and only needed for local models.
+async function loadPipeline(...args) {
+  const { pipeline } = await import("@xenova/transformers");
+  return pipeline(...args);
+}
+
+async function start() {
+  const provider = await createEmbeddingProvider(workerData.config, {
+    loadPipeline,
+  });
+  // One batch at a time: the pipeline isn't safe to call concurrently.
+  let previous = Promise.resolve();
+  parentPort.on("message", ({ id, texts }) => {
+    previous = previous
+      .then(() => provider.embed(texts))
+      .then(
+        (vectors) => parentPort.postMessage({ id, vectors }),
+        (error) => parentPort.postMessage({ id, error: error.message })
+      );
+  });
+  parentPort.postMessage({
+    type: "ready",
+    key: provider.key,
+    config: provider.config,
+    dimension: provider.dimension,
+  });
+}
+
+start().catch((error) =>
+  parentPort.postMessage({ type: "failed", error: error.message })
+);
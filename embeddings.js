@@ -0,0 +1,189 @@
+// Embedding providers. A provider turns texts into unit-length vectors, so
+// cosine similarity stays a dot product whatever model is behind it:
+//
+//   { key, config, dimension, embed(texts) -> Promise<number[][]> }
+//
+// Two kinds are supported:
+//   { type: "transformers", model }           any transformers.js feature-
+//                                             extraction model, run locally
+//   { type: "openai", baseUrl, model, apiKey } an OpenAI-compatible
+//                                             /embeddings endpoint on this
+//                                             machine (e.g. a local server)
+
+const DEFAULT_EMBEDDING = {
+  type: "transformers",
+  model: "Xenova/all-MiniLM-L6-v2",
+};
+// Hosts an "openai" provider may call; todo text never leaves the machine.
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+// A request to an "openai" endpoint is tried this many times when the
+// server is unreachable, rate-limited (429) or failing (5xx), waiting
+// RETRY_DELAY_MS longer before each new attempt.
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 500;
+
+class EmbeddingConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "EmbeddingConfigError";
+  }
+}
+
+/** Validates a provider config and returns it in canonical form. */
+function normalizeEmbeddingConfig(config) {
+  const type = config && config.type;
+  const model = String((config && config.model) || "").trim();
+  if (!model) {
+    throw new EmbeddingConfigError("Choose an embedding model.");
+  }
+  if (type === "transformers") {
+    return { type, model };
+  }
+  if (type === "openai") {
+    let url;
+    try {
+      url = new URL(String(config.baseUrl || "").trim());
+    } catch (error) {
+      throw new EmbeddingConfigError("The endpoint URL is not valid.");
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw new EmbeddingConfigError("The endpoint must use http or https.");
+    }
+    if (!LOOPBACK_HOSTS.includes(url.hostname)) {
+      throw new EmbeddingConfigError(
+        "Only endpoints on this machine (localhost) are allowed."
+      );
+    }
+    return {
+      type,
+      model,
+      baseUrl: url.href.replace(/\/+$/, ""),
+      apiKey: config.apiKey ? String(config.apiKey) : "",
+    };
+  }
+  throw new EmbeddingConfigError(`Unknown embedding provider: ${type}`);
+}
+
+// Identifies a model, e.g. in exports and table names. The API key is left
+// out: it doesn't change the vectors.
+function embeddingKey(config) {
+  return config.type === "openai"
+    ? `openai:${config.baseUrl}:${config.model}`
+    : `transformers:${config.model}`;
+}
+
+// `config` with `apiKey` filled in if it has none of its own. Backups store
+// the model config without its key, so a restore brings the current one.
+function withApiKey(config, apiKey) {
+  return config.type === "openai" && !config.apiKey && apiKey
+    ? { ...config, apiKey }
+    : config;
+}
+
+function normalizeVector(vector) {
+  const length = Math.hypot(...vector);
+  return length > 0 ? vector.map((value) => value / length) : vector;
+}
+
+async function createTransformersEmbedder(config, { loadPipeline }) {
+  const extractor = await loadPipeline("feature-extraction", config.model);
+  return async (texts) => {
+    const output = await extractor(texts, { pooling: "mean", normalize: true });
+    return output.tolist();
+  };
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Calls `request` (-> Promise<Response>) until it succeeds, fails in a way
+// that won't change on retry, or MAX_ATTEMPTS is reached. Resolves with the
+// last response.
+async function fetchWithRetry(request, retryDelayMs) {
+  for (let attempt = 1; ; attempt++) {
+    const last = attempt >= MAX_ATTEMPTS;
+    try {
+      const response = await request();
+      if (response.ok || !isRetryableStatus(response.status) || last) {
+        return response;
+      }
+    } catch (error) {
+      // Unreachable, e.g. a local server that is still starting.
+      if (last) throw error;
+    }
+    await new Promise((resolve) => setTimeout(resolve, retryDelayMs * attempt));
+  }
+}
+
+function createOpenAIEmbedder(config, { fetchFn, retryDelayMs }) {
+  const post = (texts) =>
+    fetchFn(`${config.baseUrl}/embeddings`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+      },
+      body: JSON.stringify({ model: config.model, input: texts }),
+    });
+  return async (texts) => {
+    const response = await fetchWithRetry(() => post(texts), retryDelayMs);
+    if (!response.ok) {
+      throw new Error(
+        `Embedding endpoint answered ${response.status} ${response.statusText}`
+      );
+    }
+    const body = await response.json();
+    if (
+      !body ||
+      !Array.isArray(body.data) ||
+      body.data.length !== texts.length
+    ) {
+      throw new Error("Embedding endpoint returned an unexpected response.");
+    }
+    return body.data
+      .slice()
+      .sort((a, b) => a.index - b.index)
+      .map((entry) => normalizeVector(entry.embedding));
+  };
+}
+
+/**
+ * Loads the provider for `config` and probes it once to learn its vector
+ * dimension. `loadPipeline` is transformers.js' `pipeline`; `fetchFn`
+ * defaults to the global fetch and can point at a stub server, and
+ * `retryDelayMs` is the wait before retrying a failed endpoint call.
+ */
+async function createEmbeddingProvider(
+  config,
+  {
+    loadPipeline,
+    fetchFn = globalThis.fetch,
+    retryDelayMs = RETRY_DELAY_MS,
+  } = {}
+) {
+  const normalized = normalizeEmbeddingConfig(config);
+  const embed =
+    normalized.type === "transformers"
+      ? await createTransformersEmbedder(normalized, { loadPipeline })
+      : createOpenAIEmbedder(normalized, { fetchFn, retryDelayMs });
+  const [probe] = await embed(["dimension probe"]);
+  if (!Array.isArray(probe) || probe.length === 0) {
+    throw new Error(`${embeddingKey(normalized)} returned no vector.`);
+  }
+  return {
+    key: embeddingKey(normalized),
+    config: normalized,
+    dimension: probe.length,
+    embed: (texts) => (texts.length === 0 ? Promise.resolve([]) : embed(texts)),
+  };
+}
+
+module.exports = {
+  DEFAULT_EMBEDDING,
+  EmbeddingConfigError,
+  normalizeEmbeddingConfig,
+  embeddingKey,
+  withApiKey,
+  createEmbeddingProvider,
+};
@@ -0,0 +1,487 @@
+// Natural-language parsing of what is typed into the todo box, e.g.
+//
+//   renew passport next friday 5pm !high #admin
+//
+// is the todo "renew passport #admin", due next Friday at 17:00 with high
+// priority. Dates (relative, weekday names or absolute), times and priority
+// markers are taken out of the text, so only the rest is stored and
+// embedded. #tags stay in the text, which is where the app keeps them (see
+// tags.js); they are only reported here.
+//
+// The result depends on nothing but the input and the `now`, `locale` and
+// `weekStart` options, so a fixed reference date always gives the same
+// answer. `locale` decides whether 3/4 is March 4th or 3 April; `weekStart`
+// (0 = Sunday ... 6 = Saturday) decides what "this friday", "next friday"
+// and "next week" mean.
+
+const { parseTags } = require("./tags");
+const { startOfLocalDay } = require("./reminders");
+
+// Stored in the `priority` column; 0 means none.
+const PRIORITIES = { none: 0, low: 1, medium: 2, high: 3 };
+const PRIORITY_MARKERS = {
+  "!high": 3,
+  "!hi": 3,
+  "!!!": 3,
+  "!medium": 2,
+  "!med": 2,
+  "!!": 2,
+  "!low": 1,
+  "!lo": 1,
+};
+// A date without a time is due at the end of that day, so it isn't overdue
+// until the day is over.
+const END_OF_DAY = { hours: 23, minutes: 59 };
+const TONIGHT = { hours: 20, minutes: 0 };
+const DEFAULT_LOCALE = "en-US";
+const DEFAULT_WEEK_START = 1;
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+const COUNT_WORDS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+};
+
+const WEEKDAY = WEEKDAYS.join("|");
+// Short weekday names are also ordinary words ("sat", "sun"), so they only
+// count after "this", "next" or a word like "by".
+const SHORT_WEEKDAY = "sun|mon|tues?|wed|thu(?:rs?)?|fri|sat";
+const MONTH =
+  "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|" +
+  "aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?";
+const ORDINAL = "(?:st|nd|rd|th)?";
+const COUNT = `\\d{1,3}|${Object.keys(COUNT_WORDS).join("|")}`;
+// Words that may lead into a date ("due friday", "by june 3").
+const DATE_LEAD_WORD = "(?:on|by|due(?:\\s+(?:on|by))?|before)";
+const DATE_LEAD = `(?:${DATE_LEAD_WORD}\\s+)?`;
+const TIME_LEAD = "(?:(?:at|@)\\s*)?";
+
+/**
+ * Each rule finds one kind of phrase. `resolve` gets the match and the
+ * context ({ now, today, weekStart, dayFirst }) and returns some of
+ *   { day }            local midnight of the date
+ *   { time }           { hours, minutes }
+ *   { at }             an exact time ("in 2 hours")
+ *   { priority }
+ * or null when the phrase isn't valid after all (e.g. "feb 30").
+ */
+const RULES = [
+  {
+    kind: "date",
+    pattern: `${DATE_LEAD}(?:the\\s+)?day\\s+after\\s+tomorrow`,
+    resolve: (m, ctx) => ({ day: addDays(ctx.today, 2) }),
+  },
+  {
+    kind: "date",
+    pattern: `${DATE_LEAD}(today|tomorrow|tmrw|tmr)`,
+    resolve: (m, ctx) => ({
+      day: addDays(ctx.today, m[1] === "today" ? 0 : 1),
+    }),
+  },
+  {
+    kind: "date",
+    pattern: "tonight",
+    resolve: (m, ctx) => ({ day: ctx.today, time: TONIGHT }),
+  },
+  {
+    kind: "date",
+    pattern: `in\\s+(${COUNT})\\s+(minute|min|hour|hr|day|week|month|year)s?`,
+    resolve: (m, ctx) => {
+      const amount = COUNT_WORDS[m[1]] || Number(m[1]);
+      switch (m[2]) {
+        case "minute":
+        case "min":
+          return { at: ctx.now + amount * 60 * 1000 };
+        case "hour":
+        case "hr":
+          return { at: ctx.now + amount * 60 * 60 * 1000 };
+        case "day":
+          return { day: addDays(ctx.today, amount) };
+        case "week":
+          return { day: addDays(ctx.today, amount * 7) };
+        case "month":
+          return { day: addMonths(ctx.today, amount) };
+        default:
+          return { day: addMonths(ctx.today, amount * 12) };
+      }
+    },
+  },
+  {
+    kind: "date",
+    pattern: `${DATE_LEAD}(?:(this|next)\\s+)?(${WEEKDAY})`,
+    resolve: (m, ctx) => ({
+      day: weekdayDate(WEEKDAYS.indexOf(m[2]), m[1], ctx),
+    }),
+  },
+  {
+    kind: "date",
+    pattern: `(?:${DATE_LEAD}(this|next)|${DATE_LEAD_WORD})\\s+(${SHORT_WEEKDAY})`,
+    resolve: (m, ctx) => ({
+      day: weekdayDate(weekdayIndex(m[2]), m[1], ctx),
+    }),
+  },
+  {
+    kind: "date",
+    pattern: `${DATE_LEAD}next\\s+(week|month|year)`,
+    resolve: (m, ctx) => {
+      if (m[1] === "week") return { day: addDays(startOfWeek(ctx), 7) };
+      const date = new Date(ctx.today);
+      return m[1] === "month"
+        ? { day: localDate(date.getFullYear(), date.getMonth() + 1, 1) }
+        : { day: localDate(date.getFullYear() + 1, 0, 1) };
+    },
+  },
+  {
+    kind: "date",
+    pattern: `${DATE_LEAD}(?:the\\s+)?end\\s+of\\s+(?:the\\s+)?(week|month)`,
+    resolve: (m, ctx) => {
+      if (m[1] === "week") return { day: addDays(startOfWeek(ctx), 6) };
+      const date = new Date(ctx.today);
+      return { day: localDate(date.getFullYear(), date.getMonth() + 1, 0) };
+    },
+  },
+  {
+    kind: "date",
+    pattern: `${DATE_LEAD}(?:this\\s+)?weekend`,
+    resolve: (m, ctx) => {
+      const weekday = new Date(ctx.today).getDay();
+      return { day: addDays(ctx.today, weekday === 0 ? 0 : 6 - weekday) };
+    },
+  },
+  {
+    kind: "date",
+    pattern: `${DATE_LEAD}(\\d{4})-(\\d{1,2})-(\\d{1,2})`,
+    resolve: (m) => validDay(Number(m[1]), Number(m[2]) - 1, Number(m[3])),
+  },
+  {
+    kind: "date",
+    pattern:
+      `${DATE_LEAD}(${MONTH})\\.?\\s+(\\d{1,2})${ORDINAL}` +
+      "(?:,?\\s+(\\d{4}))?",
+    resolve: (m, ctx) => calendarDay(monthIndex(m[1]), Number(m[2]), m[3], ctx),
+  },
+  {
+    kind: "date",
+    pattern:
+      `${DATE_LEAD}(?:the\\s+)?(\\d{1,2})${ORDINAL}\\s+(?:of\\s+)?` +
+      `(${MONTH})\\.?(?:,?\\s+(\\d{4}))?`,
+    resolve: (m, ctx) => calendarDay(monthIndex(m[2]), Number(m[1]), m[3], ctx),
+  },
+  {
+    // 3/4 or 3/4/2025; which number is the month depends on the locale.
+    kind: "date",
+    pattern: `${DATE_LEAD}(\\d{1,2})/(\\d{1,2})(?:/(\\d{4}|\\d{2}))?`,
+    resolve: (m, ctx) => {
+      const [day, month] = ctx.dayFirst ? [m[1], m[2]] : [m[2], m[1]];
+      const year = m[3] && m[3].length === 2 ? `20${m[3]}` : m[3];
+      return calendarDay(Number(month) - 1, Number(day), year, ctx);
+    },
+  },
+  {
+    kind: "time",
+    pattern: `${TIME_LEAD}(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)`,
+    resolve: (m) => {
+      const hours = Number(m[1]);
+      if (hours < 1 || hours > 12) return null;
+      return validTime((hours % 12) + (m[3] === "pm" ? 12 : 0), m[2]);
+    },
+  },
+  {
+    // 24-hour clock: "17:30", or "at 17".
+    kind: "time",
+    pattern: `${TIME_LEAD}(\\d{1,2}):(\\d{2})|(?:at|@)\\s*(\\d{1,2})`,
+    resolve: (m) => validTime(Number(m[1] || m[3]), m[2]),
+  },
+  {
+    kind: "time",
+    pattern: `${TIME_LEAD}noon`,
+    resolve: () => ({ time: { hours: 12, minutes: 0 } }),
+  },
+  {
+    kind: "priority",
+    pattern: Object.keys(PRIORITY_MARKERS).join("|"),
+    resolve: (m) => ({ priority: PRIORITY_MARKERS[m[0]] }),
+  },
+].map((rule) => ({
+  ...rule,
+  // Whole words only: "5pm" but not "5pmx", "#today" or "tomorrow's".
+  regex: new RegExp(
+    `(?<![\\w#!/:.-])(?:${rule.pattern})(?![\\w!/'\u2019])`,
+    "g"
+  ),
+}));
+
+function localDate(year, month, day) {
+  return new Date(year, month, day).getTime();
+}
+
+function addDays(day, days) {
+  const date = new Date(day);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+}
+
+// Keeps the day of the month where it can: Jan 31 + 1 month is Feb 28/29.
+function addMonths(day, months) {
+  const date = new Date(day);
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(
+    target.getFullYear(),
+    target.getMonth() + 1,
+    0
+  ).getDate();
+  target.setDate(Math.min(date.getDate(), lastDay));
+  return target.getTime();
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name.slice(0, 3));
+}
+
+function weekdayIndex(name) {
+  return WEEKDAYS.findIndex((weekday) => weekday.startsWith(name.slice(0, 3)));
+}
+
+function startOfWeek(ctx) {
+  const weekday = new Date(ctx.today).getDay();
+  return addDays(ctx.today, -((weekday - ctx.weekStart + 7) % 7));
+}
+
+// Plain "friday" is the next Friday after today. "this friday" is the one
+// in the current week (or the next one if it has passed), "next friday" the
+// one in the following week.
+function weekdayDate(weekday, which, ctx) {
+  const today = new Date(ctx.today).getDay();
+  const offsetInWeek = (weekday - ctx.weekStart + 7) % 7;
+  if (which === "next") {
+    return addDays(startOfWeek(ctx), 7 + offsetInWeek);
+  }
+  if (which === "this") {
+    const day = addDays(startOfWeek(ctx), offsetInWeek);
+    if (day >= ctx.today) return day;
+  }
+  return addDays(ctx.today, (weekday - today + 7) % 7 || 7);
+}
+
+function validDay(year, month, day) {
+  const date = new Date(year, month, day);
+  // Reject dates that roll over, like Feb 30.
+  if (date.getMonth() !== month || date.getDate() !== day) return null;
+  return { day: date.getTime() };
+}
+
+// A date without a year is the next one on or after today.
+function calendarDay(month, day, year, ctx) {
+  if (year) return validDay(Number(year), month, day);
+  const thisYear = new Date(ctx.today).getFullYear();
+  const result = validDay(thisYear, month, day);
+  if (result && result.day < ctx.today) {
+    return validDay(thisYear + 1, month, day);
+  }
+  return result || validDay(thisYear + 1, month, day); // Feb 29
+}
+
+function validTime(hours, minutes = "0") {
+  const mins = Number(minutes);
+  if (hours > 23 || mins > 59) return null;
+  return { time: { hours, minutes: mins } };
+}
+
+function atTime(day, { hours, minutes }) {
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date.getTime();
+}
+
+// Whether the locale writes the day before the month (3/4 = 3 April).
+function isDayFirst(locale) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat(locale || DEFAULT_LOCALE).formatToParts(
+      new Date(2000, 10, 22)
+    );
+  } catch (error) {
+    return false; // Unknown locale: fall back to month first
+  }
+  const types = parts.map((part) => part.type);
+  return types.indexOf("day") < types.indexOf("month");
+}
+
+// "tonight" and "in 2 hours" fill both the date and the time.
+function slotsOf(value) {
+  const slots = [];
+  if (value.day !== undefined || value.at) slots.push("date");
+  if (value.time || value.at) slots.push("time");
+  if (value.priority) slots.push("priority");
+  return slots;
+}
+
+// Every rule's matches, leftmost first and the longest of those first.
+function findCandidates(text, ctx) {
+  const lower = text.toLowerCase();
+  const candidates = [];
+  RULES.forEach((rule) => {
+    rule.regex.lastIndex = 0;
+    let match;
+    while ((match = rule.regex.exec(lower)) !== null) {
+      const value = rule.resolve(match, ctx);
+      if (value) {
+        candidates.push({
+          kind: rule.kind,
+          value,
+          start: match.index,
+          end: match.index + match[0].length,
+        });
+      }
+    }
+  });
+  return candidates.sort(
+    (a, b) => a.start - b.start || b.end - b.start - (a.end - a.start)
+  );
+}
+
+function removeSpans(text, spans) {
+  let result = "";
+  let position = 0;
+  [...spans]
+    .sort((a, b) => a.start - b.start)
+    .forEach((span) => {
+      result += `${text.slice(position, span.start)} `;
+      position = span.end;
+    });
+  result += text.slice(position);
+  return result
+    .replace(/\s+/g, " ")
+    .replace(/\s+([,;.])/g, "$1")
+    .replace(/^[\s,;:-]+|[\s,;:-]+$/g, "");
+}
+
+/**
+ * Parses a todo as typed. Returns
+ *   { text, dueAt, hasTime, priority, tags, matches }
+ * where `text` is what is left once the date, time and priority marker are
+ * taken out, `dueAt` is epoch ms or null (`hasTime` says whether a time was
+ * given; otherwise it is the end of that day), `priority` is 0-3 (see
+ * PRIORITIES), `tags` are the #tags in the text and `matches` are the
+ * phrases understood, as { kind: "date" | "time" | "priority", text, start,
+ * end }. Only the first phrase of each kind counts; later ones stay in the
+ * text. A todo that would be left without text isn't parsed at all.
+ */
+function parseTodoEntry(input, options = {}) {
+  const text = String(input || "");
+  const now = options.now === undefined ? Date.now() : options.now;
+  const weekStart =
+    options.weekStart === undefined
+      ? DEFAULT_WEEK_START
+      : Number(options.weekStart);
+  const ctx = {
+    now,
+    today: startOfLocalDay(now),
+    weekStart: ((weekStart % 7) + 7) % 7,
+    dayFirst: isDayFirst(options.locale),
+  };
+  const literal = {
+    text: text.trim(),
+    dueAt: null,
+    hasTime: false,
+    priority: 0,
+    tags: parseTags(text),
+    matches: [],
+  };
+
+  // Greedy, left to right: a phrase is kept if it doesn't overlap one
+  // already kept and the slots it fills are still open.
+  const chosen = [];
+  const found = {};
+  findCandidates(text, ctx).forEach((candidate) => {
+    const slots = slotsOf(candidate.value);
+    const overlaps = chosen.some(
+      (other) => candidate.start < other.end && other.start < candidate.end
+    );
+    if (overlaps || slots.some((slot) => found[slot])) return;
+    slots.forEach((slot) => (found[slot] = candidate.value));
+    chosen.push(candidate);
+  });
+  if (chosen.length === 0) return literal;
+  const cleaned = removeSpans(text, chosen);
+  if (!cleaned) return literal;
+
+  const date = found.date || {};
+  const time = (found.time && found.time.time) || null;
+  let dueAt = null;
+  if (date.at) {
+    dueAt = date.at;
+  } else if (date.day !== undefined) {
+    dueAt = atTime(date.day, time || END_OF_DAY);
+  } else if (time) {
+    // A time alone is the next time it comes round: today or tomorrow.
+    dueAt = atTime(ctx.today, time);
+    if (dueAt <= now) dueAt = atTime(addDays(ctx.today, 1), time);
+  }
+  return {
+    text: cleaned,
+    dueAt,
+    hasTime: Boolean(date.at || time),
+    priority: found.priority ? found.priority.priority : 0,
+    tags: parseTags(cleaned),
+    matches: chosen
+      .sort((a, b) => a.start - b.start)
+      .map((candidate) => ({
+        kind: candidate.kind,
+        text: text.slice(candidate.start, candidate.end),
+        start: candidate.start,
+        end: candidate.end,
+      })),
+  };
+}
+
+// Accepts 0-3 or a name from PRIORITIES; "" and null mean none.
+function normalizePriority(value) {
+  if (value === undefined || value === null || value === "") return 0;
+  const priority =
+    typeof value === "string" && PRIORITIES[value.toLowerCase()] !== undefined
+      ? PRIORITIES[value.toLowerCase()]
+      : Number(value);
+  if (!Object.values(PRIORITIES).includes(priority)) {
+    throw new Error(`Unknown priority: ${value}`);
+  }
+  return priority;
+}
+
+module.exports = {
+  PRIORITIES,
+  parseTodoEntry,
+  normalizePriority,
+};
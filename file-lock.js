@@ -0,0 +1,137 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+// Cross-process lock held by creating a file exclusively. The app and the
+// `todo` CLI take it around every write to the LanceDB table, so two
+// processes never commit to it at the same time. The file records the
+// holder's pid; a lock left behind by a process that died is taken over.
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const RETRY_MS = 25;
+// A lock file that can't be read (its holder died mid-write) is treated as
+// abandoned once it is this old.
+const UNREADABLE_STALE_MS = 5000;
+
+class LockTimeoutError extends Error {
+  constructor(lockPath) {
+    super(`Timed out waiting for ${lockPath}; another process is writing.`);
+    this.name = "LockTimeoutError";
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to someone else.
+    return error.code === "EPERM";
+  }
+}
+
+// The lock file's content and modification time, or null if there is none.
+function readLockFile(lockPath) {
+  try {
+    return {
+      text: fs.readFileSync(lockPath, "utf8"),
+      mtimeMs: fs.statSync(lockPath).mtimeMs,
+    };
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+function isAbandoned(file, now) {
+  let holder = null;
+  try {
+    holder = JSON.parse(file.text);
+  } catch (error) {
+    // Unreadable; judged by its age below.
+  }
+  if (holder && Number.isInteger(holder.pid)) {
+    return !isProcessAlive(holder.pid);
+  }
+  return now - file.mtimeMs > UNREADABLE_STALE_MS;
+}
+
+// Removes the lock if its holder is gone; returns true if it is now free.
+// Another process may find the same dead holder and take the lock over
+// first, so the file is moved aside (atomically, so only one process gets
+// it) and removed only if it is still the one found abandoned. A live lock
+// moved aside by mistake is put back.
+function clearAbandonedLock(lockPath, now) {
+  const file = readLockFile(lockPath);
+  if (!file) return true;
+  if (!isAbandoned(file, now)) return false;
+  const aside = `${lockPath}.${process.pid}-${crypto
+    .randomBytes(4)
+    .toString("hex")}`;
+  try {
+    fs.renameSync(lockPath, aside);
+  } catch (error) {
+    if (error.code === "ENOENT") return true;
+    throw error;
+  }
+  const moved = readLockFile(aside);
+  const same = file.text === moved.text && file.mtimeMs === moved.mtimeMs;
+  if (!same) {
+    try {
+      fs.linkSync(aside, lockPath);
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+  }
+  fs.unlinkSync(aside);
+  return same;
+}
+
+/**
+ * Waits up to `timeoutMs` for the lock and resolves with a function that
+ * releases it. Throws LockTimeoutError if another live process keeps it.
+ */
+async function acquireFileLock(
+  lockPath,
+  {
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  } = {}
+) {
+  const started = Date.now();
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, "wx");
+      fs.writeSync(
+        fd,
+        JSON.stringify({ pid: process.pid, acquiredAt: Date.now() })
+      );
+      fs.closeSync(fd);
+      return () => {
+        try {
+          fs.unlinkSync(lockPath);
+        } catch (error) {
+          if (error.code !== "ENOENT") throw error;
+        }
+      };
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+    if (clearAbandonedLock(lockPath, Date.now())) continue;
+    if (Date.now() - started > timeoutMs) {
+      throw new LockTimeoutError(lockPath);
+    }
+    await sleep(RETRY_MS);
+  }
+}
+
+/** Runs `fn` while holding the lock and releases it afterwards. */
+async function withFileLock(lockPath, fn, options) {
+  const release = await acquireFileLock(lockPath, options);
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+module.exports = { LockTimeoutError, acquireFileLock, withFileLock };
@@ -0,0 +1,353 @@
+// Serializers and parsers for moving todos in and out of the LanceDB store.
+// Everything here is pure; file dialogs, embedding and table writes stay in
+// main.js.
+
+const { PRIORITIES } = require("./entry-parser");
+const { normalizeNotes } = require("./note-chunks");
+
+const EXPORT_FORMATS = ["json", "csv", "markdown"];
+const FILE_EXTENSIONS = { json: "json", csv: "csv", markdown: "md" };
+const CSV_COLUMNS = [
+  "id",
+  "text",
+  "timestamp",
+  "completed",
+  "completedAt",
+  "project",
+  "dueAt",
+  "remindAt",
+  "recurrence",
+  "parentId",
+  "priority",
+  "notes",
+];
+
+function formatFromPath(filePath) {
+  const ext = String(filePath).split(".").pop().toLowerCase();
+  if (ext === "json") return "json";
+  if (ext === "csv") return "csv";
+  if (ext === "md" || ext === "markdown") return "markdown";
+  return null;
+}
+
+function toIso(ms) {
+  return ms ? new Date(ms).toISOString() : "";
+}
+
+// Accepts epoch milliseconds (number or numeric string) or any date string.
+function parseTime(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "number") return value;
+  const trimmed = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) return Number(trimmed);
+  const parsed = new Date(trimmed).getTime();
+  return isNaN(parsed) ? null : parsed;
+}
+
+function parseBoolean(value) {
+  return ["true", "1", "yes", "x"].includes(String(value).trim().toLowerCase());
+}
+
+// 0-3 or a name ("high"); anything else means no priority.
+function parsePriority(value) {
+  const text = String(value === undefined || value === null ? "" : value)
+    .trim()
+    .toLowerCase();
+  const priority = text in PRIORITIES ? PRIORITIES[text] : Number(text);
+  return Object.values(PRIORITIES).includes(priority) ? priority : 0;
+}
+
+// --- Export ---
+
+function toJson(todos, { includeVectors, embeddingModel }) {
+  return JSON.stringify(
+    {
+      format: "electron-todo-lancedb",
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      embeddingModel: includeVectors ? embeddingModel : undefined,
+      todos: todos.map((todo) => ({
+        id: todo.id,
+        text: todo.text,
+        timestamp: todo.timestamp,
+        completed: Boolean(todo.completed),
+        completedAt: todo.completedAt || null,
+        project: todo.project || "",
+        dueAt: todo.dueAt || null,
+        remindAt: todo.remindAt || null,
+        recurrence: todo.recurrence || "",
+        parentId: todo.parentId || "",
+        priority: todo.priority || 0,
+        notes: todo.notes || "",
+        ...(includeVectors && todo.vector
+          ? { vector: Array.from(todo.vector) }
+          : {}),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(todos, { includeVectors }) {
+  const columns = includeVectors ? [...CSV_COLUMNS, "vector"] : CSV_COLUMNS;
+  const lines = [columns.join(",")];
+  todos.forEach((todo) => {
+    const row = [
+      todo.id,
+      todo.text,
+      toIso(todo.timestamp),
+      todo.completed ? "true" : "false",
+      toIso(todo.completedAt),
+      todo.project || "",
+      toIso(todo.dueAt),
+      toIso(todo.remindAt),
+      todo.recurrence || "",
+      todo.parentId || "",
+      todo.priority || 0,
+      todo.notes || "",
+    ];
+    if (includeVectors) {
+      row.push(todo.vector ? Array.from(todo.vector).join(" ") : "");
+    }
+    lines.push(row.map(csvCell).join(","));
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+// Markdown checklists carry no vectors or notes; id, dates, project,
+// reminder, recurrence, parent and priority ride along in an HTML comment so
+// a round trip keeps them. Tags stay inline as `#tag` text.
+function toMarkdown(todos) {
+  const lines = ["# Todos", ""];
+  todos.forEach((todo) => {
+    const text = String(todo.text).replace(/\r?\n/g, " ");
+    const meta = [`id:${todo.id}`, `created:${toIso(todo.timestamp)}`];
+    if (todo.completedAt) meta.push(`completed:${toIso(todo.completedAt)}`);
+    if (todo.project) {
+      meta.push(`project:${encodeURIComponent(todo.project)}`);
+    }
+    if (todo.dueAt) meta.push(`due:${toIso(todo.dueAt)}`);
+    if (todo.remindAt) meta.push(`remind:${toIso(todo.remindAt)}`);
+    if (todo.recurrence) meta.push(`repeat:${todo.recurrence}`);
+    if (todo.parentId) meta.push(`parent:${todo.parentId}`);
+    if (todo.priority) meta.push(`priority:${todo.priority}`);
+    lines.push(
+      `- [${todo.completed ? "x" : " "}] ${text} <!-- ${meta.join(" ")} -->`
+    );
+  });
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Serializes todos to `format`. Vectors are written only when
+ * `includeVectors` is set and the format can hold them (JSON, CSV).
+ */
+function serializeTodos(todos, format, options = {}) {
+  switch (format) {
+    case "json":
+      return toJson(todos, options);
+    case "csv":
+      return toCsv(todos, options);
+    case "markdown":
+      return toMarkdown(todos);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+// --- Import ---
+
+// Parses RFC 4180 CSV (quoted fields, doubled quotes, CRLF or LF).
+function parseCsvRows(content) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+function fromCsv(content) {
+  const [header, ...rows] = parseCsvRows(content);
+  if (!header) return [];
+  const columns = header.map((name) => name.trim());
+  const textIndex = columns.indexOf("text");
+  if (textIndex === -1) {
+    throw new Error('CSV import needs a "text" column.');
+  }
+  return rows.map((cells) => {
+    const record = {};
+    columns.forEach((name, index) => (record[name] = cells[index]));
+    return record;
+  });
+}
+
+function fromJson(content) {
+  const parsed = JSON.parse(content);
+  const todos = Array.isArray(parsed) ? parsed : parsed && parsed.todos;
+  if (!Array.isArray(todos)) {
+    throw new Error('JSON import needs an array of todos or a "todos" array.');
+  }
+  return todos;
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+const CHECKLIST_LINE =
+  /^\s*[-*+]\s+\[( |x|X)\]\s+(.*?)\s*(?:<!--(.*?)-->)?\s*$/;
+
+function fromMarkdown(content) {
+  const records = [];
+  content.split(/\r?\n/).forEach((line) => {
+    const match = CHECKLIST_LINE.exec(line);
+    if (!match) return;
+    const record = { text: match[2], completed: match[1] !== " " };
+    (match[3] || "")
+      .trim()
+      .split(/\s+/)
+      .forEach((pair) => {
+        const separator = pair.indexOf(":");
+        if (separator === -1) return;
+        const key = pair.slice(0, separator);
+        const value = pair.slice(separator + 1);
+        if (key === "id") record.id = value;
+        if (key === "created") record.timestamp = value;
+        if (key === "completed") record.completedAt = value;
+        if (key === "project") record.project = safeDecode(value);
+        if (key === "due") record.dueAt = value;
+        if (key === "remind") record.remindAt = value;
+        if (key === "repeat") record.recurrence = value;
+        if (key === "parent") record.parentId = value;
+        if (key === "priority") record.priority = value;
+      });
+    records.push(record);
+  });
+  return records;
+}
+
+function normalizeRecord(record) {
+  const text = String(record.text || "").trim();
+  const completed =
+    typeof record.completed === "boolean"
+      ? record.completed
+      : parseBoolean(record.completed);
+  return {
+    id: record.id ? String(record.id).trim() : null,
+    text,
+    timestamp: parseTime(record.timestamp),
+    completed,
+    completedAt: completed ? parseTime(record.completedAt) : null,
+    project: record.project ? String(record.project).trim() : "",
+    dueAt: parseTime(record.dueAt),
+    remindAt: parseTime(record.remindAt),
+    recurrence: record.recurrence ? String(record.recurrence).trim() : "",
+    parentId: record.parentId ? String(record.parentId).trim() : "",
+    priority: parsePriority(record.priority),
+    notes: normalizeNotes(record.notes),
+  };
+}
+
+/**
+ * Parses file content into normalized records
+ * ({ id, text, timestamp, completed, completedAt, project, dueAt, remindAt,
+ * recurrence, parentId, priority, notes }). Vectors in the file are ignored:
+ * imported todos are always re-embedded with the current model. Rows
+ * without text are dropped.
+ */
+function parseTodos(content, format) {
+  let records;
+  switch (format) {
+    case "json":
+      records = fromJson(content);
+      break;
+    case "csv":
+      records = fromCsv(content);
+      break;
+    case "markdown":
+      records = fromMarkdown(content);
+      break;
+    default:
+      throw new Error(`Unsupported import format: ${format}`);
+  }
+  return records.map(normalizeRecord).filter((record) => record.text !== "");
+}
+
+function normalizeText(text) {
+  return String(text).trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/**
+ * Marks each record as "new" or a duplicate, before anything is written:
+ * same id as an existing todo, same text (ignoring case and spacing) as an
+ * existing todo, or a repeat of an earlier record in the same file.
+ */
+function markDuplicates(records, existingTodos) {
+  const existingIds = new Set(existingTodos.map((todo) => todo.id));
+  const existingTexts = new Set(
+    existingTodos.map((todo) => normalizeText(todo.text))
+  );
+  const seenTexts = new Set();
+  return records.map((record) => {
+    const key = normalizeText(record.text);
+    let duplicateOf = null;
+    if (record.id && existingIds.has(record.id)) {
+      duplicateOf = "existing-id";
+    } else if (existingTexts.has(key)) {
+      duplicateOf = "existing-text";
+    } else if (seenTexts.has(key)) {
+      duplicateOf = "in-file";
+    }
+    seenTexts.add(key);
+    return { ...record, duplicateOf };
+  });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  FILE_EXTENSIONS,
+  formatFromPath,
+  serializeTodos,
+  parseTodos,
+  markDuplicates,
+};
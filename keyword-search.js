@@ -0,0 +1,133 @@
+// In-memory keyword index over todo text, used alongside LanceDB vector
+// search. The `vectordb` Node client has no full-text index, so the main
+// process keeps this BM25 index in sync with the table instead.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Constant from the original reciprocal rank fusion paper; dampens the
+// advantage of the very top ranks so both lists contribute.
+const RRF_K = 60;
+
+/**
+ * Splits text into lowercase tokens. Words joined by `-` or `_` (ticket
+ * numbers like "ABC-123", nanoid keywords) are kept whole and also indexed
+ * by their parts, so both "abc-123" and "123" match.
+ */
+function tokenize(text) {
+  const tokens = [];
+  String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}_-]+/u)
+    .forEach((word) => {
+      const trimmed = word.replace(/^[-_]+|[-_]+$/g, "");
+      if (!trimmed) return;
+      tokens.push(trimmed);
+      const parts = trimmed.split(/[-_]+/).filter(Boolean);
+      if (parts.length > 1) tokens.push(...parts);
+    });
+  return tokens;
+}
+
+class KeywordIndex {
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    // id -> { length, termFreqs: Map<term, count> }
+    this.documents = new Map();
+    // term -> Set<id>
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  add(id, text) {
+    this.remove(id);
+    const tokens = tokenize(text);
+    const termFreqs = new Map();
+    tokens.forEach((token) =>
+      termFreqs.set(token, (termFreqs.get(token) || 0) + 1)
+    );
+    termFreqs.forEach((_count, term) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Set());
+      this.postings.get(term).add(id);
+    });
+    this.documents.set(id, { length: tokens.length, termFreqs });
+    this.totalLength += tokens.length;
+  }
+
+  remove(id) {
+    const doc = this.documents.get(id);
+    if (!doc) return;
+    doc.termFreqs.forEach((_count, term) => {
+      const ids = this.postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) this.postings.delete(term);
+    });
+    this.totalLength -= doc.length;
+    this.documents.delete(id);
+  }
+
+  /**
+   * BM25 search. Returns up to `limit` hits as { id, score, matchedTerms },
+   * best first. Only documents containing at least one query term are
+   * returned.
+   */
+  search(query, limit = 10) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.documents.size === 0) return [];
+    const docCount = this.documents.size;
+    const avgLength = this.totalLength / docCount || 1;
+    const scores = new Map();
+
+    terms.forEach((term) => {
+      const ids = this.postings.get(term);
+      if (!ids) return;
+      const idf = Math.log(1 + (docCount - ids.size + 0.5) / (ids.size + 0.5));
+      ids.forEach((id) => {
+        const doc = this.documents.get(id);
+        const tf = doc.termFreqs.get(term);
+        const termScore =
+          (idf * tf * (BM25_K1 + 1)) /
+          (tf + BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / avgLength));
+        const entry = scores.get(id) || { id, score: 0, matchedTerms: [] };
+        entry.score += termScore;
+        entry.matchedTerms.push(term);
+        scores.set(id, entry);
+      });
+    });
+
+    return [...scores.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+/**
+ * Reciprocal rank fusion: merges several ranked lists of ids into one,
+ * scoring each id by the sum of 1 / (k + rank) over the lists it appears in.
+ * Returns [{ id, score, ranks }] best first, where `ranks[i]` is the 1-based
+ * rank in list i (or null).
+ */
+function reciprocalRankFusion(rankedIdLists, k = RRF_K) {
+  const fused = new Map();
+  rankedIdLists.forEach((ids, listIndex) => {
+    ids.forEach((id, index) => {
+      const entry = fused.get(id) || {
+        id,
+        score: 0,
+        ranks: rankedIdLists.map(() => null),
+      };
+      entry.score += 1 / (k + index + 1);
+      entry.ranks[listIndex] = index + 1;
+      fused.set(id, entry);
+    });
+  });
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+module.exports = { KeywordIndex, tokenize, reciprocalRankFusion };
@@ -1,101 +1,178 @@
-const { app, BrowserWindow, ipcMain } = require("electron");
+const {
+  app,
+  BrowserWindow,
+  ipcMain,
+  dialog,
+  Notification,
+  powerMonitor,
+  shell,
+} = require("electron");
 const path = require("path");
-let arrow;
+const fs = require("fs");
+const crypto = require("crypto");
+const {
+  columnDefaults,
+  readSchemaVersion,
+  writeSchemaVersion,
+  runMigrations,
+  vectorDimensionOf,
+  inferSchemaVersion,
+} = require("./migrations");
+const {
+  EXPORT_FORMATS,
+  FILE_EXTENSIONS,
+  formatFromPath,
+  parseTodos,
+  markDuplicates,
+} = require("./import-export");
+const { SettingsStore } = require("./settings");
+const {
+  parseTags,
+  isValidTag,
+  encodeTags,
+  decodeTags,
+  normalizeProject,
+  summarizeTags,
+} = require("./tags");
+const { ReminderScheduler } = require("./reminders");
+const {
+  indexHierarchy,
+  descendantIds,
+  wouldCreateCycle,
+} = require("./todo-tree");
+const { similarityFromDistance, groupDuplicates } = require("./duplicates");
+const { clusterTodos, carryOverNames } = require("./topics");
+const {
+  normalizeEmbeddingConfig,
+  embeddingKey,
+  withApiKey,
+} = require("./embeddings");
+const { startEmbeddingWorker } = require("./embedding-service");
+const { generateApiToken, createApiServer } = require("./api-server");
+const { ReindexCancelledError, runReindex, catchUp } = require("./reindex");
+const { chunkTableName } = require("./note-chunks");
+const {
+  backupDir,
+  createBackup,
+  listBackups,
+  deleteBackup,
+  rotateBackups,
+  isBackupDue,
+  listTableVersions,
+  restoredTableName,
+  stageTable,
+  discardStagedTable,
+} = require("./backups");
+const {
+  TodoStore,
+  TODO_COLUMNS,
+  NOT_DELETED,
+  IN_TRASH,
+  SEARCH_DATE_FIELDS,
+  toTodoItem,
+  buildDateFilter,
+  toStoredTime,
+  sqlString,
+  parseRevisions,
+  normalizeRecurrence,
+  followingDueDate,
+} = require("./todo-store");
+const { col } = require("./sql");
+const { OPERATORS, parseSearchQuery } = require("./query-syntax");
 const {
-  Schema,
-  Field,
-  Utf8,
-  FixedSizeList,
-  Float32,
-  TimestampMillisecond,
-} = require("apache-arrow");
+  SmartListError,
+  normalizeSmartList,
+  smartListQuery,
+} = require("./smart-lists");
 
 let mainWindow;
-let db;
-let table;
-let embedder;
+// The background re-index for a model switch, while it runs.
+let reindexJob = null;
 
-let pipeline;
-let lancedb;
-let nanoidFn;
+// Parsed import files waiting for the user to confirm the preview.
+const pendingImports = new Map();
+// Imports being written, by import id: { cancelled }.
+const runningImports = new Map();
+// The demo seed while it runs: { cancelled }.
+let seedJob = null;
+// Handlers also served by the local API, by channel (see handleShared).
+const sharedHandlers = new Map();
+// The local API server while it is running.
+let apiServer = null;
+// Shown notifications, kept referenced so their click handlers survive GC.
+const activeNotifications = new Set();
+// The backup or restore in progress; they never overlap.
+let backupTask = null;
+// Pending "smart-lists-stale" notice; writes within the delay share one.
+let smartListRefreshTimer = null;
 
-const DB_PATH = path.join(app.getPath("userData"), "todo_lancedb");
-const TABLE_NAME = "todos";
-const EMBEDDING_MODEL = "Xenova/all-MiniLM-L6-v2";
-const VECTOR_DIMENSION = 384;
+// Last topic clustering, with any custom topic names.
+const TOPICS_PATH = path.join(app.getPath("userData"), "todo_topics.json");
+const BACKUPS_PATH = path.join(app.getPath("userData"), "todo_backups");
+const settings = new SettingsStore(
+  path.join(app.getPath("userData"), "todo_settings.json")
+);
+// The todos table, shared with the `todo` CLI (see todo-store.js). Its
+// embedder is the active provider, running in a worker.
+const store = new TodoStore({
+  dataDir: app.getPath("userData"),
+  settings,
+  onWrite: scheduleSmartListRefresh,
+});
+// Above this many reminders at once, a single summary notification is shown.
+const MAX_REMINDER_NOTIFICATIONS = 3;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Neighbours listed in the Related panel.
+const RELATED_TODO_LIMIT = 10;
+const MAX_TOPIC_COUNT = 50;
+const IMPORT_BATCH_SIZE = 16;
+// Catch-up passes before a model switch gives up waiting for a quiet moment.
+const MAX_CATCH_UP_PASSES = 5;
+// How often the backup schedule is checked.
+const BACKUP_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// Table versions offered for time travel, newest first.
+const MAX_LISTED_VERSIONS = 100;
+// Smart lists re-run this long after the last write, so bulk changes (an
+// import, the demo seed) refresh them once.
+const SMART_LIST_REFRESH_DELAY_MS = 300;
+
+// Started once the table is ready; until then `reschedule()` does nothing.
+const reminderScheduler = new ReminderScheduler({
+  findDue: (now) => store.findDueReminders(now),
+  findNext: (now) => store.findNextReminderTime(now),
+  markDelivered: (ids, now) => store.markRemindersDelivered(ids, now),
+  deliver: showReminderNotifications,
+});
 
 async function initializeApp() {
   try {
-    console.log("Dynamically importing ESM modules...");
-    const transformersModule = await import("@xenova/transformers");
-    pipeline = transformersModule.pipeline;
-    const lancedbModule = await import("vectordb");
-    lancedb = lancedbModule;
-    const nanoidESMModule = await import("nanoid");
-    nanoidFn = nanoidESMModule.nanoid;
-    console.log("ESM modules imported successfully.");
-    arrow = await import("@apache-arrow/es2015-esm");
     console.log("Initializing embedding pipeline...");
-    embedder = await pipeline("feature-extraction", EMBEDDING_MODEL);
-    console.log("Embedding pipeline initialized.");
-
-    console.log("Connecting to LanceDB...");
-    db = await lancedb.connect(DB_PATH);
-    console.log("Connected to LanceDB.");
-
-    const tableNames = await db.tableNames();
-    if (tableNames.includes(TABLE_NAME)) {
-      console.log(`Opening existing table: ${TABLE_NAME}`);
-      table = await db.openTable(TABLE_NAME);
-    } else {
-      console.log(`Table ${TABLE_NAME} not found, creating new table...`);
-      const tableFields = [
-        new arrow.Field(
-          "vector",
-          new arrow.FixedSizeList(
-            VECTOR_DIMENSION,
-            new arrow.Field("item", new arrow.Float32())
-          )
-        ),
-        new arrow.Field("text", new arrow.Utf8()),
-        new arrow.Field("id", new arrow.Utf8()),
-        new arrow.Field("timestamp", new arrow.TimestampMillisecond()),
-      ];
-      const tableSchema = new arrow.Schema(tableFields);
-      console.log(
-        "Defined target schema structure (for dummy data inference)."
-      );
-      const dummyVector = new Array(VECTOR_DIMENSION).fill(0.0);
-      const dummyData = [
-        {
-          id: "dummy_id_init",
-          text: "dummy_text_init",
-          vector: dummyVector,
-          timestamp: Date.now(),
-        },
-      ];
-      console.log(
-        "Attempting to create table with dummy data for schema inference..."
-      );
-      try {
-        table = await db.createTable(TABLE_NAME, dummyData);
-        console.log(
-          `Table ${TABLE_NAME} created via schema inference from dummy data.`
-        );
-        await table.delete('id = "dummy_id_init"');
-        console.log("Dummy data deleted from the newly created table.");
-      } catch (creationError) {
-        console.error(
-          "Error during db.createTable call (with dummy data):",
-          creationError
-        );
-        throw creationError;
-      }
-    }
+    store.embedder = await startEmbeddingWorker(settings.get("embedding"));
+    console.log(`Embedding pipeline initialized (${store.embedder.key}).`);
+    await store.open({ tableName: settings.get("activeTable") });
+    // Todos added or edited from the CLI while the app is open.
+    store.watchExternalChanges(handleExternalChanges);
+    await purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS);
+    // Not awaited: a large copy shouldn't hold up the window.
+    runScheduledBackup();
+    setInterval(runScheduledBackup, BACKUP_CHECK_INTERVAL_MS);
+    // Catches up on reminders that came due while the app was closed.
+    await reminderScheduler.start();
+    powerMonitor.on("resume", () => reminderScheduler.reschedule());
     console.log("LanceDB table ready.");
     if (mainWindow) {
       mainWindow.webContents.send("initialization-success");
     }
+    // A model switch interrupted by quitting carries on where it stopped.
+    const pendingJob = settings.get("reindexJob");
+    if (pendingJob) resumeReindex(pendingJob);
+    if (settings.get("apiEnabled")) {
+      startApiServer().catch((error) =>
+        console.error("Could not start the local API:", error)
+      );
+    }
   } catch (error) {
     console.error("Failed to initialize app components:", error);
     if (mainWindow) {
@@ -104,12 +181,25 @@ async function initializeApp() {
   }
 }
 
-async function getEmbedding(text) {
-  if (!embedder) {
-    throw new Error("Embedding pipeline not initialized.");
+// Another process wrote to the table: the keyword index and reminders are
+// rebuilt from it and the window reloads its list.
+async function handleExternalChanges() {
+  try {
+    await store.rebuildKeywordIndex();
+    reminderScheduler.reschedule();
+    if (mainWindow) {
+      mainWindow.webContents.send("todos-changed", { source: "cli" });
+    }
+  } catch (error) {
+    console.error("Error picking up external changes:", error);
   }
-  const output = await embedder(text, { pooling: "mean", normalize: true });
-  return Array.from(output.data);
+}
+
+// Registers an IPC handler that the local API can run too, so both get the
+// same validation and results.
+function handleShared(channel, handler) {
+  sharedHandlers.set(channel, handler);
+  ipcMain.handle(channel, handler);
 }
 
 function createWindow() {
@@ -146,122 +236,104 @@ app.on("activate", () => {
   }
 });
 
-ipcMain.handle("add-todo", async (event, todoText) => {
-  if (!table || !embedder) {
+handleShared("add-todo", async (event, todoText, options = {}) => {
+  if (!store.table || !store.embedder) {
     return { success: false, error: "Database or embedder not initialized." };
   }
   try {
-    const vector = await getEmbedding(todoText);
-    const todoId = nanoidFn();
-    const todoItem = {
-      id: todoId,
-      text: todoText,
-      vector: vector,
-      timestamp: Date.now(),
-    };
-    await table.add([todoItem]);
-    return {
-      success: true,
-      item: {
-        id: todoItem.id,
-        text: todoItem.text,
-        timestamp: todoItem.timestamp,
-      },
-    };
+    const result = await store.addTodo(todoText, options);
+    if (result.merged || (result.item && result.item.remindAt)) {
+      reminderScheduler.reschedule();
+    }
+    return { success: true, ...result };
   } catch (error) {
     console.error("Error adding todo:", error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle("get-todos", async () => {
-  if (!table) {
+// Preview for the todo box: what add-todo with `parse` would read out of
+// the text. Needs only the settings, so it works before the table is open.
+ipcMain.handle("parse-todo-entry", async (event, text) => {
+  try {
+    return { success: true, ...store.parseEntry(text) };
+  } catch (error) {
+    console.error("Error parsing todo entry:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+handleShared("get-todos", async (event, options = {}) => {
+  if (!store.table) {
     return { success: false, error: "Database not initialized.", todos: [] };
   }
   try {
-    // For vectordb, to get records without a specific vector search,
-    // you still use .search() but without providing a query vector.
-    // Then apply .select() and .limit().
-    // This should retrieve records based on insertion order or some internal order
-    // up to the specified limit if no other ordering is applied.
-    const results = await table
-      .search() // No query vector implies fetching based on other criteria or all
-      .limit(500) // Get up to 500 todos
-      .select(["id", "text", "timestamp"])
-      .execute(); // .execute() is typically used with search()
-
-    // The results from .execute() should already be an array of objects.
-    const todos = results
-      .map((r) => ({ id: r.id, text: r.text, timestamp: r.timestamp }))
-      .sort((a, b) => b.timestamp - a.timestamp); // Sort by newest first
-
-    return { success: true, todos };
+    const page = await store.listTodos(options);
+    return { success: true, ...page };
   } catch (error) {
     console.error("Error getting todos:", error);
     return { success: false, error: error.message, todos: [] };
   }
 });
-ipcMain.handle("search-todos", async (event, query, startDate, endDate) => {
-  if (!table || !embedder) {
-    return {
-      success: false,
-      error: "Database or embedder not initialized.",
-      results: [],
-    };
-  }
-  if (!query || query.trim() === "") {
-    return { success: true, results: [] };
-  }
-  try {
-    const queryVector = await getEmbedding(query);
-    let lanceQuery = table.search(queryVector);
-
-    const filters = [];
-    if (startDate) {
-      // Expected format: YYYY-MM-DD
-      // Get timestamp for 00:00:00 UTC on the start date
-      const startTimestamp = new Date(startDate + "T00:00:00.000Z").getTime();
-      if (!isNaN(startTimestamp)) {
-        filters.push(`timestamp >= ${startTimestamp}`);
-      }
+handleShared(
+  "search-todos",
+  async (event, query, startDate, endDate, mode = "hybrid", filters = {}) => {
+    if (!store.table || !store.embedder) {
+      return {
+        success: false,
+        error: "Database or embedder not initialized.",
+        results: [],
+      };
     }
-    if (endDate) {
-      // Expected format: YYYY-MM-DD
-      // Get timestamp for 23:59:59.999 UTC on the end date
-      const endTimestamp = new Date(endDate + "T23:59:59.999Z").getTime();
-      if (!isNaN(endTimestamp)) {
-        filters.push(`timestamp <= ${endTimestamp}`);
-      }
+    try {
+      const results = await store.searchTodos(
+        query,
+        startDate,
+        endDate,
+        mode,
+        filters
+      );
+      return { success: true, results };
+    } catch (error) {
+      console.error("Error searching todos:", error);
+      return {
+        success: false,
+        error: error.message,
+        syntaxErrors: error.errors || [],
+        results: [],
+      };
     }
+  }
+);
 
-    if (filters.length > 0) {
-      lanceQuery = lanceQuery.where(filters.join(" AND "));
-    }
+// Operators for the search box's autocomplete.
+ipcMain.handle("get-search-syntax", async () => {
+  return { success: true, operators: OPERATORS };
+});
 
-    const searchResultsRaw = await lanceQuery
-      .limit(10)
-      .select(["id", "text", "timestamp"])
-      .execute();
-    const searchResults = searchResultsRaw.map((r) => ({
-      id: r.id,
-      text: r.text,
-      timestamp: r.timestamp,
-      score: r._distance,
-    }));
-    return { success: true, results: searchResults };
+// Checks a search query as it is typed; `errors` point into the query.
+ipcMain.handle("check-search-query", async (event, query) => {
+  try {
+    const { errors } = parseSearchQuery(query);
+    return { success: true, errors };
   } catch (error) {
-    console.error("Error searching todos:", error);
-    return { success: false, error: error.message, results: [] };
+    console.error("Error checking search query:", error);
+    return { success: false, error: error.message, errors: [] };
   }
 });
 
-ipcMain.handle("seed-demo-data", async () => {
-  if (!table || !embedder || !nanoidFn) {
+ipcMain.handle("seed-demo-data", async (event) => {
+  if (!store.table || !store.embedder || !store.newId) {
     return {
       success: false,
       error: "Core components (DB, embedder, nanoid) not initialized.",
     };
   }
+  if (seedJob) {
+    return { success: false, error: "Demo todos are already being added." };
+  }
+  const job = { cancelled: false };
+  seedJob = job;
   try {
     const demoTodos = [];
     const numItems = 100;
@@ -270,8 +342,7 @@ ipcMain.handle("seed-demo-data", async () => {
     for (let i = 0; i < numItems; i++) {
       const text = `Demo task ${i + 1}: Explore ${
         ["Mars", "Jupiter", "Saturn", "ancient ruins", "deep sea"][i % 5]
-      } with keyword ${nanoidFn(6)}`;
-      const vector = await getEmbedding(text);
+      } with keyword ${store.newId(6)}`;
       const randomPastDay = new Date(today);
       randomPastDay.setDate(today.getDate() - Math.floor(Math.random() * 90)); // Spread over last 90 days
       randomPastDay.setHours(
@@ -281,62 +352,1747 @@ ipcMain.handle("seed-demo-data", async () => {
       );
 
       demoTodos.push({
-        id: nanoidFn(),
+        id: store.newId(),
         text: text,
-        vector: vector,
+        ...columnDefaults(),
         timestamp: randomPastDay.getTime(),
+        updatedAt: randomPastDay.getTime(),
       });
     }
-    await table.add(demoTodos);
-    console.log(`${demoTodos.length} demo todos added to the database.`);
-    return { success: true, count: demoTodos.length };
+    // Embedded and saved in batches so progress shows and Cancel keeps the
+    // todos added so far.
+    let added = 0;
+    event.sender.send("seed-progress", { processed: 0, total: numItems });
+    for (let i = 0; i < numItems && !job.cancelled; i += IMPORT_BATCH_SIZE) {
+      const batch = demoTodos.slice(i, i + IMPORT_BATCH_SIZE);
+      const vectors = await store.getEmbeddings(batch.map((todo) => todo.text));
+      const rows = batch.map((todo, index) => ({
+        ...todo,
+        vector: vectors[index],
+      }));
+      await store.table.add(rows);
+      rows.forEach((row) => store.keywordIndex.add(row.id, row.text));
+      added += rows.length;
+      event.sender.send("seed-progress", { processed: added, total: numItems });
+    }
+    console.log(`${added} demo todos added to the database.`);
+    return { success: true, count: added, cancelled: job.cancelled };
   } catch (error) {
     console.error("Error seeding demo data:", error);
     return { success: false, error: error.message };
+  } finally {
+    seedJob = null;
   }
 });
 
-ipcMain.handle("update-todo", async (event, todoId, newText) => {
-  if (!table || !embedder) {
+ipcMain.handle("cancel-seed", async () => {
+  if (seedJob) seedJob.cancelled = true;
+  return { success: true };
+});
+
+handleShared("update-todo", async (event, todoId, newText, options = {}) => {
+  if (!store.table || !store.embedder) {
     return { success: false, error: "Database or embedder not initialized." };
   }
   try {
-    const newVector = await getEmbedding(newText);
-    const newTimestamp = Date.now();
-    const updatedTodoItemData = {
+    const result = await store.updateTodo(todoId, newText, options);
+    reminderScheduler.reschedule();
+    return { success: true, ...result };
+  } catch (error) {
+    console.error(`Error updating todo ${todoId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+// `options.children` decides what happens to subtasks (see
+// TodoStore.deleteTodo).
+handleShared("delete-todo", async (event, todoId, options = {}) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const result = await store.deleteTodo(todoId, options);
+    reminderScheduler.reschedule();
+    return { success: true, ...result };
+  } catch (error) {
+    console.error(`Error deleting todo ${todoId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("toggle-todo-completed", async (event, todoId, completed) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const { item, nextOccurrence } = await store.setCompleted(
+      todoId,
+      completed
+    );
+    reminderScheduler.reschedule();
+    return {
+      success: true,
       id: todoId,
-      text: newText,
-      vector: newVector,
-      timestamp: newTimestamp,
+      completed: item.completed,
+      completedAt: item.completedAt,
+      nextOccurrence,
+    };
+  } catch (error) {
+    console.error(`Error toggling todo ${todoId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Dismisses one occurrence of a series: the todo moves on to the next
+// occurrence in place, back to the series text and with its stored vector.
+ipcMain.handle("skip-occurrence", async (event, todoId) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const existing = await store.getTodoRow(todoId);
+    if (!existing || !existing.recurrence) {
+      return { success: false, error: `Todo ${todoId} does not repeat.` };
+    }
+    const now = Date.now();
+    const dueAt = followingDueDate(existing, now);
+    const template = await store.getSeriesTemplate(existing);
+    const updatedRow = {
+      ...existing,
+      text: template.text,
+      vector: template.vector,
+      tags: encodeTags(parseTags(template.text)),
+      dueAt,
+      remindAt: existing.remindAt
+        ? dueAt - (existing.dueAt - existing.remindAt)
+        : 0,
+      remindedAt: 0,
+      updatedAt: now,
     };
-    await table.delete(`id = "${todoId}"`);
-    console.log(`Deleted old todo with id: ${todoId}`);
-    await table.add([updatedTodoItemData]);
-    console.log(`Added updated todo with id: ${todoId}`);
+    await store.replaceTodoRow(updatedRow);
+    store.keywordIndex.add(updatedRow.id, updatedRow.text);
+    reminderScheduler.reschedule();
+    console.log(`Skipped occurrence of todo ${todoId}`);
+    return { success: true, item: toTodoItem(updatedRow) };
+  } catch (error) {
+    console.error(`Error skipping occurrence of todo ${todoId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("export-todos", async (event, format, options = {}) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { success: false, error: `Unsupported export format: ${format}` };
+  }
+  try {
+    const includeVectors = Boolean(options.includeVectors);
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: "Export Todos",
+      defaultPath: `todos.${FILE_EXTENSIONS[format]}`,
+      filters: [
+        { name: format.toUpperCase(), extensions: [FILE_EXTENSIONS[format]] },
+      ],
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+    // `options.ids` exports just those todos (the window's selection).
+    const { content, count, failed } = await store.exportTodos(format, {
+      includeVectors,
+      ids: options.ids || null,
+    });
+    fs.writeFileSync(filePath, content);
+    console.log(`Exported ${count} todos to ${filePath}`);
+    return { success: true, filePath, count, failed };
+  } catch (error) {
+    console.error("Error exporting todos:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("preview-import", async () => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: "Import Todos",
+      properties: ["openFile"],
+      filters: [
+        { name: "Todos", extensions: ["json", "csv", "md", "markdown"] },
+      ],
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    const filePath = filePaths[0];
+    const format = formatFromPath(filePath);
+    if (!format) {
+      return { success: false, error: "Unsupported file type for import." };
+    }
+    const records = parseTodos(fs.readFileSync(filePath, "utf8"), format);
+    const existing = await store.scanRows(NOT_DELETED, ["id", "text"]);
+    const items = markDuplicates(records, existing);
+    const importId = store.newId();
+    pendingImports.set(importId, { filePath, items });
+    const duplicates = items.filter((item) => item.duplicateOf).length;
     return {
       success: true,
-      item: {
-        id: todoId,
-        text: newText,
-        timestamp: newTimestamp,
+      importId,
+      filePath,
+      format,
+      items,
+      counts: {
+        total: items.length,
+        new: items.length - duplicates,
+        duplicates,
       },
     };
   } catch (error) {
-    console.error(`Error updating todo ${todoId}:`, error);
+    console.error("Error previewing import:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Drops a previewed import, or stops a running one after its current batch;
+// todos already written are kept.
+ipcMain.handle("cancel-import", async (event, importId) => {
+  pendingImports.delete(importId);
+  const running = runningImports.get(importId);
+  if (running) running.cancelled = true;
+  return { success: true };
+});
+
+// Each imported repeating todo starts its own series at its due date.
+// Unsupported rules are dropped rather than failing the whole import.
+function importedSeries(id, item) {
+  let recurrence = "";
+  try {
+    recurrence = normalizeRecurrence(item.recurrence);
+  } catch (error) {
+    console.warn(`Ignoring recurrence "${item.recurrence}": ${error.message}`);
+  }
+  if (!recurrence || !toStoredTime(item.dueAt)) return {};
+  return {
+    recurrence,
+    seriesId: id,
+    seriesStart: toStoredTime(item.dueAt),
+    seriesText: item.text,
+  };
+}
+
+ipcMain.handle("run-import", async (event, importId, options = {}) => {
+  if (!store.table || !store.embedder) {
+    return { success: false, error: "Database or embedder not initialized." };
+  }
+  const pending = pendingImports.get(importId);
+  if (!pending) {
+    return { success: false, error: "No import preview found. Start again." };
+  }
+  pendingImports.delete(importId);
+  const job = { cancelled: false };
+  runningImports.set(importId, job);
+  const toImport = options.includeDuplicates
+    ? pending.items
+    : pending.items.filter((item) => !item.duplicateOf);
+  try {
+    const existingIds = new Set(
+      (await store.scanRows("", ["id"])).map((r) => r.id)
+    );
+    const usedIds = new Set(existingIds);
+    // Ids are assigned up front so subtasks can point at parents that are
+    // imported in a later batch.
+    const idMap = new Map();
+    const planned = new Map();
+    toImport.forEach((item) => {
+      // Keep the file's id unless it is missing or already taken.
+      const id = item.id && !usedIds.has(item.id) ? item.id : store.newId();
+      usedIds.add(id);
+      if (item.id && !idMap.has(item.id)) idMap.set(item.id, id);
+      planned.set(item, { id, parentId: "" });
+    });
+    const plannedById = new Map(
+      [...planned.values()].map((entry) => [entry.id, entry])
+    );
+    planned.forEach((entry, item) => {
+      const parentId = idMap.has(item.parentId)
+        ? idMap.get(item.parentId)
+        : existingIds.has(item.parentId)
+        ? item.parentId
+        : "";
+      // Links that would loop back to the todo itself are dropped.
+      if (!wouldCreateCycle(entry.id, parentId, plannedById)) {
+        entry.parentId = parentId;
+      }
+    });
+    let imported = 0;
+    event.sender.send("import-progress", {
+      importId,
+      processed: 0,
+      total: toImport.length,
+    });
+    for (let i = 0; i < toImport.length; i += IMPORT_BATCH_SIZE) {
+      if (job.cancelled) break;
+      const batch = toImport.slice(i, i + IMPORT_BATCH_SIZE);
+      const vectors = await store.getEmbeddings(batch.map((item) => item.text));
+      const rows = batch.map((item, index) => {
+        const { id, parentId } = planned.get(item);
+        return {
+          ...columnDefaults(),
+          id,
+          text: item.text,
+          vector: vectors[index],
+          timestamp: item.timestamp || Date.now(),
+          updatedAt: item.timestamp || Date.now(),
+          tags: encodeTags(parseTags(item.text)),
+          project: normalizeProject(item.project),
+          dueAt: toStoredTime(item.dueAt),
+          remindAt: toStoredTime(item.remindAt),
+          ...importedSeries(id, item),
+          parentId,
+          priority: item.priority,
+          notes: item.notes,
+          completed: item.completed,
+          completedAt: item.completed ? item.completedAt || Date.now() : 0,
+        };
+      });
+      await store.table.add(rows);
+      rows.forEach((row) => store.keywordIndex.add(row.id, row.text));
+      for (const row of rows.filter((r) => r.notes)) {
+        await store.indexNotes(row);
+      }
+      imported += rows.length;
+      event.sender.send("import-progress", {
+        importId,
+        processed: imported,
+        total: toImport.length,
+      });
+    }
+    reminderScheduler.reschedule();
+    console.log(`Imported ${imported} todos from ${pending.filePath}`);
+    return {
+      success: true,
+      count: imported,
+      skipped: pending.items.length - toImport.length,
+      cancelled: job.cancelled,
+    };
+  } catch (error) {
+    console.error("Error importing todos:", error);
+    return { success: false, error: error.message };
+  } finally {
+    runningImports.delete(importId);
+  }
+});
+
+function focusMainWindow() {
+  if (!mainWindow) {
+    createWindow();
+    return;
+  }
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.focus();
+}
+
+function showNotification(title, body) {
+  const notification = new Notification({ title, body });
+  activeNotifications.add(notification);
+  const release = () => activeNotifications.delete(notification);
+  notification.on("click", () => {
+    release();
+    focusMainWindow();
+  });
+  notification.on("close", release);
+  notification.show();
+}
+
+// Reminders found at start-up came due while the app was closed.
+function showReminderNotifications(rows, { catchUp }) {
+  if (Notification.isSupported()) {
+    if (rows.length > MAX_REMINDER_NOTIFICATIONS) {
+      showNotification(
+        catchUp ? "Missed reminders" : "Reminders",
+        `${rows.length} todos need your attention, starting with "${rows[0].text}".`
+      );
+    } else {
+      rows.forEach((row) =>
+        showNotification(catchUp ? "Missed reminder" : "Reminder", row.text)
+      );
+    }
+  }
+  if (mainWindow) {
+    mainWindow.webContents.send("reminders-due", rows.map(toTodoItem));
+  }
+}
+
+// Permanently removes trashed todos older than the retention setting.
+async function purgeExpiredTrash() {
+  if (!store.table) return;
+  const retentionDays = Number(settings.get("trashRetentionDays"));
+  if (!(retentionDays > 0)) return;
+  const cutoff = Date.now() - retentionDays * DAY_MS;
+  try {
+    const purged = await store.purgeTodos(
+      `${IN_TRASH} AND ${col("deletedAt")} < ${cutoff}`
+    );
+    if (purged.length > 0) {
+      console.log(`Purged ${purged.length} todo(s) from the trash.`);
+    }
+  } catch (error) {
+    console.error("Error purging expired trash:", error);
+  }
+}
+
+ipcMain.handle("get-trash", async () => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized.", todos: [] };
+  }
+  try {
+    const rows = await store.scanRows(IN_TRASH, TODO_COLUMNS);
+    const todos = rows
+      .map(toTodoItem)
+      .sort((a, b) => b.deletedAt - a.deletedAt); // Most recently deleted first
+    return {
+      success: true,
+      todos,
+      retentionDays: settings.get("trashRetentionDays"),
+    };
+  } catch (error) {
+    console.error("Error getting trash:", error);
+    return { success: false, error: error.message, todos: [] };
+  }
+});
+
+ipcMain.handle("restore-todo", async (event, todoId) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const rows = await store.table
+      .filter(`id = ${sqlString(todoId)} AND ${IN_TRASH}`)
+      .select(TODO_COLUMNS)
+      .limit(1)
+      .execute();
+    if (rows.length === 0) {
+      return { success: false, error: `Todo ${todoId} is not in the trash.` };
+    }
+    // Subtasks deleted along with the todo come back with it.
+    const all = indexHierarchy(
+      await store.scanRows("", ["id", "parentId", "deletedAt", "text"])
+    );
+    const restored = [
+      rows[0],
+      ...descendantIds(todoId, all.childrenOf)
+        .map((id) => all.byId.get(id))
+        .filter((row) => row.deletedAt === rows[0].deletedAt),
+    ];
+    await store.table.update({
+      where: `id IN (${restored.map((row) => sqlString(row.id)).join(", ")})`,
+      values: { deletedAt: 0 },
+    });
+    restored.forEach((row) => store.keywordIndex.add(row.id, row.text));
+    reminderScheduler.reschedule();
+    console.log(
+      `Restored ${restored.length} todo(s) from trash, id: ${todoId}`
+    );
+    return {
+      success: true,
+      item: toTodoItem({ ...rows[0], deletedAt: 0 }),
+      count: restored.length,
+    };
+  } catch (error) {
+    console.error(`Error restoring todo ${todoId}:`, error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle("delete-todo", async (event, todoId) => {
-  if (!table) {
+ipcMain.handle("purge-todo", async (event, todoId) => {
+  if (!store.table) {
     return { success: false, error: "Database not initialized." };
   }
   try {
-    await table.delete(`id = "${todoId}"`);
-    console.log(`Deleted todo with id: ${todoId}`);
+    await store.purgeTodos(`id = ${sqlString(todoId)} AND ${IN_TRASH}`);
+    console.log(`Permanently deleted todo with id: ${todoId}`);
     return { success: true, id: todoId };
   } catch (error) {
-    console.error(`Error deleting todo ${todoId}:`, error);
+    console.error(`Error purging todo ${todoId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("empty-trash", async () => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const count = (await store.purgeTodos(IN_TRASH)).length;
+    console.log(`Emptied trash (${count} todo(s)).`);
+    return { success: true, count };
+  } catch (error) {
+    console.error("Error emptying trash:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("set-trash-retention", async (event, days) => {
+  const retentionDays = Math.floor(Number(days));
+  if (!(retentionDays >= 0)) {
+    return { success: false, error: "Retention must be 0 or more days." };
+  }
+  try {
+    settings.update({ trashRetentionDays: retentionDays });
+    await purgeExpiredTrash();
+    return { success: true, retentionDays };
+  } catch (error) {
+    console.error("Error saving trash retention:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("get-todo-history", async (event, todoId) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const row = await store.getTodoRow(todoId);
+    if (!row) {
+      return { success: false, error: `Todo ${todoId} not found.` };
+    }
+    // `index` is the position in the stored log, used by revert-todo.
+    const revisions = parseRevisions(row.revisions)
+      .map((revision, index) => ({ index, ...revision }))
+      .reverse(); // Newest first
+    return { success: true, item: toTodoItem(row), revisions };
+  } catch (error) {
+    console.error(`Error getting history for todo ${todoId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("revert-todo", async (event, todoId, revisionIndex) => {
+  if (!store.table || !store.embedder) {
+    return { success: false, error: "Database or embedder not initialized." };
+  }
+  try {
+    const existing = await store.getTodoRow(todoId);
+    if (!existing) {
+      return { success: false, error: `Todo ${todoId} not found.` };
+    }
+    const revision = parseRevisions(existing.revisions)[revisionIndex];
+    if (!revision) {
+      return { success: false, error: "That revision no longer exists." };
+    }
+    // Reverting is itself an edit, so the current text stays in the history.
+    const updatedRow = await store.applyEdit(existing, { text: revision.text });
+    console.log(`Reverted todo ${todoId} to revision ${revisionIndex}`);
+    return { success: true, item: toTodoItem(updatedRow) };
+  } catch (error) {
+    console.error(`Error reverting todo ${todoId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Notes ---
+
+ipcMain.handle("get-todo-notes", async (event, todoId) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    return { success: true, ...(await store.getNotes(todoId)) };
+  } catch (error) {
+    console.error(`Error getting notes of todo ${todoId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("save-todo-notes", async (event, todoId, notes) => {
+  if (!store.table || !store.embedder) {
+    return { success: false, error: "Database or embedder not initialized." };
+  }
+  try {
+    return { success: true, ...(await store.setNotes(todoId, notes)) };
+  } catch (error) {
+    console.error(`Error saving notes of todo ${todoId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("add-attachments", async (event, todoId) => {
+  if (!store.table || !store.embedder) {
+    return { success: false, error: "Database or embedder not initialized." };
+  }
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: "Attach Files",
+      properties: ["openFile", "multiSelections"],
+      filters: [
+        {
+          name: "Documents",
+          extensions: ["pdf", "txt", "md", "markdown", "csv", "json", "log"],
+        },
+        { name: "All Files", extensions: ["*"] },
+      ],
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    return {
+      success: true,
+      ...(await store.addAttachments(todoId, filePaths)),
+    };
+  } catch (error) {
+    console.error(`Error attaching files to todo ${todoId}:`, error);
     return { success: false, error: error.message };
   }
 });
+
+ipcMain.handle("remove-attachment", async (event, todoId, attachmentId) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    return {
+      success: true,
+      ...(await store.removeAttachment(todoId, attachmentId)),
+    };
+  } catch (error) {
+    console.error(`Error removing attachment ${attachmentId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Opens an attached file in the app the system uses for its type.
+ipcMain.handle("open-attachment", async (event, todoId, attachmentId) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const filePath = await store.getAttachmentPath(todoId, attachmentId);
+    // Resolves with an error message rather than rejecting.
+    const error = await shell.openPath(filePath);
+    return error ? { success: false, error } : { success: true };
+  } catch (error) {
+    console.error(`Error opening attachment ${attachmentId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Links in notes open in the browser, never inside the app's window.
+ipcMain.handle("open-external-link", async (event, url) => {
+  try {
+    const { protocol } = new URL(url);
+    if (!["http:", "https:", "mailto:"].includes(protocol)) {
+      return { success: false, error: `Can't open ${protocol} links.` };
+    }
+    await shell.openExternal(url);
+    return { success: true };
+  } catch (error) {
+    console.error(`Error opening link ${url}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("get-tags", async () => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const rows = await store.scanRows(NOT_DELETED, ["tags", "project"]);
+    return { success: true, ...summarizeTags(rows) };
+  } catch (error) {
+    console.error("Error getting tags:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Makes `todoId` a subtask of `newParentId`, or a top-level todo when it is
+// empty. The new parent is expanded so the moved todo stays visible.
+ipcMain.handle("move-todo", async (event, todoId, newParentId) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const parentId = newParentId || "";
+    const hierarchy = await store.loadHierarchy();
+    if (!hierarchy.byId.has(todoId)) {
+      return { success: false, error: `Todo ${todoId} not found.` };
+    }
+    if (parentId && !hierarchy.byId.has(parentId)) {
+      return { success: false, error: `Parent todo ${parentId} not found.` };
+    }
+    if (wouldCreateCycle(todoId, parentId, hierarchy.byId)) {
+      return {
+        success: false,
+        error: "A todo can't be moved under itself or one of its subtasks.",
+      };
+    }
+    await store.table.update({
+      where: `id = ${sqlString(todoId)}`,
+      values: { parentId },
+    });
+    if (parentId) {
+      await store.table.update({
+        where: `id = ${sqlString(parentId)}`,
+        values: { collapsed: false },
+      });
+    }
+    console.log(`Moved todo ${todoId} under ${parentId || "the top level"}`);
+    return { success: true, id: todoId, parentId };
+  } catch (error) {
+    console.error(`Error moving todo ${todoId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("set-todo-collapsed", async (event, todoId, collapsed) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    await store.table.update({
+      where: `id = ${sqlString(todoId)}`,
+      values: { collapsed: Boolean(collapsed) },
+    });
+    return { success: true, id: todoId, collapsed: Boolean(collapsed) };
+  } catch (error) {
+    console.error(`Error collapsing todo ${todoId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Scans every todo outside the trash for groups of near-duplicates.
+ipcMain.handle("find-duplicates", async () => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized.", groups: [] };
+  }
+  try {
+    const threshold = Number(settings.get("duplicateThreshold"));
+    const rows = await store.scanRows(NOT_DELETED, [...TODO_COLUMNS, "vector"]);
+    const groups = groupDuplicates(rows, threshold).map((group) => ({
+      similarity: group.similarity,
+      todos: group.rows.map(toTodoItem),
+    }));
+    console.log(`Found ${groups.length} duplicate group(s).`);
+    return { success: true, groups, threshold };
+  } catch (error) {
+    console.error("Error finding duplicates:", error);
+    return { success: false, error: error.message, groups: [] };
+  }
+});
+
+ipcMain.handle("merge-todos", async (event, targetId, sourceIds = []) => {
+  if (!store.table || !store.embedder) {
+    return { success: false, error: "Database or embedder not initialized." };
+  }
+  try {
+    const target = await store.getTodoRow(targetId);
+    if (!target) {
+      return { success: false, error: `Todo ${targetId} not found.` };
+    }
+    const ids = sourceIds.filter((id) => id !== targetId);
+    const sources = ids.length
+      ? await store.scanRows(
+          `id IN (${ids.map(sqlString).join(", ")}) AND ${NOT_DELETED}`,
+          [...TODO_COLUMNS, "notes"]
+        )
+      : [];
+    const updatedRow = await store.mergeIntoTodo(target, sources);
+    reminderScheduler.reschedule();
+    console.log(`Merged ${sources.length} todo(s) into ${targetId}`);
+    return {
+      success: true,
+      item: toTodoItem(updatedRow),
+      mergedIds: sources.map((source) => source.id),
+    };
+  } catch (error) {
+    console.error(`Error merging into todo ${targetId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("set-duplicate-threshold", async (event, value) => {
+  const threshold = Number(value);
+  if (!(threshold > 0 && threshold <= 1)) {
+    return { success: false, error: "Threshold must be between 0 and 1." };
+  }
+  try {
+    settings.update({ duplicateThreshold: threshold });
+    return { success: true, threshold };
+  } catch (error) {
+    console.error("Error saving duplicate threshold:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Nearest neighbours of a todo's stored vector, so nothing is re-embedded.
+// The todo itself is excluded, and the search date filter applies as in
+// search-todos.
+ipcMain.handle(
+  "get-related-todos",
+  async (event, todoId, startDate, endDate, filters = {}) => {
+    if (!store.table) {
+      return {
+        success: false,
+        error: "Database not initialized.",
+        results: [],
+      };
+    }
+    try {
+      const dateColumn = SEARCH_DATE_FIELDS[filters.dateField || "created"];
+      if (!dateColumn) {
+        throw new Error(`Unknown date field: ${filters.dateField}`);
+      }
+      const rows = await store.table
+        .filter(`id = ${sqlString(todoId)} AND ${NOT_DELETED}`)
+        .select([...TODO_COLUMNS, "vector"])
+        .limit(1)
+        .execute();
+      if (rows.length === 0) {
+        return { success: false, error: `Todo ${todoId} not found.` };
+      }
+      const where = [
+        NOT_DELETED,
+        `id != ${sqlString(todoId)}`,
+        buildDateFilter(startDate, endDate, dateColumn),
+      ]
+        .filter(Boolean)
+        .join(" AND ");
+      const neighbours = await store.table
+        .search(Array.from(rows[0].vector))
+        .where(where)
+        .prefilter(true)
+        .limit(RELATED_TODO_LIMIT)
+        .select(TODO_COLUMNS)
+        .execute();
+      return {
+        success: true,
+        item: toTodoItem(rows[0]),
+        results: neighbours.map((row) => ({
+          ...toTodoItem(row),
+          similarity: similarityFromDistance(row._distance),
+        })),
+      };
+    } catch (error) {
+      console.error(`Error finding todos related to ${todoId}:`, error);
+      return { success: false, error: error.message, results: [] };
+    }
+  }
+);
+
+function readTopics() {
+  try {
+    return JSON.parse(fs.readFileSync(TOPICS_PATH, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("Could not read topics:", error);
+    }
+    return { computedAt: null, count: "auto", topics: [] };
+  }
+}
+
+function writeTopics(stored) {
+  fs.writeFileSync(TOPICS_PATH, JSON.stringify(stored, null, 2));
+}
+
+// Stored topics with their todos as they are now; trashed or purged todos
+// drop out until the next clustering.
+async function loadTopicsView() {
+  const stored = readTopics();
+  const rows = await store.scanRows(NOT_DELETED, ["id", "text", "completed"]);
+  const rowsById = new Map(rows.map((r) => [r.id, r]));
+  const topics = stored.topics
+    .map((topic) => ({
+      id: topic.id,
+      label: topic.label,
+      name: topic.name,
+      sampleTexts: topic.sampleTexts,
+      todos: topic.todoIds
+        .filter((id) => rowsById.has(id))
+        .map((id) => {
+          const row = rowsById.get(id);
+          return { id, text: row.text, completed: Boolean(row.completed) };
+        }),
+    }))
+    .filter((topic) => topic.todos.length > 0);
+  return { computedAt: stored.computedAt, count: stored.count, topics };
+}
+
+ipcMain.handle("get-topics", async () => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized.", topics: [] };
+  }
+  try {
+    return { success: true, ...(await loadTopicsView()) };
+  } catch (error) {
+    console.error("Error getting topics:", error);
+    return { success: false, error: error.message, topics: [] };
+  }
+});
+
+// Clusters every todo outside the trash. `count` is a number of topics or
+// "auto"; custom names carry over to the matching new topics.
+ipcMain.handle("cluster-topics", async (event, count = "auto") => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized.", topics: [] };
+  }
+  const topicCount = count === "auto" ? "auto" : Math.floor(Number(count));
+  if (
+    topicCount !== "auto" &&
+    !(topicCount >= 2 && topicCount <= MAX_TOPIC_COUNT)
+  ) {
+    return {
+      success: false,
+      error: `Topic count must be "auto" or 2 to ${MAX_TOPIC_COUNT}.`,
+      topics: [],
+    };
+  }
+  try {
+    const rows = await store.scanRows(NOT_DELETED, ["id", "text", "vector"]);
+    if (rows.length < 2) {
+      return {
+        success: false,
+        error: "Add at least two todos to find topics.",
+        topics: [],
+      };
+    }
+    const topics = carryOverNames(
+      clusterTodos(rows, { count: topicCount }),
+      readTopics().topics
+    );
+    writeTopics({ computedAt: Date.now(), count: topicCount, topics });
+    console.log(`Clustered ${rows.length} todos into ${topics.length} topics.`);
+    return { success: true, ...(await loadTopicsView()) };
+  } catch (error) {
+    console.error("Error clustering topics:", error);
+    return { success: false, error: error.message, topics: [] };
+  }
+});
+
+ipcMain.handle("rename-topic", async (event, topicId, name) => {
+  try {
+    const stored = readTopics();
+    const topic = stored.topics.find((t) => t.id === topicId);
+    if (!topic) {
+      return { success: false, error: `Topic ${topicId} not found.` };
+    }
+    // An empty name goes back to the generated label.
+    topic.name = String(name || "")
+      .trim()
+      .slice(0, 100);
+    writeTopics(stored);
+    return { success: true, id: topicId, name: topic.name };
+  } catch (error) {
+    console.error(`Error renaming topic ${topicId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Turns a topic into a tag (appended to each todo's text as `#tag`) or a
+// project (set on each todo, replacing any previous project).
+ipcMain.handle("apply-topic", async (event, topicId, kind, name) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const topic = readTopics().topics.find((t) => t.id === topicId);
+    if (!topic) {
+      return { success: false, error: `Topic ${topicId} not found.` };
+    }
+    // `id IN ()` is not a valid filter, and there is nothing to change.
+    if (topic.todoIds.length === 0) return { success: true, count: 0 };
+    const idList = topic.todoIds.map(sqlString).join(", ");
+    const where = `id IN (${idList}) AND ${NOT_DELETED}`;
+    let count = 0;
+    if (kind === "project") {
+      const project = normalizeProject(name);
+      if (!project) {
+        return { success: false, error: "Project name is empty." };
+      }
+      count = await store.table.countRows(where);
+      await store.table.update({
+        where,
+        valuesSql: { project: sqlString(project) },
+      });
+    } else if (kind === "tag") {
+      const tag = String(name || "")
+        .trim()
+        .replace(/^#/, "")
+        .toLowerCase();
+      if (!isValidTag(tag)) {
+        return {
+          success: false,
+          error: "Tags use letters, digits, / and - only.",
+        };
+      }
+      const rows = await store.scanRows(where);
+      for (const row of rows) {
+        if (decodeTags(row.tags).includes(tag)) continue;
+        // The stored vector is kept: a trailing tag barely moves the meaning,
+        // and re-embedding a whole topic would hold up the main process.
+        await store.applyEdit(row, {
+          text: `${row.text} #${tag}`,
+          vector: row.vector,
+        });
+        count++;
+      }
+    } else {
+      return { success: false, error: `Unknown topic action: ${kind}` };
+    }
+    console.log(`Applied topic ${topicId} as ${kind} to ${count} todo(s).`);
+    return { success: true, count };
+  } catch (error) {
+    console.error(`Error applying topic ${topicId}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Embedding model switching ---
+
+// Table for a model's vectors, e.g. "todos_transformers_xenova_bge_small_en".
+function reindexTableName(key) {
+  const slug = key
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return `todos_${slug}`;
+}
+
+function reindexStatus() {
+  if (!reindexJob) return null;
+  const { key, progress, error } = reindexJob;
+  return { key, ...progress, error };
+}
+
+function sendReindexProgress() {
+  if (mainWindow) {
+    mainWindow.webContents.send("reindex-progress", reindexStatus());
+  }
+}
+
+/**
+ * Loads the provider for `config` and starts re-embedding every todo into
+ * `tableName` without waiting for it. The table is reused if it exists: a
+ * job picks up where an interrupted one stopped.
+ */
+async function startReindex(config, tableName) {
+  const provider = await startEmbeddingWorker(config);
+  const tableNames = await store.db.tableNames();
+  const target = tableNames.includes(tableName)
+    ? await store.openTable(tableName)
+    : await store.createTable(tableName, provider.dimension);
+  reindexJob = {
+    key: provider.key,
+    tableName,
+    cancelled: false,
+    progress: { phase: "starting", processed: 0, total: 0 },
+    error: null,
+  };
+  settings.update({ reindexJob: { config: provider.config, tableName } });
+  runReindexJob(reindexJob, provider, target);
+  return reindexJob;
+}
+
+async function runReindexJob(job, provider, target) {
+  try {
+    await runReindex({
+      source: store.table,
+      target,
+      embed: provider.embed,
+      batchSize: IMPORT_BATCH_SIZE,
+      onProgress: (progress) => {
+        job.progress = progress;
+        sendReindexProgress();
+      },
+      isCancelled: () => job.cancelled,
+    });
+    // Edits made during the last pass are picked up by the next one; stop
+    // once a pass finds nothing, so the switch below loses no writes.
+    for (let pass = 0; pass < MAX_CATCH_UP_PASSES; pass++) {
+      if (job.cancelled) throw new ReindexCancelledError();
+      const changed = await catchUp({
+        source: store.table,
+        target,
+        embed: provider.embed,
+      });
+      if (changed === 0) break;
+    }
+    if (job.cancelled) throw new ReindexCancelledError();
+    // Chunks are cut again from the target's notes and attachments rather
+    // than copied, since every one of them needs a new vector anyway.
+    const targetChunks = await store.chunkTableFor(
+      job.tableName,
+      provider.dimension
+    );
+    await store.syncChunks({
+      todos: target,
+      chunks: targetChunks,
+      embed: provider.embed,
+    });
+    if (job.cancelled) throw new ReindexCancelledError();
+
+    const previousEmbedder = store.embedder;
+    // The last pass, the switch and the drop hold the write lock, so the CLI
+    // can't write to the old table after the pass has read it.
+    await store.exclusive(async () => {
+      await catchUp({ source: store.table, target, embed: provider.embed });
+      await store.syncChunks({
+        todos: target,
+        chunks: targetChunks,
+        embed: provider.embed,
+      });
+      const previousTable = settings.get("activeTable");
+      // Settings first: if they can't be saved, nothing has switched yet.
+      settings.update({
+        embedding: provider.config,
+        activeTable: job.tableName,
+        reindexJob: null,
+      });
+      store.table = target;
+      store.chunks = targetChunks;
+      store.embedder = provider;
+      // Dropped rather than kept around, so a write still in flight against
+      // the old table fails instead of silently going missing.
+      await dropTables(previousTable);
+    });
+    reindexJob = null;
+    console.log(`Switched embedding model to ${provider.key}.`);
+    previousEmbedder.terminate();
+    if (mainWindow) {
+      mainWindow.webContents.send("embedding-model-switched", {
+        key: provider.key,
+        dimension: provider.dimension,
+      });
+    }
+  } catch (error) {
+    provider.terminate();
+    if (error instanceof ReindexCancelledError) {
+      console.log(`Re-indexing for ${job.key} cancelled.`);
+      await discardReindex(job.tableName);
+      sendReindexProgress();
+      return;
+    }
+    // The job stays in settings and resumes on the next start.
+    console.error(`Re-indexing for ${job.key} failed:`, error);
+    job.error = error.message;
+    sendReindexProgress();
+    return;
+  }
+}
+
+async function discardReindex(tableName) {
+  reindexJob = null;
+  settings.update({ reindexJob: null });
+  await dropTables(tableName);
+}
+
+// Drops todos table `tableName` and its note chunks table, if they exist.
+async function dropTables(tableName) {
+  try {
+    const existing = await store.db.tableNames();
+    for (const name of [tableName, chunkTableName(tableName)]) {
+      if (existing.includes(name)) await store.db.dropTable(name);
+    }
+  } catch (error) {
+    console.error(`Could not drop the table ${tableName}:`, error);
+  }
+}
+
+// Picks up a job saved in settings; a failure to even start (e.g. the local
+// endpoint is down) is shown in the UI and retried on the next launch.
+function resumeReindex({ config, tableName }) {
+  console.log(`Resuming re-indexing into ${tableName}...`);
+  startReindex(config, tableName).catch((error) => {
+    console.error("Could not resume re-indexing:", error);
+    reindexJob = {
+      key: embeddingKey(config),
+      tableName,
+      cancelled: false,
+      progress: { phase: "starting", processed: 0, total: 0 },
+      error: error.message,
+    };
+    sendReindexProgress();
+  });
+}
+
+ipcMain.handle("get-embedding-status", async () => {
+  if (!store.embedder) {
+    return { success: false, error: "Embedding pipeline not initialized." };
+  }
+  const { apiKey, ...config } = store.embedder.config;
+  return {
+    success: true,
+    active: {
+      key: store.embedder.key,
+      config: { ...config, hasApiKey: Boolean(apiKey) },
+      dimension: store.embedder.dimension,
+    },
+    job: reindexStatus(),
+  };
+});
+
+ipcMain.handle("switch-embedding-model", async (event, config) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const normalized = normalizeEmbeddingConfig(config);
+    const key = embeddingKey(normalized);
+    if (key === store.embedder.key) {
+      return { success: false, error: "That model is already in use." };
+    }
+    if (reindexJob && !reindexJob.error) {
+      return { success: false, error: "A re-index is already running." };
+    }
+    // A failed job for another model is replaced by this one.
+    const tableName = reindexTableName(key);
+    if (reindexJob && reindexJob.tableName !== tableName) {
+      await discardReindex(reindexJob.tableName);
+    }
+    console.log(`Switching embedding model to ${key}...`);
+    await startReindex(normalized, tableName);
+    return { success: true, job: reindexStatus() };
+  } catch (error) {
+    console.error("Error switching embedding model:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("cancel-reindex", async () => {
+  if (!reindexJob) {
+    return { success: false, error: "No re-index is running." };
+  }
+  try {
+    if (reindexJob.error) {
+      // Nothing is running: clean up the failed job right away.
+      await discardReindex(reindexJob.tableName);
+    } else {
+      reindexJob.cancelled = true;
+    }
+    return { success: true };
+  } catch (error) {
+    console.error("Error cancelling re-index:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Local API ---
+
+// Tells the window that todos changed behind its back, so it refreshes.
+function notifyTodosChanged(channel) {
+  if (mainWindow) {
+    mainWindow.webContents.send("todos-changed", { source: "api", channel });
+  }
+}
+
+async function startApiServer() {
+  if (apiServer) return;
+  if (!settings.get("apiToken")) {
+    settings.update({ apiToken: generateApiToken() });
+  }
+  const server = createApiServer({
+    invoke: (channel, ...args) =>
+      sharedHandlers.get(channel)({ sender: null }, ...args),
+    getToken: () => settings.get("apiToken"),
+    onChange: notifyTodosChanged,
+  });
+  const port = await server.listen(settings.get("apiPort"));
+  apiServer = server;
+  console.log(`Local API listening on http://127.0.0.1:${port}`);
+}
+
+async function stopApiServer() {
+  if (!apiServer) return;
+  const server = apiServer;
+  apiServer = null;
+  await server.close();
+  console.log("Local API stopped.");
+}
+
+function apiStatus() {
+  return {
+    enabled: Boolean(apiServer),
+    port: settings.get("apiPort"),
+    token: settings.get("apiToken"),
+  };
+}
+
+ipcMain.handle("get-api-status", async () => {
+  return { success: true, ...apiStatus() };
+});
+
+ipcMain.handle("set-api-enabled", async (event, enabled) => {
+  try {
+    if (enabled) {
+      await startApiServer();
+    } else {
+      await stopApiServer();
+    }
+    settings.update({ apiEnabled: Boolean(enabled) });
+    return { success: true, ...apiStatus() };
+  } catch (error) {
+    console.error("Error switching the local API:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Old tokens stop working at once; the server reads the token per request.
+ipcMain.handle("regenerate-api-token", async () => {
+  try {
+    settings.update({ apiToken: generateApiToken() });
+    return { success: true, ...apiStatus() };
+  } catch (error) {
+    console.error("Error regenerating the API token:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Backups ---
+
+async function runBackupTask(task) {
+  if (backupTask) {
+    throw new Error("A backup or restore is already running.");
+  }
+  backupTask = task();
+  try {
+    return await backupTask;
+  } finally {
+    backupTask = null;
+  }
+}
+
+// Copies the database into a new backup while holding the write lock, then
+// removes automatic backups beyond the `backupKeep` setting.
+async function backUpNow(reason) {
+  // API keys stay out of backups; a restore reuses the current key.
+  const { apiKey, ...embedding } = store.embedder.config;
+  const backup = await store.exclusive(async () =>
+    createBackup({
+      backupsDir: BACKUPS_PATH,
+      dbPath: store.dbPath,
+      metaPath: store.metaPath,
+      reason,
+      manifest: {
+        activeTable: settings.get("activeTable"),
+        embedding,
+        schemaVersion: readSchemaVersion(store.metaPath),
+        todoCount: await store.table.countRows(NOT_DELETED),
+      },
+    })
+  );
+  console.log(`Backed up the database to ${backup.name} (${reason}).`);
+  const removed = rotateBackups(BACKUPS_PATH, settings.get("backupKeep"));
+  if (removed.length > 0) {
+    console.log(`Removed ${removed.length} old backup(s).`);
+  }
+  return backup;
+}
+
+async function runScheduledBackup() {
+  if (!store.table || backupTask) return;
+  const due = isBackupDue(
+    listBackups(BACKUPS_PATH),
+    Number(settings.get("backupIntervalHours")),
+    Date.now()
+  );
+  if (!due) return;
+  try {
+    await runBackupTask(() => backUpNow("scheduled"));
+  } catch (error) {
+    console.error("Scheduled backup failed:", error);
+  }
+}
+
+/**
+ * Switches the app over to a copy of the todos table. `stage(tableName)`
+ * puts the copy into the database as `tableName`; it is then checked (vector
+ * size against its model, schema, every row readable) and migrated before
+ * anything changes. The current table is backed up first and dropped after
+ * the switch, like after a model switch. `schemaVersion` is the copy's
+ * layout if known; `embedding` the config of the model its vectors are from.
+ * The copy's chunks are cut and embedded afresh from its notes and the
+ * attached files it lists.
+ */
+async function restoreTable({ stage, schemaVersion = null, embedding }) {
+  if (reindexJob) {
+    throw new Error("Finish or cancel the model switch before restoring.");
+  }
+  const tableName = restoredTableName(settings.get("activeTable"), Date.now());
+  const stagingMetaPath = store.metaPath.replace(/\.json$/, ".restoring.json");
+  const previousEmbedder = store.embedder;
+  let provider = previousEmbedder;
+  let staged;
+  let stagedChunks;
+  let count;
+  try {
+    await stage(tableName);
+    staged = await store.openTable(tableName);
+    const dimension = await vectorDimensionOf(staged);
+    if (embeddingKey(embedding) !== previousEmbedder.key) {
+      provider = await startEmbeddingWorker(
+        withApiKey(embedding, previousEmbedder.config.apiKey)
+      );
+    }
+    if (provider.dimension !== dimension) {
+      throw new Error(
+        `The restored vectors have ${dimension} dimensions, but ${provider.key} produces ${provider.dimension}.`
+      );
+    }
+    writeSchemaVersion(
+      stagingMetaPath,
+      schemaVersion === null
+        ? await inferSchemaVersion(staged, dimension)
+        : schemaVersion
+    );
+    await runMigrations(staged, {
+      metaPath: stagingMetaPath,
+      vectorDimension: dimension,
+    });
+    // Reading every id touches every data file, so a copy with missing
+    // files fails here rather than after the switch.
+    count = await staged.countRows();
+    if (count > 0) {
+      await staged
+        .filter("id IS NOT NULL")
+        .select(["id"])
+        .limit(count)
+        .execute();
+    }
+    stagedChunks = await store.chunkTableFor(tableName, dimension);
+    await store.syncChunks({
+      todos: staged,
+      chunks: stagedChunks,
+      embed: provider.embed,
+    });
+    await backUpNow("before-restore");
+  } catch (error) {
+    if (provider !== previousEmbedder) provider.terminate();
+    fs.rmSync(stagingMetaPath, { force: true });
+    discardStagedTable(store.dbPath, tableName);
+    discardStagedTable(store.dbPath, chunkTableName(tableName));
+    throw error;
+  }
+
+  await store.exclusive(async () => {
+    const previousTable = settings.get("activeTable");
+    // Settings first: if they can't be saved, nothing has switched yet.
+    settings.update({ activeTable: tableName, embedding: provider.config });
+    fs.renameSync(stagingMetaPath, store.metaPath);
+    store.table = staged;
+    store.chunks = stagedChunks;
+    store.embedder = provider;
+    await dropTables(previousTable);
+  });
+  if (provider !== previousEmbedder) {
+    previousEmbedder.terminate();
+    if (mainWindow) {
+      mainWindow.webContents.send("embedding-model-switched", {
+        key: provider.key,
+        dimension: provider.dimension,
+      });
+    }
+  }
+  await store.rebuildKeywordIndex();
+  reminderScheduler.reschedule();
+  if (mainWindow) {
+    mainWindow.webContents.send("todos-changed", { source: "restore" });
+  }
+  console.log(`Restored the todos table as ${tableName} (${count} rows).`);
+  return { tableName, count };
+}
+
+function backupSettings() {
+  return {
+    intervalHours: settings.get("backupIntervalHours"),
+    keep: settings.get("backupKeep"),
+  };
+}
+
+ipcMain.handle("get-backups", async () => {
+  try {
+    return {
+      success: true,
+      backups: listBackups(BACKUPS_PATH),
+      running: Boolean(backupTask),
+      ...backupSettings(),
+    };
+  } catch (error) {
+    console.error("Error listing backups:", error);
+    return { success: false, error: error.message, backups: [] };
+  }
+});
+
+ipcMain.handle("create-backup", async () => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const backup = await runBackupTask(() => backUpNow("manual"));
+    return { success: true, backup };
+  } catch (error) {
+    console.error("Error backing up:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("delete-backup", async (event, name) => {
+  try {
+    deleteBackup(BACKUPS_PATH, name);
+    return { success: true };
+  } catch (error) {
+    console.error(`Error deleting backup ${name}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("set-backup-schedule", async (event, intervalHours, keep) => {
+  const hours = Number(intervalHours);
+  const count = Math.floor(Number(keep));
+  if (!(hours >= 0)) {
+    return { success: false, error: "The interval must be 0 or more hours." };
+  }
+  if (!(count >= 1)) {
+    return { success: false, error: "Keep at least one backup." };
+  }
+  try {
+    settings.update({ backupIntervalHours: hours, backupKeep: count });
+    rotateBackups(BACKUPS_PATH, count);
+    runScheduledBackup();
+    return { success: true, ...backupSettings() };
+  } catch (error) {
+    console.error("Error saving the backup schedule:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("restore-backup", async (event, name) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const dir = backupDir(BACKUPS_PATH, name);
+    const backup = listBackups(BACKUPS_PATH).find((b) => b.name === name);
+    if (!backup) {
+      return { success: false, error: `Backup ${name} not found.` };
+    }
+    const result = await runBackupTask(() =>
+      restoreTable({
+        stage: (tableName) =>
+          stageTable({
+            sourceDbPath: path.join(dir, path.basename(store.dbPath)),
+            sourceTable: backup.activeTable,
+            targetDbPath: store.dbPath,
+            targetTable: tableName,
+          }),
+        schemaVersion: Number.isInteger(backup.schemaVersion)
+          ? backup.schemaVersion
+          : null,
+        embedding: backup.embedding,
+      })
+    );
+    return { success: true, ...result };
+  } catch (error) {
+    console.error(`Error restoring backup ${name}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("get-table-versions", async () => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized.", versions: [] };
+  }
+  try {
+    const versions = listTableVersions(
+      store.dbPath,
+      settings.get("activeTable")
+    );
+    return {
+      success: true,
+      versions: versions.slice(0, MAX_LISTED_VERSIONS),
+      total: versions.length,
+    };
+  } catch (error) {
+    console.error("Error listing table versions:", error);
+    return { success: false, error: error.message, versions: [] };
+  }
+});
+
+// Time travel: makes an earlier version of the todos table the current one.
+ipcMain.handle("restore-table-version", async (event, version) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const result = await runBackupTask(() =>
+      restoreTable({
+        // Copied under the lock so no write lands halfway through.
+        stage: (tableName) =>
+          store.exclusive(() =>
+            stageTable({
+              sourceDbPath: store.dbPath,
+              sourceTable: settings.get("activeTable"),
+              targetDbPath: store.dbPath,
+              targetTable: tableName,
+              version: Number(version),
+            })
+          ),
+        embedding: store.embedder.config,
+      })
+    );
+    return { success: true, ...result };
+  } catch (error) {
+    console.error(`Error restoring table version ${version}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+// --- Smart lists ---
+// Saved searches, kept in the `smartLists` setting (see smart-lists.js). The
+// window runs the one it shows with `run-smart-list` and runs it again on
+// "smart-lists-stale", sent after any write to the todos table (from the
+// window, the API, imports, ...).
+
+function scheduleSmartListRefresh() {
+  clearTimeout(smartListRefreshTimer);
+  smartListRefreshTimer = setTimeout(() => {
+    if (mainWindow) mainWindow.webContents.send("smart-lists-stale");
+  }, SMART_LIST_REFRESH_DELAY_MS);
+}
+
+function findSmartList(id) {
+  const list = settings.get("smartLists").find((entry) => entry.id === id);
+  if (!list) throw new SmartListError(`Smart list ${id} not found.`);
+  return list;
+}
+
+ipcMain.handle("get-smart-lists", async () => {
+  return { success: true, smartLists: settings.get("smartLists") };
+});
+
+// Creates a smart list, or replaces the one with `list.id`.
+ipcMain.handle("save-smart-list", async (event, list) => {
+  try {
+    const lists = settings.get("smartLists");
+    if (list.id) findSmartList(list.id);
+    const saved = normalizeSmartList(list, list.id || crypto.randomUUID());
+    settings.update({
+      smartLists: list.id
+        ? lists.map((entry) => (entry.id === saved.id ? saved : entry))
+        : [...lists, saved],
+    });
+    return { success: true, smartList: saved };
+  } catch (error) {
+    console.error("Error saving smart list:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("delete-smart-list", async (event, id) => {
+  try {
+    findSmartList(id);
+    settings.update({
+      smartLists: settings.get("smartLists").filter((entry) => entry.id !== id),
+    });
+    return { success: true };
+  } catch (error) {
+    console.error(`Error deleting smart list ${id}:`, error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Runs a smart list's search, with its date range resolved against today.
+ipcMain.handle("run-smart-list", async (event, id) => {
+  if (!store.table || !store.embedder) {
+    return {
+      success: false,
+      error: "Database or embedder not initialized.",
+      results: [],
+    };
+  }
+  try {
+    const list = findSmartList(id);
+    const results = await store.searchTodos(
+      smartListQuery(list),
+      null,
+      null,
+      list.mode,
+      { limit: list.limit }
+    );
+    return { success: true, smartList: list, results };
+  } catch (error) {
+    console.error(`Error running smart list ${id}:`, error);
+    return { success: false, error: error.message, results: [] };
+  }
+});
+
+// --- Bulk actions ---
+// Actions on the todos selected in the window. Each batch is written to the
+// table in one operation; ids that can't be handled (e.g. deleted meanwhile)
+// come back in `failed` as { id, error } while the rest go through.
+
+ipcMain.handle("bulk-complete-todos", async (event, ids, completed) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const result = await store.setCompletedMany(ids, completed);
+    reminderScheduler.reschedule();
+    return { success: true, ...result };
+  } catch (error) {
+    console.error("Error completing todos:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// `changes` is { add: [tags], remove: [tags] }.
+ipcMain.handle("bulk-retag-todos", async (event, ids, changes = {}) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const result = await store.retagMany(ids, changes);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error("Error retagging todos:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("bulk-delete-todos", async (event, ids, options = {}) => {
+  if (!store.table) {
+    return { success: false, error: "Database not initialized." };
+  }
+  try {
+    const result = await store.deleteMany(ids, options);
+    reminderScheduler.reschedule();
+    return { success: true, ...result };
+  } catch (error) {
+    console.error("Error deleting todos:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Undo for bulk-delete-todos: brings back the rows it trashed together and
+// the subtasks it promoted (its `formerParents`) under them.
+ipcMain.handle(
+  "bulk-restore-todos",
+  async (event, ids, deletedAt, formerParents = {}) => {
+    if (!store.table) {
+      return { success: false, error: "Database not initialized." };
+    }
+    try {
+      const { restoredIds, movedIds } = await store.restoreMany(
+        ids,
+        deletedAt,
+        formerParents
+      );
+      reminderScheduler.reschedule();
+      return { success: true, count: restoredIds.length, movedIds };
+    } catch (error) {
+      console.error("Error restoring todos:", error);
+      return { success: false, error: error.message };
+    }
+  }
+);
@@ -0,0 +1,426 @@
+const fs = require("fs");
+const { parseTags, encodeTags } = require("./tags");
+
+// Versioned schema migrations for the LanceDB `todos` table.
+//
+// Version 0 is the original layout (vector, text, id, timestamp). Each entry in
+// MIGRATIONS upgrades the table by one version through a list of steps:
+//   - addColumn:     adds a column with a SQL default (skipped if it already
+//                    exists)
+//   - transformRows: rewrites rows with a JS function, for values SQL can't
+//                    derive
+// The expected on-disk schema for any version is derived from the base columns
+// plus every addColumn step up to that version, so adding a field only needs a
+// new migration entry here.
+
+class SchemaMigrationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "SchemaMigrationError";
+    this.details = details;
+  }
+}
+
+// Column types are compared as reported by `String(field.type)`. Rows are
+// written through LanceDB's inference, so JS numbers end up as Float64 and
+// booleans as Bool. A column may list several acceptable types.
+function baseColumns(vectorDimension) {
+  return [
+    { name: "vector", type: `FixedSizeList[${vectorDimension}]<Float32>` },
+    { name: "text", type: "Utf8" },
+    { name: "id", type: "Utf8" },
+    { name: "timestamp", type: ["Float64", "Timestamp<MILLISECOND>"] },
+  ];
+}
+
+function addColumn(name, type, valueSql, defaultValue) {
+  return { kind: "add-column", column: { name, type, valueSql, defaultValue } };
+}
+
+// `transform(row)` returns the fields to change on that row.
+function transformRows(description, transform, where) {
+  return { kind: "transform", description, transform, where };
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Add completed/completedAt columns",
+    steps: [
+      addColumn("completed", "Bool", "false", false),
+      // 0 means "not completed"; timestamps are stored as Float64 by inference.
+      addColumn("completedAt", "Float64", "CAST(0 AS DOUBLE)", 0),
+    ],
+  },
+  {
+    version: 2,
+    description: "Add deletedAt column for the trash",
+    // 0 means "not in the trash".
+    steps: [addColumn("deletedAt", "Float64", "CAST(0 AS DOUBLE)", 0)],
+  },
+  {
+    version: 3,
+    description: "Add updatedAt and revision history columns",
+    steps: [
+      // `timestamp` is the creation time from here on; until now it was
+      // bumped on every edit, so it is the best guess for the last update.
+      addColumn("updatedAt", "Float64", "CAST(timestamp AS DOUBLE)", 0),
+      // JSON array of { text, savedAt } for every previous wording.
+      addColumn("revisions", "Utf8", "'[]'", "[]"),
+    ],
+  },
+  {
+    version: 4,
+    description: "Add tags and project columns",
+    steps: [
+      // "|tag1|tag2|" (see tags.js); "" when the todo has no tags.
+      addColumn("tags", "Utf8", "''", ""),
+      // "" means no project.
+      addColumn("project", "Utf8", "''", ""),
+      transformRows(
+        "parse #tags from existing todo text",
+        (row) => ({ tags: encodeTags(parseTags(row.text)) }),
+        "text LIKE '%#%'"
+      ),
+    ],
+  },
+  {
+    version: 5,
+    description: "Add due date and reminder columns",
+    // 0 means "not set". `remindedAt` records when the reminder fired and is
+    // reset whenever `remindAt` changes.
+    steps: [
+      addColumn("dueAt", "Float64", "CAST(0 AS DOUBLE)", 0),
+      addColumn("remindAt", "Float64", "CAST(0 AS DOUBLE)", 0),
+      addColumn("remindedAt", "Float64", "CAST(0 AS DOUBLE)", 0),
+    ],
+  },
+  {
+    version: 6,
+    description: "Add recurrence rule and series columns",
+    steps: [
+      // RRULE subset (see recurrence.js); "" for one-off todos.
+      addColumn("recurrence", "Utf8", "''", ""),
+      // Occurrences of one series share `seriesId` (the first todo's id).
+      addColumn("seriesId", "Utf8", "''", ""),
+      // Anchor for the rule: time of day and INTERVAL phase. 0 = not set.
+      addColumn("seriesStart", "Float64", "CAST(0 AS DOUBLE)", 0),
+      // Text new occurrences are created with; a one-instance edit may differ.
+      addColumn("seriesText", "Utf8", "''", ""),
+    ],
+  },
+  {
+    version: 7,
+    description: "Add parent and collapsed columns for subtasks",
+    steps: [
+      // Id of the parent todo; "" for top-level todos.
+      addColumn("parentId", "Utf8", "''", ""),
+      // Whether the todo's subtasks are hidden in the list.
+      addColumn("collapsed", "Bool", "false", false),
+    ],
+  },
+  {
+    version: 8,
+    description: "Add priority column",
+    // 0 = none, 1 = low, 2 = medium, 3 = high (see entry-parser.js).
+    steps: [addColumn("priority", "Float64", "CAST(0 AS DOUBLE)", 0)],
+  },
+  {
+    version: 9,
+    description: "Add notes column",
+    // Markdown body; its chunks and their vectors live in the companion
+    // chunks table (see note-chunks.js).
+    steps: [addColumn("notes", "Utf8", "''", "")],
+  },
+  {
+    version: 10,
+    description: "Add attachments column",
+    // JSON array of the todo's attached files (see attachments.js).
+    steps: [addColumn("attachments", "Utf8", "'[]'", "[]")],
+  },
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function expectedColumns(version, vectorDimension) {
+  const columns = baseColumns(vectorDimension);
+  MIGRATIONS.filter((m) => m.version <= version).forEach((migration) => {
+    migration.steps
+      .filter((step) => step.kind === "add-column")
+      .forEach((step) => columns.push(step.column));
+  });
+  return columns;
+}
+
+// Values for every column added by a migration, for building complete rows
+// (e.g. the dummy row used to infer the schema of a new table).
+function columnDefaults(version = CURRENT_SCHEMA_VERSION) {
+  const defaults = {};
+  expectedColumns(version, 0)
+    .filter((column) => column.defaultValue !== undefined)
+    .forEach((column) => (defaults[column.name] = column.defaultValue));
+  return defaults;
+}
+
+function readSchemaVersion(metaPath) {
+  try {
+    const meta = JSON.parse(fs.readFileSync(metaPath, "utf8"));
+    return Number.isInteger(meta.schemaVersion) ? meta.schemaVersion : 0;
+  } catch (error) {
+    // No metadata file means the table predates versioning.
+    return 0;
+  }
+}
+
+function writeSchemaVersion(metaPath, version) {
+  fs.writeFileSync(
+    metaPath,
+    JSON.stringify({ schemaVersion: version, updatedAt: Date.now() }, null, 2)
+  );
+}
+
+async function describeTableSchema(tbl) {
+  const schema = await tbl.schema;
+  return schema.fields.map((field) => ({
+    name: field.name,
+    type: String(field.type),
+  }));
+}
+
+// Compares the on-disk columns with those expected for `version`. Columns in
+// `allowMissing` (added by pending migrations) may be absent without error.
+function validateColumns(actual, expected, allowMissing = []) {
+  const actualByName = new Map(actual.map((column) => [column.name, column]));
+  const missing = [];
+  const mismatched = [];
+  expected.forEach((column) => {
+    const found = actualByName.get(column.name);
+    if (!found) {
+      if (!allowMissing.includes(column.name)) missing.push(column.name);
+    } else if (![].concat(column.type).includes(found.type)) {
+      mismatched.push({
+        name: column.name,
+        expected: [].concat(column.type).join(" or "),
+        actual: found.type,
+      });
+    }
+  });
+  const expectedNames = expected.map((column) => column.name);
+  const extra = actual
+    .filter(
+      (column) =>
+        !expectedNames.includes(column.name) &&
+        !allowMissing.includes(column.name)
+    )
+    .map((column) => column.name);
+  return {
+    valid: missing.length === 0 && mismatched.length === 0,
+    missing,
+    mismatched,
+    extra,
+  };
+}
+
+function formatValidationProblems(validation) {
+  const problems = [];
+  if (validation.missing.length > 0) {
+    problems.push(`missing column(s): ${validation.missing.join(", ")}`);
+  }
+  validation.mismatched.forEach((m) =>
+    problems.push(`column "${m.name}" is ${m.actual}, expected ${m.expected}`)
+  );
+  return problems.join("; ");
+}
+
+function describeStep(step) {
+  switch (step.kind) {
+    case "add-column":
+      return `add column "${step.column.name}" (${[]
+        .concat(step.column.type)
+        .join(" or ")})`;
+    case "transform":
+      return `transform: ${step.description}`;
+    default:
+      return step.kind;
+  }
+}
+
+/**
+ * Dry run: works out which migrations would run and checks that the table on
+ * disk matches the stored version closely enough to apply them. Nothing is
+ * written.
+ */
+async function planMigrations(tbl, { metaPath, vectorDimension }) {
+  const storedVersion = readSchemaVersion(metaPath);
+  const actual = await describeTableSchema(tbl);
+  const pending = MIGRATIONS.filter((m) => m.version > storedVersion);
+  const pendingColumns = pending.flatMap((m) =>
+    m.steps
+      .filter((step) => step.kind === "add-column")
+      .map((step) => step.column.name)
+  );
+  const validation = validateColumns(
+    actual,
+    expectedColumns(CURRENT_SCHEMA_VERSION, vectorDimension),
+    pendingColumns
+  );
+  return {
+    storedVersion,
+    targetVersion: CURRENT_SCHEMA_VERSION,
+    pending: pending.map((m) => ({
+      version: m.version,
+      description: m.description,
+      steps: m.steps.map(describeStep),
+    })),
+    validation,
+  };
+}
+
+async function applyStep(tbl, step, { log }) {
+  switch (step.kind) {
+    case "add-column": {
+      const existing = (await describeTableSchema(tbl)).map((c) => c.name);
+      if (existing.includes(step.column.name)) {
+        log(`  Column "${step.column.name}" already present, skipping.`);
+        return;
+      }
+      await tbl.addColumns([
+        { name: step.column.name, valueSql: step.column.valueSql },
+      ]);
+      return;
+    }
+    case "transform": {
+      const where = step.where || "id IS NOT NULL";
+      const count = await tbl.countRows(step.where);
+      if (count === 0) return;
+      const rows = await tbl.filter(where).limit(count).execute();
+      const updated = rows.map((row) => ({ ...row, ...step.transform(row) }));
+      await tbl.mergeInsert("id", updated, { whenMatchedUpdateAll: true });
+      log(`  Rewrote ${updated.length} row(s).`);
+      return;
+    }
+    default:
+      throw new SchemaMigrationError(`Unknown migration step: ${step.kind}`);
+  }
+}
+
+/**
+ * Upgrades `tbl` in place to CURRENT_SCHEMA_VERSION. Runs the dry-run plan
+ * first and refuses to touch the table if it cannot be upgraded; validates
+ * the result afterwards. Throws SchemaMigrationError with a user-facing
+ * message on failure.
+ */
+async function runMigrations(
+  tbl,
+  { metaPath, vectorDimension, log = console.log }
+) {
+  const plan = await planMigrations(tbl, { metaPath, vectorDimension });
+  if (plan.storedVersion > plan.targetVersion) {
+    throw new SchemaMigrationError(
+      `The todos table is at schema version ${plan.storedVersion}, which is newer than this app supports (${plan.targetVersion}). Please update the app.`,
+      plan
+    );
+  }
+  if (!plan.validation.valid) {
+    throw new SchemaMigrationError(
+      `Cannot upgrade the todos table from schema version ${
+        plan.storedVersion
+      } to ${plan.targetVersion}: ${formatValidationProblems(
+        plan.validation
+      )}. See TROUBLESHOOTING_LANCEDB_SCHEMA_ERROR.md.`,
+      plan
+    );
+  }
+  if (plan.validation.extra.length > 0) {
+    log(`Ignoring unknown column(s): ${plan.validation.extra.join(", ")}`);
+  }
+  if (plan.pending.length === 0) {
+    return plan;
+  }
+
+  log(
+    `Migration plan (v${plan.storedVersion} -> v${plan.targetVersion}):\n` +
+      plan.pending
+        .map((m) => `  v${m.version}: ${m.description} [${m.steps.join("; ")}]`)
+        .join("\n")
+  );
+  for (const migration of MIGRATIONS.filter(
+    (m) => m.version > plan.storedVersion
+  )) {
+    log(`Applying schema migration ${migration.version}...`);
+    try {
+      for (const step of migration.steps) {
+        await applyStep(tbl, step, { log });
+      }
+    } catch (error) {
+      throw new SchemaMigrationError(
+        `Schema migration ${migration.version} (${migration.description}) failed: ${error.message}`,
+        { ...plan, failedVersion: migration.version }
+      );
+    }
+    // Record progress after every migration so a crash resumes where it stopped.
+    writeSchemaVersion(metaPath, migration.version);
+  }
+
+  const result = validateColumns(
+    await describeTableSchema(tbl),
+    expectedColumns(CURRENT_SCHEMA_VERSION, vectorDimension)
+  );
+  if (!result.valid) {
+    throw new SchemaMigrationError(
+      `The todos table does not match schema version ${
+        plan.targetVersion
+      } after migrating: ${formatValidationProblems(result)}.`,
+      { ...plan, result }
+    );
+  }
+  log(`Table migrated to schema version ${plan.targetVersion}.`);
+  return plan;
+}
+
+// Length of the stored vectors, read from the table's schema.
+async function vectorDimensionOf(tbl) {
+  const vector = (await describeTableSchema(tbl)).find(
+    (column) => column.name === "vector"
+  );
+  const match = vector && /^FixedSizeList\[(\d+)\]/.exec(vector.type);
+  if (!match) {
+    throw new SchemaMigrationError("The table has no usable vector column.");
+  }
+  return Number(match[1]);
+}
+
+/**
+ * Works out the schema version of a table without metadata (e.g. an old
+ * version of the todos table) from its columns: the newest version whose
+ * columns are all present. Throws SchemaMigrationError if none match.
+ */
+async function inferSchemaVersion(tbl, vectorDimension) {
+  const actual = await describeTableSchema(tbl);
+  for (let version = CURRENT_SCHEMA_VERSION; version >= 0; version--) {
+    if (
+      validateColumns(actual, expectedColumns(version, vectorDimension)).valid
+    ) {
+      return version;
+    }
+  }
+  throw new SchemaMigrationError(
+    "The table does not match any known layout of the todos table."
+  );
+}
+
+module.exports = {
+  SchemaMigrationError,
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  expectedColumns,
+  columnDefaults,
+  readSchemaVersion,
+  writeSchemaVersion,
+  planMigrations,
+  runMigrations,
+  vectorDimensionOf,
+  inferSchemaVersion,
+  addColumn,
+  transformRows,
+};
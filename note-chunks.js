@@ -0,0 +1,290 @@
+// Long-form notes are searched through chunks: each todo's Markdown notes are
+// cut into passages of a few hundred characters, and every passage gets its
+// own vector in a companion table next to the todos table (`todos_chunks`
+// for `todos`). A match deep inside long notes then ranks on that passage
+// alone instead of being diluted across the whole text, and the passage's
+// offsets tell the window what to highlight. The text of attached files is
+// chunked the same way into the same table (see attachments.js).
+//
+// The chunks table only holds derived data: syncNoteChunks rebuilds it from
+// the todos table, so a model switch or a restore just syncs a fresh one.
+
+const crypto = require("crypto");
+const { sqlString, col } = require("./sql");
+
+// Passages are packed up to this many characters...
+const MAX_CHUNK_CHARS = 800;
+// ...and repeat the previous chunk's last block if it is at most this long,
+// so a passage cut at a chunk boundary is still found whole in one of them.
+const CHUNK_OVERLAP_CHARS = 200;
+const MAX_NOTES_CHARS = 100000;
+const FENCE = /^\s*(```|~~~)/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+// Where an oversized block may be cut: after a sentence or at a line break.
+const SOFT_BREAK = /[.!?](?=\s)|\n/g;
+
+function chunkTableName(tableName) {
+  return `${tableName}_chunks`;
+}
+
+// LF line endings, no trailing whitespace. Chunk offsets point into this
+// form.
+function normalizeText(text) {
+  return String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/\s+$/, "");
+}
+
+// Notes as stored: normalized text of limited length.
+function normalizeNotes(notes) {
+  const text = normalizeText(notes);
+  if (text.length > MAX_NOTES_CHARS) {
+    throw new Error(`Notes are limited to ${MAX_NOTES_CHARS} characters.`);
+  }
+  return text;
+}
+
+// Identifies a version of a chunked text; chunks are rebuilt when it changes.
+function contentHash(text) {
+  return crypto.createHash("sha1").update(text).digest("hex").slice(0, 16);
+}
+
+/**
+ * Splits Markdown into blocks: paragraphs and lists (separated by blank
+ * lines), headings and fenced code blocks, each as { start, end, heading },
+ * where `heading` is the text of the nearest heading above the block. Plain
+ * text (`isMarkdown` false) is only split at blank lines.
+ */
+function splitBlocks(markdown, isMarkdown = true) {
+  const blocks = [];
+  let heading = "";
+  let block = null;
+  let fence = null;
+  const close = () => {
+    if (block) blocks.push(block);
+    block = null;
+  };
+  let position = 0;
+  markdown.split("\n").forEach((line) => {
+    const start = position;
+    const end = position + line.length;
+    position = end + 1;
+    if (fence) {
+      block.end = end;
+      if (line.trim().startsWith(fence)) {
+        fence = null;
+        close();
+      }
+      return;
+    }
+    const fenceMatch = isMarkdown && FENCE.exec(line);
+    if (fenceMatch) {
+      close();
+      fence = fenceMatch[1];
+      block = { start, end, heading };
+      return;
+    }
+    const headingMatch = isMarkdown && HEADING.exec(line);
+    if (headingMatch) {
+      close();
+      heading = headingMatch[2];
+      blocks.push({ start, end, heading });
+      return;
+    }
+    if (line.trim() === "") {
+      close();
+      return;
+    }
+    if (block) block.end = end;
+    else block = { start, end, heading };
+  });
+  close();
+  return blocks;
+}
+
+// Cuts a block longer than MAX_CHUNK_CHARS at sentence ends or line breaks,
+// or at the last space when a sentence is longer than that.
+function splitLongBlock(markdown, block) {
+  const pieces = [];
+  let start = block.start;
+  while (block.end - start > MAX_CHUNK_CHARS) {
+    const window = markdown.slice(start, start + MAX_CHUNK_CHARS);
+    let cut = -1;
+    SOFT_BREAK.lastIndex = 0;
+    let match;
+    while ((match = SOFT_BREAK.exec(window))) cut = match.index + 1;
+    if (cut < MAX_CHUNK_CHARS / 2) {
+      const space = window.lastIndexOf(" ");
+      cut = space > 0 ? space : MAX_CHUNK_CHARS;
+    }
+    pieces.push({ start, end: start + cut, heading: block.heading });
+    start += cut;
+    while (start < block.end && /\s/.test(markdown[start])) start += 1;
+  }
+  if (start < block.end) {
+    pieces.push({ start, end: block.end, heading: block.heading });
+  }
+  return pieces;
+}
+
+/**
+ * Chunks normalized `markdown` (see normalizeText) for embedding. Returns
+ *   [{ index, start, end, text, embedText }]
+ * where `text` is `markdown.slice(start, end)` and `embedText` (what gets
+ * embedded) also names the section heading when the chunk doesn't start
+ * with it. `isMarkdown` false chunks plain text and source code.
+ */
+function chunkText(markdown, isMarkdown = true) {
+  const pieces = splitBlocks(markdown, isMarkdown).flatMap((block) =>
+    block.end - block.start > MAX_CHUNK_CHARS
+      ? splitLongBlock(markdown, block)
+      : [block]
+  );
+  const groups = [];
+  let current = [];
+  pieces.forEach((piece) => {
+    const first = current[0];
+    if (first && piece.end - first.start > MAX_CHUNK_CHARS) {
+      groups.push(current);
+      const last = current[current.length - 1];
+      current =
+        current.length > 1 &&
+        last.end - last.start <= CHUNK_OVERLAP_CHARS &&
+        piece.end - last.start <= MAX_CHUNK_CHARS
+          ? [last]
+          : [];
+    }
+    current.push(piece);
+  });
+  if (current.length > 0) groups.push(current);
+  return groups.map((group, index) => {
+    const start = group[0].start;
+    const end = group[group.length - 1].end;
+    const text = markdown.slice(start, end);
+    const heading = group[0].heading;
+    return {
+      index,
+      start,
+      end,
+      text,
+      embedText:
+        heading && !HEADING.test(text.split("\n")[0])
+          ? `${heading}\n${text}`
+          : text,
+    };
+  });
+}
+
+// Chunks Markdown `notes` as stored.
+function chunkNotes(notes) {
+  return chunkText(normalizeNotes(notes));
+}
+
+/**
+ * Rows for the chunks table: one per chunk of `source` ("note", or
+ * "attachment" with the attachment's id as `sourceId`) belonging to
+ * `todoId`, with the vectors of the chunks' `embedText`. `sourceHash` is the
+ * contentHash of the text they were cut from.
+ */
+function buildChunkRows({ todoId, source, sourceId = "", sourceHash }, chunks) {
+  return chunks.map((chunk) => ({
+    id: `${todoId}:${source}:${sourceId}:${chunk.index}`,
+    todoId,
+    source,
+    sourceId,
+    sourceHash,
+    chunkIndex: chunk.index,
+    text: chunk.text,
+    startOffset: chunk.start,
+    endOffset: chunk.end,
+    vector: chunk.vector,
+  }));
+}
+
+function sqlList(values) {
+  return values.map(sqlString).join(", ");
+}
+
+// Reads every row of `tbl` matching `where`; filter-only queries default to
+// a limit of 10.
+async function readRows(tbl, where, columns) {
+  const count = await tbl.countRows(where);
+  if (count === 0) return [];
+  return tbl.filter(where).select(columns).limit(count).execute();
+}
+
+// Sets the `vector` of each of `chunks`, embedding them in batches of
+// `batchSize`. Resolves with `chunks`.
+async function embedChunks(chunks, embed, batchSize = 16) {
+  for (let i = 0; i < chunks.length; i += batchSize) {
+    const batch = chunks.slice(i, i + batchSize);
+    const vectors = await embed(batch.map((chunk) => chunk.embedText));
+    batch.forEach((chunk, index) => (chunk.vector = vectors[index]));
+  }
+  return chunks;
+}
+
+function embedNoteChunks(notes, embed) {
+  return embedChunks(chunkNotes(notes), embed);
+}
+
+/**
+ * Makes the note chunks in `chunks` match the notes in `todos`: todos whose
+ * notes changed (or were never chunked) are re-chunked and embedded with
+ * `embed`, chunks of todos that no longer exist or have no notes are
+ * deleted. Trashed todos keep their chunks so a restore finds them again.
+ * Returns the number of todos whose chunks changed.
+ */
+async function syncNoteChunks({ todos, chunks, embed, log = console.log }) {
+  const noted = await readRows(todos, "notes != ''", ["id", "notes"]);
+  const stored = new Map();
+  (await readRows(chunks, "source = 'note'", ["todoId", "sourceHash"])).forEach(
+    (row) => {
+      if (!stored.has(row.todoId)) stored.set(row.todoId, new Set());
+      stored.get(row.todoId).add(row.sourceHash);
+    }
+  );
+  const stale = noted.filter((row) => {
+    const hashes = stored.get(row.id);
+    stored.delete(row.id);
+    return !(hashes && hashes.size === 1 && hashes.has(contentHash(row.notes)));
+  });
+  const removed = [...stale.map((row) => row.id), ...stored.keys()];
+  if (removed.length > 0) {
+    await chunks.delete(
+      `source = 'note' AND ${col("todoId")} IN (${sqlList(removed)})`
+    );
+  }
+  for (const row of stale) {
+    const rows = buildChunkRows(
+      { todoId: row.id, source: "note", sourceHash: contentHash(row.notes) },
+      await embedNoteChunks(row.notes, embed)
+    );
+    if (rows.length > 0) await chunks.add(rows);
+  }
+  if (removed.length > 0) {
+    log(
+      `Note chunks: re-indexed ${stale.length} todo(s), ` +
+        `dropped ${stored.size} orphaned.`
+    );
+  }
+  return removed.length;
+}
+
+module.exports = {
+  MAX_CHUNK_CHARS,
+  MAX_NOTES_CHARS,
+  chunkTableName,
+  normalizeText,
+  normalizeNotes,
+  contentHash,
+  splitBlocks,
+  chunkText,
+  chunkNotes,
+  embedChunks,
+  embedNoteChunks,
+  sqlList,
+  readRows,
+  buildChunkRows,
+  syncNoteChunks,
+};
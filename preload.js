@@ -1,17 +1,115 @@
 const { contextBridge, ipcRenderer } = require("electron");
 
 contextBridge.exposeInMainWorld("electronAPI", {
-  addTodo: (text) => ipcRenderer.invoke("add-todo", text),
-  getTodos: () => ipcRenderer.invoke("get-todos"),
-  searchTodos: (query, startDate, endDate) =>
-    ipcRenderer.invoke("search-todos", query, startDate, endDate),
+  addTodo: (text, options) => ipcRenderer.invoke("add-todo", text, options),
+  parseTodoEntry: (text) => ipcRenderer.invoke("parse-todo-entry", text),
+  getTodos: (options) => ipcRenderer.invoke("get-todos", options),
+  searchTodos: (query, startDate, endDate, mode, filters) =>
+    ipcRenderer.invoke(
+      "search-todos",
+      query,
+      startDate,
+      endDate,
+      mode,
+      filters
+    ),
+  getSearchSyntax: () => ipcRenderer.invoke("get-search-syntax"),
+  checkSearchQuery: (query) => ipcRenderer.invoke("check-search-query", query),
+  getSmartLists: () => ipcRenderer.invoke("get-smart-lists"),
+  saveSmartList: (list) => ipcRenderer.invoke("save-smart-list", list),
+  deleteSmartList: (id) => ipcRenderer.invoke("delete-smart-list", id),
+  runSmartList: (id) => ipcRenderer.invoke("run-smart-list", id),
+  bulkCompleteTodos: (ids, completed) =>
+    ipcRenderer.invoke("bulk-complete-todos", ids, completed),
+  bulkRetagTodos: (ids, changes) =>
+    ipcRenderer.invoke("bulk-retag-todos", ids, changes),
+  bulkDeleteTodos: (ids, options) =>
+    ipcRenderer.invoke("bulk-delete-todos", ids, options),
+  bulkRestoreTodos: (ids, deletedAt, formerParents) =>
+    ipcRenderer.invoke("bulk-restore-todos", ids, deletedAt, formerParents),
+  onSmartListsStale: (callback) =>
+    ipcRenderer.on("smart-lists-stale", () => callback()),
   onInitializationError: (callback) =>
     ipcRenderer.on("initialization-error", (_event, errorMsg) =>
       callback(errorMsg)
     ),
-  updateTodo: (id, text) => ipcRenderer.invoke("update-todo", id, text),
-  deleteTodo: (id) => ipcRenderer.invoke("delete-todo", id),
+  updateTodo: (id, text, options) =>
+    ipcRenderer.invoke("update-todo", id, text, options),
+  deleteTodo: (id, options) => ipcRenderer.invoke("delete-todo", id, options),
+  moveTodo: (id, parentId) => ipcRenderer.invoke("move-todo", id, parentId),
+  setTodoCollapsed: (id, collapsed) =>
+    ipcRenderer.invoke("set-todo-collapsed", id, collapsed),
   onInitializationSuccess: (callback) =>
     ipcRenderer.on("initialization-success", () => callback()),
   seedDemoData: () => ipcRenderer.invoke("seed-demo-data"),
+  cancelSeed: () => ipcRenderer.invoke("cancel-seed"),
+  onSeedProgress: (callback) =>
+    ipcRenderer.on("seed-progress", (_event, progress) => callback(progress)),
+  toggleTodoCompleted: (id, completed) =>
+    ipcRenderer.invoke("toggle-todo-completed", id, completed),
+  exportTodos: (format, options) =>
+    ipcRenderer.invoke("export-todos", format, options),
+  previewImport: () => ipcRenderer.invoke("preview-import"),
+  runImport: (importId, options) =>
+    ipcRenderer.invoke("run-import", importId, options),
+  cancelImport: (importId) => ipcRenderer.invoke("cancel-import", importId),
+  getTrash: () => ipcRenderer.invoke("get-trash"),
+  restoreTodo: (id) => ipcRenderer.invoke("restore-todo", id),
+  purgeTodo: (id) => ipcRenderer.invoke("purge-todo", id),
+  emptyTrash: () => ipcRenderer.invoke("empty-trash"),
+  setTrashRetention: (days) => ipcRenderer.invoke("set-trash-retention", days),
+  skipOccurrence: (id) => ipcRenderer.invoke("skip-occurrence", id),
+  getTags: () => ipcRenderer.invoke("get-tags"),
+  getRelatedTodos: (id, startDate, endDate, filters) =>
+    ipcRenderer.invoke("get-related-todos", id, startDate, endDate, filters),
+  getTopics: () => ipcRenderer.invoke("get-topics"),
+  clusterTopics: (count) => ipcRenderer.invoke("cluster-topics", count),
+  renameTopic: (id, name) => ipcRenderer.invoke("rename-topic", id, name),
+  applyTopic: (id, kind, name) =>
+    ipcRenderer.invoke("apply-topic", id, kind, name),
+  findDuplicates: () => ipcRenderer.invoke("find-duplicates"),
+  mergeTodos: (targetId, sourceIds) =>
+    ipcRenderer.invoke("merge-todos", targetId, sourceIds),
+  setDuplicateThreshold: (threshold) =>
+    ipcRenderer.invoke("set-duplicate-threshold", threshold),
+  getTodoHistory: (id) => ipcRenderer.invoke("get-todo-history", id),
+  revertTodo: (id, revisionIndex) =>
+    ipcRenderer.invoke("revert-todo", id, revisionIndex),
+  getTodoNotes: (id) => ipcRenderer.invoke("get-todo-notes", id),
+  saveTodoNotes: (id, notes) =>
+    ipcRenderer.invoke("save-todo-notes", id, notes),
+  openExternalLink: (url) => ipcRenderer.invoke("open-external-link", url),
+  addAttachments: (id) => ipcRenderer.invoke("add-attachments", id),
+  removeAttachment: (id, attachmentId) =>
+    ipcRenderer.invoke("remove-attachment", id, attachmentId),
+  openAttachment: (id, attachmentId) =>
+    ipcRenderer.invoke("open-attachment", id, attachmentId),
+  onRemindersDue: (callback) =>
+    ipcRenderer.on("reminders-due", (_event, todos) => callback(todos)),
+  onImportProgress: (callback) =>
+    ipcRenderer.on("import-progress", (_event, progress) => callback(progress)),
+  getEmbeddingStatus: () => ipcRenderer.invoke("get-embedding-status"),
+  switchEmbeddingModel: (config) =>
+    ipcRenderer.invoke("switch-embedding-model", config),
+  cancelReindex: () => ipcRenderer.invoke("cancel-reindex"),
+  getApiStatus: () => ipcRenderer.invoke("get-api-status"),
+  setApiEnabled: (enabled) => ipcRenderer.invoke("set-api-enabled", enabled),
+  regenerateApiToken: () => ipcRenderer.invoke("regenerate-api-token"),
+  getBackups: () => ipcRenderer.invoke("get-backups"),
+  createBackup: () => ipcRenderer.invoke("create-backup"),
+  deleteBackup: (name) => ipcRenderer.invoke("delete-backup", name),
+  restoreBackup: (name) => ipcRenderer.invoke("restore-backup", name),
+  setBackupSchedule: (intervalHours, keep) =>
+    ipcRenderer.invoke("set-backup-schedule", intervalHours, keep),
+  getTableVersions: () => ipcRenderer.invoke("get-table-versions"),
+  restoreTableVersion: (version) =>
+    ipcRenderer.invoke("restore-table-version", version),
+  onTodosChanged: (callback) =>
+    ipcRenderer.on("todos-changed", (_event, change) => callback(change)),
+  onReindexProgress: (callback) =>
+    ipcRenderer.on("reindex-progress", (_event, status) => callback(status)),
+  onEmbeddingModelSwitched: (callback) =>
+    ipcRenderer.on("embedding-model-switched", (_event, model) =>
+      callback(model)
+    ),
 });
@@ -0,0 +1,301 @@
+// The search box's query language. A query mixes free text with operators:
+//
+//   before:2024-06-01 after:last-week tag:work is:done "exact phrase"
+//   -excluded semantic words
+//
+// Free words (and quoted phrases) are what gets embedded and keyword-ranked;
+// a phrase must also appear in the todo as written, and `-word` or
+// `-"phrase"` must not. Operators narrow the results and can be negated the
+// same way (`-tag:someday`). Values with spaces are quoted
+// (`project:"Home office"`).
+//
+// Nothing here touches LanceDB: parseSearchQuery returns the pieces and
+// todo-store.js turns them into the `.where()` clause. Errors carry the
+// character range they refer to, so the search box can point at them.
+
+const { isValidTag, normalizeProject } = require("./tags");
+const { startOfLocalDay } = require("./reminders");
+
+// Day offsets are applied to the start of today, in local time.
+const RELATIVE_DATES = {
+  today: { days: 0 },
+  yesterday: { days: -1 },
+  tomorrow: { days: 1 },
+  "last-week": { days: -7 },
+  "next-week": { days: 7 },
+  "last-month": { months: -1 },
+  "next-month": { months: 1 },
+  "last-year": { months: -12 },
+};
+const DATE_SUGGESTIONS = Object.keys(RELATIVE_DATES);
+
+// `values` are offered by autocomplete; for `date` operators they are only
+// suggestions, any YYYY-MM-DD or relative date works.
+const OPERATORS = [
+  {
+    name: "after",
+    type: "date",
+    description: "Created on or after a date",
+    values: DATE_SUGGESTIONS,
+  },
+  {
+    name: "before",
+    type: "date",
+    description: "Created before a date",
+    values: DATE_SUGGESTIONS,
+  },
+  {
+    name: "due-after",
+    type: "date",
+    description: "Due on or after a date",
+    values: DATE_SUGGESTIONS,
+  },
+  {
+    name: "due-before",
+    type: "date",
+    description: "Due before a date",
+    values: DATE_SUGGESTIONS,
+  },
+  {
+    name: "due",
+    type: "choice",
+    description: "Overdue, due today or upcoming",
+    values: ["overdue", "today", "upcoming"],
+  },
+  { name: "tag", type: "tag", description: "Has a #tag" },
+  { name: "project", type: "text", description: "In a project" },
+  {
+    name: "is",
+    type: "choice",
+    description: "Completion and kind of todo",
+    values: ["done", "open", "overdue", "recurring", "subtask"],
+  },
+  {
+    name: "has",
+    type: "choice",
+    description: "Has a field set",
+    values: ["due", "reminder", "project", "tags"],
+  },
+];
+// "14d" is 14 days ago, "+2w" two weeks from today.
+const RELATIVE_OFFSET = /^([+-]?)(\d{1,4})([dwmy])$/;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const OPERATOR_PREFIX = /^([a-z][a-z-]*):/i;
+
+class QuerySyntaxError extends Error {
+  constructor(errors) {
+    super(errors.map((error) => error.message).join(" "));
+    this.name = "QuerySyntaxError";
+    this.errors = errors;
+  }
+}
+
+function shiftedDay(now, { days = 0, months = 0 }) {
+  const date = new Date(startOfLocalDay(now));
+  date.setMonth(date.getMonth() + months);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+}
+
+/**
+ * Resolves a date value to the local midnight it starts at: YYYY-MM-DD, one
+ * of RELATIVE_DATES, or an offset like "14d" (ago) or "+2w" (ahead) in days,
+ * weeks, months or years. Returns null for anything else.
+ */
+function parseQueryDate(value, now) {
+  const text = String(value).toLowerCase();
+  if (RELATIVE_DATES[text]) return shiftedDay(now, RELATIVE_DATES[text]);
+  const offset = RELATIVE_OFFSET.exec(text);
+  if (offset) {
+    const amount = Number(offset[2]) * (offset[1] === "+" ? 1 : -1);
+    const unit = offset[3];
+    if (unit === "d") return shiftedDay(now, { days: amount });
+    if (unit === "w") return shiftedDay(now, { days: amount * 7 });
+    if (unit === "m") return shiftedDay(now, { months: amount });
+    return shiftedDay(now, { months: amount * 12 });
+  }
+  const iso = ISO_DATE.exec(text);
+  if (!iso) return null;
+  const [year, month, day] = iso.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  // Reject dates that roll over, like 2024-02-30.
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return date.getTime();
+}
+
+// Reads a quoted string starting at `start` (on the opening quote). A missing
+// closing quote runs to the end of the query.
+function readQuoted(query, start) {
+  const close = query.indexOf('"', start + 1);
+  const end = close === -1 ? query.length : close + 1;
+  return {
+    value: query.slice(start + 1, close === -1 ? query.length : close),
+    end,
+    closed: close !== -1,
+  };
+}
+
+function readWord(query, start) {
+  let end = start;
+  while (end < query.length && !/\s/.test(query[end])) end += 1;
+  return { value: query.slice(start, end), end };
+}
+
+/**
+ * Splits a query into tokens: { kind: "word" | "phrase" | "operator",
+ * negated, name (operators), value, start, end, closed (quoted values) }.
+ * `start`/`end` include the leading `-` and the quotes.
+ */
+function tokenizeQuery(query) {
+  const tokens = [];
+  let position = 0;
+  while (position < query.length) {
+    if (/\s/.test(query[position])) {
+      position += 1;
+      continue;
+    }
+    const start = position;
+    const negated =
+      query[position] === "-" &&
+      position + 1 < query.length &&
+      !/\s/.test(query[position + 1]);
+    if (negated) position += 1;
+
+    if (query[position] === '"') {
+      const quoted = readQuoted(query, position);
+      tokens.push({ kind: "phrase", negated, start, ...quoted });
+      position = quoted.end;
+      continue;
+    }
+    const operator = OPERATOR_PREFIX.exec(query.slice(position));
+    if (operator) {
+      const valueStart = position + operator[0].length;
+      const value =
+        query[valueStart] === '"'
+          ? readQuoted(query, valueStart)
+          : { ...readWord(query, valueStart), closed: true };
+      tokens.push({
+        kind: "operator",
+        negated,
+        name: operator[1].toLowerCase(),
+        start,
+        ...value,
+      });
+      position = value.end;
+      continue;
+    }
+    const word = readWord(query, position);
+    tokens.push({ kind: "word", negated, start, ...word });
+    position = word.end;
+  }
+  return tokens;
+}
+
+// Checks and normalizes an operator's value; returns { value } or { error }.
+function operatorValue(operator, value, now) {
+  if (value === "") {
+    return { error: `${operator.name}: needs a value.` };
+  }
+  switch (operator.type) {
+    case "date": {
+      const ms = parseQueryDate(value, now);
+      return ms === null
+        ? {
+            error:
+              `"${value}" is not a date; use YYYY-MM-DD, today, ` +
+              `last-week or an offset like 14d.`,
+          }
+        : { value: ms };
+    }
+    case "choice": {
+      const choice = value.toLowerCase();
+      return operator.values.includes(choice)
+        ? { value: choice }
+        : {
+            error:
+              `${operator.name}:${value} is not supported; use one of ` +
+              `${operator.values.join(", ")}.`,
+          };
+    }
+    case "tag": {
+      const tag = value.replace(/^#/, "").toLowerCase();
+      return isValidTag(tag)
+        ? { value: tag }
+        : { error: `"${value}" is not a valid tag.` };
+    }
+    default:
+      return { value: normalizeProject(value) };
+  }
+}
+
+/**
+ * Parses a search query. Returns
+ *   { text, phrases, excluded, filters, errors }
+ * where `text` is the free text to rank by (words and phrases), `phrases`
+ * must appear in the todo, `excluded` (words or phrases) must not, and
+ * `filters` are [{ name, value, negated }] with dates resolved to epoch ms
+ * against `now`. `errors` are [{ message, start, end }]; the other fields
+ * are still filled from the parts that did parse.
+ */
+function parseSearchQuery(query, now = Date.now()) {
+  const parsed = {
+    text: "",
+    phrases: [],
+    excluded: [],
+    filters: [],
+    errors: [],
+  };
+  const terms = [];
+  const fail = (token, message) =>
+    parsed.errors.push({ message, start: token.start, end: token.end });
+
+  tokenizeQuery(String(query || "")).forEach((token) => {
+    if (token.closed === false) {
+      fail(token, "Missing closing quote.");
+    }
+    if (token.kind === "word" || token.kind === "phrase") {
+      const value = token.value.trim();
+      if (!value) {
+        if (token.kind === "phrase") fail(token, "Empty quotes.");
+        return;
+      }
+      if (token.negated) {
+        parsed.excluded.push({ value, phrase: token.kind === "phrase" });
+        return;
+      }
+      if (token.kind === "phrase") parsed.phrases.push(value);
+      terms.push(value);
+      return;
+    }
+    const operator = OPERATORS.find((entry) => entry.name === token.name);
+    if (!operator) {
+      fail(
+        token,
+        `Unknown operator "${token.name}:". Put the word in quotes to ` +
+          `search for it as text.`
+      );
+      return;
+    }
+    if (token.negated && operator.type === "date") {
+      fail(token, `${operator.name}: can't be negated.`);
+      return;
+    }
+    const { value, error } = operatorValue(operator, token.value, now);
+    if (error) {
+      fail(token, error);
+      return;
+    }
+    parsed.filters.push({ name: operator.name, value, negated: token.negated });
+  });
+  parsed.text = terms.join(" ");
+  return parsed;
+}
+
+module.exports = {
+  OPERATORS,
+  RELATIVE_DATES,
+  QuerySyntaxError,
+  parseQueryDate,
+  tokenizeQuery,
+  parseSearchQuery,
+};
@@ -0,0 +1,257 @@
+// Recurrence rules for repeating todos, written as a subset of iCalendar
+// RRULE: FREQ (DAILY, WEEKLY or MONTHLY), INTERVAL, BYDAY and BYMONTHDAY.
+//
+//   FREQ=DAILY                          every day
+//   FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR    every weekday
+//   FREQ=WEEKLY;INTERVAL=2;BYDAY=SA     every other Saturday
+//   FREQ=MONTHLY;BYDAY=2TU              second Tuesday of every month
+//   FREQ=MONTHLY;BYDAY=-1FR             last Friday of every month
+//   FREQ=MONTHLY;BYMONTHDAY=15          the 15th of every month
+//
+// Occurrences are computed in local time from the series start (the first
+// due date), which also gives the time of day and the phase for INTERVAL.
+// Weeks start on Monday, as in RRULE's default WKST.
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const ORDINALS = {
+  1: "first",
+  2: "second",
+  3: "third",
+  4: "fourth",
+  5: "fifth",
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest gap searched for the next occurrence (covers INTERVAL up to ~8 years
+// of monthly rules and rules like "the 31st" that skip short months).
+const MAX_SEARCH_DAYS = 3000;
+
+class RecurrenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RecurrenceError";
+  }
+}
+
+/**
+ * Parses an RRULE string into { freq, interval, byDay, byMonthDay }, where
+ * byDay is [{ weekday: 0-6, n }] (n is the nth-in-month, 0 for "every").
+ * Throws RecurrenceError for anything outside the supported subset.
+ */
+function parseRule(ruleString) {
+  const parts = {};
+  String(ruleString || "")
+    .trim()
+    .replace(/^RRULE:/i, "")
+    .split(";")
+    .filter(Boolean)
+    .forEach((part) => {
+      const [key, value] = part.split("=");
+      if (!key || value === undefined) {
+        throw new RecurrenceError(`Malformed rule part "${part}".`);
+      }
+      parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+    });
+
+  const unsupported = Object.keys(parts).filter(
+    (key) => !["FREQ", "INTERVAL", "BYDAY", "BYMONTHDAY"].includes(key)
+  );
+  if (unsupported.length > 0) {
+    throw new RecurrenceError(`Unsupported rule part(s): ${unsupported}.`);
+  }
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new RecurrenceError("FREQ must be DAILY, WEEKLY or MONTHLY.");
+  }
+
+  const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 99) {
+    throw new RecurrenceError("INTERVAL must be a whole number from 1 to 99.");
+  }
+
+  const byDay = (parts.BYDAY ? parts.BYDAY.split(",") : []).map((entry) => {
+    const match = /^([+-]?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+    if (!match) {
+      throw new RecurrenceError(`Invalid BYDAY value "${entry}".`);
+    }
+    return { weekday: WEEKDAYS.indexOf(match[2]), n: Number(match[1] || 0) };
+  });
+  if (parts.FREQ === "DAILY" && byDay.length > 0) {
+    throw new RecurrenceError("BYDAY is not supported with FREQ=DAILY.");
+  }
+  if (parts.FREQ === "WEEKLY" && byDay.some((day) => day.n !== 0)) {
+    throw new RecurrenceError("Weekly rules take plain weekdays in BYDAY.");
+  }
+  if (parts.FREQ === "MONTHLY" && byDay.some((day) => day.n === 0)) {
+    throw new RecurrenceError(
+      "Monthly rules need a position in BYDAY, e.g. 2TU or -1FR."
+    );
+  }
+
+  let byMonthDay = null;
+  if (parts.BYMONTHDAY !== undefined) {
+    byMonthDay = Number(parts.BYMONTHDAY);
+    if (
+      parts.FREQ !== "MONTHLY" ||
+      !Number.isInteger(byMonthDay) ||
+      byMonthDay === 0 ||
+      Math.abs(byMonthDay) > 31
+    ) {
+      throw new RecurrenceError("BYMONTHDAY must be -31..31 on monthly rules.");
+    }
+    if (byDay.length > 0) {
+      throw new RecurrenceError("Use either BYDAY or BYMONTHDAY, not both.");
+    }
+  }
+
+  return { freq: parts.FREQ, interval, byDay, byMonthDay };
+}
+
+function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    parts.push(
+      `BYDAY=${rule.byDay
+        .map((day) => `${day.n || ""}${WEEKDAYS[day.weekday]}`)
+        .join(",")}`
+    );
+  }
+  if (rule.byMonthDay !== null) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  return parts.join(";");
+}
+
+// Calendar-day number of a local date, immune to DST shifts.
+function dayNumber(date) {
+  return Math.round(
+    Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS
+  );
+}
+
+function mondayDayNumber(date) {
+  return dayNumber(date) - ((date.getDay() + 6) % 7);
+}
+
+function daysInMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+}
+
+// True if `date` is the nth `weekday` of its month (n < 0 counts from the end).
+function isNthWeekday(date, weekday, n) {
+  if (date.getDay() !== weekday) return false;
+  const fromStart = Math.floor((date.getDate() - 1) / 7) + 1;
+  const fromEnd = -(Math.floor((daysInMonth(date) - date.getDate()) / 7) + 1);
+  return n === fromStart || n === fromEnd;
+}
+
+function matchesDay(rule, date, start) {
+  switch (rule.freq) {
+    case "DAILY":
+      return (dayNumber(date) - dayNumber(start)) % rule.interval === 0;
+    case "WEEKLY": {
+      const weekdays =
+        rule.byDay.length > 0
+          ? rule.byDay.map((day) => day.weekday)
+          : [start.getDay()];
+      const weeks = (mondayDayNumber(date) - mondayDayNumber(start)) / 7;
+      return weekdays.includes(date.getDay()) && weeks % rule.interval === 0;
+    }
+    case "MONTHLY": {
+      const months =
+        (date.getFullYear() - start.getFullYear()) * 12 +
+        date.getMonth() -
+        start.getMonth();
+      if (months % rule.interval !== 0) return false;
+      if (rule.byDay.length > 0) {
+        return rule.byDay.some((day) => isNthWeekday(date, day.weekday, day.n));
+      }
+      const monthDay =
+        rule.byMonthDay === null ? start.getDate() : rule.byMonthDay;
+      const target = monthDay > 0 ? monthDay : daysInMonth(date) + monthDay + 1;
+      return date.getDate() === target;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Returns the first occurrence of `ruleString` strictly after `afterMs`, for
+ * a series starting at `startMs` (epoch milliseconds). Occurrences before the
+ * series start are never returned.
+ */
+function nextOccurrence(ruleString, afterMs, startMs) {
+  const rule = parseRule(ruleString);
+  const start = new Date(startMs);
+  const from = new Date(Math.max(afterMs, startMs - 1));
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    const candidate = new Date(
+      from.getFullYear(),
+      from.getMonth(),
+      from.getDate() + offset,
+      start.getHours(),
+      start.getMinutes(),
+      start.getSeconds()
+    );
+    if (
+      candidate.getTime() > afterMs &&
+      candidate.getTime() >= startMs &&
+      matchesDay(rule, candidate, start)
+    ) {
+      return candidate.getTime();
+    }
+  }
+  throw new RecurrenceError("The rule has no occurrence in the next 8 years.");
+}
+
+/** Human-readable summary, e.g. "Every 2 weeks on Mon, Thu". */
+function describeRule(ruleString) {
+  const rule = parseRule(ruleString);
+  const every = (unit) =>
+    rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+  switch (rule.freq) {
+    case "DAILY":
+      return every("day");
+    case "WEEKLY": {
+      const days = rule.byDay
+        .map((day) => day.weekday)
+        .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)); // Monday first
+      if (rule.interval === 1 && days.join() === "1,2,3,4,5") {
+        return "Every weekday";
+      }
+      return days.length > 0
+        ? `${every("week")} on ${days.map((d) => WEEKDAY_NAMES[d]).join(", ")}`
+        : every("week");
+    }
+    case "MONTHLY": {
+      if (rule.byDay.length > 0) {
+        const positions = rule.byDay.map((day) => {
+          const position =
+            day.n > 0
+              ? ORDINALS[day.n]
+              : day.n === -1
+              ? "last"
+              : `${ORDINALS[-day.n]} to last`;
+          return `${position} ${WEEKDAY_NAMES[day.weekday]}`;
+        });
+        return `${every("month")} on the ${positions.join(" and ")}`;
+      }
+      if (rule.byMonthDay !== null) {
+        return `${every("month")} on ${
+          rule.byMonthDay === -1 ? "the last day" : `day ${rule.byMonthDay}`
+        }`;
+      }
+      return every("month");
+    }
+    default:
+      return ruleString;
+  }
+}
+
+module.exports = {
+  RecurrenceError,
+  parseRule,
+  formatRule,
+  nextOccurrence,
+  describeRule,
+};
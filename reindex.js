@@ -0,0 +1,124 @@
+// Re-embeds every todo into a second table for a new embedding model. The
+// target table is only ever added to, so the job can stop at any point (app
+// closed, crash) and resume by skipping ids the target already has. Trashed
+// todos are copied too, so they keep working after a restore.
+
+const { sqlString } = require("./sql");
+
+class ReindexCancelledError extends Error {
+  constructor() {
+    super("Re-indexing was cancelled.");
+    this.name = "ReindexCancelledError";
+  }
+}
+
+// Reads every row of `tbl`; filter-only queries default to a limit of 10.
+async function readAllRows(tbl, columns) {
+  const count = await tbl.countRows();
+  if (count === 0) return [];
+  let query = tbl.filter("id IS NOT NULL");
+  if (columns) query = query.select(columns);
+  return query.limit(count).execute();
+}
+
+// A source row with a new vector, in the shape new rows are written in.
+function withVector(row, vector) {
+  const copy = { ...row, vector };
+  delete copy._distance;
+  copy.timestamp = Number(row.timestamp);
+  return copy;
+}
+
+// Everything but the vector, for spotting rows changed in place (completion,
+// trash, reparenting and the like don't touch `updatedAt`).
+function fieldsOf(row) {
+  const fields = { ...withVector(row, null) };
+  delete fields.vector;
+  return JSON.stringify(fields, Object.keys(fields).sort());
+}
+
+/**
+ * Copies `source` into `target`, embedding each row's text with `embed`
+ * (texts -> vectors) in batches of `batchSize`, then catches up on todos
+ * added, edited or purged in `source` while it ran. Call `catchUp` again
+ * right before switching over to pick up the last changes.
+ *
+ * `onProgress({ phase, processed, total })` reports progress;
+ * `isCancelled()` is checked between batches.
+ */
+async function runReindex({
+  source,
+  target,
+  embed,
+  batchSize = 16,
+  onProgress = () => {},
+  isCancelled = () => false,
+  log = console.log,
+}) {
+  const done = new Set((await readAllRows(target, ["id"])).map((r) => r.id));
+  const pending = (await readAllRows(source)).filter((r) => !done.has(r.id));
+  const total = done.size + pending.length;
+  log(`Re-indexing ${pending.length} todo(s); ${done.size} already done.`);
+  onProgress({ phase: "embedding", processed: done.size, total });
+  for (let i = 0; i < pending.length; i += batchSize) {
+    if (isCancelled()) throw new ReindexCancelledError();
+    const batch = pending.slice(i, i + batchSize);
+    const vectors = await embed(batch.map((row) => row.text));
+    await target.add(
+      batch.map((row, index) => withVector(row, vectors[index]))
+    );
+    onProgress({
+      phase: "embedding",
+      processed: done.size + i + batch.length,
+      total,
+    });
+  }
+  if (isCancelled()) throw new ReindexCancelledError();
+  onProgress({ phase: "catching-up", processed: total, total });
+  await catchUp({ source, target, embed, log });
+}
+
+/**
+ * Makes `target` match `source` row for row: adds missing todos, re-embeds
+ * ones whose text changed, copies other changes keeping the target's
+ * vector, and deletes todos that are gone from `source`. Returns the number
+ * of rows changed.
+ */
+async function catchUp({ source, target, embed, log = console.log }) {
+  const sourceRows = await readAllRows(source);
+  const targetRows = new Map(
+    (await readAllRows(target)).map((row) => [row.id, row])
+  );
+  const reembed = [];
+  const copy = [];
+  sourceRows.forEach((row) => {
+    const existing = targetRows.get(row.id);
+    targetRows.delete(row.id);
+    if (!existing || existing.text !== row.text) {
+      reembed.push(row);
+    } else if (fieldsOf(existing) !== fieldsOf(row)) {
+      copy.push(withVector(row, Array.from(existing.vector)));
+    }
+  });
+  const vectors = await embed(reembed.map((row) => row.text));
+  const changed = [
+    ...reembed.map((row, index) => withVector(row, vectors[index])),
+    ...copy,
+  ];
+  if (changed.length > 0) {
+    await target.mergeInsert("id", changed, {
+      whenMatchedUpdateAll: true,
+      whenNotMatchedInsertAll: true,
+    });
+  }
+  const removed = [...targetRows.keys()];
+  if (removed.length > 0) {
+    await target.delete(`id IN (${removed.map(sqlString).join(", ")})`);
+  }
+  if (changed.length + removed.length > 0) {
+    log(`Caught up ${changed.length} changed and ${removed.length} removed.`);
+  }
+  return changed.length + removed.length;
+}
+
+module.exports = { ReindexCancelledError, runReindex, catchUp };
@@ -0,0 +1,144 @@
+// Due-date helpers and the reminder scheduler. Nothing here touches LanceDB or
+// Electron directly: the scheduler is handed functions to look reminders up
+// and deliver them, and a clock, so it can be driven headlessly with a fake
+// clock.
+
+// Timers are re-armed at least this often, so a clock change or a machine
+// that slept through a long timer still fires close to the reminder time.
+const MAX_TIMER_DELAY_MS = 10 * 60 * 1000;
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+};
+
+function startOfLocalDay(ms) {
+  const date = new Date(ms);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Time range for the Overdue / Today / Upcoming views, in local time:
+ * overdue is anything due before `now`, today is the current calendar day,
+ * upcoming is everything after it. Returns { from, to } (either may be null).
+ */
+function dueViewRange(view, now) {
+  const today = startOfLocalDay(now);
+  const tomorrow = new Date(today);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  switch (view) {
+    case "overdue":
+      return { from: null, to: now };
+    case "today":
+      return { from: today, to: tomorrow.getTime() };
+    case "upcoming":
+      return { from: tomorrow.getTime(), to: null };
+    default:
+      throw new Error(`Unknown due view: ${view}`);
+  }
+}
+
+/**
+ * Fires reminders when they come due.
+ *
+ *   findDue(now)       -> rows whose reminder is at or before `now` and has
+ *                         not been delivered yet
+ *   findNext(now)      -> the earliest pending reminder time after `now`, or
+ *                         null
+ *   markDelivered(ids, now)
+ *   deliver(rows, { catchUp }) -> show the reminders; `catchUp` is set for
+ *                         the check at start-up, which picks up reminders
+ *                         missed while the app was closed
+ *
+ * Checks never overlap: a reschedule during a check runs after it.
+ */
+class ReminderScheduler {
+  constructor({
+    findDue,
+    findNext,
+    markDelivered,
+    deliver,
+    clock = systemClock,
+    log = console.log,
+  }) {
+    this.findDue = findDue;
+    this.findNext = findNext;
+    this.markDelivered = markDelivered;
+    this.deliver = deliver;
+    this.clock = clock;
+    this.log = log;
+    this.timer = null;
+    this.running = false;
+    this.queue = Promise.resolve();
+  }
+
+  start() {
+    this.running = true;
+    return this.enqueue(true);
+  }
+
+  stop() {
+    this.running = false;
+    this.clearTimer();
+  }
+
+  // Call whenever reminders change (added, edited, completed, deleted).
+  reschedule() {
+    return this.running ? this.enqueue(false) : Promise.resolve();
+  }
+
+  enqueue(catchUp) {
+    this.queue = this.queue.then(() => this.check(catchUp));
+    return this.queue;
+  }
+
+  clearTimer() {
+    if (this.timer !== null) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  arm(delay) {
+    this.clearTimer();
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      this.reschedule();
+    }, Math.min(Math.max(0, delay), MAX_TIMER_DELAY_MS));
+  }
+
+  async check(catchUp) {
+    if (!this.running) return;
+    this.clearTimer();
+    try {
+      const now = this.clock.now();
+      const due = await this.findDue(now);
+      if (due.length > 0) {
+        // Marked first so a failing notification is never repeated forever.
+        await this.markDelivered(
+          due.map((row) => row.id),
+          now
+        );
+        this.deliver(due, { catchUp });
+        this.log(`Delivered ${due.length} reminder(s).`);
+      }
+      const next = await this.findNext(now);
+      if (next !== null && this.running) {
+        this.arm(next - now);
+      }
+    } catch (error) {
+      console.error("Error checking reminders:", error);
+      if (this.running) this.arm(MAX_TIMER_DELAY_MS);
+    }
+  }
+}
+
+module.exports = {
+  ReminderScheduler,
+  systemClock,
+  startOfLocalDay,
+  dueViewRange,
+  MAX_TIMER_DELAY_MS,
+};
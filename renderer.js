@@ -1,21 +1,237 @@
 const todoInput = document.getElementById("todo-input");
+const todoProjectInput = document.getElementById("todo-project-input");
+const todoDueInput = document.getElementById("todo-due-input");
+const todoRemindInput = document.getElementById("todo-remind-input");
+const todoRepeatSelect = document.getElementById("todo-repeat-select");
+const todoRruleInput = document.getElementById("todo-rrule-input");
+const todoPrioritySelect = document.getElementById("todo-priority-select");
+const todoEntryPreview = document.getElementById("todo-entry-preview");
+const todoEntryPreviewText = document.getElementById("todo-entry-preview-text");
+const keepEntryTextBtn = document.getElementById("keep-entry-text-btn");
+const editScopeSelect = document.getElementById("edit-scope-select");
 const addTodoBtn = document.getElementById("add-todo-btn");
 const todoList = document.getElementById("todo-list");
 const searchInput = document.getElementById("search-input");
 const searchTodoBtn = document.getElementById("search-todo-btn");
+const searchModeSelect = document.getElementById("search-mode");
 const searchResultsList = document.getElementById("search-results-list");
 const initializationStatus = document.getElementById("initialization-status");
 const seedDataBtn = document.getElementById("seed-data-btn");
+const cancelSeedBtn = document.getElementById("cancel-seed-btn");
 const searchStartDateInput = document.getElementById("search-start-date");
 const clearSearchFiltersBtn = document.getElementById(
   "clear-search-filters-btn"
 );
 const searchEndDateInput = document.getElementById("search-end-date");
+const searchDateFieldSelect = document.getElementById("search-date-field");
+const searchSuggestionList = document.getElementById("search-suggestions");
+const searchQueryError = document.getElementById("search-query-error");
+
+// --- Multi-select and bulk action elements ---
+const bulkActionsBar = document.getElementById("bulk-actions");
+const bulkCountLabel = document.getElementById("bulk-count");
+const selectAllBtn = document.getElementById("select-all-btn");
+const clearSelectionBtn = document.getElementById("clear-selection-btn");
+const bulkCompleteBtn = document.getElementById("bulk-complete-btn");
+const bulkReopenBtn = document.getElementById("bulk-reopen-btn");
+const bulkTagInput = document.getElementById("bulk-tag-input");
+const bulkAddTagBtn = document.getElementById("bulk-add-tag-btn");
+const bulkRemoveTagBtn = document.getElementById("bulk-remove-tag-btn");
+const bulkExportBtn = document.getElementById("bulk-export-btn");
+const bulkDeleteBtn = document.getElementById("bulk-delete-btn");
+// Tabs whose todos can be selected.
+const SELECTABLE_TABS = ["todos-tab", "search-results-tab", "smart-list-tab"];
+// Pages fetched by "Select all" on the todos tab (the store's largest page).
+const SELECT_ALL_PAGE_SIZE = 500;
+// Selected todos by id, in the order they were selected.
+let selectedTodos = new Map();
+// Anchor for shift-click ranges.
+let lastSelectedTodoId = null;
+// What the search results and smart list tabs show, for ranges and select all.
+let shownSearchResults = [];
+let shownSmartListResults = [];
+
+// --- Smart list elements ---
+const saveSmartListBtn = document.getElementById("save-smart-list-btn");
+const smartListForm = document.getElementById("smart-list-form");
+const smartListNameInput = document.getElementById("smart-list-name");
+const smartListQueryInput = document.getElementById("smart-list-query");
+const smartListModeSelect = document.getElementById("smart-list-mode");
+const smartListRangeFieldSelect = document.getElementById(
+  "smart-list-range-field"
+);
+const smartListFromInput = document.getElementById("smart-list-from");
+const smartListBeforeInput = document.getElementById("smart-list-before");
+const smartListLimitInput = document.getElementById("smart-list-limit");
+const smartListScopeLabel = document.getElementById("smart-list-scope");
+const smartListSaveBtn = document.getElementById("smart-list-save-btn");
+const smartListCancelBtn = document.getElementById("smart-list-cancel-btn");
+const smartListTitle = document.getElementById("smart-list-title");
+const smartListSummary = document.getElementById("smart-list-summary");
+const smartListResults = document.getElementById("smart-list-results");
+const editSmartListBtn = document.getElementById("edit-smart-list-btn");
+const deleteSmartListBtn = document.getElementById("delete-smart-list-btn");
 
 // --- NEW: Tab elements ---
 const tabButtons = document.querySelectorAll(".tab-navigation .tab-button");
 const tabContents = document.querySelectorAll(".tabs-container .tab-content");
 
+// --- Completion status view ("active" | "completed" | "all") ---
+const statusFilterButtons = document.querySelectorAll(".status-filter-btn");
+let currentStatusFilter = "all";
+
+// --- Due date views ("overdue" | "today" | "upcoming" | null) ---
+const dueFilterButtons = document.querySelectorAll(".due-filter-btn");
+let currentDueView = null;
+
+// --- Tag and project sidebar ---
+const projectFilterList = document.getElementById("project-filter-list");
+const tagFilterList = document.getElementById("tag-filter-list");
+const clearScopeBtn = document.getElementById("clear-scope-btn");
+const projectOptions = document.getElementById("project-options");
+let currentTagFilter = null;
+let currentProjectFilter = "";
+
+// --- Paginated, virtualized main list ---
+const todoListViewport = document.getElementById("todo-list-viewport");
+const todoSortSelect = document.getElementById("todo-sort");
+const todoCountLabel = document.getElementById("todo-count");
+// Rows are absolutely positioned, so their height and the gap between them
+// are set here rather than in styles.css.
+const TODO_ROW_HEIGHT = 56;
+const TODO_ROW_GAP = 8;
+const TODO_ROW_PITCH = TODO_ROW_HEIGHT + TODO_ROW_GAP;
+const TODO_PAGE_SIZE = 100;
+const VIRTUAL_OVERSCAN = 6; // Extra rows rendered above and below the viewport
+let loadedTodos = [];
+let totalTodoCount = 0;
+let nextTodoCursor = null;
+let isLoadingTodoPage = false;
+let todoListGeneration = 0; // Bumped on every reload to drop stale pages
+let renderScheduled = false;
+
+// --- Import / export elements ---
+const exportFormatSelect = document.getElementById("export-format");
+const exportIncludeVectorsCheckbox = document.getElementById(
+  "export-include-vectors"
+);
+const exportBtn = document.getElementById("export-btn");
+const importBtn = document.getElementById("import-btn");
+const importPreview = document.getElementById("import-preview");
+const importSummary = document.getElementById("import-summary");
+const importPreviewList = document.getElementById("import-preview-list");
+const importIncludeDuplicatesCheckbox = document.getElementById(
+  "import-include-duplicates"
+);
+const importProgress = document.getElementById("import-progress");
+const confirmImportBtn = document.getElementById("confirm-import-btn");
+const cancelImportBtn = document.getElementById("cancel-import-btn");
+const IMPORT_PREVIEW_LIMIT = 200; // Rows listed in the preview
+let pendingImportId = null;
+let importRunning = false; // True while run-import is writing todos
+
+// --- Trash and undo toast elements ---
+const trashList = document.getElementById("trash-list");
+const trashRetentionSelect = document.getElementById("trash-retention");
+const emptyTrashBtn = document.getElementById("empty-trash-btn");
+const toast = document.getElementById("toast");
+const toastMessage = document.getElementById("toast-message");
+const toastUndoBtn = document.getElementById("toast-undo-btn");
+const UNDO_TOAST_DURATION_MS = 8000;
+let toastTimer = null;
+let toastUndoAction = null;
+
+// --- Revision history panel elements ---
+const historyPanel = document.getElementById("history-panel");
+const historyCurrentText = document.getElementById("history-current-text");
+const historyList = document.getElementById("history-list");
+const closeHistoryBtn = document.getElementById("close-history-btn");
+let historyTodoId = null;
+
+// --- Notes panel elements ---
+const notesPanel = document.getElementById("notes-panel");
+const notesTodoText = document.getElementById("notes-todo-text");
+const notesView = document.getElementById("notes-view");
+const notesEditor = document.getElementById("notes-editor");
+const editNotesBtn = document.getElementById("edit-notes-btn");
+const saveNotesBtn = document.getElementById("save-notes-btn");
+const cancelNotesBtn = document.getElementById("cancel-notes-btn");
+const closeNotesBtn = document.getElementById("close-notes-btn");
+const notesStatus = document.getElementById("notes-status");
+const attachmentsList = document.getElementById("attachments-list");
+const addAttachmentsBtn = document.getElementById("add-attachments-btn");
+const attachmentsStatus = document.getElementById("attachments-status");
+let notesTodoId = null;
+let savedNotes = ""; // The shown todo's notes as stored
+
+// Subtasks
+const todoParentChip = document.getElementById("todo-parent-chip");
+const todoParentText = document.getElementById("todo-parent-text");
+const clearParentBtn = document.getElementById("clear-parent-btn");
+const todoRootDropZone = document.getElementById("todo-root-drop");
+const deleteDialog = document.getElementById("delete-dialog");
+const deleteDialogMessage = document.getElementById("delete-dialog-message");
+const deleteCascadeBtn = document.getElementById("delete-cascade-btn");
+const deletePromoteBtn = document.getElementById("delete-promote-btn");
+const deleteCancelBtn = document.getElementById("delete-cancel-btn");
+const TREE_INDENT = 24; // Pixels per nesting level
+let pendingParentTodo = null; // New todos are added under this todo
+let draggedTodoId = null;
+
+// Duplicates
+const duplicateDialog = document.getElementById("duplicate-dialog");
+const duplicateCandidateList = document.getElementById(
+  "duplicate-candidate-list"
+);
+const addAnywayBtn = document.getElementById("add-anyway-btn");
+const cancelAddBtn = document.getElementById("cancel-add-btn");
+const findDuplicatesBtn = document.getElementById("find-duplicates-btn");
+const duplicatesPanel = document.getElementById("duplicates-panel");
+const duplicateThresholdSelect = document.getElementById("duplicate-threshold");
+const duplicateGroupList = document.getElementById("duplicate-group-list");
+const mergeAllBtn = document.getElementById("merge-all-btn");
+const closeDuplicatesBtn = document.getElementById("close-duplicates-btn");
+
+// Related todos
+const relatedPanel = document.getElementById("related-panel");
+const relatedSourceText = document.getElementById("related-source-text");
+const relatedList = document.getElementById("related-list");
+const closeRelatedBtn = document.getElementById("close-related-btn");
+
+// Topics
+const topicCountSelect = document.getElementById("topic-count");
+const clusterTopicsBtn = document.getElementById("cluster-topics-btn");
+const topicsStatus = document.getElementById("topics-status");
+const topicList = document.getElementById("topic-list");
+
+// Embedding model
+const embeddingTypeSelect = document.getElementById("embedding-type");
+const embeddingModelInput = document.getElementById("embedding-model-name");
+const embeddingBaseUrlInput = document.getElementById("embedding-base-url");
+const embeddingApiKeyInput = document.getElementById("embedding-api-key");
+const switchEmbeddingBtn = document.getElementById("switch-embedding-btn");
+const embeddingCurrent = document.getElementById("embedding-current");
+const reindexStatus = document.getElementById("reindex-status");
+const reindexMessage = document.getElementById("reindex-message");
+const reindexProgress = document.getElementById("reindex-progress");
+const cancelReindexBtn = document.getElementById("cancel-reindex-btn");
+
+// Local API
+const apiEnabledCheckbox = document.getElementById("api-enabled");
+const apiAddress = document.getElementById("api-address");
+const apiTokenInput = document.getElementById("api-token");
+const regenerateApiTokenBtn = document.getElementById(
+  "regenerate-api-token-btn"
+);
+
+// Backups
+const backupIntervalSelect = document.getElementById("backup-interval");
+const backupKeepSelect = document.getElementById("backup-keep");
+const createBackupBtn = document.getElementById("create-backup-btn");
+const backupsStatus = document.getElementById("backups-status");
+const backupList = document.getElementById("backup-list");
+const tableVersionList = document.getElementById("table-version-list");
+
 // --- NEW: Elements for edit mode ---
 const editingTodoIdInput = document.getElementById("editing-todo-id");
 const updateTodoBtn = document.getElementById("update-todo-btn");
@@ -31,15 +247,28 @@ window.electronAPI.onInitializationError((errorMsg) => {
   initializationStatus.style.color = "red";
   // Disable inputs if initialization fails
   todoInput.disabled = true;
+  todoProjectInput.disabled = true;
+  todoDueInput.disabled = true;
+  todoRemindInput.disabled = true;
+  todoRepeatSelect.disabled = true;
+  todoRruleInput.disabled = true;
+  todoPrioritySelect.disabled = true;
   addTodoBtn.disabled = true;
   searchInput.disabled = true;
   searchTodoBtn.disabled = true;
+  searchModeSelect.disabled = true;
   updateTodoBtn.disabled = true;
   cancelEditBtn.disabled = true;
   seedDataBtn.disabled = true;
+  exportBtn.disabled = true;
+  importBtn.disabled = true;
   searchStartDateInput.disabled = true;
   searchEndDateInput.disabled = true;
   clearSearchFiltersBtn.disabled = true;
+  searchDateFieldSelect.disabled = true;
+  statusFilterButtons.forEach((button) => (button.disabled = true));
+  dueFilterButtons.forEach((button) => (button.disabled = true));
+  todoSortSelect.disabled = true;
   tabButtons.forEach((button) => (button.style.pointerEvents = "none"));
 });
 
@@ -48,26 +277,159 @@ window.electronAPI.onInitializationSuccess(() => {
   initializationStatus.style.color = "green";
   // Enable inputs
   todoInput.disabled = false;
+  todoProjectInput.disabled = false;
+  todoDueInput.disabled = false;
+  todoRemindInput.disabled = false;
+  todoRepeatSelect.disabled = false;
+  todoRruleInput.disabled = false;
+  todoPrioritySelect.disabled = false;
   addTodoBtn.disabled = false;
   searchInput.disabled = false;
   searchTodoBtn.disabled = false;
+  searchModeSelect.disabled = false;
   seedDataBtn.disabled = false;
   searchStartDateInput.disabled = false;
   searchEndDateInput.disabled = false;
   clearSearchFiltersBtn.disabled = false;
+  searchDateFieldSelect.disabled = false;
   tabButtons.forEach((button) => (button.style.pointerEvents = "auto"));
   // Update/Cancel buttons remain hidden until edit mode is entered
+  switchEmbeddingBtn.disabled = false;
+  apiEnabledCheckbox.disabled = false;
   fetchTodos();
+  fetchEmbeddingStatus();
+  fetchApiStatus();
+  loadSearchSyntax();
+  fetchSmartLists();
   showTab("todos-tab"); // Show default tab
 });
 
+// --- Todo entry preview ---
+// The main process reads dates, times and priority markers out of a new todo
+// ("renew passport next friday !high"); the chip under the input shows what
+// it understood. Dismissing the chip adds the text exactly as typed.
+const PRIORITY_LABELS = { 1: "Low", 2: "Medium", 3: "High" };
+const ENTRY_PREVIEW_DELAY_MS = 150;
+let parseEntryText = true;
+let entryPreviewTimer = null;
+let entryPreviewGeneration = 0;
+
+function resetEntryPreview() {
+  clearTimeout(entryPreviewTimer);
+  entryPreviewGeneration++;
+  parseEntryText = true;
+  todoEntryPreview.classList.add("hidden");
+}
+
+function describeEntry(entry) {
+  const parts = [];
+  if (entry.dueAt) {
+    const due = new Date(entry.dueAt);
+    const day = due.toLocaleDateString(undefined, {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      year:
+        due.getFullYear() === new Date().getFullYear() ? undefined : "numeric",
+    });
+    parts.push(
+      entry.hasTime
+        ? `Due ${day}, ${due.toLocaleTimeString(undefined, {
+            hour: "numeric",
+            minute: "2-digit",
+          })}`
+        : `Due ${day}`
+    );
+  }
+  if (entry.priority) parts.push(`${PRIORITY_LABELS[entry.priority]} priority`);
+  parts.push(...entry.tags.map((tag) => `#${tag}`));
+  return `${parts.join(" \u00B7 ")} \u2192 "${entry.text}"`;
+}
+
+async function updateEntryPreview() {
+  const text = todoInput.value;
+  const generation = ++entryPreviewGeneration;
+  const result = await window.electronAPI.parseTodoEntry(text);
+  if (generation !== entryPreviewGeneration) return; // Typed on meanwhile
+  if (!result.success || result.matches.length === 0) {
+    todoEntryPreview.classList.add("hidden");
+    return;
+  }
+  todoEntryPreviewText.textContent = describeEntry(result);
+  todoEntryPreviewText.title = `Understood: ${result.matches
+    .map((match) => match.text)
+    .join(", ")}`;
+  todoEntryPreview.classList.remove("hidden");
+}
+
+todoInput.addEventListener("input", () => {
+  clearTimeout(entryPreviewTimer);
+  if (todoInput.value.trim() === "") {
+    resetEntryPreview();
+    return;
+  }
+  if (!parseEntryText || editingTodoIdInput.value !== "") return;
+  entryPreviewTimer = setTimeout(updateEntryPreview, ENTRY_PREVIEW_DELAY_MS);
+});
+
+keepEntryTextBtn.addEventListener("click", () => {
+  resetEntryPreview();
+  parseEntryText = false; // Until the input is cleared
+  todoInput.focus();
+});
+
 addTodoBtn.addEventListener("click", async () => {
   const text = todoInput.value.trim();
   if (text) {
-    const result = await window.electronAPI.addTodo(text);
-    if (result.success && result.item) {
-      addTodoToDOM(result.item);
+    const options = {
+      project: todoProjectInput.value,
+      dueAt: fromDateTimeLocalValue(todoDueInput.value),
+      remindAt: fromDateTimeLocalValue(todoRemindInput.value),
+      recurrence: currentRecurrenceRule(),
+      parentId: pendingParentTodo ? pendingParentTodo.id : "",
+      priority: Number(todoPrioritySelect.value),
+      // Dates and priority written in the text (see the preview chip).
+      parse: parseEntryText,
+    };
+    let result = await window.electronAPI.addTodo(text, options);
+    if (result.success && result.duplicates) {
+      // Likely duplicates: add anyway, merge into one of them, or stop.
+      const choice = await askDuplicateChoice(result.duplicates);
+      if (choice === null) return; // Keep the input so it can be reworded
+      result = await window.electronAPI.addTodo(
+        text,
+        choice === "add"
+          ? { ...options, allowDuplicate: true }
+          : { ...options, mergeInto: choice }
+      );
+    }
+    if (result.success && result.merged) {
+      fetchTodos({ keepScroll: true });
+      showUndoToast(`Merged into "${result.item.text}".`, null);
+      todoInput.value = "";
+      todoDueInput.value = "";
+      todoRemindInput.value = "";
+      todoRepeatSelect.value = "";
+      todoPrioritySelect.value = "0";
+      syncRepeatControls();
+      resetEntryPreview();
+      refreshTagSidebar();
+    } else if (result.success && result.item) {
+      if (hasScopeFilter() || currentDueView || result.item.parentId) {
+        // The new todo may fall outside the selected view, or sit under its
+        // parent in the tree.
+        fetchTodos({ keepScroll: Boolean(result.item.parentId) });
+      } else if (currentStatusFilter !== "completed") {
+        insertNewTodo(result.item);
+      }
       todoInput.value = "";
+      todoDueInput.value = "";
+      todoRemindInput.value = "";
+      todoRepeatSelect.value = "";
+      todoPrioritySelect.value = "0";
+      syncRepeatControls();
+      resetEntryPreview();
+      refreshTagSidebar();
     } else {
       alert(`Error adding todo: ${result.error || "Unknown error"}`);
     }
@@ -85,25 +447,47 @@ updateTodoBtn.addEventListener("click", async () => {
     return;
   }
 
-  // Check if text actually changed
-  if (originalTodoObjectForEdit && newText === originalTodoObjectForEdit.text) {
-    alert("No changes made to the todo text.");
+  const newProject = todoProjectInput.value.trim();
+  const newDueAt = fromDateTimeLocalValue(todoDueInput.value);
+  const newRemindAt = fromDateTimeLocalValue(todoRemindInput.value);
+  const newRecurrence = currentRecurrenceRule();
+  const newPriority = Number(todoPrioritySelect.value);
+  // Check if anything actually changed
+  if (
+    originalTodoObjectForEdit &&
+    newText === originalTodoObjectForEdit.text &&
+    newProject === (originalTodoObjectForEdit.project || "") &&
+    todoDueInput.value ===
+      toDateTimeLocalValue(originalTodoObjectForEdit.dueAt) &&
+    todoRemindInput.value ===
+      toDateTimeLocalValue(originalTodoObjectForEdit.remindAt) &&
+    newRecurrence === (originalTodoObjectForEdit.recurrence || "") &&
+    newPriority === (originalTodoObjectForEdit.priority || 0)
+  ) {
+    alert("No changes made to the todo.");
     exitEditMode();
     return;
   }
 
-  const result = await window.electronAPI.updateTodo(todoId, newText);
+  const result = await window.electronAPI.updateTodo(todoId, newText, {
+    project: newProject,
+    dueAt: newDueAt,
+    remindAt: newRemindAt,
+    recurrence: newRecurrence,
+    priority: newPriority,
+    scope: editScopeSelect.value,
+  });
   if (result.success && result.item) {
-    // Update the main list item if it exists
-    const mainListItem = todoList.querySelector(`li[data-id="${todoId}"]`);
-    if (mainListItem) {
-      mainListItem.querySelector(".todo-text").textContent = result.item.text;
-      mainListItem.querySelector(
-        ".todo-timestamp"
-      ).textContent = ` (Updated: ${new Date(
-        result.item.timestamp
-      ).toLocaleString()})`;
+    if (
+      hasScopeFilter() ||
+      currentDueView ||
+      editScopeSelect.value === "series"
+    ) {
+      fetchTodos(); // The edit may move it out of the view or touch other rows
+    } else {
+      updateLoadedTodo(result.item);
     }
+    refreshTagSidebar();
 
     // Update the search result item if it was being edited from search results
     if (originalTextSpanForEdit && originalTimestampSpanForEdit) {
@@ -111,7 +495,7 @@ updateTodoBtn.addEventListener("click", async () => {
       if (document.body.contains(originalTextSpanForEdit)) {
         originalTextSpanForEdit.textContent = result.item.text;
         originalTimestampSpanForEdit.textContent = ` (Updated: ${new Date(
-          result.item.timestamp
+          result.item.updatedAt
         ).toLocaleString()})`;
       }
     }
@@ -138,7 +522,8 @@ cancelEditBtn.addEventListener("click", () => {
 });
 
 searchTodoBtn.addEventListener("click", async () => {
-  const query = searchInput.value.trim();
+  // Untrimmed, so syntax error positions line up with the search box.
+  const query = searchInput.value;
   const startDate = searchStartDateInput.value; // YYYY-MM-DD or empty
   const endDate = searchEndDateInput.value; // YYYY-MM-DD or empty
 
@@ -151,11 +536,17 @@ searchTodoBtn.addEventListener("click", async () => {
   const result = await window.electronAPI.searchTodos(
     query,
     startDate || null,
-    endDate || null
+    endDate || null,
+    searchModeSelect.value,
+    { ...currentScope(), dateField: searchDateFieldSelect.value }
   );
   if (result.success) {
+    showQueryErrors([]);
+    if (isTabActive("search-results-tab")) clearSelection();
     showTab("search-results-tab"); // Switch to search results tab
     renderSearchResults(result.results);
+  } else if (result.syntaxErrors && result.syntaxErrors.length > 0) {
+    showQueryErrors(result.syntaxErrors); // Shown under the search box
   } else {
     alert(`Error searching todos: ${result.error || "Unknown error"}`);
     showTab("search-results-tab"); // Still switch to show error or empty state
@@ -171,8 +562,10 @@ clearSearchFiltersBtn.addEventListener("click", () => {
     return;
   }
   searchInput.value = "";
+  showQueryErrors([]);
   searchStartDateInput.value = "";
   searchEndDateInput.value = "";
+  searchDateFieldSelect.value = "created";
   searchResultsList.innerHTML = ""; // Clear the displayed search results
 
   // Optionally, if on search tab and it's now empty, switch to todos tab
@@ -185,28 +578,140 @@ clearSearchFiltersBtn.addEventListener("click", () => {
   }
 });
 
-async function fetchTodos() {
+// `keepScroll` reloads in place, for changes that only reshape the tree.
+async function fetchTodos({ keepScroll = false } = {}) {
   if (todoInput.disabled) {
     initializationStatus.textContent =
       "Waiting for initialization to complete...";
     return;
   }
   initializationStatus.textContent = "Fetching todos...";
-  const result = await window.electronAPI.getTodos();
-  if (result.success) {
-    todoList.innerHTML = "";
-    if (result.todos && result.todos.length > 0) {
-      result.todos.forEach((todo) => addTodoToDOM(todo, false));
-      initializationStatus.textContent = "Todos loaded.";
-    } else {
-      initializationStatus.textContent = "No todos yet. Add one!";
-    }
+  todoListGeneration++;
+  loadedTodos = [];
+  totalTodoCount = 0;
+  nextTodoCursor = null;
+  isLoadingTodoPage = false;
+  const scrollTop = keepScroll ? todoListViewport.scrollTop : 0;
+  todoListViewport.scrollTop = 0;
+  refreshTagSidebar();
+  const loaded = await loadNextTodoPage();
+  if (!loaded) return;
+  if (scrollTop > 0) {
+    todoListViewport.scrollTop = scrollTop;
+    renderVisibleTodos();
+  }
+  if (loadedTodos.length > 0) {
+    initializationStatus.textContent = "Todos loaded.";
   } else {
+    initializationStatus.textContent = "No todos yet. Add one!";
+  }
+}
+
+// Fetches the page after `nextTodoCursor` and appends it to `loadedTodos`.
+async function loadNextTodoPage() {
+  if (isLoadingTodoPage) return true;
+  const generation = todoListGeneration;
+  isLoadingTodoPage = true;
+  const result = await window.electronAPI.getTodos({
+    status: currentStatusFilter,
+    sort: todoSortSelect.value,
+    cursor: nextTodoCursor,
+    limit: TODO_PAGE_SIZE,
+    ...currentScope(),
+    due: currentDueView,
+  });
+  if (generation !== todoListGeneration) {
+    return true; // A newer fetchTodos() has replaced this list
+  }
+  isLoadingTodoPage = false;
+  if (!result.success) {
     initializationStatus.textContent = `Error fetching todos: ${
       result.error || "Unknown error"
     }`;
     initializationStatus.style.color = "red";
+    return false;
+  }
+  loadedTodos = loadedTodos.concat(result.todos);
+  totalTodoCount = result.total;
+  nextTodoCursor = result.nextCursor;
+  renderVisibleTodos();
+  return true;
+}
+
+// Renders only the rows inside (or near) the visible part of the list. The
+// list itself is sized for every todo so the scrollbar reflects the total.
+function renderVisibleTodos() {
+  const rowCount = nextTodoCursor
+    ? Math.max(totalTodoCount, loadedTodos.length)
+    : loadedTodos.length;
+  todoList.style.height = `${rowCount * TODO_ROW_PITCH}px`;
+
+  const scrollTop = todoListViewport.scrollTop;
+  const viewportHeight = todoListViewport.clientHeight || 480;
+  const first = Math.max(
+    0,
+    Math.floor(scrollTop / TODO_ROW_PITCH) - VIRTUAL_OVERSCAN
+  );
+  const last = Math.min(
+    loadedTodos.length,
+    Math.ceil((scrollTop + viewportHeight) / TODO_ROW_PITCH) + VIRTUAL_OVERSCAN
+  );
+
+  const fragment = document.createDocumentFragment();
+  for (let i = first; i < last; i++) {
+    const li = createTodoElement(loadedTodos[i]);
+    li.style.top = `${i * TODO_ROW_PITCH}px`;
+    li.style.height = `${TODO_ROW_HEIGHT}px`;
+    fragment.appendChild(li);
+  }
+  todoList.replaceChildren(fragment);
+
+  todoCountLabel.textContent =
+    totalTodoCount > 0
+      ? `Showing ${loadedTodos.length} of ${totalTodoCount} todos`
+      : "";
+
+  // Load the next page once the user scrolls close to the end of what's loaded.
+  if (nextTodoCursor && last >= loadedTodos.length - VIRTUAL_OVERSCAN) {
+    loadNextTodoPage();
+  }
+}
+
+function scheduleRenderVisibleTodos() {
+  if (renderScheduled) return;
+  renderScheduled = true;
+  requestAnimationFrame(() => {
+    renderScheduled = false;
+    renderVisibleTodos();
+  });
+}
+
+// Places a freshly added todo in the list. Only the newest-first order puts
+// it at a known position; other orders are reloaded from the main process.
+function insertNewTodo(todo) {
+  if (todoSortSelect.value !== "newest") {
+    fetchTodos();
+    return;
   }
+  loadedTodos.unshift(todo);
+  totalTodoCount++;
+  renderVisibleTodos();
+}
+
+// Replaces a loaded todo with the copy returned by an update.
+function updateLoadedTodo(item) {
+  const index = loadedTodos.findIndex((todo) => todo.id === item.id);
+  if (index === -1) return;
+  loadedTodos[index] = { ...loadedTodos[index], ...item };
+  renderVisibleTodos();
+}
+
+function removeLoadedTodo(todoId) {
+  const index = loadedTodos.findIndex((todo) => todo.id === todoId);
+  if (index === -1) return;
+  loadedTodos.splice(index, 1);
+  totalTodoCount = Math.max(0, totalTodoCount - 1);
+  renderVisibleTodos();
 }
 
 // --- MODIFIED: enterEditMode and exitEditMode ---
@@ -224,6 +729,17 @@ function enterEditMode(
     return;
   }
   todoInput.value = currentText;
+  todoProjectInput.value = todoObject.project || "";
+  todoDueInput.value = toDateTimeLocalValue(todoObject.dueAt);
+  todoRemindInput.value = toDateTimeLocalValue(todoObject.remindAt);
+  setRepeatControls(todoObject.recurrence, todoObject.dueAt);
+  todoPrioritySelect.value = String(todoObject.priority || 0);
+  // Text being edited is saved as written; only new todos are parsed.
+  resetEntryPreview();
+  // Repeating todos can be edited one occurrence at a time or as a series.
+  editScopeSelect.value = "instance";
+  editScopeSelect.classList.toggle("hidden", !todoObject.recurrence);
+  syncRepeatControls();
   editingTodoIdInput.value = todoId;
 
   addTodoBtn.classList.add("hidden");
@@ -240,14 +756,23 @@ function enterEditMode(
   // Optionally, disable other interactions
   searchInput.disabled = true;
   searchTodoBtn.disabled = true;
+  searchModeSelect.disabled = true;
   document
     .querySelectorAll('.search-filters input[type="date"]')
     .forEach((input) => (input.disabled = true));
   // Disable tab switching during edit
   tabButtons.forEach((button) => (button.style.pointerEvents = "none"));
+  statusFilterButtons.forEach((button) => (button.disabled = true));
+  todoSortSelect.disabled = true;
+  searchDateFieldSelect.disabled = true;
+  dueFilterButtons.forEach((button) => (button.disabled = true));
+  setSidebarDisabled(true);
+  updateBulkActions();
 
   document
-    .querySelectorAll("#todo-list li button, #search-results-list li button")
+    .querySelectorAll(
+      "#todo-list li button, #search-results-list li button, li .todo-complete-checkbox"
+    )
     .forEach((b) => {
       if (b !== updateTodoBtn && b !== cancelEditBtn) b.disabled = true;
     });
@@ -255,6 +780,14 @@ function enterEditMode(
 
 function exitEditMode() {
   todoInput.value = "";
+  todoProjectInput.value = "";
+  todoDueInput.value = "";
+  todoRemindInput.value = "";
+  todoRepeatSelect.value = "";
+  todoPrioritySelect.value = "0";
+  editScopeSelect.classList.add("hidden");
+  editScopeSelect.value = "instance";
+  syncRepeatControls();
   editingTodoIdInput.value = "";
 
   addTodoBtn.classList.remove("hidden");
@@ -270,20 +803,60 @@ function exitEditMode() {
     // Only if not in init error state
     searchInput.disabled = false;
     searchTodoBtn.disabled = false;
+    searchModeSelect.disabled = false;
     document
       .querySelectorAll('.search-filters input[type="date"]')
       .forEach((input) => (input.disabled = false));
     // Re-enable tab switching
     tabButtons.forEach((button) => (button.style.pointerEvents = "auto"));
+    statusFilterButtons.forEach((button) => (button.disabled = false));
+    todoSortSelect.disabled = false;
+    searchDateFieldSelect.disabled = false;
+    dueFilterButtons.forEach((button) => (button.disabled = false));
+    setSidebarDisabled(false);
+    updateBulkActions();
     document
-      .querySelectorAll("#todo-list li button, #search-results-list li button")
+      .querySelectorAll(
+        "#todo-list li button, #search-results-list li button, li .todo-complete-checkbox"
+      )
       .forEach((b) => (b.disabled = false));
   }
 }
 
-function addTodoToDOM(todo, isSearchResult = false) {
+const MATCH_LABELS = {
+  keyword: "Matched by keyword",
+  semantic: "Matched by meaning",
+  both: "Matched by keyword and meaning",
+  filter: "Matched by filters",
+};
+
+function createTodoElement(todo, isSearchResult = false) {
   const li = document.createElement("li");
   li.dataset.id = todo.id;
+  li.classList.toggle("completed", Boolean(todo.completed));
+  if (!isSearchResult) {
+    li.style.paddingLeft = `${10 + (todo.depth || 0) * TREE_INDENT}px`;
+    addTreeControls(li, todo);
+  }
+
+  const selectCheckbox = document.createElement("input");
+  selectCheckbox.type = "checkbox";
+  selectCheckbox.className = "todo-select-checkbox";
+  selectCheckbox.checked = selectedTodos.has(todo.id);
+  selectCheckbox.title = "Select (shift-click selects a range)";
+  li.classList.toggle("selected", selectCheckbox.checked);
+  selectCheckbox.addEventListener("click", (event) =>
+    handleSelectClick(todo, selectCheckbox.checked, event.shiftKey)
+  );
+
+  const completeCheckbox = document.createElement("input");
+  completeCheckbox.type = "checkbox";
+  completeCheckbox.className = "todo-complete-checkbox";
+  completeCheckbox.checked = Boolean(todo.completed);
+  completeCheckbox.title = "Mark as done";
+  completeCheckbox.addEventListener("change", () =>
+    handleToggleCompleted(todo, completeCheckbox)
+  );
 
   const contentDiv = document.createElement("div");
   contentDiv.className = "todo-content";
@@ -291,20 +864,131 @@ function addTodoToDOM(todo, isSearchResult = false) {
   const textSpan = document.createElement("span");
   textSpan.className = "todo-text";
   textSpan.textContent = todo.text;
+  textSpan.title = todo.text;
   contentDiv.appendChild(textSpan);
 
+  // Project badge and date share one line so list rows keep their height.
+  const metaDiv = document.createElement("div");
+  metaDiv.className = "todo-meta";
+  // Search hits and subtasks whose parent is filtered out show their place
+  // in the tree; nested rows already sit under their parent.
+  if (todo.parentPath && todo.parentPath.length > 0 && !todo.depth) {
+    const pathSpan = document.createElement("span");
+    pathSpan.className = "todo-parent-path";
+    pathSpan.textContent = `${todo.parentPath
+      .map((ancestor) => ancestor.text)
+      .join(" \u203A ")} \u203A`;
+    pathSpan.title = pathSpan.textContent;
+    metaDiv.appendChild(pathSpan);
+  }
+  if (todo.progress) {
+    const progressSpan = document.createElement("span");
+    progressSpan.className = "todo-progress";
+    progressSpan.classList.toggle(
+      "done",
+      todo.progress.done === todo.progress.total
+    );
+    progressSpan.textContent = `${todo.progress.done}/${todo.progress.total}`;
+    progressSpan.title = `${todo.progress.done} of ${todo.progress.total} subtasks done`;
+    metaDiv.appendChild(progressSpan);
+  }
+  if (todo.priority) {
+    const prioritySpan = document.createElement("span");
+    prioritySpan.className = `todo-priority priority-${todo.priority}`;
+    prioritySpan.textContent = PRIORITY_LABELS[todo.priority];
+    prioritySpan.title = `${PRIORITY_LABELS[todo.priority]} priority`;
+    metaDiv.appendChild(prioritySpan);
+  }
+  if (todo.project) {
+    const projectSpan = document.createElement("span");
+    projectSpan.className = "todo-project";
+    projectSpan.textContent = todo.project;
+    metaDiv.appendChild(projectSpan);
+  }
+  contentDiv.appendChild(metaDiv);
+
+  if (todo.dueAt) {
+    const dueSpan = document.createElement("span");
+    dueSpan.className = "todo-due";
+    dueSpan.classList.toggle(
+      "overdue",
+      !todo.completed && todo.dueAt < Date.now()
+    );
+    dueSpan.textContent = `Due ${new Date(todo.dueAt).toLocaleString()}`;
+    if (todo.remindAt) {
+      dueSpan.textContent += " \u23F0";
+      dueSpan.title = `Reminder: ${new Date(todo.remindAt).toLocaleString()}`;
+    }
+    metaDiv.appendChild(dueSpan);
+  } else if (todo.remindAt) {
+    const remindSpan = document.createElement("span");
+    remindSpan.className = "todo-due";
+    remindSpan.textContent = `Reminder ${new Date(
+      todo.remindAt
+    ).toLocaleString()}`;
+    metaDiv.appendChild(remindSpan);
+  }
+
+  if (todo.recurrence) {
+    const repeatSpan = document.createElement("span");
+    repeatSpan.className = "todo-repeat";
+    repeatSpan.textContent = `\u21BB ${todo.recurrenceText || todo.recurrence}`;
+    if (todo.nextOccurrenceAt) {
+      repeatSpan.title = `Next occurrence: ${new Date(
+        todo.nextOccurrenceAt
+      ).toLocaleString()}`;
+    } else if (todo.recurrenceError) {
+      repeatSpan.title = todo.recurrenceError;
+    }
+    metaDiv.appendChild(repeatSpan);
+  }
+
   const timestampSpan = document.createElement("span");
   timestampSpan.className = "todo-timestamp";
   const datePrefix =
-    todo.updatedTimestamp && todo.updatedTimestamp > todo.timestamp
-      ? "Updated"
-      : "Added";
+    todo.updatedAt && todo.updatedAt > todo.timestamp ? "Updated" : "Added";
   timestampSpan.textContent = ` (${datePrefix}: ${new Date(
-    todo.updatedTimestamp || todo.timestamp
+    todo.updatedAt || todo.timestamp
   ).toLocaleString()})`;
-  contentDiv.appendChild(timestampSpan);
+  metaDiv.appendChild(timestampSpan);
+
+  if (isSearchResult && todo.matchedBy) {
+    const matchSpan = document.createElement("span");
+    matchSpan.className = `todo-match todo-match-${todo.matchedBy}`;
+    matchSpan.textContent = MATCH_LABELS[todo.matchedBy];
+    if (todo.matchedTerms && todo.matchedTerms.length > 0) {
+      matchSpan.title = `Keywords: ${todo.matchedTerms.join(", ")}`;
+    }
+    contentDiv.appendChild(matchSpan);
+  }
+
+  // A hit found in the notes or an attached file quotes the passage;
+  // clicking opens the notes panel with it (or the file) highlighted.
+  if (isSearchResult && todo.matchedPassage) {
+    const passage = todo.matchedPassage.text.replace(/\s+/g, " ");
+    const attachment =
+      todo.matchedPassage.source === "attachment" &&
+      (todo.attachments || []).find(
+        (entry) => entry.id === todo.matchedPassage.sourceId
+      );
+    const passageDiv = document.createElement("div");
+    passageDiv.className = "todo-passage";
+    const quote = `\u201C${
+      passage.length > 160 ? `${passage.slice(0, 159)}\u2026` : passage
+    }\u201D`;
+    passageDiv.textContent = attachment
+      ? `${attachment.name}: ${quote}`
+      : quote;
+    passageDiv.title = attachment
+      ? `Matched in the attached file ${attachment.name}; click to show it`
+      : "Matched in the notes; click to open them";
+    passageDiv.addEventListener("click", () =>
+      openNotesPanel(todo.id, todo.matchedPassage)
+    );
+    contentDiv.appendChild(passageDiv);
+  }
 
-  if (isSearchResult && typeof todo.score !== "undefined") {
+  if (isSearchResult && typeof todo.score === "number") {
     const scoreSpan = document.createElement("span");
     scoreSpan.className = "todo-score";
     let scoreText = `(Score: ${todo.score.toFixed(4)})`;
@@ -327,22 +1011,74 @@ function addTodoToDOM(todo, isSearchResult = false) {
     enterEditMode(todo.id, todo.text, textSpan, timestampSpan, todo)
   );
 
+  const historyButton = document.createElement("button");
+  historyButton.textContent = "History";
+  historyButton.className = "history-btn";
+  historyButton.addEventListener("click", () => openHistoryPanel(todo.id));
+
+  const relatedButton = document.createElement("button");
+  relatedButton.textContent = "Related";
+  relatedButton.className = "related-btn";
+  relatedButton.title = "Show similar todos";
+  relatedButton.addEventListener("click", () => openRelatedPanel(todo.id));
+
+  const notesButton = document.createElement("button");
+  const attachmentCount = (todo.attachments || []).length;
+  notesButton.textContent = attachmentCount
+    ? `Notes (${attachmentCount})`
+    : "Notes";
+  notesButton.className = "notes-btn";
+  notesButton.title = attachmentCount
+    ? `Notes and ${attachmentCount} attached file(s)`
+    : "Notes and attached files";
+  notesButton.addEventListener("click", () => openNotesPanel(todo.id));
+
   const deleteButton = document.createElement("button");
   deleteButton.textContent = "Delete";
   deleteButton.className = "delete-btn";
-  deleteButton.addEventListener("click", () => handleDeleteTodo(todo.id));
+  deleteButton.addEventListener("click", () => handleDeleteTodo(todo));
+
+  const subtaskButton = document.createElement("button");
+  subtaskButton.textContent = "+ Subtask";
+  subtaskButton.className = "subtask-btn";
+  subtaskButton.title = "Add a subtask to this todo";
+  subtaskButton.addEventListener("click", () => setPendingParent(todo));
+
+  // Dismisses this occurrence of a repeating todo and moves to the next one.
+  const skipButton = document.createElement("button");
+  skipButton.textContent = "Skip";
+  skipButton.className = "skip-btn";
+  skipButton.title = "Skip to the next occurrence";
+  skipButton.addEventListener("click", () => handleSkipOccurrence(todo.id));
 
   actionsDiv.appendChild(editButton);
+  actionsDiv.appendChild(subtaskButton);
+  actionsDiv.appendChild(notesButton);
+  actionsDiv.appendChild(historyButton);
+  actionsDiv.appendChild(relatedButton);
+  if (todo.recurrence && !todo.completed) {
+    actionsDiv.appendChild(skipButton);
+  }
   actionsDiv.appendChild(deleteButton);
 
+  li.appendChild(selectCheckbox);
+  li.appendChild(completeCheckbox);
   li.appendChild(contentDiv);
   li.appendChild(actionsDiv);
 
-  if (isSearchResult) {
-    searchResultsList.appendChild(li);
-  } else {
-    todoList.prepend(li);
+  // Rows can be re-created while scrolling during an edit; keep them locked.
+  if (editingTodoIdInput.value !== "") {
+    completeCheckbox.disabled = true;
+    editButton.disabled = true;
+    historyButton.disabled = true;
+    notesButton.disabled = true;
+    relatedButton.disabled = true;
+    skipButton.disabled = true;
+    deleteButton.disabled = true;
+    subtaskButton.disabled = true;
+    li.draggable = false;
   }
+  return li;
 }
 
 // --- REMOVE OLD handleEditTodo that uses prompt ---
@@ -355,37 +1091,112 @@ function addTodoToDOM(todo, isSearchResult = false) {
 //   }
 // }
 
-async function handleDeleteTodo(todoId) {
-  if (editingTodoIdInput.value === todoId) {
+async function handleDeleteTodo(todo) {
+  if (editingTodoIdInput.value === todo.id) {
     alert(
       "Cannot delete a todo that is currently being edited. Please cancel editing first."
     );
     return;
   }
-  if (confirm("Are you sure you want to delete this todo?")) {
-    const result = await window.electronAPI.deleteTodo(todoId);
-    if (result.success) {
-      const mainListItem = todoList.querySelector(`li[data-id="${result.id}"]`);
-      if (mainListItem) {
-        mainListItem.remove();
-      }
+  // Deleting only moves the todo to the trash, so no confirm(); the toast
+  // offers an immediate undo instead. Only a todo with subtasks asks what to
+  // do with them.
+  const children = todo.childCount > 0 ? await askDeleteChildren(todo) : null;
+  if (children === "cancel") return;
+  const result = await window.electronAPI.deleteTodo(todo.id, { children });
+  if (result.success) {
+    if (todo.childCount > 0 || todo.parentId) {
+      fetchTodos({ keepScroll: true }); // Subtasks and rollups change too
+    } else {
+      removeLoadedTodo(result.id);
+    }
+    refreshTagSidebar();
+    result.deletedIds.forEach((id) => {
       const searchResultItem = searchResultsList.querySelector(
-        `li[data-id="${result.id}"]`
+        `li[data-id="${id}"]`
       );
       if (searchResultItem) {
         searchResultItem.remove();
       }
-    } else {
-      alert(`Error deleting todo: ${result.error || "Unknown error"}`);
+    });
+    const message =
+      result.deletedIds.length > 1
+        ? `Todo and ${result.deletedIds.length - 1} subtask(s) moved to trash.`
+        : "Todo moved to trash.";
+    showUndoToast(message, async () => {
+      await restoreTodo(result.id);
+      // Promoted subtasks go back under the restored todo.
+      for (const childId of result.promotedIds) {
+        await window.electronAPI.moveTodo(childId, result.id);
+      }
+      if (result.promotedIds.length > 0) fetchTodos({ keepScroll: true });
+    });
+  } else {
+    alert(`Error deleting todo: ${result.error || "Unknown error"}`);
+  }
+}
+
+async function handleToggleCompleted(todo, checkbox) {
+  const completed = checkbox.checked;
+  checkbox.disabled = true;
+  const result = await window.electronAPI.toggleTodoCompleted(
+    todo.id,
+    completed
+  );
+  checkbox.disabled = false;
+  if (!result.success) {
+    checkbox.checked = !completed;
+    alert(`Error updating todo status: ${result.error || "Unknown error"}`);
+    return;
+  }
+  todo.completed = result.completed;
+  todo.completedAt = result.completedAt;
+
+  if (result.nextOccurrence) {
+    showUndoToast(
+      `Next occurrence due ${new Date(
+        result.nextOccurrence.dueAt
+      ).toLocaleString()}.`,
+      null
+    );
+    fetchTodos(); // Shows the new occurrence in its sorted position
+    return;
+  }
+
+  // Keep the same todo in sync across the main list and search results.
+  document.querySelectorAll(`li[data-id="${todo.id}"]`).forEach((li) => {
+    li.classList.toggle("completed", result.completed);
+    const otherCheckbox = li.querySelector(".todo-complete-checkbox");
+    if (otherCheckbox) otherCheckbox.checked = result.completed;
+  });
+
+  // A subtask's parents show its progress; reload them in place.
+  if (todo.parentId) {
+    fetchTodos({ keepScroll: true });
+    return;
+  }
+
+  // Update the loaded entry, or drop it if it no longer matches the view.
+  if (
+    (currentStatusFilter === "active" && result.completed) ||
+    (currentStatusFilter === "completed" && !result.completed)
+  ) {
+    removeLoadedTodo(todo.id);
+  } else {
+    const loadedTodo = loadedTodos.find((t) => t.id === todo.id);
+    if (loadedTodo) {
+      loadedTodo.completed = result.completed;
+      loadedTodo.completedAt = result.completedAt;
     }
   }
 }
 
 function renderSearchResults(results) {
   searchResultsList.innerHTML = "";
+  shownSearchResults = results;
   if (results.length === 0 && searchInput.value.trim() !== "") {
     const li = document.createElement("li");
-    li.textContent = "No semantic matches found.";
+    li.textContent = "No matches found.";
     li.style.justifyContent = "center";
     searchResultsList.appendChild(li);
     return;
@@ -394,19 +1205,41 @@ function renderSearchResults(results) {
     return;
   }
   results.forEach((result) => {
-    addTodoToDOM(
-      {
-        id: result.id,
-        text: result.text,
-        timestamp: result.timestamp,
-        updatedTimestamp: result.updatedTimestamp,
-        score: result.score,
-      },
-      true
-    );
+    searchResultsList.appendChild(createSearchResultElement(result));
   });
 }
 
+function createSearchResultElement(result) {
+  return createTodoElement(
+    {
+      id: result.id,
+      text: result.text,
+      timestamp: result.timestamp,
+      updatedAt: result.updatedAt,
+      completed: result.completed,
+      completedAt: result.completedAt,
+      tags: result.tags,
+      project: result.project,
+      dueAt: result.dueAt,
+      remindAt: result.remindAt,
+      recurrence: result.recurrence,
+      recurrenceText: result.recurrenceText,
+      nextOccurrenceAt: result.nextOccurrenceAt,
+      seriesId: result.seriesId,
+      parentId: result.parentId,
+      parentPath: result.parentPath,
+      childCount: result.childCount,
+      progress: result.progress,
+      priority: result.priority,
+      score: result.score,
+      matchedBy: result.matchedBy,
+      matchedTerms: result.matchedTerms,
+      matchedPassage: result.matchedPassage,
+    },
+    true
+  );
+}
+
 seedDataBtn.addEventListener("click", async () => {
   if (editingTodoIdInput.value !== "") {
     alert("Please finish or cancel your current edit before seeding data.");
@@ -419,8 +1252,15 @@ seedDataBtn.addEventListener("click", async () => {
   ) {
     seedDataBtn.disabled = true;
     seedDataBtn.textContent = "Seeding...";
+    cancelSeedBtn.disabled = false;
+    cancelSeedBtn.classList.remove("hidden");
     const result = await window.electronAPI.seedDemoData();
-    if (result.success) {
+    cancelSeedBtn.classList.add("hidden");
+    if (result.success && result.cancelled) {
+      alert(`Seeding cancelled after ${result.count} demo todos.`);
+      showTab("todos-tab");
+      fetchTodos();
+    } else if (result.success) {
       alert(
         `${result.count} demo todos seeded successfully! Refreshing list...`
       );
@@ -434,41 +1274,2611 @@ seedDataBtn.addEventListener("click", async () => {
   }
 });
 
-// --- NEW: Tab Switching Logic ---
-tabButtons.forEach((button) => {
+window.electronAPI.onSeedProgress((progress) => {
+  seedDataBtn.textContent = `Seeding... ${progress.processed} / ${progress.total}`;
+});
+
+cancelSeedBtn.addEventListener("click", async () => {
+  cancelSeedBtn.disabled = true;
+  await window.electronAPI.cancelSeed();
+});
+
+statusFilterButtons.forEach((button) => {
   button.addEventListener("click", () => {
-    if (editingTodoIdInput.value !== "") {
-      alert("Please finish or cancel your current edit before switching tabs.");
-      return;
-    }
-    showTab(button.dataset.tab);
+    currentStatusFilter = button.dataset.status;
+    statusFilterButtons.forEach((b) =>
+      b.classList.toggle("active", b === button)
+    );
+    clearSelection();
+    fetchTodos();
   });
 });
 
-function showTab(tabIdToShow) {
-  tabContents.forEach((content) => {
-    content.classList.remove("active");
-  });
-  tabButtons.forEach((button) => {
-    button.classList.remove("active");
+todoSortSelect.addEventListener("change", () => fetchTodos());
+
+dueFilterButtons.forEach((button) => {
+  button.addEventListener("click", () => {
+    // Clicking the active view again turns the due filter off.
+    currentDueView =
+      currentDueView === button.dataset.due ? null : button.dataset.due;
+    dueFilterButtons.forEach((b) =>
+      b.classList.toggle("active", b.dataset.due === currentDueView)
+    );
+    if (currentDueView) {
+      todoSortSelect.value = "due";
+    }
+    clearSelection();
+    fetchTodos();
   });
+});
 
-  const contentElementId = tabIdToShow + "-content";
-  const contentElement = document.getElementById(contentElementId);
-  if (contentElement) {
-    contentElement.classList.add("active");
+// --- Due dates and reminders ---
+
+// <input type="datetime-local"> works with local "YYYY-MM-DDTHH:mm" strings.
+function toDateTimeLocalValue(ms) {
+  if (!ms) return "";
+  const date = new Date(ms);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function fromDateTimeLocalValue(value) {
+  if (!value) return null;
+  const ms = new Date(value).getTime(); // No zone suffix, so local time
+  return isNaN(ms) ? null : ms;
+}
+
+// --- Recurrence ---
+const RRULE_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Builds the rule for a "Repeat" preset. Presets that depend on a weekday or
+// day of the month take it from the due date (or today if there is none).
+function buildRecurrenceRule(preset, baseMs) {
+  const base = new Date(baseMs || Date.now());
+  const weekday = RRULE_WEEKDAYS[base.getDay()];
+  const nth = Math.ceil(base.getDate() / 7);
+  switch (preset) {
+    case "daily":
+      return "FREQ=DAILY";
+    case "weekdays":
+      return "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR";
+    case "weekly":
+      return `FREQ=WEEKLY;BYDAY=${weekday}`;
+    case "biweekly":
+      return `FREQ=WEEKLY;INTERVAL=2;BYDAY=${weekday}`;
+    case "monthly-day":
+      return `FREQ=MONTHLY;BYMONTHDAY=${base.getDate()}`;
+    case "monthly-weekday":
+      // A fifth weekday doesn't exist every month, so use "last" instead.
+      return `FREQ=MONTHLY;BYDAY=${nth === 5 ? -1 : nth}${weekday}`;
+    default:
+      return "";
+  }
+}
+
+function currentRecurrenceRule() {
+  if (todoRepeatSelect.value === "custom") {
+    return todoRruleInput.value.trim();
+  }
+  return buildRecurrenceRule(
+    todoRepeatSelect.value,
+    fromDateTimeLocalValue(todoDueInput.value)
+  );
+}
+
+// Selects the preset that produces `rule`, or shows it as a custom rule.
+function setRepeatControls(rule, dueAt) {
+  todoRruleInput.value = "";
+  if (!rule) {
+    todoRepeatSelect.value = "";
+    return;
+  }
+  const preset = Array.from(todoRepeatSelect.options)
+    .map((option) => option.value)
+    .find((value) => value && buildRecurrenceRule(value, dueAt) === rule);
+  todoRepeatSelect.value = preset || "custom";
+  if (!preset) todoRruleInput.value = rule;
+}
+
+function syncRepeatControls() {
+  todoRruleInput.classList.toggle(
+    "hidden",
+    todoRepeatSelect.value !== "custom"
+  );
+  // Changing the rule is a series-wide change.
+  const instanceEdit =
+    !editScopeSelect.classList.contains("hidden") &&
+    editScopeSelect.value === "instance";
+  todoRepeatSelect.disabled = instanceEdit;
+  todoRruleInput.disabled = instanceEdit;
+}
+
+todoRepeatSelect.addEventListener("change", syncRepeatControls);
+editScopeSelect.addEventListener("change", syncRepeatControls);
+
+async function handleSkipOccurrence(todoId) {
+  const result = await window.electronAPI.skipOccurrence(todoId);
+  if (!result.success) {
+    alert(`Error skipping occurrence: ${result.error || "Unknown error"}`);
+    return;
+  }
+  showUndoToast(
+    `Skipped. Next occurrence due ${new Date(
+      result.item.dueAt
+    ).toLocaleString()}.`,
+    null
+  );
+  if (currentDueView || todoSortSelect.value === "due") {
+    fetchTodos(); // The new due date changes its place in the list
   } else {
-    console.error(
-      `Tab content element with ID "${contentElementId}" not found.`
-    );
+    updateLoadedTodo(result.item);
   }
+}
 
-  const buttonElement = document.querySelector(
-    `.tab-button[data-tab="${tabIdToShow}"]`
+window.electronAPI.onRemindersDue((todos) => {
+  showUndoToast(
+    todos.length === 1
+      ? `Reminder: ${todos[0].text}`
+      : `${todos.length} reminders are due.`,
+    null
   );
-  if (buttonElement) {
-    buttonElement.classList.add("active");
+  if (currentDueView) {
+    fetchTodos(); // Overdue/Today membership may have changed
+  }
+});
+
+// --- Tag and project filters ---
+
+function currentScope() {
+  return {
+    tags: currentTagFilter ? [currentTagFilter] : [],
+    project: currentProjectFilter,
+  };
+}
+
+function hasScopeFilter() {
+  return Boolean(currentTagFilter || currentProjectFilter);
+}
+
+function setSidebarDisabled(disabled) {
+  document
+    .querySelectorAll("#tag-sidebar button")
+    .forEach((button) => (button.disabled = disabled));
+}
+
+function createScopeButton(entry, label, isActive, onClick) {
+  const li = document.createElement("li");
+  const button = document.createElement("button");
+  button.className = "scope-filter-btn";
+  button.classList.toggle("active", isActive);
+  button.textContent = label;
+  const countSpan = document.createElement("span");
+  countSpan.className = "scope-count";
+  countSpan.textContent = entry.count;
+  button.appendChild(countSpan);
+  button.disabled = editingTodoIdInput.value !== "";
+  button.addEventListener("click", onClick);
+  li.appendChild(button);
+  return li;
+}
+
+async function refreshTagSidebar() {
+  const result = await window.electronAPI.getTags();
+  if (!result.success) {
+    console.error("Error loading tags:", result.error);
+    return;
+  }
+  projectFilterList.innerHTML = "";
+  projectOptions.innerHTML = "";
+  result.projects.forEach((entry) => {
+    projectFilterList.appendChild(
+      createScopeButton(
+        entry,
+        entry.name,
+        entry.name === currentProjectFilter,
+        () =>
+          setScopeFilter(
+            currentTagFilter,
+            entry.name === currentProjectFilter ? "" : entry.name
+          )
+      )
+    );
+    const option = document.createElement("option");
+    option.value = entry.name;
+    projectOptions.appendChild(option);
+  });
+  searchValueHints.project = result.projects.map((entry) => entry.name);
+  searchValueHints.tag = result.tags.map((entry) => entry.name);
+  tagFilterList.innerHTML = "";
+  result.tags.forEach((entry) => {
+    tagFilterList.appendChild(
+      createScopeButton(
+        entry,
+        `#${entry.name}`,
+        entry.name === currentTagFilter,
+        () =>
+          setScopeFilter(
+            entry.name === currentTagFilter ? null : entry.name,
+            currentProjectFilter
+          )
+      )
+    );
+  });
+  if (result.projects.length === 0) {
+    projectFilterList.innerHTML = '<li class="scope-empty">No projects</li>';
+  }
+  if (result.tags.length === 0) {
+    tagFilterList.innerHTML = '<li class="scope-empty">No #tags yet</li>';
+  }
+  clearScopeBtn.disabled = !hasScopeFilter() || editingTodoIdInput.value !== "";
+}
+
+// Applies a tag/project selection to the list and to any current search.
+function setScopeFilter(tag, project) {
+  currentTagFilter = tag;
+  currentProjectFilter = project;
+  clearSelection();
+  fetchTodos();
+  if (searchInput.value.trim()) {
+    searchTodoBtn.click();
+  }
+}
+
+clearScopeBtn.addEventListener("click", () => setScopeFilter(null, ""));
+
+todoListViewport.addEventListener("scroll", scheduleRenderVisibleTodos);
+window.addEventListener("resize", scheduleRenderVisibleTodos);
+
+// --- Search query syntax ---
+// The search box takes operators (tag:work, after:last-week, is:done, ...);
+// see query-syntax.js. Operators are autocompleted here, and the query is
+// checked by the main process as it is typed so mistakes show up inline.
+const QUERY_CHECK_DELAY_MS = 250;
+let searchOperators = [];
+// Values offered for tag: and project:, from the sidebar.
+const searchValueHints = { tag: [], project: [] };
+let searchSuggestions = [];
+let activeSuggestion = -1;
+let queryCheckTimer = null;
+let queryCheckGeneration = 0;
+
+async function loadSearchSyntax() {
+  const result = await window.electronAPI.getSearchSyntax();
+  if (result.success) {
+    searchOperators = result.operators;
   } else {
-    console.error(`Tab button with data-tab "${tabIdToShow}" not found.`);
+    console.error("Error loading search operators:", result.error);
   }
 }
+
+// The word being typed, from its start up to the cursor.
+function searchTokenAtCursor() {
+  const value = searchInput.value;
+  const cursor = searchInput.selectionStart;
+  let start = cursor;
+  while (start > 0 && !/\s/.test(value[start - 1])) start -= 1;
+  let end = cursor;
+  while (end < value.length && !/\s/.test(value[end])) end += 1;
+  return { start, end, text: value.slice(start, cursor) };
+}
+
+function quoteIfNeeded(value) {
+  return /\s/.test(value) ? `"${value}"` : value;
+}
+
+// Operator names for a partial word ("ta" -> "tag:"), then values once the
+// colon is typed ("is:d" -> "is:done").
+function searchSuggestionsFor(text) {
+  const beforeCursor = searchInput.value.slice(0, searchInput.selectionStart);
+  // Inside a quoted phrase there is nothing to complete.
+  if ((beforeCursor.match(/"/g) || []).length % 2 === 1) return [];
+  const negation = text.startsWith("-") ? "-" : "";
+  const body = text.slice(negation.length).toLowerCase();
+  if (!body) return [];
+  const colon = body.indexOf(":");
+  if (colon === -1) {
+    return searchOperators
+      .filter((operator) => operator.name.startsWith(body))
+      .map((operator) => ({
+        label: `${operator.name}:`,
+        description: operator.description,
+        insert: `${negation}${operator.name}:`,
+      }));
+  }
+  const name = body.slice(0, colon);
+  const partial = body.slice(colon + 1).replace(/^["#]/, "");
+  const operator = searchOperators.find((entry) => entry.name === name);
+  if (!operator) return [];
+  const values = operator.values || searchValueHints[name] || [];
+  return values
+    .filter(
+      (value) => value.toLowerCase().startsWith(partial) && value !== partial
+    )
+    .slice(0, 10)
+    .map((value) => ({
+      label: value,
+      description: "",
+      insert: `${negation}${name}:${quoteIfNeeded(value)} `,
+    }));
+}
+
+function renderSearchSuggestions() {
+  searchSuggestionList.innerHTML = "";
+  searchSuggestionList.classList.toggle(
+    "hidden",
+    searchSuggestions.length === 0
+  );
+  searchSuggestions.forEach((suggestion, index) => {
+    const li = document.createElement("li");
+    li.classList.toggle("active", index === activeSuggestion);
+    const label = document.createElement("span");
+    label.className = "suggestion-label";
+    label.textContent = suggestion.label;
+    li.appendChild(label);
+    if (suggestion.description) {
+      const description = document.createElement("span");
+      description.className = "suggestion-description";
+      description.textContent = suggestion.description;
+      li.appendChild(description);
+    }
+    // mousedown, so the input keeps focus.
+    li.addEventListener("mousedown", (event) => {
+      event.preventDefault();
+      acceptSearchSuggestion(index);
+    });
+    searchSuggestionList.appendChild(li);
+  });
+}
+
+function updateSearchSuggestions() {
+  searchSuggestions = searchSuggestionsFor(searchTokenAtCursor().text);
+  activeSuggestion = searchSuggestions.length > 0 ? 0 : -1;
+  renderSearchSuggestions();
+}
+
+function closeSearchSuggestions() {
+  searchSuggestions = [];
+  activeSuggestion = -1;
+  renderSearchSuggestions();
+}
+
+function acceptSearchSuggestion(index) {
+  const suggestion = searchSuggestions[index];
+  if (!suggestion) return;
+  const token = searchTokenAtCursor();
+  const value = searchInput.value;
+  searchInput.value =
+    value.slice(0, token.start) + suggestion.insert + value.slice(token.end);
+  const cursor = token.start + suggestion.insert.length;
+  searchInput.setSelectionRange(cursor, cursor);
+  searchInput.focus();
+  // An operator name is followed by its values.
+  updateSearchSuggestions();
+  scheduleQueryCheck();
+}
+
+// Lists the errors under the search box, each with the part of the query
+// it is about.
+function showQueryErrors(errors) {
+  searchQueryError.innerHTML = "";
+  searchQueryError.classList.toggle("hidden", errors.length === 0);
+  searchInput.classList.toggle("invalid", errors.length > 0);
+  errors.forEach((error) => {
+    const line = document.createElement("div");
+    const fragment = document.createElement("code");
+    fragment.textContent = searchInput.value.slice(error.start, error.end);
+    line.appendChild(fragment);
+    line.appendChild(document.createTextNode(` ${error.message}`));
+    searchQueryError.appendChild(line);
+  });
+}
+
+function scheduleQueryCheck() {
+  clearTimeout(queryCheckTimer);
+  queryCheckTimer = setTimeout(async () => {
+    const generation = ++queryCheckGeneration;
+    const result = await window.electronAPI.checkSearchQuery(searchInput.value);
+    // A newer check (or a search) may have finished first.
+    if (generation !== queryCheckGeneration || !result.success) return;
+    showQueryErrors(result.errors);
+  }, QUERY_CHECK_DELAY_MS);
+}
+
+searchInput.addEventListener("input", () => {
+  updateSearchSuggestions();
+  scheduleQueryCheck();
+});
+
+searchInput.addEventListener("keydown", (event) => {
+  if (searchSuggestions.length > 0) {
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      const step = event.key === "ArrowDown" ? 1 : -1;
+      activeSuggestion =
+        (activeSuggestion + step + searchSuggestions.length) %
+        searchSuggestions.length;
+      renderSearchSuggestions();
+      return;
+    }
+    if (event.key === "Tab" || event.key === "Enter") {
+      event.preventDefault();
+      acceptSearchSuggestion(activeSuggestion);
+      return;
+    }
+    if (event.key === "Escape") {
+      closeSearchSuggestions();
+      return;
+    }
+  }
+  if (event.key === "Enter") {
+    searchTodoBtn.click();
+  }
+});
+
+searchInput.addEventListener("blur", closeSearchSuggestions);
+
+// --- Smart lists ---
+// Saved searches, each shown as a tab after "Search Results". The shown list
+// runs again whenever the todos change ("smart-lists-stale" from the main
+// process, or todos-changed for the CLI); hidden ones run when opened.
+let smartLists = [];
+let activeSmartListId = null;
+// The list being edited in the form, or null for a new one, and the
+// tag/project scope the form saves.
+let editingSmartListId = null;
+let smartListFormScope = { tags: [], project: "" };
+let smartListRunGeneration = 0;
+const SEARCH_MODE_LABELS = {
+  hybrid: "Hybrid",
+  semantic: "Meaning",
+  keyword: "Keyword",
+};
+
+async function fetchSmartLists() {
+  const result = await window.electronAPI.getSmartLists();
+  if (!result.success) {
+    console.error("Error loading smart lists:", result.error);
+    return;
+  }
+  smartLists = result.smartLists;
+  renderSmartListTabs();
+}
+
+function renderSmartListTabs() {
+  document
+    .querySelectorAll(".smart-list-tab-button")
+    .forEach((button) => button.remove());
+  let previous = document.querySelector(
+    '.tab-button[data-tab="search-results-tab"]'
+  );
+  smartLists.forEach((list) => {
+    const button = document.createElement("li");
+    button.className = "tab-button smart-list-tab-button";
+    button.classList.toggle(
+      "active",
+      list.id === activeSmartListId &&
+        smartListTabContent().classList.contains("active")
+    );
+    button.dataset.tab = "smart-list-tab";
+    button.dataset.smartListId = list.id;
+    button.textContent = list.name;
+    button.title = describeSmartList(list);
+    button.addEventListener("click", () => {
+      if (editingTodoIdInput.value !== "") {
+        alert(
+          "Please finish or cancel your current edit before switching tabs."
+        );
+        return;
+      }
+      showSmartList(list.id);
+    });
+    previous.after(button);
+    previous = button;
+  });
+}
+
+function smartListTabContent() {
+  return document.getElementById("smart-list-tab-content");
+}
+
+function showSmartList(id) {
+  activeSmartListId = id;
+  showTab("smart-list-tab");
+}
+
+// e.g. "deployments · uploaded from 14d · up to 20 · Hybrid"
+function describeSmartList(list) {
+  const parts = [list.query ? `"${list.query}"` : "all todos"];
+  parts.push(...list.tags.map((tag) => `#${tag}`));
+  if (list.project) parts.push(`project: ${list.project}`);
+  const field = list.range.field === "due" ? "due" : "uploaded";
+  if (list.range.from) parts.push(`${field} from ${list.range.from}`);
+  if (list.range.before) parts.push(`${field} before ${list.range.before}`);
+  parts.push(`up to ${list.limit}`, SEARCH_MODE_LABELS[list.mode]);
+  return parts.join(" · ");
+}
+
+async function runActiveSmartList() {
+  const list = smartLists.find((entry) => entry.id === activeSmartListId);
+  if (!list) {
+    showTab("todos-tab");
+    return;
+  }
+  smartListTitle.textContent = list.name;
+  smartListSummary.textContent = describeSmartList(list);
+  const generation = ++smartListRunGeneration;
+  const result = await window.electronAPI.runSmartList(list.id);
+  // Another list was opened, or a newer refresh started, meanwhile.
+  if (generation !== smartListRunGeneration) return;
+  smartListResults.innerHTML = "";
+  shownSmartListResults = result.success ? result.results : [];
+  // A refresh can drop todos from the list; they leave the selection too.
+  keepSelectedOnly(shownSmartListResults);
+  if (!result.success) {
+    const li = document.createElement("li");
+    li.textContent = `Error: ${result.error || "Unknown error"}`;
+    smartListResults.appendChild(li);
+    return;
+  }
+  if (result.results.length === 0) {
+    const li = document.createElement("li");
+    li.textContent = "Nothing matches right now.";
+    li.style.justifyContent = "center";
+    smartListResults.appendChild(li);
+    return;
+  }
+  result.results.forEach((todo) => {
+    smartListResults.appendChild(createSearchResultElement(todo));
+  });
+}
+
+// Re-runs the shown smart list, unless a todo is being edited in it.
+function refreshSmartListTab() {
+  if (editingTodoIdInput.value !== "") return;
+  if (smartListTabContent().classList.contains("active")) {
+    runActiveSmartList();
+  }
+}
+
+// Opens the form for `list`, or for a new list starting from the current
+// search and sidebar scope.
+function openSmartListForm(list) {
+  editingSmartListId = list ? list.id : null;
+  const scope = list
+    ? { tags: list.tags, project: list.project }
+    : currentScope();
+  smartListFormScope = scope;
+  smartListNameInput.value = list ? list.name : "";
+  smartListQueryInput.value = list ? list.query : searchInput.value.trim();
+  smartListModeSelect.value = list ? list.mode : searchModeSelect.value;
+  smartListRangeFieldSelect.value = list
+    ? list.range.field
+    : searchDateFieldSelect.value;
+  smartListFromInput.value = list ? list.range.from : "";
+  smartListBeforeInput.value = list ? list.range.before : "";
+  smartListLimitInput.value = list ? list.limit : 10;
+  smartListScopeLabel.textContent =
+    scope.tags.length > 0 || scope.project
+      ? `Limited to ${[
+          ...scope.tags.map((tag) => `#${tag}`),
+          scope.project && `project "${scope.project}"`,
+        ]
+          .filter(Boolean)
+          .join(" and ")}`
+      : "";
+  smartListSaveBtn.textContent = list ? "Save Changes" : "Save List";
+  smartListForm.classList.remove("hidden");
+  smartListNameInput.focus();
+}
+
+function closeSmartListForm() {
+  editingSmartListId = null;
+  smartListForm.classList.add("hidden");
+}
+
+saveSmartListBtn.addEventListener("click", () => openSmartListForm(null));
+smartListCancelBtn.addEventListener("click", closeSmartListForm);
+
+smartListSaveBtn.addEventListener("click", async () => {
+  smartListSaveBtn.disabled = true;
+  const result = await window.electronAPI.saveSmartList({
+    id: editingSmartListId,
+    name: smartListNameInput.value,
+    query: smartListQueryInput.value,
+    mode: smartListModeSelect.value,
+    tags: smartListFormScope.tags,
+    project: smartListFormScope.project,
+    range: {
+      field: smartListRangeFieldSelect.value,
+      from: smartListFromInput.value,
+      before: smartListBeforeInput.value,
+    },
+    limit: smartListLimitInput.value,
+  });
+  smartListSaveBtn.disabled = false;
+  if (!result.success) {
+    alert(`Error saving smart list: ${result.error || "Unknown error"}`);
+    return;
+  }
+  closeSmartListForm();
+  await fetchSmartLists();
+  showSmartList(result.smartList.id);
+});
+
+editSmartListBtn.addEventListener("click", () => {
+  const list = smartLists.find((entry) => entry.id === activeSmartListId);
+  if (list) openSmartListForm(list);
+});
+
+deleteSmartListBtn.addEventListener("click", async () => {
+  const list = smartLists.find((entry) => entry.id === activeSmartListId);
+  if (!list || !confirm(`Delete the smart list "${list.name}"?`)) return;
+  const result = await window.electronAPI.deleteSmartList(list.id);
+  if (!result.success) {
+    alert(`Error deleting smart list: ${result.error || "Unknown error"}`);
+    return;
+  }
+  if (editingSmartListId === list.id) closeSmartListForm();
+  activeSmartListId = null;
+  await fetchSmartLists();
+  showTab("todos-tab");
+});
+
+window.electronAPI.onSmartListsStale(refreshSmartListTab);
+
+// --- NEW: Tab Switching Logic ---
+tabButtons.forEach((button) => {
+  button.addEventListener("click", () => {
+    if (editingTodoIdInput.value !== "") {
+      alert("Please finish or cancel your current edit before switching tabs.");
+      return;
+    }
+    showTab(button.dataset.tab);
+  });
+});
+
+function showTab(tabIdToShow) {
+  // A selection belongs to the list it was made in.
+  if (!isTabActive(tabIdToShow) || tabIdToShow === "smart-list-tab") {
+    clearSelection();
+  }
+  bulkActionsBar.classList.toggle(
+    "hidden",
+    !SELECTABLE_TABS.includes(tabIdToShow)
+  );
+  tabContents.forEach((content) => {
+    content.classList.remove("active");
+  });
+  // Includes the smart list tabs, which are added later.
+  document.querySelectorAll(".tab-navigation .tab-button").forEach((button) => {
+    button.classList.remove("active");
+  });
+
+  const contentElementId = tabIdToShow + "-content";
+  const contentElement = document.getElementById(contentElementId);
+  if (contentElement) {
+    contentElement.classList.add("active");
+    if (tabIdToShow === "todos-tab") {
+      // The viewport had no height while hidden; fill it now it is visible.
+      renderVisibleTodos();
+    } else if (tabIdToShow === "trash-tab") {
+      fetchTrash();
+    } else if (tabIdToShow === "topics-tab") {
+      fetchTopics();
+    } else if (tabIdToShow === "backups-tab") {
+      fetchBackups();
+    } else if (tabIdToShow === "smart-list-tab") {
+      runActiveSmartList();
+    }
+  } else {
+    console.error(
+      `Tab content element with ID "${contentElementId}" not found.`
+    );
+  }
+
+  // Every smart list shares one tab; its button is picked by the list's id.
+  const buttonElement = document.querySelector(
+    tabIdToShow === "smart-list-tab"
+      ? `.tab-button[data-smart-list-id="${activeSmartListId}"]`
+      : `.tab-button[data-tab="${tabIdToShow}"]`
+  );
+  if (buttonElement) {
+    buttonElement.classList.add("active");
+  } else {
+    console.error(`Tab button with data-tab "${tabIdToShow}" not found.`);
+  }
+}
+
+// --- Import / export ---
+const DUPLICATE_LABELS = {
+  "existing-id": "already in your todos (same id)",
+  "existing-text": "already in your todos (same text)",
+  "in-file": "repeated in this file",
+};
+
+exportBtn.addEventListener("click", async () => {
+  exportBtn.disabled = true;
+  const result = await window.electronAPI.exportTodos(
+    exportFormatSelect.value,
+    {
+      includeVectors: exportIncludeVectorsCheckbox.checked,
+    }
+  );
+  exportBtn.disabled = false;
+  if (result.success) {
+    alert(`Exported ${result.count} todos to ${result.filePath}`);
+  } else if (!result.canceled) {
+    alert(`Error exporting todos: ${result.error || "Unknown error"}`);
+  }
+});
+
+// Vectors only fit in JSON and CSV files.
+exportFormatSelect.addEventListener("change", () => {
+  exportIncludeVectorsCheckbox.disabled =
+    exportFormatSelect.value === "markdown";
+});
+
+importBtn.addEventListener("click", async () => {
+  if (editingTodoIdInput.value !== "") {
+    alert("Please finish or cancel your current edit before importing.");
+    return;
+  }
+  const result = await window.electronAPI.previewImport();
+  if (!result.success) {
+    if (!result.canceled) {
+      alert(`Error reading import file: ${result.error || "Unknown error"}`);
+    }
+    return;
+  }
+  pendingImportId = result.importId;
+  renderImportPreview(result);
+});
+
+function renderImportPreview(preview) {
+  importSummary.textContent = `${preview.counts.total} todos found in ${preview.filePath}: ${preview.counts.new} new, ${preview.counts.duplicates} duplicates.`;
+  importPreviewList.innerHTML = "";
+  preview.items.slice(0, IMPORT_PREVIEW_LIMIT).forEach((item) => {
+    const li = document.createElement("li");
+    li.textContent = `${item.completed ? "[x]" : "[ ]"} ${item.text}`;
+    if (item.duplicateOf) {
+      li.classList.add("duplicate");
+      const note = document.createElement("span");
+      note.className = "duplicate-note";
+      note.textContent = DUPLICATE_LABELS[item.duplicateOf];
+      li.appendChild(note);
+    }
+    importPreviewList.appendChild(li);
+  });
+  if (preview.items.length > IMPORT_PREVIEW_LIMIT) {
+    const li = document.createElement("li");
+    li.textContent = `...and ${
+      preview.items.length - IMPORT_PREVIEW_LIMIT
+    } more.`;
+    importPreviewList.appendChild(li);
+  }
+  importIncludeDuplicatesCheckbox.checked = false;
+  importProgress.classList.add("hidden");
+  confirmImportBtn.disabled = false;
+  cancelImportBtn.disabled = false;
+  importPreview.classList.remove("hidden");
+}
+
+function closeImportPreview() {
+  pendingImportId = null;
+  importPreview.classList.add("hidden");
+  importPreviewList.innerHTML = "";
+}
+
+cancelImportBtn.addEventListener("click", async () => {
+  if (importRunning) {
+    // The import stops after its current batch; the confirm handler closes
+    // the preview once it returns.
+    cancelImportBtn.disabled = true;
+    await window.electronAPI.cancelImport(pendingImportId);
+    return;
+  }
+  if (pendingImportId) {
+    await window.electronAPI.cancelImport(pendingImportId);
+  }
+  closeImportPreview();
+});
+
+confirmImportBtn.addEventListener("click", async () => {
+  if (!pendingImportId) return;
+  confirmImportBtn.disabled = true;
+  importProgress.value = 0;
+  importProgress.classList.remove("hidden");
+  importRunning = true;
+  const result = await window.electronAPI.runImport(pendingImportId, {
+    includeDuplicates: importIncludeDuplicatesCheckbox.checked,
+  });
+  importRunning = false;
+  closeImportPreview();
+  if (result.success && result.cancelled) {
+    alert(
+      `Import cancelled. ${result.count} todos were imported before it stopped.`
+    );
+    showTab("todos-tab");
+    fetchTodos();
+  } else if (result.success) {
+    alert(
+      `Imported ${result.count} todos` +
+        (result.skipped ? ` (${result.skipped} duplicates skipped).` : ".")
+    );
+    showTab("todos-tab");
+    fetchTodos();
+  } else {
+    alert(`Error importing todos: ${result.error || "Unknown error"}`);
+  }
+});
+
+window.electronAPI.onImportProgress((progress) => {
+  if (progress.importId !== pendingImportId) return;
+  importProgress.max = Math.max(progress.total, 1);
+  importProgress.value = progress.processed;
+  importSummary.textContent = `Embedding and saving... ${progress.processed} / ${progress.total}`;
+});
+
+// --- Trash ---
+async function fetchTrash() {
+  const result = await window.electronAPI.getTrash();
+  trashList.innerHTML = "";
+  if (!result.success) {
+    trashList.innerHTML = `<li>Error: ${result.error || "Unknown error"}</li>`;
+    return;
+  }
+  trashRetentionSelect.value = String(result.retentionDays);
+  emptyTrashBtn.disabled = result.todos.length === 0;
+  if (result.todos.length === 0) {
+    const li = document.createElement("li");
+    li.textContent = "The trash is empty.";
+    li.style.justifyContent = "center";
+    trashList.appendChild(li);
+    return;
+  }
+  result.todos.forEach((todo) =>
+    trashList.appendChild(createTrashElement(todo))
+  );
+}
+
+function createTrashElement(todo) {
+  const li = document.createElement("li");
+  li.dataset.id = todo.id;
+
+  const contentDiv = document.createElement("div");
+  contentDiv.className = "todo-content";
+  const textSpan = document.createElement("span");
+  textSpan.className = "todo-text";
+  textSpan.textContent = todo.text;
+  contentDiv.appendChild(textSpan);
+  const timestampSpan = document.createElement("span");
+  timestampSpan.className = "todo-timestamp";
+  timestampSpan.textContent = ` (Deleted: ${new Date(
+    todo.deletedAt
+  ).toLocaleString()})`;
+  contentDiv.appendChild(timestampSpan);
+
+  const actionsDiv = document.createElement("div");
+  actionsDiv.className = "todo-actions";
+  const restoreButton = document.createElement("button");
+  restoreButton.textContent = "Restore";
+  restoreButton.className = "restore-btn";
+  restoreButton.addEventListener("click", () => restoreTodo(todo.id));
+  const purgeButton = document.createElement("button");
+  purgeButton.textContent = "Delete Forever";
+  purgeButton.className = "delete-btn";
+  purgeButton.addEventListener("click", () => handlePurgeTodo(todo.id));
+  actionsDiv.appendChild(restoreButton);
+  actionsDiv.appendChild(purgeButton);
+
+  li.appendChild(contentDiv);
+  li.appendChild(actionsDiv);
+  return li;
+}
+
+async function restoreTodo(todoId) {
+  const result = await window.electronAPI.restoreTodo(todoId);
+  if (!result.success) {
+    alert(`Error restoring todo: ${result.error || "Unknown error"}`);
+    return;
+  }
+  hideToast();
+  const trashItem = trashList.querySelector(`li[data-id="${todoId}"]`);
+  if (trashItem) {
+    fetchTrash();
+  }
+  fetchTodos(); // Reload so the todo lands in its sorted position
+}
+
+async function handlePurgeTodo(todoId) {
+  if (!confirm("Permanently delete this todo? This cannot be undone.")) {
+    return;
+  }
+  const result = await window.electronAPI.purgeTodo(todoId);
+  if (result.success) {
+    fetchTrash();
+  } else {
+    alert(`Error deleting todo: ${result.error || "Unknown error"}`);
+  }
+}
+
+emptyTrashBtn.addEventListener("click", async () => {
+  if (!confirm("Permanently delete everything in the trash?")) {
+    return;
+  }
+  const result = await window.electronAPI.emptyTrash();
+  if (result.success) {
+    fetchTrash();
+  } else {
+    alert(`Error emptying trash: ${result.error || "Unknown error"}`);
+  }
+});
+
+trashRetentionSelect.addEventListener("change", async () => {
+  const result = await window.electronAPI.setTrashRetention(
+    Number(trashRetentionSelect.value)
+  );
+  if (result.success) {
+    fetchTrash(); // A shorter retention may have purged some items
+  } else {
+    alert(`Error saving retention: ${result.error || "Unknown error"}`);
+  }
+});
+
+// --- Subtasks ---
+
+// Adds the expand/collapse caret and drag-to-reparent handlers to a list row.
+function addTreeControls(li, todo) {
+  const toggle = document.createElement("button");
+  toggle.className = "tree-toggle";
+  if (todo.childCount > 0) {
+    toggle.textContent = todo.collapsed ? "\u25B8" : "\u25BE";
+    toggle.title = todo.collapsed ? "Show subtasks" : "Hide subtasks";
+    toggle.addEventListener("click", () => toggleCollapsed(todo));
+  } else {
+    toggle.classList.add("empty");
+    toggle.disabled = true;
+  }
+  li.appendChild(toggle);
+
+  li.draggable = true;
+  li.addEventListener("dragstart", (event) => {
+    draggedTodoId = todo.id;
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", todo.id);
+    todoRootDropZone.classList.remove("hidden");
+  });
+  li.addEventListener("dragend", () => {
+    draggedTodoId = null;
+    todoRootDropZone.classList.add("hidden");
+    todoRootDropZone.classList.remove("drop-target");
+  });
+  li.addEventListener("dragover", (event) => {
+    if (!draggedTodoId || draggedTodoId === todo.id) return;
+    event.preventDefault();
+    li.classList.add("drop-target");
+  });
+  li.addEventListener("dragleave", () => li.classList.remove("drop-target"));
+  li.addEventListener("drop", (event) => {
+    event.preventDefault();
+    li.classList.remove("drop-target");
+    if (draggedTodoId && draggedTodoId !== todo.id) {
+      moveTodo(draggedTodoId, todo.id);
+    }
+  });
+}
+
+async function toggleCollapsed(todo) {
+  const result = await window.electronAPI.setTodoCollapsed(
+    todo.id,
+    !todo.collapsed
+  );
+  if (result.success) {
+    fetchTodos({ keepScroll: true });
+  } else {
+    alert(`Error updating todo: ${result.error || "Unknown error"}`);
+  }
+}
+
+async function moveTodo(todoId, parentId) {
+  const result = await window.electronAPI.moveTodo(todoId, parentId);
+  if (result.success) {
+    fetchTodos({ keepScroll: true });
+  } else {
+    alert(`Error moving todo: ${result.error || "Unknown error"}`);
+  }
+}
+
+// Dropping on the zone above the list makes the todo top-level again.
+todoRootDropZone.addEventListener("dragover", (event) => {
+  if (!draggedTodoId) return;
+  event.preventDefault();
+  todoRootDropZone.classList.add("drop-target");
+});
+todoRootDropZone.addEventListener("dragleave", () =>
+  todoRootDropZone.classList.remove("drop-target")
+);
+todoRootDropZone.addEventListener("drop", (event) => {
+  event.preventDefault();
+  if (draggedTodoId) moveTodo(draggedTodoId, "");
+});
+
+// New todos are added under `todo` until the chip is cleared.
+function setPendingParent(todo) {
+  pendingParentTodo = todo;
+  todoParentText.textContent = `Subtask of: ${todo.text}`;
+  todoParentText.title = todo.text;
+  todoParentChip.classList.remove("hidden");
+  todoInput.focus();
+}
+
+clearParentBtn.addEventListener("click", () => {
+  pendingParentTodo = null;
+  todoParentChip.classList.add("hidden");
+});
+
+// Resolves to "cascade", "promote" or "cancel".
+function askDeleteChildren(todo) {
+  return chooseDeleteChildren(
+    `"${todo.text}" has ${todo.childCount} subtask${
+      todo.childCount === 1 ? "" : "s"
+    }. What should happen to ${todo.childCount === 1 ? "it" : "them"}?`
+  );
+}
+
+function chooseDeleteChildren(message) {
+  deleteDialogMessage.textContent = message;
+  deleteDialog.classList.remove("hidden");
+  return new Promise((resolve) => {
+    const choose = (choice) => {
+      deleteDialog.classList.add("hidden");
+      deleteCascadeBtn.onclick = null;
+      deletePromoteBtn.onclick = null;
+      deleteCancelBtn.onclick = null;
+      resolve(choice);
+    };
+    deleteCascadeBtn.onclick = () => choose("cascade");
+    deletePromoteBtn.onclick = () => choose("promote");
+    deleteCancelBtn.onclick = () => choose("cancel");
+  });
+}
+
+// --- Duplicates ---
+
+function similarityLabel(similarity) {
+  return `${Math.round(similarity * 100)}% similar`;
+}
+
+// Resolves to "add", the id of the todo to merge into, or null to cancel.
+function askDuplicateChoice(duplicates) {
+  duplicateCandidateList.innerHTML = "";
+  duplicateDialog.classList.remove("hidden");
+  return new Promise((resolve) => {
+    const choose = (choice) => {
+      duplicateDialog.classList.add("hidden");
+      addAnywayBtn.onclick = null;
+      cancelAddBtn.onclick = null;
+      duplicateCandidateList.innerHTML = "";
+      resolve(choice);
+    };
+    duplicates.forEach((duplicate) => {
+      const li = document.createElement("li");
+      li.classList.toggle("completed", Boolean(duplicate.completed));
+      const contentDiv = document.createElement("div");
+      contentDiv.className = "todo-content";
+      const textSpan = document.createElement("span");
+      textSpan.className = "todo-text";
+      textSpan.textContent = duplicate.text;
+      const similaritySpan = document.createElement("span");
+      similaritySpan.className = "todo-score";
+      similaritySpan.textContent = similarityLabel(duplicate.similarity);
+      contentDiv.appendChild(textSpan);
+      contentDiv.appendChild(similaritySpan);
+      const mergeButton = document.createElement("button");
+      mergeButton.textContent = "Merge into this";
+      mergeButton.addEventListener("click", () => choose(duplicate.id));
+      li.appendChild(contentDiv);
+      li.appendChild(mergeButton);
+      duplicateCandidateList.appendChild(li);
+    });
+    addAnywayBtn.onclick = () => choose("add");
+    cancelAddBtn.onclick = () => choose(null);
+  });
+}
+
+async function openDuplicatesPanel() {
+  if (editingTodoIdInput.value !== "") {
+    alert("Please finish or cancel your current edit first.");
+    return;
+  }
+  findDuplicatesBtn.disabled = true;
+  const result = await window.electronAPI.findDuplicates();
+  findDuplicatesBtn.disabled = false;
+  if (!result.success) {
+    alert(`Error finding duplicates: ${result.error || "Unknown error"}`);
+    return;
+  }
+  duplicateThresholdSelect.value = String(result.threshold);
+  renderDuplicateGroups(result.groups);
+  duplicatesPanel.classList.remove("hidden");
+}
+
+// Each group lists its todos with a radio button for the one to keep (the
+// oldest by default); merging trashes the others.
+function renderDuplicateGroups(groups) {
+  duplicateGroupList.innerHTML = "";
+  mergeAllBtn.disabled = groups.length === 0;
+  if (groups.length === 0) {
+    const li = document.createElement("li");
+    li.textContent = "No duplicates found.";
+    duplicateGroupList.appendChild(li);
+    return;
+  }
+  groups.forEach((group, groupIndex) => {
+    const li = document.createElement("li");
+    li.className = "duplicate-group";
+    const heading = document.createElement("span");
+    heading.className = "todo-score";
+    heading.textContent = `${group.todos.length} todos, up to ${similarityLabel(
+      group.similarity
+    )}`;
+    li.appendChild(heading);
+    group.todos.forEach((todo, index) => {
+      const label = document.createElement("label");
+      const radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = `duplicate-keep-${groupIndex}`;
+      radio.value = todo.id;
+      radio.checked = index === 0;
+      label.appendChild(radio);
+      label.appendChild(
+        document.createTextNode(
+          ` ${todo.text}${todo.completed ? " (done)" : ""}`
+        )
+      );
+      li.appendChild(label);
+    });
+    const mergeButton = document.createElement("button");
+    mergeButton.textContent = "Merge";
+    mergeButton.addEventListener("click", async () => {
+      if (await mergeDuplicateGroup(li)) {
+        fetchTodos({ keepScroll: true });
+        refreshTagSidebar();
+      }
+    });
+    li.appendChild(mergeButton);
+    duplicateGroupList.appendChild(li);
+  });
+}
+
+// Merges a rendered group into its selected todo; returns whether it worked.
+async function mergeDuplicateGroup(groupElement) {
+  const radios = [...groupElement.querySelectorAll("input[type=radio]")];
+  const keepId = radios.find((radio) => radio.checked).value;
+  const result = await window.electronAPI.mergeTodos(
+    keepId,
+    radios.map((radio) => radio.value).filter((id) => id !== keepId)
+  );
+  if (!result.success) {
+    alert(`Error merging todos: ${result.error || "Unknown error"}`);
+    return false;
+  }
+  groupElement.remove();
+  mergeAllBtn.disabled = duplicateGroupList.children.length === 0;
+  showUndoToast(
+    `Merged ${result.mergedIds.length} todo(s) into "${result.item.text}".`,
+    () => Promise.all(result.mergedIds.map((id) => restoreTodo(id)))
+  );
+  return true;
+}
+
+findDuplicatesBtn.addEventListener("click", openDuplicatesPanel);
+
+duplicateThresholdSelect.addEventListener("change", async () => {
+  const result = await window.electronAPI.setDuplicateThreshold(
+    Number(duplicateThresholdSelect.value)
+  );
+  if (result.success) {
+    openDuplicatesPanel(); // Regroup with the new threshold
+  } else {
+    alert(`Error saving threshold: ${result.error || "Unknown error"}`);
+  }
+});
+
+mergeAllBtn.addEventListener("click", async () => {
+  const groups = [...duplicateGroupList.querySelectorAll(".duplicate-group")];
+  if (
+    !confirm(
+      `Merge ${groups.length} group(s), keeping the selected todo in each?`
+    )
+  ) {
+    return;
+  }
+  let merged = 0;
+  for (const element of groups) {
+    if (await mergeDuplicateGroup(element)) merged++;
+  }
+  showUndoToast(`Merged ${merged} duplicate group(s).`, null);
+  fetchTodos({ keepScroll: true });
+  refreshTagSidebar();
+});
+
+closeDuplicatesBtn.addEventListener("click", () => {
+  duplicatesPanel.classList.add("hidden");
+  duplicateGroupList.innerHTML = "";
+});
+
+// --- Related todos ---
+
+// Lists the todos nearest to `todoId` in meaning, within the search date
+// filter. Each entry can be followed to its own related todos.
+async function openRelatedPanel(todoId) {
+  const startDate = searchStartDateInput.value;
+  const endDate = searchEndDateInput.value;
+  if (startDate && endDate && new Date(endDate) < new Date(startDate)) {
+    alert("End date cannot be before start date.");
+    return;
+  }
+  const result = await window.electronAPI.getRelatedTodos(
+    todoId,
+    startDate || null,
+    endDate || null,
+    { dateField: searchDateFieldSelect.value }
+  );
+  if (!result.success) {
+    alert(`Error finding related todos: ${result.error || "Unknown error"}`);
+    return;
+  }
+  relatedSourceText.textContent = result.item.text;
+  relatedList.innerHTML = "";
+  if (result.results.length === 0) {
+    const li = document.createElement("li");
+    li.textContent = "No related todos in this date range.";
+    relatedList.appendChild(li);
+  }
+  result.results.forEach((related) => {
+    const li = document.createElement("li");
+    li.dataset.id = related.id;
+    li.classList.toggle("completed", Boolean(related.completed));
+
+    const contentDiv = document.createElement("div");
+    contentDiv.className = "todo-content";
+    const textSpan = document.createElement("span");
+    textSpan.className = "todo-text";
+    textSpan.textContent = related.text;
+    const similaritySpan = document.createElement("span");
+    similaritySpan.className = "todo-score";
+    similaritySpan.textContent = similarityLabel(related.similarity);
+    contentDiv.appendChild(textSpan);
+    contentDiv.appendChild(similaritySpan);
+
+    const relatedButton = document.createElement("button");
+    relatedButton.textContent = "Related";
+    relatedButton.className = "secondary-action-btn";
+    relatedButton.addEventListener("click", () => openRelatedPanel(related.id));
+
+    li.appendChild(contentDiv);
+    li.appendChild(relatedButton);
+    relatedList.appendChild(li);
+  });
+  relatedPanel.classList.remove("hidden");
+}
+
+closeRelatedBtn.addEventListener("click", () => {
+  relatedPanel.classList.add("hidden");
+  relatedList.innerHTML = "";
+});
+
+// --- Topics ---
+async function fetchTopics() {
+  const result = await window.electronAPI.getTopics();
+  renderTopics(result);
+}
+
+function renderTopics(result) {
+  topicList.innerHTML = "";
+  if (!result.success) {
+    topicList.innerHTML = `<li>Error: ${result.error || "Unknown error"}</li>`;
+    return;
+  }
+  topicCountSelect.value = String(result.count || "auto");
+  if (!topicCountSelect.value) topicCountSelect.value = "auto";
+  topicsStatus.textContent = result.computedAt
+    ? `Last updated ${new Date(result.computedAt).toLocaleString()}`
+    : "";
+  if (result.topics.length === 0) {
+    const li = document.createElement("li");
+    li.textContent = 'No topics yet. Click "Find Topics" to group your todos.';
+    li.style.justifyContent = "center";
+    topicList.appendChild(li);
+    return;
+  }
+  result.topics.forEach((topic) =>
+    topicList.appendChild(createTopicElement(topic))
+  );
+}
+
+function createTopicElement(topic) {
+  const li = document.createElement("li");
+  li.className = "topic-item";
+  li.dataset.id = topic.id;
+
+  const header = document.createElement("div");
+  header.className = "topic-header";
+  const nameSpan = document.createElement("span");
+  nameSpan.className = "todo-text";
+  nameSpan.textContent = topic.name || topic.label;
+  nameSpan.title = topic.name ? `Generated label: ${topic.label}` : "";
+  const countSpan = document.createElement("span");
+  countSpan.className = "todo-timestamp";
+  countSpan.textContent = ` (${topic.todos.length} todos)`;
+  header.appendChild(nameSpan);
+  header.appendChild(countSpan);
+
+  const actionsDiv = document.createElement("div");
+  actionsDiv.className = "todo-actions";
+  const addAction = (label, onClick) => {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    actionsDiv.appendChild(button);
+    return button;
+  };
+  const todosList = document.createElement("ul");
+  todosList.className = "topic-todos hidden";
+  topic.todos.forEach((todo) => {
+    const item = document.createElement("li");
+    item.textContent = todo.text;
+    item.classList.toggle("completed", todo.completed);
+    todosList.appendChild(item);
+  });
+  const toggleButton = addAction("Show todos", () => {
+    todosList.classList.toggle("hidden");
+    toggleButton.textContent = todosList.classList.contains("hidden")
+      ? "Show todos"
+      : "Hide todos";
+  });
+  addAction("Rename", () =>
+    showTopicInput(
+      li,
+      "Topic name",
+      topic.name || topic.label,
+      async (name) => {
+        const result = await window.electronAPI.renameTopic(topic.id, name);
+        if (!result.success) {
+          alert(`Error renaming topic: ${result.error || "Unknown error"}`);
+          return;
+        }
+        fetchTopics();
+      }
+    )
+  );
+  addAction("Make Tag", () =>
+    showTopicInput(li, "Tag", topicSlug(topic), (name) =>
+      applyTopic(topic, "tag", name)
+    )
+  );
+  addAction("Make Project", () =>
+    showTopicInput(li, "Project", topic.name || topic.label, (name) =>
+      applyTopic(topic, "project", name)
+    )
+  );
+  header.appendChild(actionsDiv);
+
+  const samples = document.createElement("span");
+  samples.className = "topic-samples";
+  samples.textContent = topic.sampleTexts.slice(0, 3).join(" \u2022 ");
+
+  li.appendChild(header);
+  li.appendChild(samples);
+  li.appendChild(todosList);
+  return li;
+}
+
+// Suggested tag for a topic: its name or label, lowercased and hyphenated.
+function topicSlug(topic) {
+  return (topic.name || topic.label)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}/-]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Shows an inline text field in a topic row (prompt() isn't available).
+function showTopicInput(li, placeholder, value, onSave) {
+  const existing = li.querySelector(".topic-input");
+  if (existing) existing.remove();
+  const form = document.createElement("div");
+  form.className = "topic-input";
+  const input = document.createElement("input");
+  input.type = "text";
+  input.placeholder = placeholder;
+  input.value = value;
+  const saveButton = document.createElement("button");
+  saveButton.textContent = "Save";
+  const cancelButton = document.createElement("button");
+  cancelButton.textContent = "Cancel";
+  cancelButton.className = "secondary-action-btn";
+  const save = async () => {
+    saveButton.disabled = true;
+    await onSave(input.value.trim());
+    form.remove();
+  };
+  saveButton.addEventListener("click", save);
+  input.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") save();
+    if (event.key === "Escape") form.remove();
+  });
+  cancelButton.addEventListener("click", () => form.remove());
+  form.appendChild(input);
+  form.appendChild(saveButton);
+  form.appendChild(cancelButton);
+  li.insertBefore(form, li.querySelector(".topic-samples"));
+  input.focus();
+  input.select();
+}
+
+async function applyTopic(topic, kind, name) {
+  const result = await window.electronAPI.applyTopic(topic.id, kind, name);
+  if (!result.success) {
+    alert(`Error updating todos: ${result.error || "Unknown error"}`);
+    return;
+  }
+  showUndoToast(
+    kind === "tag"
+      ? `Tagged ${result.count} todo(s) with #${name.replace(/^#/, "")}.`
+      : `Moved ${result.count} todo(s) to project "${name}".`,
+    null
+  );
+  fetchTodos({ keepScroll: true });
+  refreshTagSidebar();
+}
+
+clusterTopicsBtn.addEventListener("click", async () => {
+  clusterTopicsBtn.disabled = true;
+  topicsStatus.textContent = "Grouping todos...";
+  const result = await window.electronAPI.clusterTopics(
+    topicCountSelect.value === "auto" ? "auto" : Number(topicCountSelect.value)
+  );
+  clusterTopicsBtn.disabled = false;
+  if (!result.success) {
+    topicsStatus.textContent = "";
+    alert(`Error finding topics: ${result.error || "Unknown error"}`);
+    return;
+  }
+  renderTopics(result);
+});
+
+// --- Embedding model ---
+async function fetchEmbeddingStatus() {
+  const result = await window.electronAPI.getEmbeddingStatus();
+  if (!result.success) {
+    embeddingCurrent.textContent = `Error: ${result.error || "Unknown error"}`;
+    return;
+  }
+  embeddingCurrent.textContent = `Using ${result.active.key} (${result.active.dimension} dimensions)`;
+  renderReindexStatus(result.job);
+}
+
+// `job` is null when no re-index is running or pending.
+function renderReindexStatus(job) {
+  reindexStatus.classList.toggle("hidden", !job);
+  switchEmbeddingBtn.disabled = Boolean(job && !job.error);
+  if (!job) return;
+  reindexProgress.max = Math.max(job.total, 1);
+  reindexProgress.value = job.processed;
+  if (job.error) {
+    reindexMessage.textContent = `Re-indexing for ${job.key} stopped: ${job.error}. It will retry on the next start.`;
+  } else if (job.phase === "catching-up") {
+    reindexMessage.textContent = `Re-indexing for ${job.key}: catching up on recent edits...`;
+  } else {
+    reindexMessage.textContent = `Re-indexing for ${job.key}: ${job.processed} / ${job.total}`;
+  }
+}
+
+embeddingTypeSelect.addEventListener("change", () => {
+  const remote = embeddingTypeSelect.value === "openai";
+  embeddingBaseUrlInput.classList.toggle("hidden", !remote);
+  embeddingApiKeyInput.classList.toggle("hidden", !remote);
+});
+
+switchEmbeddingBtn.addEventListener("click", async () => {
+  const config = {
+    type: embeddingTypeSelect.value,
+    model: embeddingModelInput.value.trim(),
+    baseUrl: embeddingBaseUrlInput.value.trim(),
+    apiKey: embeddingApiKeyInput.value,
+  };
+  switchEmbeddingBtn.disabled = true;
+  embeddingCurrent.textContent = `Loading ${config.model}...`;
+  const result = await window.electronAPI.switchEmbeddingModel(config);
+  if (!result.success) {
+    alert(`Error switching model: ${result.error || "Unknown error"}`);
+    fetchEmbeddingStatus();
+    return;
+  }
+  embeddingApiKeyInput.value = "";
+  fetchEmbeddingStatus();
+});
+
+cancelReindexBtn.addEventListener("click", async () => {
+  const result = await window.electronAPI.cancelReindex();
+  if (!result.success) {
+    alert(`Error cancelling re-index: ${result.error || "Unknown error"}`);
+  }
+  fetchEmbeddingStatus();
+});
+
+window.electronAPI.onReindexProgress((job) => renderReindexStatus(job));
+
+// Search, duplicates, related todos and topics use the new vectors from here
+// on; results already on screen came from the old model.
+window.electronAPI.onEmbeddingModelSwitched((model) => {
+  fetchEmbeddingStatus();
+  showUndoToast(`Switched to ${model.key}.`);
+});
+
+// --- Local API ---
+function renderApiStatus(status) {
+  apiEnabledCheckbox.checked = status.enabled;
+  regenerateApiTokenBtn.disabled = !status.enabled;
+  apiAddress.textContent = status.enabled
+    ? `http://127.0.0.1:${status.port} (spec at /openapi.json)`
+    : "";
+  apiTokenInput.value = status.enabled ? status.token : "";
+}
+
+async function fetchApiStatus() {
+  const result = await window.electronAPI.getApiStatus();
+  if (result.success) renderApiStatus(result);
+}
+
+apiEnabledCheckbox.addEventListener("change", async () => {
+  apiEnabledCheckbox.disabled = true;
+  const result = await window.electronAPI.setApiEnabled(
+    apiEnabledCheckbox.checked
+  );
+  apiEnabledCheckbox.disabled = false;
+  if (!result.success) {
+    alert(`Error switching the local API: ${result.error || "Unknown error"}`);
+    fetchApiStatus();
+    return;
+  }
+  renderApiStatus(result);
+});
+
+regenerateApiTokenBtn.addEventListener("click", async () => {
+  if (
+    !confirm("Scripts using the current token will stop working. Continue?")
+  ) {
+    return;
+  }
+  const result = await window.electronAPI.regenerateApiToken();
+  if (!result.success) {
+    alert(`Error creating a new token: ${result.error || "Unknown error"}`);
+    return;
+  }
+  renderApiStatus(result);
+});
+
+apiTokenInput.addEventListener("focus", () => apiTokenInput.select());
+
+// --- Backups ---
+const BACKUP_REASON_LABELS = {
+  manual: "Manual",
+  scheduled: "Scheduled",
+  "before-restore": "Before restore",
+};
+
+// Picks `value` in `select`, adding it as an option if it isn't one (e.g. a
+// value set by hand in todo_settings.json).
+function selectValue(select, value, label) {
+  if (!Array.from(select.options).some((o) => o.value === String(value))) {
+    select.appendChild(new Option(label, String(value)));
+  }
+  select.value = String(value);
+}
+
+async function fetchBackups() {
+  const [result, versions] = await Promise.all([
+    window.electronAPI.getBackups(),
+    window.electronAPI.getTableVersions(),
+  ]);
+  renderBackups(result);
+  renderTableVersions(versions);
+}
+
+function renderBackups(result) {
+  backupList.innerHTML = "";
+  if (!result.success) {
+    backupList.innerHTML = `<li>Error: ${result.error || "Unknown error"}</li>`;
+    return;
+  }
+  selectValue(
+    backupIntervalSelect,
+    result.intervalHours,
+    `Every ${result.intervalHours} hours`
+  );
+  selectValue(backupKeepSelect, result.keep, String(result.keep));
+  createBackupBtn.disabled = result.running;
+  backupsStatus.textContent = result.running
+    ? "A backup or restore is running..."
+    : "";
+  if (result.backups.length === 0) {
+    const li = document.createElement("li");
+    li.textContent = "No backups yet.";
+    li.style.justifyContent = "center";
+    backupList.appendChild(li);
+    return;
+  }
+  result.backups.forEach((backup) =>
+    backupList.appendChild(createBackupElement(backup))
+  );
+}
+
+function createBackupElement(backup) {
+  const li = document.createElement("li");
+  li.className = "backup-item";
+
+  const contentDiv = document.createElement("div");
+  contentDiv.className = "todo-content";
+  const textSpan = document.createElement("span");
+  textSpan.className = "todo-text";
+  textSpan.textContent = new Date(backup.createdAt).toLocaleString();
+  contentDiv.appendChild(textSpan);
+  const detailSpan = document.createElement("span");
+  detailSpan.className = "todo-timestamp";
+  detailSpan.textContent = ` (${
+    BACKUP_REASON_LABELS[backup.reason] || backup.reason
+  }, ${backup.todoCount} todos, ${backup.embedding.model})`;
+  contentDiv.appendChild(detailSpan);
+
+  const actionsDiv = document.createElement("div");
+  actionsDiv.className = "todo-actions";
+  const restoreButton = document.createElement("button");
+  restoreButton.textContent = "Restore";
+  restoreButton.className = "restore-btn";
+  restoreButton.addEventListener("click", () =>
+    runRestore(
+      `Replace all todos with this backup from ${textSpan.textContent}?`,
+      () => window.electronAPI.restoreBackup(backup.name)
+    )
+  );
+  const deleteButton = document.createElement("button");
+  deleteButton.textContent = "Delete";
+  deleteButton.className = "delete-btn";
+  deleteButton.addEventListener("click", () => handleDeleteBackup(backup));
+  actionsDiv.appendChild(restoreButton);
+  actionsDiv.appendChild(deleteButton);
+
+  li.appendChild(contentDiv);
+  li.appendChild(actionsDiv);
+  return li;
+}
+
+function renderTableVersions(result) {
+  tableVersionList.innerHTML = "";
+  if (!result.success) {
+    tableVersionList.innerHTML = `<li>Error: ${
+      result.error || "Unknown error"
+    }</li>`;
+    return;
+  }
+  result.versions.forEach((entry, index) => {
+    const li = document.createElement("li");
+    li.className = "table-version-item";
+    const label = document.createElement("span");
+    label.className = "todo-text";
+    const savedAt = new Date(entry.createdAt).toLocaleString();
+    label.textContent = `Version ${entry.version} (${savedAt})`;
+    li.appendChild(label);
+    if (index === 0) {
+      const current = document.createElement("span");
+      current.className = "todo-timestamp";
+      current.textContent = "Current";
+      li.appendChild(current);
+    } else {
+      const restoreButton = document.createElement("button");
+      restoreButton.textContent = "Restore";
+      restoreButton.className = "restore-btn";
+      restoreButton.addEventListener("click", () =>
+        runRestore(
+          `Replace all todos with version ${entry.version} from ${savedAt}?`,
+          () => window.electronAPI.restoreTableVersion(entry.version)
+        )
+      );
+      const actionsDiv = document.createElement("div");
+      actionsDiv.className = "todo-actions";
+      actionsDiv.appendChild(restoreButton);
+      li.appendChild(actionsDiv);
+    }
+    tableVersionList.appendChild(li);
+  });
+  if (result.total > result.versions.length) {
+    const li = document.createElement("li");
+    li.textContent = `${
+      result.total - result.versions.length
+    } older versions not shown.`;
+    li.style.justifyContent = "center";
+    tableVersionList.appendChild(li);
+  }
+}
+
+// Restores are checked before anything changes and take a backup of the
+// current todos first, so the confirm only needs to say what is replaced.
+async function runRestore(question, restore) {
+  if (editingTodoIdInput.value !== "") {
+    alert("Please finish or cancel your current edit first.");
+    return;
+  }
+  if (!confirm(`${question} The current todos are backed up first.`)) {
+    return;
+  }
+  createBackupBtn.disabled = true;
+  backupsStatus.textContent = "Checking and restoring...";
+  const result = await restore();
+  if (!result.success) {
+    alert(`Error restoring: ${result.error || "Unknown error"}`);
+  } else {
+    showUndoToast(`Restored ${result.count} todos.`);
+  }
+  fetchBackups();
+}
+
+async function handleDeleteBackup(backup) {
+  if (!confirm("Delete this backup? This cannot be undone.")) {
+    return;
+  }
+  const result = await window.electronAPI.deleteBackup(backup.name);
+  if (!result.success) {
+    alert(`Error deleting backup: ${result.error || "Unknown error"}`);
+  }
+  fetchBackups();
+}
+
+createBackupBtn.addEventListener("click", async () => {
+  createBackupBtn.disabled = true;
+  backupsStatus.textContent = "Backing up...";
+  const result = await window.electronAPI.createBackup();
+  if (!result.success) {
+    alert(`Error backing up: ${result.error || "Unknown error"}`);
+  }
+  fetchBackups();
+});
+
+async function saveBackupSchedule() {
+  const result = await window.electronAPI.setBackupSchedule(
+    Number(backupIntervalSelect.value),
+    Number(backupKeepSelect.value)
+  );
+  if (!result.success) {
+    alert(`Error saving the schedule: ${result.error || "Unknown error"}`);
+  }
+  fetchBackups(); // A lower limit may have removed old backups
+}
+
+backupIntervalSelect.addEventListener("change", saveBackupSchedule);
+backupKeepSelect.addEventListener("change", saveBackupSchedule);
+
+// Todos changed outside the window: through the API or the CLI, or replaced
+// by a restore. An edit in progress is left alone; the list catches up on
+// the next refresh.
+window.electronAPI.onTodosChanged(() => {
+  if (editingTodoIdInput.value !== "") return;
+  fetchTodos({ keepScroll: true });
+  refreshSmartListTab();
+  if (
+    document.getElementById("trash-tab-content").classList.contains("active")
+  ) {
+    fetchTrash();
+  }
+});
+
+// --- Multi-select and bulk actions ---
+// Todos are selected with the checkbox at the start of each row; shift-click
+// selects the range from the last one clicked. A selection belongs to the tab
+// it was made in and is cleared when that list changes (tab, filters, a new
+// search) or after an action that reshapes it.
+
+function isTabActive(tabId) {
+  const content = document.getElementById(`${tabId}-content`);
+  return Boolean(content && content.classList.contains("active"));
+}
+
+// The todos the active tab shows, in order.
+function todosInView() {
+  if (isTabActive("search-results-tab")) return shownSearchResults;
+  if (isTabActive("smart-list-tab")) return shownSmartListResults;
+  return loadedTodos;
+}
+
+function setTodoSelected(todo, selected) {
+  if (selected) {
+    selectedTodos.set(todo.id, todo);
+  } else {
+    selectedTodos.delete(todo.id);
+  }
+  document.querySelectorAll(`li[data-id="${todo.id}"]`).forEach((li) => {
+    li.classList.toggle("selected", selected);
+    const checkbox = li.querySelector(".todo-select-checkbox");
+    if (checkbox) checkbox.checked = selected;
+  });
+}
+
+function handleSelectClick(todo, selected, shiftKey) {
+  const todos = todosInView();
+  const anchor = todos.findIndex((t) => t.id === lastSelectedTodoId);
+  const index = todos.findIndex((t) => t.id === todo.id);
+  if (shiftKey && anchor !== -1 && index !== -1) {
+    const [from, to] = anchor < index ? [anchor, index] : [index, anchor];
+    todos
+      .slice(from, to + 1)
+      .forEach((entry) => setTodoSelected(entry, selected));
+  } else {
+    setTodoSelected(todo, selected);
+  }
+  lastSelectedTodoId = todo.id;
+  updateBulkActions();
+}
+
+function clearSelection() {
+  [...selectedTodos.values()].forEach((todo) => setTodoSelected(todo, false));
+  lastSelectedTodoId = null;
+  updateBulkActions();
+}
+
+// Drops selected todos that are no longer among `todos`.
+function keepSelectedOnly(todos) {
+  const shown = new Set(todos.map((todo) => todo.id));
+  [...selectedTodos.values()]
+    .filter((todo) => !shown.has(todo.id))
+    .forEach((todo) => setTodoSelected(todo, false));
+  updateBulkActions();
+}
+
+function updateBulkActions() {
+  const count = selectedTodos.size;
+  const editing = editingTodoIdInput.value !== "";
+  bulkCountLabel.textContent = count > 0 ? `${count} selected` : "";
+  selectAllBtn.disabled = editing;
+  [
+    clearSelectionBtn,
+    bulkCompleteBtn,
+    bulkReopenBtn,
+    bulkTagInput,
+    bulkAddTagBtn,
+    bulkRemoveTagBtn,
+    bulkExportBtn,
+    bulkDeleteBtn,
+  ].forEach((control) => (control.disabled = editing || count === 0));
+}
+
+// Everything in the current view. On the todos tab that includes the pages
+// not loaded yet, fetched here with the same filters.
+async function viewTodosForSelectAll() {
+  if (!isTabActive("todos-tab") || !nextTodoCursor) return todosInView();
+  const todos = [];
+  let cursor = null;
+  do {
+    const result = await window.electronAPI.getTodos({
+      status: currentStatusFilter,
+      sort: todoSortSelect.value,
+      cursor,
+      limit: SELECT_ALL_PAGE_SIZE,
+      ...currentScope(),
+      due: currentDueView,
+    });
+    if (!result.success) throw new Error(result.error || "Unknown error");
+    todos.push(...result.todos);
+    cursor = result.nextCursor;
+  } while (cursor);
+  return todos;
+}
+
+selectAllBtn.addEventListener("click", async () => {
+  selectAllBtn.disabled = true;
+  try {
+    const todos = await viewTodosForSelectAll();
+    todos.forEach((todo) => setTodoSelected(todo, true));
+  } catch (error) {
+    alert(`Error selecting todos: ${error.message}`);
+  }
+  updateBulkActions();
+});
+
+clearSelectionBtn.addEventListener("click", clearSelection);
+
+// Lists the todos an action skipped, e.g. ones deleted from another window.
+function reportBulkFailures(action, failed) {
+  if (!failed || failed.length === 0) return;
+  const lines = failed.map((entry) => {
+    const todo = selectedTodos.get(entry.id);
+    return `- ${todo ? todo.text : entry.id}: ${entry.error}`;
+  });
+  alert(`Couldn't ${action} ${failed.length} todo(s):\n${lines.join("\n")}`);
+}
+
+// Reloads whatever shows the changed todos. Smart lists refresh themselves.
+function refreshAfterBulkAction() {
+  clearSelection();
+  fetchTodos({ keepScroll: true });
+  if (isTabActive("search-results-tab") && searchInput.value.trim() !== "") {
+    searchTodoBtn.click();
+  }
+}
+
+async function runBulkAction(button, action, run) {
+  if (editingTodoIdInput.value !== "" || selectedTodos.size === 0) return;
+  button.disabled = true;
+  const result = await run([...selectedTodos.keys()]);
+  updateBulkActions();
+  if (!result.success) {
+    alert(`Error: ${result.error || "Unknown error"}`);
+    return null;
+  }
+  reportBulkFailures(action, result.failed);
+  return result;
+}
+
+async function bulkSetCompleted(button, completed) {
+  const result = await runBulkAction(
+    button,
+    completed ? "complete" : "reopen",
+    (ids) => window.electronAPI.bulkCompleteTodos(ids, completed)
+  );
+  if (!result) return;
+  refreshAfterBulkAction();
+  const repeats = result.nextOccurrences.length;
+  showUndoToast(
+    `${result.items.length} todo(s) ${completed ? "completed" : "reopened"}` +
+      (repeats > 0 ? `; ${repeats} next occurrence(s) added.` : "."),
+    null
+  );
+}
+
+bulkCompleteBtn.addEventListener("click", () =>
+  bulkSetCompleted(bulkCompleteBtn, true)
+);
+bulkReopenBtn.addEventListener("click", () =>
+  bulkSetCompleted(bulkReopenBtn, false)
+);
+
+async function bulkRetag(button, change) {
+  const tag = bulkTagInput.value.trim().replace(/^#/, "");
+  if (!tag) {
+    alert("Enter a tag first.");
+    bulkTagInput.focus();
+    return;
+  }
+  const result = await runBulkAction(button, "retag", (ids) =>
+    window.electronAPI.bulkRetagTodos(ids, { [change]: [tag] })
+  );
+  if (!result) return;
+  bulkTagInput.value = "";
+  refreshAfterBulkAction();
+  showUndoToast(
+    change === "add"
+      ? `Added #${tag} to ${result.items.length} todo(s).`
+      : `Removed #${tag} from ${result.items.length} todo(s).`,
+    null
+  );
+}
+
+bulkAddTagBtn.addEventListener("click", () => bulkRetag(bulkAddTagBtn, "add"));
+bulkRemoveTagBtn.addEventListener("click", () =>
+  bulkRetag(bulkRemoveTagBtn, "remove")
+);
+bulkTagInput.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") bulkRetag(bulkAddTagBtn, "add");
+});
+
+// Uses the format and vector options of the Import / Export panel.
+bulkExportBtn.addEventListener("click", async () => {
+  if (selectedTodos.size === 0) return;
+  bulkExportBtn.disabled = true;
+  const result = await window.electronAPI.exportTodos(
+    exportFormatSelect.value,
+    {
+      includeVectors: exportIncludeVectorsCheckbox.checked,
+      ids: [...selectedTodos.keys()],
+    }
+  );
+  updateBulkActions();
+  if (result.success) {
+    reportBulkFailures("export", result.failed);
+    alert(`Exported ${result.count} todos to ${result.filePath}`);
+  } else if (!result.canceled) {
+    alert(`Error exporting todos: ${result.error || "Unknown error"}`);
+  }
+});
+
+bulkDeleteBtn.addEventListener("click", async () => {
+  const withSubtasks = [...selectedTodos.values()].filter(
+    (todo) => todo.childCount > 0
+  );
+  // Like a single delete: straight to the trash, with undo; only subtasks
+  // need a decision.
+  let children = null;
+  if (withSubtasks.length > 0) {
+    children = await chooseDeleteChildren(
+      `${withSubtasks.length} of the selected todos have subtasks. What ` +
+        `should happen to subtasks that aren't selected themselves?`
+    );
+    if (children === "cancel") return;
+  }
+  const result = await runBulkAction(bulkDeleteBtn, "delete", (ids) =>
+    window.electronAPI.bulkDeleteTodos(ids, { children })
+  );
+  if (!result) return;
+  result.deletedIds.forEach((id) => {
+    const searchResultItem = searchResultsList.querySelector(
+      `li[data-id="${id}"]`
+    );
+    if (searchResultItem) searchResultItem.remove();
+  });
+  shownSearchResults = shownSearchResults.filter(
+    (todo) => !result.deletedIds.includes(todo.id)
+  );
+  clearSelection();
+  fetchTodos({ keepScroll: true });
+  showUndoToast(
+    `${result.deletedIds.length} todo(s) moved to trash.`,
+    async () => {
+      // Promoted subtasks go back under their restored parents.
+      const restored = await window.electronAPI.bulkRestoreTodos(
+        result.deletedIds,
+        result.deletedAt,
+        result.formerParents
+      );
+      if (!restored.success) {
+        alert(`Error restoring todos: ${restored.error || "Unknown error"}`);
+        return;
+      }
+      fetchTodos({ keepScroll: true });
+    }
+  );
+});
+
+updateBulkActions();
+
+// --- Undo toast ---
+// Without an undo action the toast is a plain notice.
+function showUndoToast(message, undoAction) {
+  clearTimeout(toastTimer);
+  toastMessage.textContent = message;
+  toastUndoAction = undoAction;
+  toastUndoBtn.classList.toggle("hidden", !undoAction);
+  toast.classList.remove("hidden");
+  toastTimer = setTimeout(hideToast, UNDO_TOAST_DURATION_MS);
+}
+
+function hideToast() {
+  clearTimeout(toastTimer);
+  toastUndoAction = null;
+  toast.classList.add("hidden");
+}
+
+toastUndoBtn.addEventListener("click", () => {
+  const undoAction = toastUndoAction;
+  hideToast();
+  if (undoAction) undoAction();
+});
+
+// --- Revision history ---
+
+// Word-level diff (longest common subsequence). Returns segments of
+// { type: "same" | "removed" | "added", text } turning `oldText` into `newText`.
+function diffWords(oldText, newText) {
+  const a = oldText.split(/(\s+)/);
+  const b = newText.split(/(\s+)/);
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const segments = [];
+  const push = (type, text) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.text += text;
+    else segments.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+  return segments;
+}
+
+function renderDiff(oldText, newText) {
+  const container = document.createElement("div");
+  container.className = "history-diff";
+  diffWords(oldText, newText).forEach((segment) => {
+    const element =
+      segment.type === "same"
+        ? document.createElement("span")
+        : document.createElement(segment.type === "added" ? "ins" : "del");
+    element.textContent = segment.text;
+    container.appendChild(element);
+  });
+  return container;
+}
+
+async function openHistoryPanel(todoId) {
+  if (editingTodoIdInput.value !== "") {
+    alert("Please finish or cancel your current edit first.");
+    return;
+  }
+  const result = await window.electronAPI.getTodoHistory(todoId);
+  if (!result.success) {
+    alert(`Error loading history: ${result.error || "Unknown error"}`);
+    return;
+  }
+  historyTodoId = todoId;
+  historyCurrentText.textContent = `${result.item.text} (current, ${new Date(
+    result.item.updatedAt
+  ).toLocaleString()})`;
+  historyList.innerHTML = "";
+  if (result.revisions.length === 0) {
+    const li = document.createElement("li");
+    li.textContent = "No earlier versions.";
+    historyList.appendChild(li);
+  }
+  // Each entry shows what changed when it was replaced by the next version.
+  result.revisions.forEach((revision, position) => {
+    const successor =
+      position === 0 ? result.item.text : result.revisions[position - 1].text;
+    const li = document.createElement("li");
+
+    const contentDiv = document.createElement("div");
+    contentDiv.className = "todo-content";
+    const savedSpan = document.createElement("span");
+    savedSpan.className = "todo-timestamp";
+    savedSpan.textContent = `Saved ${new Date(
+      revision.savedAt
+    ).toLocaleString()}`;
+    contentDiv.appendChild(renderDiff(revision.text, successor));
+    contentDiv.appendChild(savedSpan);
+
+    const revertButton = document.createElement("button");
+    revertButton.textContent = "Revert to this version";
+    revertButton.className = "secondary-action-btn";
+    revertButton.addEventListener("click", () =>
+      handleRevertTodo(todoId, revision.index)
+    );
+
+    li.appendChild(contentDiv);
+    li.appendChild(revertButton);
+    historyList.appendChild(li);
+  });
+  historyPanel.classList.remove("hidden");
+}
+
+function closeHistoryPanel() {
+  historyTodoId = null;
+  historyPanel.classList.add("hidden");
+  historyList.innerHTML = "";
+}
+
+async function handleRevertTodo(todoId, revisionIndex) {
+  const result = await window.electronAPI.revertTodo(todoId, revisionIndex);
+  if (!result.success) {
+    alert(`Error reverting todo: ${result.error || "Unknown error"}`);
+    return;
+  }
+  updateLoadedTodo(result.item);
+  refreshTagSidebar();
+  searchResultsList
+    .querySelectorAll(`li[data-id="${todoId}"] .todo-text`)
+    .forEach((span) => (span.textContent = result.item.text));
+  if (historyTodoId === todoId) {
+    openHistoryPanel(todoId); // Show the new entry for the replaced text
+  }
+  if (searchInput.value.trim()) {
+    searchTodoBtn.click(); // The re-embedded text may rank differently
+  }
+}
+
+closeHistoryBtn.addEventListener("click", closeHistoryPanel);
+
+// --- Notes ---
+// Notes are Markdown. The subset shown here (headings, lists, quotes, code,
+// emphasis, links) is built as DOM nodes, never as HTML, so notes can't
+// inject markup. Blocks keep their offsets into the notes so a passage
+// matched by search can be highlighted.
+
+const NOTE_FENCE = /^\s*(```|~~~)/;
+const NOTE_HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const NOTE_LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/;
+const NOTE_INLINE =
+  /`([^`]+)`|\*\*(.+?)\*\*|\*([^*\s](?:[^*]*[^*\s])?)\*|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+// Splits notes into { type, start, end, lines } blocks, the same way the
+// main process chunks them (see note-chunks.js).
+function parseNoteBlocks(markdown) {
+  const blocks = [];
+  let block = null;
+  let fence = null;
+  let position = 0;
+  const close = () => {
+    if (block) blocks.push(block);
+    block = null;
+  };
+  markdown.split("\n").forEach((line) => {
+    const start = position;
+    const end = position + line.length;
+    position = end + 1;
+    if (fence) {
+      block.end = end;
+      if (line.trim().startsWith(fence)) {
+        fence = null;
+        close();
+      } else {
+        block.lines.push(line);
+      }
+      return;
+    }
+    const fenceMatch = NOTE_FENCE.exec(line);
+    if (fenceMatch) {
+      close();
+      fence = fenceMatch[1];
+      block = { type: "code", start, end, lines: [] };
+      return;
+    }
+    const heading = NOTE_HEADING.exec(line);
+    if (heading) {
+      close();
+      blocks.push({
+        type: "heading",
+        level: heading[1].length,
+        start,
+        end,
+        lines: [heading[2]],
+      });
+      return;
+    }
+    if (line.trim() === "") {
+      close();
+      return;
+    }
+    if (block) {
+      block.end = end;
+      block.lines.push(line);
+      return;
+    }
+    const type = NOTE_LIST_ITEM.test(line)
+      ? "list"
+      : /^\s*>/.test(line)
+      ? "quote"
+      : "paragraph";
+    block = { type, start, end, lines: [line] };
+  });
+  close();
+  return blocks;
+}
+
+// Appends `text` to `parent` with inline code, bold, italics and links.
+function appendInlineMarkdown(parent, text) {
+  let last = 0;
+  NOTE_INLINE.lastIndex = 0;
+  let match;
+  while ((match = NOTE_INLINE.exec(text))) {
+    parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+    last = match.index + match[0].length;
+    if (match[1] !== undefined) {
+      const code = document.createElement("code");
+      code.textContent = match[1];
+      parent.appendChild(code);
+    } else if (match[2] !== undefined || match[3] !== undefined) {
+      const element = document.createElement(match[2] ? "strong" : "em");
+      appendInlineMarkdown(element, match[2] || match[3]);
+      parent.appendChild(element);
+      NOTE_INLINE.lastIndex = last; // The nested call reset it
+    } else {
+      const link = document.createElement("a");
+      link.href = match[5];
+      link.textContent = match[4];
+      link.title = match[5];
+      parent.appendChild(link);
+    }
+  }
+  parent.appendChild(document.createTextNode(text.slice(last)));
+}
+
+function createNoteBlockElement(block) {
+  if (block.type === "heading") {
+    const heading = document.createElement(`h${Math.min(block.level + 2, 6)}`);
+    appendInlineMarkdown(heading, block.lines[0]);
+    return heading;
+  }
+  if (block.type === "code") {
+    const pre = document.createElement("pre");
+    pre.textContent = block.lines.join("\n");
+    return pre;
+  }
+  if (block.type === "list") {
+    const ordered = /^\s*\d/.test(block.lines[0]);
+    const list = document.createElement(ordered ? "ol" : "ul");
+    const items = [];
+    block.lines.forEach((line) => {
+      const item = NOTE_LIST_ITEM.exec(line);
+      if (item) items.push(item[1]);
+      else items[items.length - 1] += ` ${line.trim()}`;
+    });
+    items.forEach((itemText) => {
+      const li = document.createElement("li");
+      const task = /^\[( |x|X)\]\s+(.*)$/.exec(itemText);
+      if (task) {
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = task[1] !== " ";
+        checkbox.disabled = true;
+        li.appendChild(checkbox);
+      }
+      appendInlineMarkdown(li, task ? task[2] : itemText);
+      list.appendChild(li);
+    });
+    return list;
+  }
+  const element = document.createElement(
+    block.type === "quote" ? "blockquote" : "p"
+  );
+  appendInlineMarkdown(
+    element,
+    block.lines
+      .map((line) =>
+        block.type === "quote" ? line.replace(/^\s*>\s?/, "") : line
+      )
+      .join(" ")
+  );
+  return element;
+}
+
+// Shows `markdown` rendered; blocks overlapping `passage` ({ start, end })
+// are highlighted and the first is scrolled to.
+function renderNotes(markdown, passage = null) {
+  notesView.innerHTML = "";
+  if (!markdown) {
+    const empty = document.createElement("p");
+    empty.className = "notes-empty";
+    empty.textContent = "No notes yet.";
+    notesView.appendChild(empty);
+    return;
+  }
+  let firstMatch = null;
+  parseNoteBlocks(markdown).forEach((block) => {
+    const element = createNoteBlockElement(block);
+    if (passage && block.start < passage.end && block.end > passage.start) {
+      element.classList.add("note-match");
+      firstMatch = firstMatch || element;
+    }
+    notesView.appendChild(element);
+  });
+  if (firstMatch) firstMatch.scrollIntoView({ block: "center" });
+}
+
+function setNotesEditing(editing) {
+  notesView.classList.toggle("hidden", editing);
+  notesEditor.classList.toggle("hidden", !editing);
+  editNotesBtn.classList.toggle("hidden", editing);
+  saveNotesBtn.classList.toggle("hidden", !editing);
+  cancelNotesBtn.classList.toggle("hidden", !editing);
+  notesStatus.textContent = "";
+  if (editing) {
+    notesEditor.value = savedNotes;
+    notesEditor.focus();
+  }
+}
+
+// Asks before throwing away edits that weren't saved.
+function confirmDiscardNotes() {
+  return (
+    notesEditor.classList.contains("hidden") ||
+    notesEditor.value === savedNotes ||
+    confirm("Discard your changes to the notes?")
+  );
+}
+
+async function openNotesPanel(todoId, passage = null) {
+  if (notesTodoId && notesTodoId !== todoId && !confirmDiscardNotes()) return;
+  const result = await window.electronAPI.getTodoNotes(todoId);
+  if (!result.success) {
+    alert(`Error loading notes: ${result.error || "Unknown error"}`);
+    return;
+  }
+  notesTodoId = todoId;
+  savedNotes = result.notes;
+  notesTodoText.textContent = result.item.text;
+  setNotesEditing(false);
+  attachmentsStatus.textContent = "";
+  notesPanel.classList.remove("hidden");
+  const inNotes = passage && passage.source === "note";
+  renderNotes(savedNotes, inNotes ? passage : null);
+  renderAttachments(result.item.attachments, inNotes ? null : passage);
+}
+
+function closeNotesPanel() {
+  if (!confirmDiscardNotes()) return;
+  notesTodoId = null;
+  savedNotes = "";
+  notesPanel.classList.add("hidden");
+  notesView.innerHTML = "";
+  notesEditor.value = "";
+  attachmentsList.innerHTML = "";
+}
+
+editNotesBtn.addEventListener("click", () => setNotesEditing(true));
+
+cancelNotesBtn.addEventListener("click", () => {
+  if (!confirmDiscardNotes()) return;
+  setNotesEditing(false);
+});
+
+saveNotesBtn.addEventListener("click", async () => {
+  saveNotesBtn.disabled = true;
+  notesStatus.textContent = "Saving...";
+  const result = await window.electronAPI.saveTodoNotes(
+    notesTodoId,
+    notesEditor.value
+  );
+  saveNotesBtn.disabled = false;
+  if (!result.success) {
+    notesStatus.textContent = "";
+    alert(`Error saving notes: ${result.error || "Unknown error"}`);
+    return;
+  }
+  savedNotes = result.notes;
+  setNotesEditing(false);
+  renderNotes(savedNotes);
+  updateLoadedTodo(result.item);
+  if (searchInput.value.trim()) {
+    searchTodoBtn.click(); // The new notes may match differently
+  }
+});
+
+// Links open in the browser; following them in the window would replace
+// the app.
+notesView.addEventListener("click", async (event) => {
+  const link = event.target.closest("a");
+  if (!link) return;
+  event.preventDefault();
+  const result = await window.electronAPI.openExternalLink(
+    link.getAttribute("href")
+  );
+  if (!result.success) {
+    alert(`Could not open the link: ${result.error || "Unknown error"}`);
+  }
+});
+
+closeNotesBtn.addEventListener("click", closeNotesPanel);
+
+// --- Attachments ---
+// Files attached to a todo are listed under its notes. Their text is
+// searched like the notes; a search hit in one highlights it here.
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Lists `attachments`; the one `passage` ({ sourceId }) was found in is
+// highlighted.
+function renderAttachments(attachments, passage = null) {
+  attachmentsList.innerHTML = "";
+  if (attachments.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "attachments-empty";
+    empty.textContent = "No files attached.";
+    attachmentsList.appendChild(empty);
+    return;
+  }
+  attachments.forEach((attachment) => {
+    const li = document.createElement("li");
+    li.dataset.id = attachment.id;
+
+    const nameSpan = document.createElement("span");
+    nameSpan.className = "attachment-name";
+    nameSpan.textContent = attachment.name;
+    nameSpan.title = "Open the file";
+
+    const metaSpan = document.createElement("span");
+    metaSpan.className = "attachment-meta";
+    metaSpan.textContent = formatFileSize(attachment.size);
+    if (!attachment.chars) {
+      metaSpan.textContent += " \u00B7 no text found";
+    } else if (attachment.truncated) {
+      metaSpan.textContent += " \u00B7 partly searchable";
+      metaSpan.title = "Only the start of this file's text is searched.";
+    }
+
+    const removeButton = document.createElement("button");
+    removeButton.className = "secondary-action-btn remove-attachment-btn";
+    removeButton.textContent = "Remove";
+
+    li.appendChild(nameSpan);
+    li.appendChild(metaSpan);
+    li.appendChild(removeButton);
+    if (passage && passage.sourceId === attachment.id) {
+      li.classList.add("note-match");
+      li.title = `Matched: \u201C${passage.text.replace(/\s+/g, " ")}\u201D`;
+    }
+    attachmentsList.appendChild(li);
+  });
+  const match = attachmentsList.querySelector(".note-match");
+  if (match) match.scrollIntoView({ block: "center" });
+}
+
+// After attachments change: the list, the todo's row and any search
+// results, which may now match differently.
+function showAttachmentsChange(item) {
+  renderAttachments(item.attachments);
+  updateLoadedTodo(item);
+  if (searchInput.value.trim()) {
+    searchTodoBtn.click();
+  }
+}
+
+addAttachmentsBtn.addEventListener("click", async () => {
+  addAttachmentsBtn.disabled = true;
+  attachmentsStatus.textContent = "Reading files...";
+  const result = await window.electronAPI.addAttachments(notesTodoId);
+  addAttachmentsBtn.disabled = false;
+  attachmentsStatus.textContent = "";
+  if (result.canceled) return;
+  if (!result.success) {
+    alert(`Error attaching files: ${result.error || "Unknown error"}`);
+    return;
+  }
+  if (result.attachments.length > 0) showAttachmentsChange(result.item);
+  if (result.failed.length > 0) {
+    alert(
+      "Some files could not be attached:\n" +
+        result.failed.map((failure) => failure.error).join("\n")
+    );
+  }
+});
+
+attachmentsList.addEventListener("click", async (event) => {
+  const li = event.target.closest("li[data-id]");
+  if (!li) return;
+  const attachmentId = li.dataset.id;
+  if (event.target.closest(".remove-attachment-btn")) {
+    const name = li.querySelector(".attachment-name").textContent;
+    if (!confirm(`Remove ${name}? Its copy is deleted.`)) return;
+    const result = await window.electronAPI.removeAttachment(
+      notesTodoId,
+      attachmentId
+    );
+    if (!result.success) {
+      alert(`Error removing the file: ${result.error || "Unknown error"}`);
+      return;
+    }
+    showAttachmentsChange(result.item);
+  } else if (event.target.closest(".attachment-name")) {
+    const result = await window.electronAPI.openAttachment(
+      notesTodoId,
+      attachmentId
+    );
+    if (!result.success) {
+      alert(`Could not open the file: ${result.error || "Unknown error"}`);
+    }
+  }
+});
@@ -0,0 +1,70 @@
+const fs = require("fs");
+const { DEFAULT_EMBEDDING } = require("./embeddings");
+
+// User preferences persisted as JSON under userData. Unknown keys in the file
+// are kept; missing keys fall back to DEFAULT_SETTINGS.
+
+const DEFAULT_SETTINGS = {
+  // Days a deleted todo stays in the trash before it is purged (0 = never).
+  trashRetentionDays: 30,
+  // Cosine similarity (0-1) above which a new todo is flagged as a likely
+  // duplicate of an existing one.
+  duplicateThreshold: 0.9,
+  // Embedding provider used for new vectors (see embeddings.js).
+  embedding: DEFAULT_EMBEDDING,
+  // LanceDB table holding the todos; changes when a model switch completes.
+  activeTable: "todos",
+  // { config, tableName } while a switch to another model is re-indexing, so
+  // it resumes after a restart.
+  reindexJob: null,
+  // Local HTTP API (see api-server.js): off until turned on in the window.
+  apiEnabled: false,
+  apiPort: 7391,
+  // Bearer token for the API; generated the first time it is turned on.
+  apiToken: "",
+  // Hours between scheduled backups of the database (0 = off), and how many
+  // scheduled / before-restore backups are kept (see backups.js).
+  backupIntervalHours: 24,
+  backupKeep: 7,
+  // Saved searches shown as tabs (see smart-lists.js).
+  smartLists: [],
+  // How dates typed into a todo are read (see entry-parser.js): the locale
+  // for 3/4-style dates ("" = the system's) and the first day of the week
+  // (0 = Sunday, 1 = Monday, ...).
+  dateLocale: "",
+  weekStart: 1,
+};
+
+class SettingsStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.values = null;
+  }
+
+  load() {
+    let stored = {};
+    try {
+      stored = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("Could not read settings, using defaults:", error);
+      }
+    }
+    this.values = { ...DEFAULT_SETTINGS, ...stored };
+    return this.values;
+  }
+
+  get(key) {
+    if (!this.values) this.load();
+    return key === undefined ? { ...this.values } : this.values[key];
+  }
+
+  update(patch) {
+    if (!this.values) this.load();
+    this.values = { ...this.values, ...patch };
+    fs.writeFileSync(this.filePath, JSON.stringify(this.values, null, 2));
+    return { ...this.values };
+  }
+}
+
+module.exports = { SettingsStore, DEFAULT_SETTINGS };
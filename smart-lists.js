@@ -0,0 +1,121 @@
+// Smart lists: saved searches shown as their own tabs. Each one keeps the
+// search text (which may use the operators of query-syntax.js), the mode,
+// a tag/project scope, a date range relative to the day it runs ("the last
+// 14 days") and how many results to show. They are stored in the
+// `smartLists` setting and re-run whenever the todos change.
+
+const { parseSearchQuery, parseQueryDate } = require("./query-syntax");
+const { isValidTag, normalizeProject } = require("./tags");
+const { SEARCH_MODES, MAX_SEARCH_RESULT_LIMIT } = require("./todo-store");
+
+const MAX_NAME_LENGTH = 60;
+const DEFAULT_SMART_LIST_LIMIT = 10;
+// Date range fields and the operators they become.
+const RANGE_FIELDS = {
+  created: { from: "after", before: "before" },
+  due: { from: "due-after", before: "due-before" },
+};
+
+class SmartListError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SmartListError";
+  }
+}
+
+function checkRangeDate(value, label) {
+  const text = String(value || "").trim();
+  if (text && parseQueryDate(text, Date.now()) === null) {
+    throw new SmartListError(
+      `${label} "${text}" is not a date; use YYYY-MM-DD, today, last-week ` +
+        `or an offset like 14d.`
+    );
+  }
+  return text.toLowerCase();
+}
+
+/**
+ * Validates a smart list from the window and fills in defaults. Returns
+ * { id, name, query, mode, tags, project, range: { field, from, before },
+ * limit }; `range.from` and `range.before` are query dates ("14d",
+ * "last-week", "2024-06-01") or "" for open-ended.
+ */
+function normalizeSmartList(input, id) {
+  const name = String(input.name || "").trim();
+  if (!name) {
+    throw new SmartListError("Give the smart list a name.");
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new SmartListError(
+      `Smart list names are at most ${MAX_NAME_LENGTH} characters.`
+    );
+  }
+  const query = String(input.query || "").trim();
+  const { errors } = parseSearchQuery(query);
+  if (errors.length > 0) {
+    throw new SmartListError(errors.map((error) => error.message).join(" "));
+  }
+  const mode = input.mode || "hybrid";
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new SmartListError(`Unknown search mode: ${mode}`);
+  }
+  const tags = [].concat(input.tags || []);
+  tags.forEach((tag) => {
+    if (!isValidTag(tag)) throw new SmartListError(`Invalid tag: ${tag}`);
+  });
+  const range = input.range || {};
+  const field = range.field || "created";
+  if (!RANGE_FIELDS[field]) {
+    throw new SmartListError(`Unknown date field: ${field}`);
+  }
+  const limit = Math.floor(Number(input.limit || DEFAULT_SMART_LIST_LIMIT));
+  if (!(limit >= 1 && limit <= MAX_SEARCH_RESULT_LIMIT)) {
+    throw new SmartListError(
+      `Show between 1 and ${MAX_SEARCH_RESULT_LIMIT} results.`
+    );
+  }
+  const project = normalizeProject(input.project);
+  if (project.includes('"')) {
+    throw new SmartListError("Smart lists can't filter on a project with \".");
+  }
+  const list = {
+    id,
+    name,
+    query,
+    mode,
+    tags: tags.map((tag) => tag.toLowerCase()),
+    project,
+    range: {
+      field,
+      from: checkRangeDate(range.from, "From"),
+      before: checkRangeDate(range.before, "Before"),
+    },
+    limit,
+  };
+  if (!smartListQuery(list)) {
+    throw new SmartListError("A smart list needs search text or a filter.");
+  }
+  return list;
+}
+
+// The search text with the scope and date range appended as operators, so
+// the range is resolved against the day the list runs.
+function smartListQuery(list) {
+  const operators = RANGE_FIELDS[list.range.field];
+  return [
+    list.query,
+    ...list.tags.map((tag) => `tag:${tag}`),
+    list.project && `project:"${list.project}"`,
+    list.range.from && `${operators.from}:${list.range.from}`,
+    list.range.before && `${operators.before}:${list.range.before}`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+module.exports = {
+  SmartListError,
+  DEFAULT_SMART_LIST_LIMIT,
+  normalizeSmartList,
+  smartListQuery,
+};
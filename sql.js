@@ -0,0 +1,15 @@
+// Helpers for the SQL filters passed to LanceDB's `.filter()`, `.where()`,
+// `countRows`, `update` and `delete`.
+
+// A string literal: single-quoted, embedded quotes doubled.
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// A column name. Unquoted identifiers are lowercased by the filter parser,
+// so camelCase columns (`deletedAt`, `parentId`, ...) must be quoted.
+function col(name) {
+  return `\`${name}\``;
+}
+
+module.exports = { sqlString, col };
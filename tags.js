@@ -0,0 +1,94 @@
+// `#tag` parsing and the encoding used for the `tags` column. Tags are part of
+// the todo text (so they are embedded and keyword-indexed with it) and are
+// re-derived from the text on every add and edit.
+//
+// The column holds the tags wrapped in `|` delimiters ("|work|q3-plan|") so a
+// single tag can be matched in a LanceDB `.where()` clause with
+// `tags LIKE '%|work|%'`. Tag characters exclude `|`, `%`, `_` and quotes, so
+// they never need escaping inside that pattern.
+
+const TAG_BODY = "[\\p{L}\\p{N}][\\p{L}\\p{N}/-]*";
+// A `#` that starts a word (not "C#" or "issue#12").
+const TAG_IN_TEXT = new RegExp(`(^|[^\\p{L}\\p{N}#&])#(${TAG_BODY})`, "gu");
+const VALID_TAG = new RegExp(`^${TAG_BODY}$`, "u");
+const MAX_PROJECT_LENGTH = 100;
+
+/** Returns the distinct lowercase tags in `text`, in order of appearance. */
+function parseTags(text) {
+  const tags = [];
+  for (const match of String(text || "").matchAll(TAG_IN_TEXT)) {
+    const tag = match[2].replace(/[/-]+$/, "").toLowerCase();
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  }
+  return tags;
+}
+
+function isValidTag(tag) {
+  return typeof tag === "string" && VALID_TAG.test(tag);
+}
+
+// Bulk retagging edits the text, since that is where tags live: `#tag` is
+// appended, or every `#tag` (any case) is taken out along with its space.
+function addTag(text, tag) {
+  return parseTags(text).includes(tag) ? text : `${text} #${tag}`;
+}
+
+function removeTag(text, tag) {
+  return String(text || "")
+    .replace(TAG_IN_TEXT, (match, before, body) =>
+      body.replace(/[/-]+$/, "").toLowerCase() === tag ? before : match
+    )
+    .replace(/ {2,}/g, " ")
+    .trim();
+}
+
+function encodeTags(tags) {
+  return tags.length > 0 ? `|${tags.join("|")}|` : "";
+}
+
+function decodeTags(value) {
+  return String(value || "")
+    .split("|")
+    .filter(Boolean);
+}
+
+// Projects are free text; "" means the todo has no project.
+function normalizeProject(project) {
+  return String(project || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .slice(0, MAX_PROJECT_LENGTH);
+}
+
+/**
+ * Counts how many rows carry each tag and each project. Returns
+ * { tags, projects } as [{ name, count }], most used first.
+ */
+function summarizeTags(rows) {
+  const tagCounts = new Map();
+  const projectCounts = new Map();
+  rows.forEach((row) => {
+    decodeTags(row.tags).forEach((tag) =>
+      tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)
+    );
+    if (row.project) {
+      projectCounts.set(row.project, (projectCounts.get(row.project) || 0) + 1);
+    }
+  });
+  const toList = (counts) =>
+    [...counts.entries()]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  return { tags: toList(tagCounts), projects: toList(projectCounts) };
+}
+
+module.exports = {
+  parseTags,
+  isValidTag,
+  addTag,
+  removeTag,
+  encodeTags,
+  decodeTags,
+  normalizeProject,
+  summarizeTags,
+};
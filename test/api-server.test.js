@@ -0,0 +1,149 @@
+// The local HTTP API with a stand-in for the IPC handlers.
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createApiServer } = require("../api-server");
+
+const TOKEN = "test-token";
+
+let api;
+let baseUrl;
+// IPC calls the API made, the results they get, and the writes it reported.
+let calls;
+let results;
+let changes;
+
+before(async () => {
+  api = createApiServer({
+    invoke: async (channel, ...args) => {
+      calls.push({ channel, args });
+      return results[channel] || { success: true };
+    },
+    getToken: () => TOKEN,
+    onChange: (channel) => changes.push(channel),
+  });
+  baseUrl = `http://127.0.0.1:${await api.listen(0)}`;
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+  calls = [];
+  results = {};
+  changes = [];
+});
+
+async function request(method, path, { body, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${TOKEN}`,
+      ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+      ...headers,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("serves the OpenAPI document without a token", async () => {
+  const response = await fetch(`${baseUrl}/openapi.json`);
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).openapi, "3.0.3");
+});
+
+test("refuses requests without the token or from a web page", async () => {
+  const missing = await request("GET", "/todos", {
+    headers: { Authorization: "" },
+  });
+  assert.equal(missing.status, 401);
+  assert.deepEqual(missing.body, {
+    success: false,
+    error: "Missing or wrong API token.",
+  });
+  const wrong = await request("GET", "/todos", {
+    headers: { Authorization: "Bearer nope" },
+  });
+  assert.equal(wrong.status, 401);
+  const page = await request("GET", "/todos", {
+    headers: { Origin: "http://example.com" },
+  });
+  assert.equal(page.status, 403);
+  assert.deepEqual(calls, []);
+});
+
+test("maps routes onto IPC handlers", async () => {
+  await request("GET", "/todos?status=active&tags=work,home&limit=5");
+  assert.equal(calls[0].channel, "get-todos");
+  assert.deepEqual(calls[0].args[0].tags, ["work", "home"]);
+  assert.equal(calls[0].args[0].limit, 5);
+
+  results["add-todo"] = { success: true, item: { id: "a" } };
+  const added = await request("POST", "/todos", {
+    body: { text: "buy milk", project: "Home" },
+  });
+  assert.equal(added.status, 201);
+  assert.deepEqual(calls[1], {
+    channel: "add-todo",
+    args: ["buy milk", { project: "Home" }],
+  });
+  assert.deepEqual(changes, ["add-todo"]);
+});
+
+test("decodes ids in the path", async () => {
+  await request("PATCH", "/todos/it's%20one", { body: { text: "x" } });
+  assert.deepEqual(calls[0].args.slice(0, 2), ["it's one", "x"]);
+});
+
+test("answers 400 for a malformed path segment", async () => {
+  const response = await request("DELETE", "/todos/%E0%A4%A");
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body, {
+    success: false,
+    error: "Malformed path segment: %E0%A4%A",
+  });
+  assert.deepEqual(calls, []);
+});
+
+test("answers 400 for a body that isn't a JSON object", async () => {
+  const response = await request("POST", "/todos", { body: ["buy milk"] });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.success, false);
+  assert.deepEqual(calls, []);
+});
+
+test("adds only todos with text, and keeps the text on other edits", async () => {
+  for (const body of [{ project: "Home" }, { text: "  " }, { text: 5 }]) {
+    const response = await request("POST", "/todos", { body });
+    assert.equal(response.status, 400);
+  }
+  assert.deepEqual(calls, []);
+
+  await request("PATCH", "/todos/a", { body: { project: "Home" } });
+  assert.deepEqual(calls[0].args, ["a", undefined, { project: "Home" }]);
+});
+
+test("answers 413 for a body over the limit", async () => {
+  const response = await request("POST", "/todos", {
+    body: { text: "x".repeat(2 * 1024 * 1024) },
+  });
+  assert.equal(response.status, 413);
+  assert.deepEqual(response.body, {
+    success: false,
+    error: "Request body is too large.",
+  });
+  assert.deepEqual(calls, []);
+});
+
+test("answers 404 and 405 for unknown endpoints and methods", async () => {
+  assert.equal((await request("GET", "/nothing")).status, 404);
+  assert.equal((await request("PUT", "/todos")).status, 405);
+});
+
+test("passes handler failures on with a matching status", async () => {
+  results["delete-todo"] = { success: false, error: "Todo x not found." };
+  const response = await request("DELETE", "/todos/x");
+  assert.equal(response.status, 404);
+  assert.deepEqual(response.body, results["delete-todo"]);
+  assert.deepEqual(changes, []);
+});
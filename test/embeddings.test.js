@@ -0,0 +1,173 @@
+// The "openai" provider against a stub /embeddings server on 127.0.0.1.
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const {
+  EmbeddingConfigError,
+  normalizeEmbeddingConfig,
+  withApiKey,
+  createEmbeddingProvider,
+} = require("../embeddings");
+const { createBatchingEmbedder } = require("../embedding-service");
+
+let server;
+let baseUrl;
+// Requests the stub received, and the statuses it answers the next ones with
+// (200 once the list is used up).
+let requests;
+let statuses;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const input = JSON.parse(body).input;
+      requests.push({
+        url: req.url,
+        authorization: req.headers.authorization,
+        input,
+      });
+      const status = statuses.shift() || 200;
+      res.writeHead(status, { "Content-Type": "application/json" });
+      if (status !== 200) {
+        res.end(JSON.stringify({ error: { message: "stub failure" } }));
+        return;
+      }
+      // Out of order, as the API allows; `index` says where each belongs.
+      const data = input.map((text, index) => ({
+        index,
+        embedding: [text.length, 1, 0],
+      }));
+      res.end(JSON.stringify({ data: data.reverse() }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  statuses = [];
+});
+
+function openProvider(config = {}) {
+  return createEmbeddingProvider(
+    { type: "openai", baseUrl, model: "stub-model", ...config },
+    { retryDelayMs: 1 }
+  );
+}
+
+test("only endpoints on this machine are accepted", () => {
+  assert.throws(
+    () =>
+      normalizeEmbeddingConfig({
+        type: "openai",
+        baseUrl: "https://api.example.com/v1",
+        model: "m",
+      }),
+    EmbeddingConfigError
+  );
+});
+
+test("sends the API key as a bearer token, and none without a key", async () => {
+  const provider = await openProvider({ apiKey: "secret" });
+  assert.equal(provider.dimension, 3);
+  assert.equal(provider.key, `openai:${baseUrl}:stub-model`);
+  await openProvider();
+  assert.deepEqual(
+    requests.map((request) => [request.url, request.authorization]),
+    [
+      ["/v1/embeddings", "Bearer secret"],
+      ["/v1/embeddings", undefined],
+    ]
+  );
+});
+
+test("a restore onto another model keeps the current API key", async () => {
+  const current = await openProvider({ apiKey: "secret" });
+  // Backups store the model config without its key.
+  const { apiKey, ...backedUp } = { ...current.config, model: "old-model" };
+  const restored = await openProvider(
+    withApiKey(backedUp, current.config.apiKey)
+  );
+  assert.equal(restored.config.model, "old-model");
+  assert.equal(restored.config.apiKey, "secret");
+  assert.equal(requests[1].authorization, "Bearer secret");
+  assert.deepEqual(withApiKey(backedUp, ""), backedUp);
+});
+
+test("returns unit vectors in input order", async () => {
+  const provider = await openProvider();
+  const vectors = await provider.embed(["a", "abc"]);
+  vectors.forEach((vector) =>
+    assert.ok(Math.abs(Math.hypot(...vector) - 1) < 1e-9)
+  );
+  assert.deepEqual(
+    vectors.map(([x, y]) => Math.round(x / y)),
+    [1, 3]
+  );
+  assert.deepEqual(requests[1].input, ["a", "abc"]);
+});
+
+test("requests are batched and identical texts embedded once", async () => {
+  const provider = await openProvider();
+  requests = [];
+  const { embed } = createBatchingEmbedder(provider.embed, { batchSize: 2 });
+  const vectors = await Promise.all([
+    embed(["one", "two", "three"]),
+    embed(["two", "four"]),
+  ]);
+  assert.equal(vectors[1][0], vectors[0][1]);
+  assert.deepEqual(
+    requests.map((request) => request.input),
+    [
+      ["one", "two"],
+      ["three", "four"],
+    ]
+  );
+});
+
+test("retries a failing endpoint, then gives up", async () => {
+  const provider = await openProvider();
+  requests = [];
+  statuses = [503, 429];
+  assert.equal((await provider.embed(["retry me"])).length, 1);
+  assert.equal(requests.length, 3);
+
+  requests = [];
+  statuses = [500, 500, 500];
+  await assert.rejects(provider.embed(["fail"]), /answered 500/);
+  assert.equal(requests.length, 3);
+});
+
+test("does not retry requests the endpoint rejects", async () => {
+  const provider = await openProvider();
+  requests = [];
+  statuses = [401];
+  await assert.rejects(provider.embed(["nope"]), /answered 401/);
+  assert.equal(requests.length, 1);
+});
+
+test("retries an endpoint that can't be reached", async () => {
+  const closed = http.createServer();
+  await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+  const { port } = closed.address();
+  await new Promise((resolve) => closed.close(resolve));
+  let attempts = 0;
+  const fetchFn = (...args) => {
+    attempts++;
+    return fetch(...args);
+  };
+  await assert.rejects(
+    createEmbeddingProvider(
+      { type: "openai", baseUrl: `http://127.0.0.1:${port}`, model: "m" },
+      { fetchFn, retryDelayMs: 1 }
+    ),
+    TypeError
+  );
+  assert.equal(attempts, 3);
+});
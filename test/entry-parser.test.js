@@ -0,0 +1,122 @@
+// parseTodoEntry against a fixed reference date: Wednesday 12 June 2024,
+// 10:00 local time.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseTodoEntry, normalizePriority } = require("../entry-parser");
+
+const NOW = new Date(2024, 5, 12, 10, 0).getTime();
+// Local time; months are 1-12. A date without a time is due at 23:59.
+const at = (year, month, day, hours = 23, minutes = 59) =>
+  new Date(year, month - 1, day, hours, minutes).getTime();
+
+function parse(input, options = {}) {
+  return parseTodoEntry(input, { now: NOW, locale: "en-US", ...options });
+}
+
+test("dates, times and priorities are taken out of the text", () => {
+  const cases = [
+    ["call mom next fri 3pm !high", "call mom", at(2024, 6, 21, 15, 0), 3],
+    ["pay rent tomorrow", "pay rent", at(2024, 6, 13), 0],
+    ["pay rent tmrw !!", "pay rent", at(2024, 6, 13), 2],
+    [
+      "renew passport next friday 5pm #admin",
+      "renew passport #admin",
+      at(2024, 6, 21, 17, 0),
+      0,
+    ],
+    ["water plants friday", "water plants", at(2024, 6, 14), 0],
+    ["water plants by thu", "water plants", at(2024, 6, 13), 0],
+    ["book flights day after tomorrow", "book flights", at(2024, 6, 14), 0],
+    ["standup at 9", "standup", at(2024, 6, 13, 9, 0), 0],
+    ["lunch at noon", "lunch", at(2024, 6, 12, 12, 0), 0],
+    ["stretch in 2 hours", "stretch", NOW + 2 * 60 * 60 * 1000, 0],
+    ["ship it june 3", "ship it", at(2025, 6, 3), 0],
+    ["ship it 3rd of july 2027 !low", "ship it", at(2027, 7, 3), 1],
+    ["report due 2024-06-30 17:30", "report", at(2024, 6, 30, 17, 30), 0],
+    ["invoices end of month", "invoices", at(2024, 6, 30), 0],
+  ];
+  cases.forEach(([input, text, dueAt, priority]) => {
+    const result = parse(input);
+    assert.equal(result.text, text, input);
+    assert.equal(result.dueAt, dueAt, input);
+    assert.equal(result.priority, priority, input);
+  });
+});
+
+test("reports the phrases it understood", () => {
+  const result = parse("call mom next fri 3pm !high");
+  assert.equal(result.hasTime, true);
+  assert.deepEqual(result.matches, [
+    { kind: "date", text: "next fri", start: 9, end: 17 },
+    { kind: "time", text: "3pm", start: 18, end: 21 },
+    { kind: "priority", text: "!high", start: 22, end: 27 },
+  ]);
+  assert.equal(parse("pay rent tomorrow").hasTime, false);
+});
+
+test("leaves text alone that isn't a date", () => {
+  const cases = [
+    "#today buy milk",
+    "tomorrow's meeting notes",
+    "taxes 2024-02-30",
+    "sat on the bench",
+    "wear a sun hat",
+    "tomorrow",
+  ];
+  cases.forEach((input) => {
+    const result = parse(input);
+    assert.equal(result.text, input, input);
+    assert.equal(result.dueAt, null, input);
+    assert.deepEqual(result.matches, [], input);
+  });
+});
+
+test("relative weekdays follow the week start", () => {
+  // [input, weekStart, due day in June 2024]
+  const cases = [
+    ["next sunday", 0, 16],
+    ["next sunday", 1, 23],
+    ["next sunday", 6, 16],
+    ["this sunday", 0, 16],
+    ["this sunday", 1, 16],
+    ["this monday", 1, 17],
+    ["this monday", 0, 17],
+    ["next friday", 1, 21],
+    ["next fri", 6, 21],
+    ["next week", 0, 16],
+    ["next week", 1, 17],
+    ["end of week", 0, 15],
+    ["end of week", 1, 16],
+  ];
+  cases.forEach(([phrase, weekStart, day]) => {
+    const result = parse(`plan trip ${phrase}`, { weekStart });
+    assert.equal(result.dueAt, at(2024, 6, day), `${phrase} (${weekStart})`);
+  });
+});
+
+test("numeric dates follow the locale's day/month order", () => {
+  // [input, locale, due date]
+  const cases = [
+    ["dentist 3/4", "en-US", at(2025, 3, 4)],
+    ["dentist 3/4", "en-GB", at(2025, 4, 3)],
+    ["dentist 3/4", "de-DE", at(2025, 4, 3)],
+    ["dentist 3/4/25", "en-GB", at(2025, 4, 3)],
+    ["dentist 7/1", "en-US", at(2024, 7, 1)],
+    ["dentist 7/1", "en-GB", at(2025, 1, 7)],
+    ["dentist 25/12", "en-GB", at(2024, 12, 25)],
+    ["dentist 25/12", "en-US", null],
+    ["dentist 3/4", undefined, at(2025, 3, 4)],
+    ["dentist 3/4", "not a locale", at(2025, 3, 4)],
+  ];
+  cases.forEach(([input, locale, dueAt]) =>
+    assert.equal(parse(input, { locale }).dueAt, dueAt, `${input} (${locale})`)
+  );
+});
+
+test("priorities are given as 0-3 or by name", () => {
+  assert.equal(normalizePriority("High"), 3);
+  assert.equal(normalizePriority(2), 2);
+  assert.equal(normalizePriority(""), 0);
+  assert.throws(() => normalizePriority("urgent"), /Unknown priority/);
+});
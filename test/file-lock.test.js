@@ -0,0 +1,78 @@
+// The cross-process write lock, including takeover of abandoned locks.
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { LockTimeoutError, acquireFileLock } = require("../file-lock");
+
+let dir;
+let lockPath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "todo-lock-test-"));
+  lockPath = path.join(dir, "todo.lock");
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// The pid of a process that has exited.
+function deadPid() {
+  return spawnSync(process.execPath, ["-e", ""]).pid;
+}
+
+test("waits for a live holder and takes over from a dead one", async () => {
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid }));
+  await assert.rejects(
+    acquireFileLock(lockPath, { timeoutMs: 50 }),
+    LockTimeoutError
+  );
+
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: deadPid() }));
+  const release = await acquireFileLock(lockPath, { timeoutMs: 50 });
+  assert.equal(JSON.parse(fs.readFileSync(lockPath, "utf8")).pid, process.pid);
+  release();
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test("an unreadable lock is taken over only once it is old", async () => {
+  fs.writeFileSync(lockPath, "{");
+  await assert.rejects(
+    acquireFileLock(lockPath, { timeoutMs: 50 }),
+    LockTimeoutError
+  );
+  const old = (Date.now() - 60 * 1000) / 1000;
+  fs.utimesSync(lockPath, old, old);
+  (await acquireFileLock(lockPath, { timeoutMs: 50 }))();
+});
+
+test("a lock taken over by another process in the meantime is kept", async (t) => {
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: deadPid() }));
+  // Another process found the same dead holder too, removed its file and
+  // locked; this happens just before this one gets to remove the file.
+  const live = JSON.stringify({ pid: process.pid, acquiredAt: 1 });
+  let tookOver = false;
+  const takeOverFirst = (method) => {
+    const original = fs[method];
+    t.mock.method(fs, method, (...args) => {
+      if (args[0] === lockPath && !tookOver) {
+        tookOver = true;
+        fs.rmSync(lockPath);
+        fs.writeFileSync(lockPath, live);
+      }
+      return original(...args);
+    });
+  };
+  takeOverFirst("renameSync");
+  takeOverFirst("unlinkSync");
+
+  await assert.rejects(
+    acquireFileLock(lockPath, { timeoutMs: 50 }),
+    LockTimeoutError
+  );
+  t.mock.restoreAll();
+  assert.equal(fs.readFileSync(lockPath, "utf8"), live);
+  assert.deepEqual(fs.readdirSync(dir), ["todo.lock"]);
+});
@@ -0,0 +1,51 @@
+// Shared setup for tests that run against a real LanceDB table in a
+// temporary directory.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SettingsStore } = require("../settings");
+const { TodoStore } = require("../todo-store");
+
+const DIMENSION = 16;
+
+// Deterministic stand-in for an embedding model: letters hashed into a
+// normalized bag-of-characters vector, so similar texts are near.
+function fakeEmbed(texts) {
+  return texts.map((text) => {
+    const vector = new Array(DIMENSION).fill(0);
+    for (const char of String(text).toLowerCase()) {
+      if (/[a-z0-9]/.test(char)) vector[char.charCodeAt(0) % DIMENSION] += 1;
+    }
+    const length = Math.hypot(...vector) || 1;
+    return vector.map((value) => value / length);
+  });
+}
+
+const fakeEmbedder = {
+  key: "test",
+  dimension: DIMENSION,
+  embed: async (texts) => fakeEmbed(texts),
+  terminate() {},
+};
+
+// A TodoStore opened on a fresh table. Call `cleanup()` when done.
+async function openTestStore(settings = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "todo-test-"));
+  const settingsStore = new SettingsStore(
+    path.join(dataDir, "todo_settings.json")
+  );
+  settingsStore.load();
+  Object.assign(settingsStore.values, settings);
+  const store = new TodoStore({
+    dataDir,
+    settings: settingsStore,
+    log: () => {},
+  });
+  store.embedder = fakeEmbedder;
+  await store.open({ tableName: "todos" });
+  store.cleanup = () => fs.rmSync(dataDir, { recursive: true, force: true });
+  return store;
+}
+
+module.exports = { DIMENSION, fakeEmbed, fakeEmbedder, openTestStore };
@@ -0,0 +1,121 @@
+// The search query grammar, without LanceDB.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseQueryDate,
+  tokenizeQuery,
+  parseSearchQuery,
+} = require("../query-syntax");
+
+// Saturday 15 June 2024, noon local time.
+const NOW = new Date(2024, 5, 15, 12, 0).getTime();
+const day = (year, month, date) => new Date(year, month - 1, date).getTime();
+
+test("dates resolve to local midnight", () => {
+  const cases = [
+    ["2024-06-01", day(2024, 6, 1)],
+    ["today", day(2024, 6, 15)],
+    ["yesterday", day(2024, 6, 14)],
+    ["next-week", day(2024, 6, 22)],
+    ["last-month", day(2024, 5, 15)],
+    ["14d", day(2024, 6, 1)],
+    ["+2w", day(2024, 6, 29)],
+    ["1y", day(2023, 6, 15)],
+    ["2024-02-30", null],
+    ["someday", null],
+  ];
+  cases.forEach(([value, expected]) =>
+    assert.equal(parseQueryDate(value, NOW), expected, value)
+  );
+});
+
+test("tokens keep their position, negation and quotes", () => {
+  assert.deepEqual(tokenizeQuery('-tag:work "big report" -x'), [
+    {
+      kind: "operator",
+      negated: true,
+      name: "tag",
+      start: 0,
+      value: "work",
+      end: 9,
+      closed: true,
+    },
+    {
+      kind: "phrase",
+      negated: false,
+      start: 10,
+      value: "big report",
+      end: 22,
+      closed: true,
+    },
+    { kind: "word", negated: true, start: 23, value: "x", end: 25 },
+  ]);
+});
+
+test("queries split into text, phrases, exclusions and filters", () => {
+  const cases = [
+    {
+      query: "call mom",
+      text: "call mom",
+      phrases: [],
+      excluded: [],
+      filters: [],
+    },
+    {
+      query: '"quarterly report" draft -"old version" -spam',
+      text: "quarterly report draft",
+      phrases: ["quarterly report"],
+      excluded: [
+        { value: "old version", phrase: true },
+        { value: "spam", phrase: false },
+      ],
+      filters: [],
+    },
+    {
+      query: 'after:2024-06-01 -tag:#Someday project:"Home office" is:DONE',
+      text: "",
+      phrases: [],
+      excluded: [],
+      filters: [
+        { name: "after", value: day(2024, 6, 1), negated: false },
+        { name: "tag", value: "someday", negated: true },
+        { name: "project", value: "Home office", negated: false },
+        { name: "is", value: "done", negated: false },
+      ],
+    },
+    {
+      query: "due:today has:reminder -is:subtask",
+      text: "",
+      phrases: [],
+      excluded: [],
+      filters: [
+        { name: "due", value: "today", negated: false },
+        { name: "has", value: "reminder", negated: false },
+        { name: "is", value: "subtask", negated: true },
+      ],
+    },
+  ];
+  cases.forEach(({ query, ...expected }) =>
+    assert.deepEqual(parseSearchQuery(query, NOW), { ...expected, errors: [] })
+  );
+});
+
+test("mistakes are reported with the range they cover", () => {
+  const cases = [
+    ["colour:red", 0, 10, /Unknown operator "colour:"/],
+    ["before:someday", 0, 14, /is not a date/],
+    ["-after:today", 0, 12, /can't be negated/],
+    ["is:late", 0, 7, /is:late is not supported/],
+    ["tag:", 0, 4, /needs a value/],
+    ['a "open', 2, 7, /Missing closing quote/],
+    ['""', 0, 2, /Empty quotes/],
+  ];
+  cases.forEach(([query, start, end, message]) => {
+    const { errors } = parseSearchQuery(query, NOW);
+    assert.equal(errors.length, 1, query);
+    assert.equal(errors[0].start, start, query);
+    assert.equal(errors[0].end, end, query);
+    assert.match(errors[0].message, message);
+  });
+});
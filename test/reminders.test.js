@@ -0,0 +1,114 @@
+// ReminderScheduler driven by a fake clock, looking reminders up in a real
+// table through the store's reminder queries.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { openTestStore } = require("./helpers");
+const { ReminderScheduler, MAX_TIMER_DELAY_MS } = require("../reminders");
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2026, 2, 2, 9, 0);
+
+let store;
+
+before(async () => {
+  store = await openTestStore({ duplicateThreshold: 1 });
+});
+
+after(() => store.cleanup());
+
+async function add(text, options = {}) {
+  return (await store.addTodo(text, { allowDuplicate: true, ...options })).item;
+}
+
+// Timers only fire when the test advances the clock.
+function fakeClock(now) {
+  const timers = new Map();
+  let nextHandle = 1;
+  return {
+    now: () => now,
+    setTimeout: (callback, ms) => {
+      timers.set(nextHandle, { callback, at: now + ms });
+      return nextHandle++;
+    },
+    clearTimeout: (handle) => timers.delete(handle),
+    pending: () => [...timers.values()].map((timer) => timer.at),
+    advanceTo(time) {
+      now = time;
+      [...timers]
+        .filter(([, timer]) => timer.at <= now)
+        .forEach(([handle, timer]) => {
+          timers.delete(handle);
+          timer.callback();
+        });
+    },
+  };
+}
+
+test("delivers missed reminders at start-up, then each as it comes due", async () => {
+  const missed = await add("pay rent", { remindAt: START - HOUR_MS });
+  const later = await add("call the dentist", { remindAt: START + HOUR_MS });
+  const done = await add("buy milk", { remindAt: START - HOUR_MS });
+  await store.setCompleted(done.id, true);
+  const trashed = await add("book flights", { remindAt: START - HOUR_MS });
+  await store.deleteTodo(trashed.id);
+
+  const clock = fakeClock(START);
+  const deliveries = [];
+  const scheduler = new ReminderScheduler({
+    findDue: (now) => store.findDueReminders(now),
+    findNext: (now) => store.findNextReminderTime(now),
+    markDelivered: (ids, now) => store.markRemindersDelivered(ids, now),
+    deliver: (rows, { catchUp }) =>
+      deliveries.push({ ids: rows.map((row) => row.id), catchUp }),
+    clock,
+    log: () => {},
+  });
+
+  await scheduler.start();
+  assert.deepEqual(deliveries, [{ ids: [missed.id], catchUp: true }]);
+  assert.equal((await store.getTodoRow(missed.id)).remindedAt, START);
+  // Long waits are re-armed in steps of at most MAX_TIMER_DELAY_MS.
+  assert.deepEqual(clock.pending(), [START + MAX_TIMER_DELAY_MS]);
+  while (clock.pending().length > 0) {
+    clock.advanceTo(clock.pending()[0]);
+    await scheduler.queue;
+  }
+  assert.equal(clock.now(), START + HOUR_MS);
+  assert.deepEqual(deliveries[1], { ids: [later.id], catchUp: false });
+  assert.deepEqual(clock.pending(), []);
+
+  // Delivered reminders don't fire again.
+  await scheduler.reschedule();
+  assert.equal(deliveries.length, 2);
+  scheduler.stop();
+});
+
+test("due views and query operators filter on the due date", async () => {
+  const now = Date.now();
+  const overdue = await add("file taxes", { dueAt: now - 2 * 24 * HOUR_MS });
+  const upcoming = await add("plan trip", { dueAt: now + 3 * 24 * HOUR_MS });
+  await add("read a book");
+
+  const ids = async (due) =>
+    (await store.listTodos({ due, now })).todos.map((todo) => todo.id);
+  assert.deepEqual(await ids("overdue"), [overdue.id]);
+  assert.deepEqual(await ids("upcoming"), [upcoming.id]);
+
+  const search = async (query) =>
+    (await store.searchTodos(query, null, null, "hybrid")).map((r) => r.id);
+  assert.deepEqual(await search("has:due"), [upcoming.id, overdue.id]);
+  assert.deepEqual(await search("due-after:today"), [upcoming.id]);
+  assert.deepEqual(await search("-has:reminder has:due"), [
+    upcoming.id,
+    overdue.id,
+  ]);
+  assert.equal(
+    (
+      await store.searchTodos("trip", "2000-01-01", null, "hybrid", {
+        dateField: "due",
+      })
+    )[0].id,
+    upcoming.id
+  );
+});
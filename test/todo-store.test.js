@@ -0,0 +1,388 @@
+// TodoStore against a real LanceDB table: the SQL filters it builds must be
+// accepted by LanceDB, not just look right.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { openTestStore, fakeEmbed } = require("./helpers");
+const { IN_TRASH, TODO_COLUMNS, TODO_SORTS } = require("../todo-store");
+const { sqlString, col } = require("../sql");
+const { buildChunkRows, embedNoteChunks } = require("../note-chunks");
+const { flattenTree } = require("../todo-tree");
+
+// 9:00 tomorrow (local time), `days` days later.
+function morning(days = 0) {
+  const date = new Date();
+  date.setHours(9, 0, 0, 0);
+  date.setDate(date.getDate() + 1 + days);
+  return date.getTime();
+}
+
+let store;
+
+before(async () => {
+  store = await openTestStore({ duplicateThreshold: 1 });
+});
+
+after(() => store.cleanup());
+
+async function add(text, options = {}) {
+  return (await store.addTodo(text, { allowDuplicate: true, ...options })).item;
+}
+
+test("lists, finds and searches only todos outside the trash", async () => {
+  const kept = await add("water the plants");
+  const trashed = await add("water the lawn");
+  await store.deleteTodo(trashed.id);
+
+  const ids = (await store.listTodos({})).todos.map((todo) => todo.id);
+  assert.ok(ids.includes(kept.id));
+  assert.ok(!ids.includes(trashed.id));
+  assert.ok(await store.getTodoRow(kept.id));
+  assert.equal(await store.getTodoRow(trashed.id), null);
+
+  const inTrash = await store.scanRows(IN_TRASH, ["id"]);
+  assert.deepEqual(
+    inTrash.map((row) => row.id),
+    [trashed.id]
+  );
+
+  const results = await store.searchTodos("water", null, null, "hybrid");
+  assert.ok(results.some((todo) => todo.id === kept.id));
+  assert.ok(!results.some((todo) => todo.id === trashed.id));
+});
+
+test("ids are escaped in filters", async () => {
+  assert.equal(await store.getTodoRow("it's"), null);
+  assert.equal(await store.getTodoRow('x" OR id IS NOT NULL OR id = "'), null);
+});
+
+test("edits keep the row outside the trash", async () => {
+  const todo = await add("call the bank");
+  const { item } = await store.updateTodo(todo.id, "call the bank today");
+  assert.equal(item.text, "call the bank today");
+  assert.equal((await store.getTodoRow(todo.id)).text, "call the bank today");
+});
+
+test("todos can't be added or edited to blank text", async () => {
+  await assert.rejects(add("   "), /Todo text is empty/);
+  await assert.rejects(store.addTodo(undefined), /Todo text is empty/);
+  const todo = await add("renew passport");
+  await assert.rejects(store.updateTodo(todo.id, ""), /Todo text is empty/);
+  // Without new text an edit only touches the options it names.
+  const { item } = await store.updateTodo(todo.id, undefined, {
+    project: "Travel",
+  });
+  assert.equal(item.text, "renew passport");
+  assert.equal(item.project, "Travel");
+});
+
+test("completes todos, but not missing or trashed ones", async () => {
+  const todo = await add("renew the passport");
+  const { item } = await store.setCompleted(todo.id, true);
+  assert.equal(item.completed, true);
+  assert.equal((await store.getTodoRow(todo.id)).completed, true);
+  await store.setCompleted(todo.id, false);
+  assert.equal((await store.getTodoRow(todo.id)).completedAt, 0);
+
+  await store.deleteTodo(todo.id);
+  await assert.rejects(store.setCompleted(todo.id, true), /not found/);
+  await assert.rejects(store.setCompleted("it's", true), /not found/);
+});
+
+test("keyword search loads its hits with escaped ids", async () => {
+  const todo = await add("feed the quokka");
+  store.keywordIndex.add("it's", "quokka");
+  const results = await store.searchTodos("quokka", null, null, "keyword");
+  assert.deepEqual(
+    results.map((result) => result.id),
+    [todo.id]
+  );
+  store.keywordIndex.remove("it's");
+});
+
+test("completing an occurrence adds the next one once per series", async () => {
+  const dueAt = morning();
+  const first = await add("water the garden", {
+    dueAt,
+    recurrence: "FREQ=DAILY",
+  });
+  const { nextOccurrence } = await store.setCompleted(first.id, true);
+  assert.equal(nextOccurrence.text, "water the garden");
+  assert.equal(nextOccurrence.dueAt, morning(1));
+  assert.equal(nextOccurrence.seriesId, first.seriesId);
+
+  // The series already has a later open occurrence.
+  await store.setCompleted(first.id, false);
+  const again = await store.setCompleted(first.id, true);
+  assert.equal(again.nextOccurrence, null);
+});
+
+test("series edits reach the other open occurrences", async () => {
+  const first = await add("stretch", {
+    dueAt: morning(),
+    recurrence: "FREQ=DAILY",
+  });
+  const { nextOccurrence: second } = await store.setCompleted(first.id, true);
+  await store.setCompleted(first.id, false);
+
+  await store.updateTodo(second.id, "stretch for ten minutes", {
+    scope: "series",
+  });
+  assert.equal(
+    (await store.getTodoRow(first.id)).text,
+    "stretch for ten minutes"
+  );
+
+  // An occurrence edited on its own still continues with the series text.
+  await store.updateTodo(second.id, "stretch, skip the squats");
+  await store.setCompleted(first.id, true);
+  const { nextOccurrence: third } = await store.setCompleted(second.id, true);
+  assert.equal(third.text, "stretch for ten minutes");
+});
+
+test("is:subtask matches only subtasks", async () => {
+  const parent = await add("plan the party");
+  const child = await add("order the cake", { parentId: parent.id });
+  const ids = async (query) =>
+    (await store.searchTodos(query, null, null, "keyword")).map((r) => r.id);
+  assert.deepEqual(await ids("party is:subtask"), []);
+  assert.deepEqual(await ids("cake is:subtask"), [child.id]);
+  assert.deepEqual(await ids("party -is:subtask"), [parent.id]);
+});
+
+test("search queries filter on phrases, exclusions and operators", async () => {
+  const office = await add("write the quarterly report #work", {
+    project: "Office",
+  });
+  const light = await add("report the broken light");
+  const draft = await add("quarterly report draft, old version #work");
+  const ids = async (query) =>
+    (await store.searchTodos(query, null, null, "keyword"))
+      .map((r) => r.id)
+      .sort();
+  const sorted = (...todos) => todos.map((todo) => todo.id).sort();
+
+  assert.deepEqual(await ids('"quarterly report"'), sorted(office, draft));
+  assert.deepEqual(
+    await ids('"quarterly report" -"old version"'),
+    sorted(office)
+  );
+  assert.deepEqual(await ids("report -broken"), sorted(office, draft));
+  // Negations keep todos without tags or a project.
+  assert.deepEqual(await ids("report -tag:work"), sorted(light));
+  assert.deepEqual(await ids("report -project:Office"), sorted(light, draft));
+  assert.deepEqual(await ids("report -has:project"), sorted(light, draft));
+  assert.deepEqual(
+    await ids("report tag:work -is:done"),
+    sorted(office, draft)
+  );
+});
+
+test("undoing a bulk delete restores the rows and their subtasks", async () => {
+  const parent = await add("move house");
+  const child = await add("pack the books", { parentId: parent.id });
+  const other = await add("cancel the gym");
+  const deleted = await store.deleteMany([parent.id, other.id]);
+  assert.ok(!(await store.getTodoRow(child.id)).parentId);
+
+  const { restoredIds, movedIds } = await store.restoreMany(
+    deleted.deletedIds,
+    deleted.deletedAt,
+    deleted.formerParents
+  );
+  assert.deepEqual(restoredIds.sort(), [parent.id, other.id].sort());
+  assert.deepEqual(movedIds, [child.id]);
+  assert.equal((await store.getTodoRow(child.id)).parentId, parent.id);
+  assert.equal((await store.getTodoRow(other.id)).deletedAt, 0);
+
+  // Rows trashed at another time are left alone.
+  await store.deleteTodo(other.id);
+  const again = await store.restoreMany([other.id], deleted.deletedAt);
+  assert.deepEqual(again.restoredIds, []);
+});
+
+// Chunks stored for `todoId` from `source` ("note" or "attachment").
+function countChunks(todoId, source) {
+  return store.chunks.countRows(
+    `source = ${sqlString(source)} AND ${col("todoId")} = ${sqlString(todoId)}`
+  );
+}
+
+test("notes are chunked, re-chunked on edit and purged with the todo", async () => {
+  const todo = await add("plan the garden", {
+    notes: "# Beds\nTomatoes along the south fence.",
+  });
+  assert.equal(await countChunks(todo.id, "note"), 1);
+  const results = await store.searchTodos("tomatoes fence", null, null);
+  assert.equal(results[0].id, todo.id);
+  assert.equal(results[0].matchedPassage.source, "note");
+
+  await store.setNotes(todo.id, "# Beds\nBeans.\n\n# Paths\nGravel.");
+  const chunks = await store.chunks
+    .filter(`${col("todoId")} = ${sqlString(todo.id)}`)
+    .select(["text"])
+    .execute();
+  assert.ok(chunks.every((chunk) => !chunk.text.includes("Tomatoes")));
+
+  await store.setNotes(todo.id, "");
+  assert.equal(await countChunks(todo.id, "note"), 0);
+  await store.setNotes(todo.id, "Compost in the corner.");
+  await store.deleteTodo(todo.id);
+  // Trashed todos keep their chunks until purged.
+  assert.equal(await countChunks(todo.id, "note"), 1);
+  await store.purgeTodos(`id = ${sqlString(todo.id)} AND ${IN_TRASH}`);
+  assert.equal(await countChunks(todo.id, "note"), 0);
+});
+
+test("syncing drops note chunks of todos that are gone", async () => {
+  const todo = await add("sort the photos", { notes: "Scan the old albums." });
+  await store.chunks.add(
+    buildChunkRows(
+      { todoId: "gone", source: "note", sourceHash: "x" },
+      await embedNoteChunks("Orphaned notes.", fakeEmbed)
+    )
+  );
+  await store.syncChunks();
+  assert.equal(await countChunks("gone", "note"), 0);
+  assert.equal(await countChunks(todo.id, "note"), 1);
+});
+
+test("attachment chunks follow their file through merges and removal", async () => {
+  const filePath = path.join(
+    path.dirname(store.attachmentsPath),
+    "packing-list.txt"
+  );
+  fs.writeFileSync(filePath, "Passport, sunscreen and the snorkel.");
+  const source = await add("pack for the beach");
+  const target = await add("beach holiday");
+  const { attachments } = await store.addAttachments(source.id, [filePath]);
+  const [attachment] = attachments;
+  assert.equal(await countChunks(source.id, "attachment"), 1);
+
+  await store.mergeIntoTodo(await store.getTodoRow(target.id), [
+    await store.getTodoRow(source.id),
+  ]);
+  assert.equal(await countChunks(source.id, "attachment"), 0);
+  assert.equal(await countChunks(target.id, "attachment"), 1);
+
+  await store.removeAttachment(target.id, attachment.id);
+  assert.equal(await countChunks(target.id, "attachment"), 0);
+  assert.ok(!fs.existsSync(path.join(store.attachmentsPath, attachment.id)));
+});
+
+test("syncing drops chunks of attachments that are gone", async () => {
+  await store.chunks.add(
+    buildChunkRows(
+      {
+        todoId: "gone",
+        source: "attachment",
+        sourceId: "gone",
+        sourceHash: "x",
+      },
+      await embedNoteChunks("Orphaned file text.", fakeEmbed)
+    )
+  );
+  await store.syncChunks();
+  assert.equal(await countChunks("gone", "attachment"), 0);
+});
+
+test("writes from outside an exclusive section wait for it", async () => {
+  let finish;
+  const gate = new Promise((resolve) => (finish = resolve));
+  const order = [];
+  const section = store.exclusive(async () => {
+    await gate;
+    // Writes from inside the section don't wait for the lock it holds.
+    await add("inside the section");
+    order.push("section");
+  });
+  const outside = add("outside the section").then(() => order.push("outside"));
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.deepEqual(order, []);
+  finish();
+  await Promise.all([section, outside]);
+  assert.deepEqual(order, ["section", "outside"]);
+});
+
+test("pages through the todo tree in order", async (t) => {
+  const todo = (text, options = {}) =>
+    add(text, { project: "Paging", ...options });
+  const alpha = await todo("Alpha", { dueAt: morning(2) });
+  const delta = await todo("delta", { parentId: alpha.id });
+  await todo("Echo", { parentId: delta.id, dueAt: morning(1) });
+  const bravo = await todo("bravo", { parentId: alpha.id });
+  await store.setCompleted(bravo.id, true);
+  const charlie = await todo("charlie");
+  await todo("foxtrot", { parentId: charlie.id });
+  await store.table.update({
+    where: `id = ${sqlString(charlie.id)}`,
+    values: { collapsed: true },
+  });
+  await todo("golf", { dueAt: morning(1) });
+  const hotel = await todo("Hotel");
+  await todo("india", { parentId: hotel.id, dueAt: morning(3) });
+  await store.setCompleted(hotel.id, true);
+  await todo("juliett");
+
+  for (const status of ["all", "active"]) {
+    for (const sort of ["newest", "oldest", "alphabetical", "due"]) {
+      const scope = { status, sort, project: "Paging" };
+      const { todos, total } = await store.listTodos(scope);
+      const ids = [];
+      let cursor = null;
+      do {
+        const page = await store.listTodos({ ...scope, limit: 2, cursor });
+        assert.equal(page.total, total);
+        ids.push(...page.todos.map((item) => item.id));
+        cursor = page.nextCursor;
+      } while (cursor);
+      assert.deepEqual(
+        ids,
+        todos.map((item) => item.id),
+        `${status} ${sort}`
+      );
+      // The whole list, ordered as one tree.
+      const filter = `${col("project")} = 'Paging'${
+        status === "active" ? " AND completed = false" : ""
+      } AND ${col("deletedAt")} = 0`;
+      const expected = flattenTree(
+        await store.scanRows(filter),
+        TODO_SORTS[sort]
+      );
+      assert.deepEqual(
+        todos.map((item) => [item.id, item.depth]),
+        expected.map((entry) => [entry.row.id, entry.depth]),
+        `${status} ${sort}`
+      );
+      assert.equal(total, expected.length);
+    }
+  }
+  // A later page reads whole only the todos from the cursor's top-level
+  // todo on: hotel, india and juliett.
+  const scope = { sort: "oldest", project: "Paging", limit: 7 };
+  const { nextCursor } = await store.listTodos(scope);
+  const scans = t.mock.method(store, "scanRows");
+  const last = await store.listTodos({ ...scope, cursor: nextCursor });
+  assert.deepEqual(
+    last.todos.map((item) => item.text),
+    ["india", "juliett"]
+  );
+  const readWhole = await Promise.all(
+    scans.mock.calls
+      .filter((call) => call.arguments[1] === TODO_COLUMNS)
+      .map((call) => call.result)
+  );
+  assert.deepEqual(
+    readWhole.flat().map((row) => row.text),
+    ["Hotel", "juliett", "india"]
+  );
+  scans.mock.restore();
+
+  // Collapsed subtasks are left out; india is listed at the top level once
+  // its completed parent is filtered out.
+  const active = await store.listTodos({ status: "active", project: "Paging" });
+  assert.ok(!active.todos.some((item) => item.text === "foxtrot"));
+  assert.equal(active.todos.find((item) => item.text === "india").depth, 0);
+});
@@ -0,0 +1,2070 @@
+// The todos table and the operations on it, shared by the Electron main
+// process and the `todo` CLI. Nothing here depends on Electron: main.js wraps
+// these methods in IPC handlers, cli.js in commands. Writes from either
+// process take a file lock (see file-lock.js) and leave a change stamp that
+// the other process watches.
+
+const { AsyncLocalStorage } = require("async_hooks");
+const fs = require("fs");
+const path = require("path");
+const {
+  CURRENT_SCHEMA_VERSION,
+  columnDefaults,
+  readSchemaVersion,
+  runMigrations,
+  writeSchemaVersion,
+} = require("./migrations");
+const { KeywordIndex, reciprocalRankFusion } = require("./keyword-search");
+const { serializeTodos } = require("./import-export");
+const {
+  parseTags,
+  isValidTag,
+  addTag,
+  removeTag,
+  encodeTags,
+  decodeTags,
+  normalizeProject,
+} = require("./tags");
+const { dueViewRange } = require("./reminders");
+const {
+  parseRule,
+  formatRule,
+  nextOccurrence,
+  describeRule,
+} = require("./recurrence");
+const {
+  indexHierarchy,
+  ancestorsOf,
+  descendantIds,
+  wouldCreateCycle,
+  rollupProgress,
+  flattenTree,
+  comparePaths,
+} = require("./todo-tree");
+const { similarityFromDistance, mergeFields } = require("./duplicates");
+const { withFileLock } = require("./file-lock");
+const { sqlString, col } = require("./sql");
+const { parseSearchQuery, QuerySyntaxError } = require("./query-syntax");
+const { parseTodoEntry, normalizePriority } = require("./entry-parser");
+const {
+  chunkTableName,
+  contentHash,
+  normalizeNotes,
+  embedChunks,
+  embedNoteChunks,
+  buildChunkRows,
+  syncNoteChunks,
+} = require("./note-chunks");
+const {
+  ATTACHMENTS_DIR,
+  MAX_ATTACHMENTS_PER_TODO,
+  attachmentPath,
+  parseAttachments,
+  readAttachment,
+  attachmentChunkRows,
+  removeAttachmentFiles,
+  syncAttachmentChunks,
+} = require("./attachments");
+
+const TODO_COLUMNS = [
+  "id",
+  "text",
+  "timestamp",
+  "completed",
+  "completedAt",
+  "deletedAt",
+  "updatedAt",
+  "tags",
+  "project",
+  "dueAt",
+  "remindAt",
+  "recurrence",
+  "seriesId",
+  "seriesStart",
+  "parentId",
+  "collapsed",
+  "priority",
+  "attachments",
+];
+// Rows that are not in the trash. Every listing and search is scoped to it.
+const NOT_DELETED = `${col("deletedAt")} = 0`;
+const IN_TRASH = `${col("deletedAt")} > 0`;
+// Todos without a due date have dueAt = 0.
+const HAS_DUE_DATE = `${col("dueAt")} > 0`;
+// Reminders that still have to fire.
+const PENDING_REMINDERS = [
+  `${col("remindAt")} > 0`,
+  `${col("remindedAt")} = 0`,
+  "completed = false",
+  NOT_DELETED,
+].join(" AND ");
+const DUE_VIEWS = ["overdue", "today", "upcoming"];
+const SEARCH_DATE_FIELDS = { created: "timestamp", due: "dueAt" };
+// Oldest revisions are dropped beyond this many per todo.
+const MAX_REVISIONS = 50;
+const SEARCH_RESULT_LIMIT = 10;
+// Largest `limit` a search may ask for (smart lists set their own).
+const MAX_SEARCH_RESULT_LIMIT = 100;
+// Queries made only of operators list every match, newest first, up to this.
+const FILTER_ONLY_RESULT_LIMIT = 100;
+// How many candidates each ranking contributes before fusion in hybrid mode.
+const HYBRID_CANDIDATE_LIMIT = 50;
+const SEARCH_MODES = ["semantic", "keyword", "hybrid"];
+// Chunks fetched per semantic candidate; several may belong to one todo.
+const CHUNKS_PER_CANDIDATE = 3;
+// Likely duplicates offered when adding a todo.
+const MAX_DUPLICATE_CANDIDATES = 3;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+// Most todos one bulk action may touch.
+const MAX_BULK_SIZE = 5000;
+const STATUS_FILTERS = {
+  all: NOT_DELETED,
+  active: `completed = false AND ${NOT_DELETED}`,
+  completed: `completed = true AND ${NOT_DELETED}`,
+};
+// Orderings for the paginated todo list. Every ordering ends with the id so
+// rows with equal keys still have a stable position across pages.
+const TODO_SORTS = {
+  newest: (a, b) =>
+    b.timestamp - a.timestamp || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0),
+  oldest: (a, b) =>
+    a.timestamp - b.timestamp || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0),
+  alphabetical: (a, b) => {
+    const textA = a.text.toLowerCase();
+    const textB = b.text.toLowerCase();
+    if (textA !== textB) return textA < textB ? -1 : 1;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  },
+  // Soonest due first; todos without a due date go last.
+  due: (a, b) => {
+    if (a.dueAt !== b.dueAt) {
+      if (!a.dueAt) return 1;
+      if (!b.dueAt) return -1;
+      return a.dueAt - b.dueAt;
+    }
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  },
+};
+// The columns each ordering in TODO_SORTS compares, besides the id.
+const SORT_COLUMNS = {
+  newest: ["timestamp"],
+  oldest: ["timestamp"],
+  alphabetical: ["text"],
+  due: ["dueAt"],
+};
+// Table methods that write; the store runs them under the file lock.
+const WRITE_METHODS = [
+  "add",
+  "update",
+  "delete",
+  "mergeInsert",
+  "addColumns",
+  "alterColumns",
+  "dropColumns",
+];
+// How often the other process's change stamp is polled.
+const CHANGE_POLL_MS = 1000;
+
+// `timestamp` is the creation time; `updatedAt` changes on every edit.
+function toTodoItem(r) {
+  return {
+    id: r.id,
+    text: r.text,
+    timestamp: r.timestamp,
+    createdAt: r.timestamp,
+    updatedAt: r.updatedAt || r.timestamp,
+    completed: Boolean(r.completed),
+    completedAt: r.completedAt || null,
+    deletedAt: r.deletedAt || null,
+    tags: decodeTags(r.tags),
+    project: r.project || "",
+    dueAt: r.dueAt || null,
+    remindAt: r.remindAt || null,
+    ...describeRecurrence(r),
+    parentId: r.parentId || "",
+    collapsed: Boolean(r.collapsed),
+    priority: r.priority || 0,
+    attachments: parseAttachments(r.attachments),
+  };
+}
+
+// Series fields for the renderer: the rule, a readable summary and the date
+// the occurrence after this one will be due.
+function describeRecurrence(r) {
+  if (!r.recurrence) {
+    return { recurrence: "", seriesId: r.seriesId || null };
+  }
+  try {
+    return {
+      recurrence: r.recurrence,
+      recurrenceText: describeRule(r.recurrence),
+      seriesId: r.seriesId || r.id,
+      nextOccurrenceAt: r.dueAt
+        ? nextOccurrence(r.recurrence, r.dueAt, r.seriesStart || r.dueAt)
+        : null,
+    };
+  } catch (error) {
+    return { recurrence: r.recurrence, recurrenceError: error.message };
+  }
+}
+
+// Builds the `.where()` clause for the From/To date filters, on the creation
+// time (`timestamp`) or the due date (`dueAt`).
+function buildDateFilter(startDate, endDate, column = "timestamp") {
+  const filters = [];
+  if (startDate) {
+    // Expected format: YYYY-MM-DD
+    // Get timestamp for 00:00:00 UTC on the start date
+    const startTimestamp = new Date(startDate + "T00:00:00.000Z").getTime();
+    if (!isNaN(startTimestamp)) {
+      filters.push(`${col(column)} >= ${startTimestamp}`);
+    }
+  }
+  if (endDate) {
+    // Expected format: YYYY-MM-DD
+    // Get timestamp for 23:59:59.999 UTC on the end date
+    const endTimestamp = new Date(endDate + "T23:59:59.999Z").getTime();
+    if (!isNaN(endTimestamp)) {
+      filters.push(`${col(column)} <= ${endTimestamp}`);
+    }
+  }
+  // Keep todos without a due date out of due ranges.
+  if (filters.length > 0 && column === "dueAt") {
+    filters.unshift(HAS_DUE_DATE);
+  }
+  return filters.join(" AND ");
+}
+
+// Builds the `.where()` clause for the Overdue / Today / Upcoming views.
+// Overdue only counts todos that are still open.
+function buildDueFilter(view, now) {
+  if (!view) return "";
+  if (!DUE_VIEWS.includes(view)) {
+    throw new Error(`Unknown due view: ${view}`);
+  }
+  const { from, to } = dueViewRange(view, now);
+  const filters = [HAS_DUE_DATE];
+  if (from !== null) filters.push(`${col("dueAt")} >= ${from}`);
+  if (to !== null) filters.push(`${col("dueAt")} < ${to}`);
+  if (view === "overdue") filters.push("completed = false");
+  return filters.join(" AND ");
+}
+
+// Optional times arrive as epoch milliseconds or null; 0 is stored for unset.
+function toStoredTime(value) {
+  const ms = Number(value);
+  return Number.isFinite(ms) && ms > 0 ? ms : 0;
+}
+
+// A todo's text as given; throws when there is nothing in it.
+function requireText(text) {
+  if (typeof text !== "string" || !text.trim()) {
+    throw new Error("Todo text is empty.");
+  }
+  return text;
+}
+
+// Builds the `.where()` clause for the tag sidebar: every tag in `tags` must
+// be present, and `project` (if set) must match exactly.
+function buildScopeFilter({ tags = [], project = "" } = {}) {
+  const filters = [];
+  [].concat(tags || []).forEach((tag) => {
+    if (!isValidTag(tag)) {
+      throw new Error(`Invalid tag: ${tag}`);
+    }
+    filters.push(`tags LIKE '%|${tag.toLowerCase()}|%'`);
+  });
+  const projectName = normalizeProject(project);
+  if (projectName) {
+    filters.push(`project = ${sqlString(projectName)}`);
+  }
+  return filters.join(" AND ");
+}
+
+// Case-insensitive `regexp_match` pattern for `value` as literal text; single
+// words only match whole words.
+function textPattern(value, wholeWord) {
+  const literal = value.replace(/[\\^$.*+?()[\]{}|]/g, "\\$&");
+  const bounded = wholeWord && /^\w+$/.test(value);
+  return sqlString(`(?i)${bounded ? `\\b${literal}\\b` : literal}`);
+}
+
+// SQL for one filter from query-syntax.js (without its negation).
+function queryFilterClause({ name, value }, now) {
+  switch (name) {
+    case "after":
+      return `timestamp >= ${value}`;
+    case "before":
+      return `timestamp < ${value}`;
+    case "due-after":
+      return `${HAS_DUE_DATE} AND ${col("dueAt")} >= ${value}`;
+    case "due-before":
+      return `${HAS_DUE_DATE} AND ${col("dueAt")} < ${value}`;
+    case "due":
+      return buildDueFilter(value, now);
+    case "tag":
+      return buildScopeFilter({ tags: [value] });
+    case "project":
+      return buildScopeFilter({ project: value });
+    case "is":
+      return {
+        done: "completed = true",
+        open: "completed = false",
+        overdue: buildDueFilter("overdue", now),
+        recurring: "recurrence != ''",
+        subtask: `${col("parentId")} != ''`,
+      }[value];
+    case "has":
+      return {
+        due: HAS_DUE_DATE,
+        reminder: `${col("remindAt")} > 0`,
+        project: "project != ''",
+        tags: "tags != ''",
+      }[value];
+    default:
+      throw new Error(`Unknown query operator: ${name}`);
+  }
+}
+
+// Builds the `.where()` clause for a parsed search query (see
+// parseSearchQuery): its operators, required phrases and excluded text.
+function buildQueryFilter(parsed, now) {
+  // Empty text columns may be stored as null, which makes a clause like
+  // `project = 'x'` null rather than false; `IS NOT TRUE` keeps those rows
+  // in a negation, where `NOT` would drop them.
+  const filters = parsed.filters.map((filter) => {
+    const clause = queryFilterClause(filter, now);
+    return filter.negated ? `(${clause}) IS NOT TRUE` : `(${clause})`;
+  });
+  // regexp_match returns the matched groups, or null for no match.
+  parsed.phrases.forEach((phrase) =>
+    filters.push(
+      `regexp_match(text, ${textPattern(phrase, false)}) IS NOT NULL`
+    )
+  );
+  parsed.excluded.forEach(({ value, phrase }) =>
+    filters.push(`regexp_match(text, ${textPattern(value, !phrase)}) IS NULL`)
+  );
+  return filters.join(" AND ");
+}
+
+// The cursor holds the sort keys of the last row and of its ancestors, so the
+// next page starts right after it in tree order.
+function encodeCursor(sort, path) {
+  const key = {
+    sort,
+    path: path.map((row) => ({
+      id: row.id,
+      timestamp: row.timestamp,
+      text: row.text,
+      dueAt: row.dueAt,
+    })),
+  };
+  return Buffer.from(JSON.stringify(key)).toString("base64");
+}
+
+function decodeCursor(cursor, sort) {
+  let key;
+  try {
+    key = JSON.parse(Buffer.from(cursor, "base64").toString("utf8"));
+  } catch (error) {
+    throw new Error("Invalid pagination cursor.");
+  }
+  if (
+    !key ||
+    key.sort !== sort ||
+    !Array.isArray(key.path) ||
+    key.path.length === 0 ||
+    !key.path.every((entry) => entry && typeof entry.id === "string")
+  ) {
+    throw new Error("Pagination cursor does not match the requested order.");
+  }
+  return key;
+}
+
+// Rows that don't come before `entry` (a cursor path entry) in the order
+// `sort`, as a filter. Like TODO_SORTS, it breaks ties on the id.
+function notBeforeFilter(sort, entry) {
+  const id = sqlString(entry.id);
+  const timestamp = Number(entry.timestamp);
+  const dueAt = Number(entry.dueAt);
+  if (!Number.isFinite(timestamp) || !Number.isFinite(dueAt)) {
+    throw new Error("Invalid pagination cursor.");
+  }
+  switch (sort) {
+    case "newest":
+      return `(${col("timestamp")} < ${timestamp} OR (${col(
+        "timestamp"
+      )} = ${timestamp} AND id <= ${id}))`;
+    case "oldest":
+      return `(${col("timestamp")} > ${timestamp} OR (${col(
+        "timestamp"
+      )} = ${timestamp} AND id >= ${id}))`;
+    case "alphabetical": {
+      const text = sqlString(String(entry.text).toLowerCase());
+      return `(lower(text) > ${text} OR (lower(text) = ${text} AND id >= ${id}))`;
+    }
+    case "due":
+      // Todos without a due date (0) come last.
+      return dueAt > 0
+        ? `(${col("dueAt")} = 0 OR ${col("dueAt")} > ${dueAt} OR (${col(
+            "dueAt"
+          )} = ${dueAt} AND id >= ${id}))`
+        : `(${col("dueAt")} = 0 AND id >= ${id})`;
+    default:
+      throw new Error(`Unknown sort order: ${sort}`);
+  }
+}
+
+function treeFields(row, hierarchy, progress) {
+  return {
+    childCount: (hierarchy.childrenOf.get(row.id) || []).length,
+    progress: progress.get(row.id) || null,
+    parentPath: ancestorsOf(row.id, hierarchy.byId).map((ancestor) => ({
+      id: ancestor.id,
+      text: ancestor.text,
+    })),
+  };
+}
+
+function parseRevisions(json) {
+  try {
+    const revisions = JSON.parse(json || "[]");
+    return Array.isArray(revisions) ? revisions : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// "" for no recurrence; otherwise the rule in canonical form. Throws a
+// RecurrenceError with a readable message for unsupported rules.
+function normalizeRecurrence(rule) {
+  return rule ? formatRule(parseRule(rule)) : "";
+}
+
+// Vector search rows with one entry per todo, its nearest, up to `limit`.
+function nearestFirst(rows, limit) {
+  const byId = new Map();
+  rows.forEach((row) => {
+    const current = byId.get(row.id);
+    if (!current || row._distance < current._distance) byId.set(row.id, row);
+  });
+  return [...byId.values()]
+    .sort((a, b) => a._distance - b._distance)
+    .slice(0, limit);
+}
+
+// Due date of the occurrence after `row`, never in the past: a late daily
+// chore moves on to its next upcoming day.
+function followingDueDate(row, now) {
+  return nextOccurrence(
+    row.recurrence,
+    Math.max(row.dueAt, now),
+    row.seriesStart || row.dueAt
+  );
+}
+
+class TodoStore {
+  /**
+   * `dataDir` is the userData directory holding `todo_lancedb`; `settings`
+   * is a SettingsStore (read for the duplicate threshold). `log` receives
+   * progress messages; the CLI silences it so stdout stays machine-readable.
+   * `onWrite` is called after each of this process's writes to the table.
+   */
+  constructor({ dataDir, settings, log = console.log, onWrite = () => {} }) {
+    this.dbPath = path.join(dataDir, "todo_lancedb");
+    this.metaPath = path.join(dataDir, "todo_lancedb_meta.json");
+    this.lockPath = path.join(dataDir, "todo_lancedb.lock");
+    this.stampPath = path.join(dataDir, "todo_lancedb.changed");
+    this.attachmentsPath = path.join(dataDir, ATTACHMENTS_DIR);
+    this.settings = settings;
+    this.log = log;
+    this.onWrite = onWrite;
+    this.db = null;
+    this.table = null;
+    // Companion table of note and attachment chunks and their vectors (see
+    // note-chunks.js).
+    this.chunks = null;
+    // Embedding provider (see embeddings.js / embedding-service.js). Set by
+    // the caller; commands that don't embed can leave it unset.
+    this.embedder = null;
+    this.keywordIndex = new KeywordIndex();
+    this.newId = null;
+    // Chains this process's writes so they queue for the file lock in order.
+    this.writeQueue = Promise.resolve();
+    // Inside `exclusive`, the section holding the lock; writes made from it
+    // (and only from it) don't queue.
+    this.exclusiveSection = new AsyncLocalStorage();
+  }
+
+  /**
+   * Connects and opens `tableName`. With `create`, a missing table is made
+   * with the embedder's vector dimension; with `migrate`, older layouts are
+   * upgraded (see migrations.js). Otherwise a missing or outdated table is
+   * an error, so only one process ever migrates.
+   */
+  async open({ tableName, create = true, migrate = true }) {
+    this.log("Dynamically importing ESM modules...");
+    const lancedb = await import("vectordb");
+    this.newId = (await import("nanoid")).nanoid;
+    this.log("ESM modules imported successfully.");
+
+    this.log("Connecting to LanceDB...");
+    // Reads always see the latest version, including other processes' writes.
+    this.db = await lancedb.connect({
+      uri: this.dbPath,
+      readConsistencyInterval: 0,
+    });
+    this.log("Connected to LanceDB.");
+
+    const tableNames = await this.db.tableNames();
+    if (tableNames.includes(tableName)) {
+      this.log(`Opening existing table: ${tableName}`);
+      this.table = await this.openTable(tableName);
+    } else if (create) {
+      this.log(`Table ${tableName} not found, creating new table...`);
+      this.table = await this.createTable(tableName, this.embedder.dimension);
+      writeSchemaVersion(this.metaPath, CURRENT_SCHEMA_VERSION);
+    } else {
+      throw new Error(
+        `No todo table in ${this.dbPath}. Start the app once to create it.`
+      );
+    }
+    if (migrate) {
+      // Upgrades tables from older builds and validates the on-disk schema;
+      // throws with a readable message if the table can't be used.
+      await runMigrations(this.table, {
+        metaPath: this.metaPath,
+        vectorDimension: this.embedder.dimension,
+        log: this.log,
+      });
+    } else if (readSchemaVersion(this.metaPath) !== CURRENT_SCHEMA_VERSION) {
+      throw new Error(
+        "The todo table is from another version of the app. Start the app " +
+          "once to upgrade it."
+      );
+    }
+    const chunkTable = chunkTableName(tableName);
+    if (!create && !(await this.db.tableNames()).includes(chunkTable)) {
+      throw new Error(
+        `No note chunks table in ${this.dbPath}. Start the app once to ` +
+          "create it."
+      );
+    }
+    this.chunks = await this.chunkTableFor(
+      tableName,
+      this.embedder ? this.embedder.dimension : 0
+    );
+    if (migrate) {
+      // Picks up notes and files saved while their chunks couldn't be
+      // written.
+      await this.syncChunks();
+    }
+    await this.rebuildKeywordIndex();
+  }
+
+  async openTable(tableName) {
+    return this.lockWrites(await this.db.openTable(tableName));
+  }
+
+  // Creates an empty todos table whose vector column holds `dimension` floats.
+  async createTable(tableName, dimension) {
+    const dummyVector = new Array(dimension).fill(0.0);
+    return this.createFromDummyRow(tableName, {
+      id: "dummy_id_init",
+      text: "dummy_text_init",
+      vector: dummyVector,
+      timestamp: Date.now(),
+      ...columnDefaults(),
+    });
+  }
+
+  // The note chunks table belonging to todos table `tableName`, created for
+  // vectors of `dimension` floats if it doesn't exist yet.
+  async chunkTableFor(tableName, dimension) {
+    const name = chunkTableName(tableName);
+    if ((await this.db.tableNames()).includes(name)) {
+      return this.openTable(name);
+    }
+    return this.createFromDummyRow(name, {
+      id: "dummy_id_init",
+      todoId: "",
+      source: "",
+      sourceId: "",
+      sourceHash: "",
+      chunkIndex: 0,
+      text: "",
+      startOffset: 0,
+      endOffset: 0,
+      vector: new Array(dimension).fill(0.0),
+    });
+  }
+
+  // LanceDB infers a new table's schema from its first rows, so the table
+  // is created with `dummyRow` in it, which is then deleted.
+  async createFromDummyRow(tableName, dummyRow) {
+    const dummyData = [dummyRow];
+    this.log(
+      "Attempting to create table with dummy data for schema inference..."
+    );
+    try {
+      const created = await this.runLocked(() =>
+        this.db.createTable(tableName, dummyData)
+      );
+      this.log(
+        `Table ${tableName} created via schema inference from dummy data.`
+      );
+      const wrapped = this.lockWrites(created);
+      await wrapped.delete('id = "dummy_id_init"');
+      this.log("Dummy data deleted from the newly created table.");
+      return wrapped;
+    } catch (creationError) {
+      console.error(
+        "Error during db.createTable call (with dummy data):",
+        creationError
+      );
+      throw creationError;
+    }
+  }
+
+  // The table with its write methods run under the lock; reads go straight
+  // through.
+  lockWrites(tbl) {
+    const store = this;
+    return new Proxy(tbl, {
+      get(target, prop) {
+        const value = target[prop];
+        if (typeof value !== "function") return value;
+        if (WRITE_METHODS.includes(prop)) {
+          return (...args) => store.runLocked(() => value.apply(target, args));
+        }
+        return value.bind(target);
+      },
+    });
+  }
+
+  /**
+   * Runs `fn` (a write) holding the file lock, after this process's earlier
+   * writes, then stamps the change for the other process to notice.
+   */
+  runLocked(fn) {
+    const section = this.exclusiveSection.getStore();
+    if (section && section.active) return fn();
+    const run = this.writeQueue.then(() =>
+      withFileLock(this.lockPath, async () => {
+        const result = await fn();
+        fs.writeFileSync(
+          this.stampPath,
+          JSON.stringify({ pid: process.pid, changedAt: Date.now() })
+        );
+        this.onWrite();
+        return result;
+      })
+    );
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Runs `fn` holding the lock throughout, for reads and writes that no other
+   * process may interleave with (e.g. the switch to a re-indexed table).
+   * Writes made from `fn` run at once; any others wait until it is done.
+   */
+  exclusive(fn) {
+    return this.runLocked(async () => {
+      // Work `fn` leaves running past its end (e.g. a timer) queues again.
+      const section = { active: true };
+      try {
+        return await this.exclusiveSection.run(section, fn);
+      } finally {
+        section.active = false;
+      }
+    });
+  }
+
+  /**
+   * Calls `callback()` when another process (e.g. the CLI while the app is
+   * open) has written to the table. Returns a function that stops watching.
+   */
+  watchExternalChanges(callback) {
+    const listener = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      try {
+        const stamp = JSON.parse(fs.readFileSync(this.stampPath, "utf8"));
+        if (stamp.pid !== process.pid) callback(stamp);
+      } catch (error) {
+        // Half-written or removed stamp; the next write stamps again.
+      }
+    };
+    fs.watchFile(this.stampPath, { interval: CHANGE_POLL_MS }, listener);
+    return () => fs.unwatchFile(this.stampPath, listener);
+  }
+
+  // Reads every row matching `where` (all rows if empty), with all columns
+  // unless `columns` is given. Filter-only queries default to a limit of 10,
+  // so the limit is set from the row count.
+  async scanRows(where, columns) {
+    const count = await this.table.countRows(where || undefined);
+    if (count === 0) return [];
+    let query = this.table.filter(where || "id IS NOT NULL");
+    if (columns) query = query.select(columns);
+    return query.limit(count).execute();
+  }
+
+  async rebuildKeywordIndex() {
+    this.keywordIndex.clear();
+    const rows = await this.scanRows(NOT_DELETED, ["id", "text"]);
+    rows.forEach((r) => this.keywordIndex.add(r.id, r.text));
+    this.log(`Keyword index built for ${this.keywordIndex.size} todos.`);
+  }
+
+  async getEmbedding(text) {
+    const [vector] = await this.getEmbeddings([text]);
+    return vector;
+  }
+
+  // Embeds several texts in one provider call; returns one vector per text.
+  async getEmbeddings(texts) {
+    if (!this.embedder) {
+      throw new Error("Embedding pipeline not initialized.");
+    }
+    return this.embedder.embed(texts);
+  }
+
+  /**
+   * Brings `chunks` up to date with the notes and attachments in `todos`
+   * (see syncNoteChunks and syncAttachmentChunks), embedding with `embed`.
+   * Defaults to the open tables and embedder.
+   */
+  async syncChunks({
+    todos = this.table,
+    chunks = this.chunks,
+    embed = (texts) => this.getEmbeddings(texts),
+  } = {}) {
+    await syncNoteChunks({ todos, chunks, embed, log: this.log });
+    await syncAttachmentChunks({
+      todos,
+      chunks,
+      embed,
+      dir: this.attachmentsPath,
+      log: this.log,
+    });
+  }
+
+  /**
+   * Replaces the note chunks of `row` with ones cut from its current notes.
+   * Runs after the todo row is written; if it fails, the next start's
+   * syncNoteChunks catches up.
+   */
+  async indexNotes(row) {
+    const notes = row.notes || "";
+    // Embedded first, so a failing embedder leaves the old chunks in place.
+    const chunks = notes
+      ? await embedNoteChunks(notes, (texts) => this.getEmbeddings(texts))
+      : [];
+    await this.chunks.delete(
+      `source = 'note' AND ${col("todoId")} = ${sqlString(row.id)}`
+    );
+    const rows = buildChunkRows(
+      { todoId: row.id, source: "note", sourceHash: contentHash(notes) },
+      chunks
+    );
+    if (rows.length > 0) await this.chunks.add(rows);
+  }
+
+  /**
+   * Permanently deletes the todos matching `where` together with their
+   * chunks and attached files. Resolves with the deleted ids.
+   */
+  async purgeTodos(where) {
+    const rows = await this.scanRows(where, ["id", "attachments"]);
+    if (rows.length === 0) return [];
+    const ids = rows.map((row) => row.id);
+    await this.table.delete(where);
+    await this.chunks.delete(
+      `${col("todoId")} IN (${ids.map(sqlString).join(", ")})`
+    );
+    ids.forEach((id) => this.keywordIndex.remove(id));
+    removeAttachmentFiles(
+      this.attachmentsPath,
+      rows.flatMap((row) => parseAttachments(row.attachments))
+    );
+    return ids;
+  }
+
+  // Parent links, completion and text of every todo outside the trash, for
+  // rollups and parent paths.
+  async loadHierarchy() {
+    const rows = await this.scanRows(NOT_DELETED, [
+      "id",
+      "parentId",
+      "completed",
+      "text",
+    ]);
+    return indexHierarchy(rows);
+  }
+
+  /**
+   * Returns one page of todos in a stable order plus the total count. Todos
+   * are listed as a tree: subtasks follow their parent (unless it is
+   * collapsed), siblings are in the requested order, and a subtask whose
+   * parent is filtered out is shown at the top level. The cursor is the tree
+   * position of the last row of the previous page. LanceDB queries have no
+   * ORDER BY, so only the sort keys of the top-level todos from the cursor on
+   * are read and ordered here; just the ones the page needs are then read
+   * whole, with their subtasks.
+   */
+  async listTodos({
+    status = "all",
+    sort = "newest",
+    cursor = null,
+    limit = DEFAULT_PAGE_SIZE,
+    tags = [],
+    project = "",
+    due = null,
+    now = Date.now(),
+  } = {}) {
+    if (!(status in STATUS_FILTERS)) {
+      throw new Error(`Unknown status: ${status}`);
+    }
+    const compare = TODO_SORTS[sort];
+    if (!compare) {
+      throw new Error(`Unknown sort order: ${sort}`);
+    }
+    const pageSize = Math.min(
+      Math.max(1, Math.floor(Number(limit)) || DEFAULT_PAGE_SIZE),
+      MAX_PAGE_SIZE
+    );
+    const after = cursor ? decodeCursor(cursor, sort) : null;
+    const filter = [
+      STATUS_FILTERS[status],
+      buildScopeFilter({ tags, project }),
+      buildDueFilter(due, now),
+    ]
+      .filter(Boolean)
+      .join(" AND ");
+
+    const roots = await this.findListRoots(
+      after ? `${filter} AND ${notBeforeFilter(sort, after.path[0])}` : filter,
+      filter,
+      sort
+    );
+    // Every top-level todo adds at least one row, so these are enough even
+    // when the first is the cursor's and has no rows left after it.
+    const batch = roots.sort(compare).slice(0, pageSize + 1);
+    const rows = await this.loadListedSubtrees(
+      batch.map((row) => row.id),
+      filter
+    );
+    const entries = flattenTree(rows, compare);
+    const remaining = after
+      ? entries.filter(
+          (entry) => comparePaths(entry.path, after.path, compare) > 0
+        )
+      : entries;
+    const page = remaining.slice(0, pageSize);
+    const hierarchy = await this.loadHierarchy();
+    const progress = rollupProgress(hierarchy.childrenOf);
+    return {
+      todos: page.map((entry) => ({
+        ...toTodoItem(entry.row),
+        ...treeFields(entry.row, hierarchy, progress),
+        depth: entry.depth,
+      })),
+      total: await this.countListed(filter),
+      nextCursor:
+        remaining.length > pageSize || roots.length > batch.length
+          ? encodeCursor(sort, page[page.length - 1].path)
+          : null,
+    };
+  }
+
+  // Sort keys of the rows matching `where` that are at the top level of the
+  // list filtered by `filter`: those without a parent in it.
+  async findListRoots(where, filter, sort) {
+    const candidates = await this.scanRows(where, [
+      "id",
+      "parentId",
+      ...SORT_COLUMNS[sort],
+    ]);
+    const parentIds = [
+      ...new Set(candidates.map((row) => row.parentId).filter(Boolean)),
+    ];
+    const listedParents =
+      parentIds.length > 0
+        ? await this.scanRows(
+            `${filter} AND id IN (${parentIds.map(sqlString).join(", ")})`,
+            ["id"]
+          )
+        : [];
+    const listed = new Set(listedParents.map((row) => row.id));
+    return candidates.filter((row) => !listed.has(row.parentId));
+  }
+
+  // Rows of `ids` and of the subtasks below them that match `filter`, down
+  // to collapsed todos, whose subtasks the list leaves out.
+  async loadListedSubtrees(ids, filter) {
+    const rows = [];
+    let level =
+      ids.length > 0
+        ? await this.scanRows(
+            `id IN (${ids.map(sqlString).join(", ")})`,
+            TODO_COLUMNS
+          )
+        : [];
+    while (level.length > 0) {
+      rows.push(...level);
+      const open = level.filter((row) => !row.collapsed).map((row) => row.id);
+      if (open.length === 0) break;
+      level = await this.scanRows(
+        `${filter} AND ${col("parentId")} IN (${open
+          .map(sqlString)
+          .join(", ")})`,
+        TODO_COLUMNS
+      );
+    }
+    return rows;
+  }
+
+  // How many rows the list filtered by `filter` shows: the matching todos
+  // but those below a collapsed one (through matching parents).
+  async countListed(filter) {
+    const count = await this.table.countRows(filter);
+    const hidden = new Set();
+    let level = await this.scanRows(`${filter} AND collapsed = true`, ["id"]);
+    while (level.length > 0) {
+      const children = await this.scanRows(
+        `${filter} AND ${col("parentId")} IN (${level
+          .map((row) => sqlString(row.id))
+          .join(", ")})`,
+        ["id"]
+      );
+      level = children.filter((row) => !hidden.has(row.id));
+      level.forEach((row) => hidden.add(row.id));
+    }
+    return count - hidden.size;
+  }
+
+  async getTodoRow(todoId) {
+    const rows = await this.table
+      .filter(`id = ${sqlString(todoId)} AND ${NOT_DELETED}`)
+      .limit(1)
+      .execute();
+    return rows[0] || null;
+  }
+
+  // Rows whose reminder is at or before `now` and has not fired yet.
+  async findDueReminders(now) {
+    return this.scanRows(
+      `${PENDING_REMINDERS} AND ${col("remindAt")} <= ${now}`,
+      TODO_COLUMNS
+    );
+  }
+
+  // The earliest pending reminder time after `now`, or null.
+  async findNextReminderTime(now) {
+    const rows = await this.scanRows(
+      `${PENDING_REMINDERS} AND ${col("remindAt")} > ${now}`,
+      ["remindAt"]
+    );
+    return rows.length > 0 ? Math.min(...rows.map((r) => r.remindAt)) : null;
+  }
+
+  async markRemindersDelivered(ids, now) {
+    await this.table.update({
+      where: `id IN (${ids.map(sqlString).join(", ")})`,
+      values: { remindedAt: now },
+    });
+  }
+
+  // Rewrites a whole row in one operation, matched on id.
+  async replaceTodoRow(row) {
+    await this.table.mergeInsert("id", [row], { whenMatchedUpdateAll: true });
+  }
+
+  // Writes a bulk action's rows in one operation: rows whose id exists are
+  // replaced, the others (new occurrences) added.
+  async writeBatch(rows) {
+    if (rows.length === 0) return;
+    await this.table.mergeInsert("id", rows, {
+      whenMatchedUpdateAll: true,
+      whenNotMatchedInsertAll: true,
+    });
+  }
+
+  // Full rows for a bulk action's `ids`, plus a failure for each id that is
+  // not a todo outside the trash. Throws if the batch is empty or too big.
+  async loadBatch(ids) {
+    const unique = [...new Set([].concat(ids || []).map(String))];
+    if (unique.length === 0) {
+      throw new Error("No todos selected.");
+    }
+    if (unique.length > MAX_BULK_SIZE) {
+      throw new Error(`Select at most ${MAX_BULK_SIZE} todos at a time.`);
+    }
+    const rows = await this.scanRows(
+      `id IN (${unique.map(sqlString).join(", ")}) AND ${NOT_DELETED}`
+    );
+    const found = new Set(rows.map((row) => row.id));
+    return {
+      rows,
+      failed: unique
+        .filter((id) => !found.has(id))
+        .map((id) => ({ id, error: "Not found (deleted or in the trash)." })),
+    };
+  }
+
+  /**
+   * Edits a todo's text, project, due date, reminder, recurrence and/or
+   * notes, keeping the creation time and bumping `updatedAt`. A text change
+   * re-embeds the todo (unless `vector` is passed in), re-parses its `#tags`
+   * and appends the previous wording to the revision log; a new reminder
+   * time re-arms the reminder; new notes are re-chunked. Giving a one-off
+   * todo a rule starts a series at its due date.
+   */
+  async applyEdit(existing, changes) {
+    const updatedRow = await this.buildEdit(existing, changes);
+    await this.replaceTodoRow(updatedRow);
+    this.keywordIndex.add(updatedRow.id, updatedRow.text);
+    if (updatedRow.notes !== (existing.notes || "")) {
+      await this.indexNotes(updatedRow);
+    }
+    return updatedRow;
+  }
+
+  // The row applyEdit writes, without writing it.
+  async buildEdit(
+    existing,
+    {
+      text = existing.text,
+      project = existing.project,
+      dueAt = existing.dueAt,
+      remindAt = existing.remindAt,
+      recurrence = existing.recurrence,
+      seriesText = existing.seriesText,
+      priority = existing.priority,
+      notes = existing.notes,
+      vector = null,
+    }
+  ) {
+    const now = Date.now();
+    const updatedRow = {
+      ...existing,
+      project: normalizeProject(project),
+      priority: normalizePriority(priority),
+      notes: normalizeNotes(notes),
+      dueAt: toStoredTime(dueAt),
+      remindAt: toStoredTime(remindAt),
+      recurrence: normalizeRecurrence(recurrence),
+      seriesText,
+      updatedAt: now,
+    };
+    if (updatedRow.remindAt !== existing.remindAt) {
+      updatedRow.remindedAt = 0;
+    }
+    if (updatedRow.recurrence) {
+      if (!updatedRow.dueAt) {
+        updatedRow.dueAt = nextOccurrence(updatedRow.recurrence, now - 1, now);
+      }
+      if (!existing.seriesId) {
+        updatedRow.seriesId = existing.id;
+        updatedRow.seriesText = text;
+      }
+      if (
+        updatedRow.recurrence !== existing.recurrence ||
+        !existing.seriesStart
+      ) {
+        updatedRow.seriesStart = updatedRow.dueAt;
+      }
+    }
+    if (text !== existing.text) {
+      const revisions = parseRevisions(existing.revisions);
+      revisions.push({
+        text: existing.text,
+        savedAt: existing.updatedAt || existing.timestamp,
+      });
+      updatedRow.text = text;
+      updatedRow.vector = vector || (await this.getEmbedding(text));
+      updatedRow.tags = encodeTags(parseTags(text));
+      updatedRow.revisions = JSON.stringify(revisions.slice(-MAX_REVISIONS));
+    }
+    return updatedRow;
+  }
+
+  /**
+   * Applies a series-wide edit made on `source` to the other open
+   * occurrences of its series, reusing the source's vector instead of
+   * embedding again.
+   */
+  async updateOpenOccurrences(source) {
+    const others = await this.scanRows(
+      [
+        `${col("seriesId")} = ${sqlString(source.seriesId)}`,
+        `id != ${sqlString(source.id)}`,
+        "completed = false",
+        NOT_DELETED,
+      ].join(" AND ")
+    );
+    for (const row of others) {
+      await this.applyEdit(row, {
+        text: source.text,
+        project: source.project,
+        priority: source.priority,
+        recurrence: source.recurrence,
+        seriesText: source.seriesText,
+        vector: Array.from(source.vector),
+      });
+    }
+    return others.length;
+  }
+
+  // Text and vector new occurrences start from. An occurrence edited on its
+  // own differs from the series text, so another occurrence that still has
+  // the series text lends its vector; only if none is left is the text
+  // embedded.
+  async getSeriesTemplate(row) {
+    if (!row.seriesText || row.text === row.seriesText) {
+      return { text: row.text, vector: Array.from(row.vector) };
+    }
+    const [match] = await this.table
+      .filter(
+        `${col("seriesId")} = ${sqlString(row.seriesId)} AND text = ${sqlString(
+          row.seriesText
+        )}`
+      )
+      .limit(1)
+      .execute();
+    return {
+      text: row.seriesText,
+      vector: match
+        ? Array.from(match.vector)
+        : await this.getEmbedding(row.seriesText),
+    };
+  }
+
+  /**
+   * Adds the occurrence after `row` (just completed) as a new todo with the
+   * series text, the stored vector and the reminder moved along with the due
+   * date. Does nothing if the series already has a later open occurrence.
+   */
+  async createNextOccurrence(row) {
+    const nextRow = await this.buildNextOccurrence(row);
+    if (!nextRow) return null;
+    await this.table.add([nextRow]);
+    this.keywordIndex.add(nextRow.id, nextRow.text);
+    return nextRow;
+  }
+
+  // The row createNextOccurrence adds (or null), without adding it.
+  async buildNextOccurrence(row) {
+    if (!row.recurrence || !row.dueAt) return null;
+    const openLater = await this.table.countRows(
+      [
+        `${col("seriesId")} = ${sqlString(row.seriesId)}`,
+        "completed = false",
+        NOT_DELETED,
+        `${col("dueAt")} > ${row.dueAt}`,
+      ].join(" AND ")
+    );
+    if (openLater > 0) return null;
+    const now = Date.now();
+    const dueAt = followingDueDate(row, now);
+    const template = await this.getSeriesTemplate(row);
+    const nextRow = {
+      ...columnDefaults(),
+      id: this.newId(),
+      text: template.text,
+      vector: template.vector,
+      timestamp: now,
+      updatedAt: now,
+      tags: encodeTags(parseTags(template.text)),
+      project: row.project,
+      dueAt,
+      remindAt: row.remindAt ? dueAt - (row.dueAt - row.remindAt) : 0,
+      recurrence: row.recurrence,
+      seriesId: row.seriesId,
+      seriesStart: row.seriesStart,
+      seriesText: template.text,
+      parentId: row.parentId,
+      priority: row.priority,
+    };
+    return nextRow;
+  }
+
+  async semanticSearch(queryVector, filter, limit) {
+    const where = [NOT_DELETED, filter].filter(Boolean).join(" AND ");
+    // Prefilter so trashed rows don't use up the nearest-neighbour slots.
+    const lanceQuery = this.table
+      .search(queryVector)
+      .where(where)
+      .prefilter(true);
+    return lanceQuery.limit(limit).select(TODO_COLUMNS).execute();
+  }
+
+  /**
+   * Todos whose notes or attachments have a chunk near `queryVector`,
+   * nearest first, each with its best chunk as `_passage` ({ source,
+   * sourceId, text, start, end }) and
+   * that chunk's `_distance`. Only todos passing `filter` are kept; the
+   * chunks table can't be prefiltered on todo fields, so more chunks than
+   * `limit` are fetched.
+   */
+  async passageSearch(queryVector, filter, limit) {
+    const hits = await this.chunks
+      .search(queryVector)
+      .limit(limit * CHUNKS_PER_CANDIDATE)
+      .select([
+        "todoId",
+        "source",
+        "sourceId",
+        "text",
+        "startOffset",
+        "endOffset",
+      ])
+      .execute();
+    const best = new Map();
+    hits.forEach((hit) => {
+      const current = best.get(hit.todoId);
+      if (!current || hit._distance < current._distance) {
+        best.set(hit.todoId, hit);
+      }
+    });
+    if (best.size === 0) return [];
+    const where = [
+      `id IN (${[...best.keys()].map(sqlString).join(", ")})`,
+      NOT_DELETED,
+      filter,
+    ]
+      .filter(Boolean)
+      .join(" AND ");
+    const rows = await this.table
+      .filter(where)
+      .select(TODO_COLUMNS)
+      .limit(best.size)
+      .execute();
+    return rows
+      .map((row) => {
+        const hit = best.get(row.id);
+        return {
+          ...row,
+          _distance: hit._distance,
+          _passage: {
+            source: hit.source,
+            sourceId: hit.sourceId,
+            text: hit.text,
+            start: hit.startOffset,
+            end: hit.endOffset,
+          },
+        };
+      })
+      .sort((a, b) => a._distance - b._distance)
+      .slice(0, limit);
+  }
+
+  // Ranks ids with the keyword index, then loads the rows through the same
+  // date/tag filter the vector search uses. Results keep the keyword ranking.
+  async keywordSearch(query, filter, limit) {
+    // Over-fetch so rows dropped by the filter don't starve the results.
+    const hits = this.keywordIndex.search(query, limit * 5);
+    if (hits.length === 0) return [];
+    const idList = hits.map((hit) => sqlString(hit.id)).join(", ");
+    const where = [`id IN (${idList})`, NOT_DELETED, filter]
+      .filter(Boolean)
+      .join(" AND ");
+    const rows = await this.table
+      .filter(where)
+      .select(TODO_COLUMNS)
+      .limit(hits.length)
+      .execute();
+    const rowsById = new Map(rows.map((r) => [r.id, r]));
+    return hits
+      .filter((hit) => rowsById.has(hit.id))
+      .slice(0, limit)
+      .map((hit) => ({
+        ...rowsById.get(hit.id),
+        _keywordScore: hit.score,
+        _matchedTerms: hit.matchedTerms,
+      }));
+  }
+
+  // Todos at least `duplicateThreshold` similar to `vector`, most similar
+  // first.
+  async findSimilarTodos(vector) {
+    const threshold = Number(this.settings.get("duplicateThreshold"));
+    const rows = await this.table
+      .search(vector)
+      .where(NOT_DELETED)
+      .prefilter(true)
+      .limit(MAX_DUPLICATE_CANDIDATES)
+      .select(TODO_COLUMNS)
+      .execute();
+    return rows
+      .map((row) => ({
+        ...toTodoItem(row),
+        similarity: similarityFromDistance(row._distance),
+      }))
+      .filter((item) => item.similarity >= threshold);
+  }
+
+  /**
+   * Folds `sources` into `target` (see mergeFields) and returns the updated
+   * target row. Sources that are stored todos (have an id) move to the trash
+   * together, and their subtasks and attached files move to the target.
+   */
+  async mergeIntoTodo(target, sources) {
+    const stored = sources.filter((source) => source.id);
+    const mergedIds = new Set(stored.map((source) => source.id));
+    const moved = stored.flatMap((source) =>
+      parseAttachments(source.attachments)
+    );
+    const hierarchy = await this.loadHierarchy();
+    // A target nested under a merged todo takes that todo's place.
+    let parentId = target.parentId || "";
+    while (mergedIds.has(parentId)) {
+      parentId = hierarchy.byId.get(parentId).parentId || "";
+    }
+    const attachments = [...parseAttachments(target.attachments), ...moved];
+    const updatedRow = await this.applyEdit(
+      { ...target, parentId, attachments: JSON.stringify(attachments) },
+      mergeFields(target, sources)
+    );
+    if (stored.length > 0) {
+      const deletedAt = Date.now();
+      await this.table.update({
+        where: `id IN (${[...mergedIds].map(sqlString).join(", ")})`,
+        values: { deletedAt, attachments: "[]" },
+      });
+      if (moved.length > 0) {
+        await this.chunks.update({
+          where: `source = 'attachment' AND ${col("sourceId")} IN (${moved
+            .map((attachment) => sqlString(attachment.id))
+            .join(", ")})`,
+          values: { todoId: target.id },
+        });
+      }
+      mergedIds.forEach((id) => this.keywordIndex.remove(id));
+      for (const source of stored) {
+        for (const child of hierarchy.childrenOf.get(source.id) || []) {
+          if (child.id === target.id || mergedIds.has(child.id)) continue;
+          const newParentId = wouldCreateCycle(
+            child.id,
+            target.id,
+            hierarchy.byId
+          )
+            ? parentId
+            : target.id;
+          await this.table.update({
+            where: `id = ${sqlString(child.id)}`,
+            values: { parentId: newParentId },
+          });
+        }
+      }
+    }
+    return updatedRow;
+  }
+
+  // Reads dates, times and priority markers out of a todo as typed (see
+  // entry-parser.js), with the locale and week start from the settings.
+  parseEntry(text, now = Date.now()) {
+    return parseTodoEntry(text, {
+      now,
+      locale: this.settings.get("dateLocale") || undefined,
+      weekStart: this.settings.get("weekStart"),
+    });
+  }
+
+  /**
+   * Adds a todo. Resolves with { item }, with { item, merged: true } when
+   * `options.mergeInto` names a todo to fold it into, or with
+   * { item: null, duplicates } when it looks like an existing todo and
+   * `options.allowDuplicate` isn't set. With `options.parse`, a date, time
+   * or priority written in the text is taken out of it and used where the
+   * options don't set `dueAt` or `priority` themselves. `options.notes` is
+   * the todo's Markdown notes.
+   */
+  async addTodo(enteredText, options = {}) {
+    let todoText = requireText(enteredText);
+    let { dueAt, priority } = options;
+    if (options.parse) {
+      const entry = this.parseEntry(enteredText);
+      todoText = entry.text;
+      dueAt = dueAt || entry.dueAt;
+      priority = priority || entry.priority;
+    }
+    const recurrence = normalizeRecurrence(options.recurrence);
+    const parentId = options.parentId || "";
+    if (parentId && !(await this.getTodoRow(parentId))) {
+      throw new Error(`Parent todo ${parentId} not found.`);
+    }
+    const vector = await this.getEmbedding(todoText);
+    if (options.mergeInto) {
+      // Folds the new todo into an existing one instead of adding it.
+      const target = await this.getTodoRow(options.mergeInto);
+      if (!target) {
+        throw new Error(`Todo ${options.mergeInto} not found.`);
+      }
+      const incoming = {
+        text: todoText,
+        project: normalizeProject(options.project),
+        dueAt: toStoredTime(dueAt),
+        remindAt: toStoredTime(options.remindAt),
+        priority: normalizePriority(priority),
+        notes: normalizeNotes(options.notes),
+      };
+      const merged = await this.mergeIntoTodo(target, [incoming]);
+      return { item: toTodoItem(merged), merged: true };
+    }
+    if (!options.allowDuplicate) {
+      const duplicates = await this.findSimilarTodos(vector);
+      if (duplicates.length > 0) {
+        // Nothing is added; the caller asks what to do and calls again.
+        return { item: null, duplicates };
+      }
+    }
+    const todoId = this.newId();
+    const now = Date.now();
+    const todoItem = {
+      id: todoId,
+      text: todoText,
+      vector: vector,
+      ...columnDefaults(),
+      timestamp: now,
+      updatedAt: now,
+      tags: encodeTags(parseTags(todoText)),
+      project: normalizeProject(options.project),
+      dueAt: toStoredTime(dueAt),
+      remindAt: toStoredTime(options.remindAt),
+      parentId,
+      priority: normalizePriority(priority),
+      notes: normalizeNotes(options.notes),
+    };
+    if (recurrence) {
+      // A repeating todo without a due date starts with its next occurrence.
+      todoItem.dueAt =
+        todoItem.dueAt || nextOccurrence(recurrence, now - 1, now);
+      Object.assign(todoItem, {
+        recurrence,
+        seriesId: todoId,
+        seriesStart: todoItem.dueAt,
+        seriesText: todoText,
+      });
+    }
+    await this.table.add([todoItem]);
+    this.keywordIndex.add(todoItem.id, todoItem.text);
+    if (todoItem.notes) await this.indexNotes(todoItem);
+    return { item: toTodoItem(todoItem) };
+  }
+
+  /**
+   * Searches todos by meaning, keywords or both (`mode`), within the
+   * optional From/To dates (YYYY-MM-DD, on `filters.dateField`) and
+   * tag/project scope. `query` may use the operators of query-syntax.js;
+   * its free text is what gets ranked, and a query of operators alone lists
+   * their matches newest first. Resolves with up to `filters.limit`
+   * (default SEARCH_RESULT_LIMIT) results; throws QuerySyntaxError (with
+   * `errors`) for a malformed query. Semantic ranking also matches passages
+   * of the todos' notes and attached files; a todo found that way has
+   * `matchedPassage` ({ source, sourceId, text, start, end }; `source` is
+   * "note" or "attachment", `sourceId` the attachment's id, and the offsets
+   * point into the notes or the file's text).
+   */
+  async searchTodos(query, startDate, endDate, mode = "hybrid", filters = {}) {
+    if (!query || query.trim() === "") return [];
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`Unknown search mode: ${mode}`);
+    }
+    const dateColumn = SEARCH_DATE_FIELDS[filters.dateField || "created"];
+    if (!dateColumn) {
+      throw new Error(`Unknown date field: ${filters.dateField}`);
+    }
+    const resultLimit = Math.min(
+      Math.max(1, Math.floor(Number(filters.limit)) || SEARCH_RESULT_LIMIT),
+      MAX_SEARCH_RESULT_LIMIT
+    );
+    const now = Date.now();
+    const parsed = parseSearchQuery(query, now);
+    if (parsed.errors.length > 0) {
+      throw new QuerySyntaxError(parsed.errors);
+    }
+    // Date, tag/project and query filters share one `.where()` clause, so
+    // semantic search only ranks todos inside the selected scope.
+    const filter = [
+      buildDateFilter(startDate, endDate, dateColumn),
+      buildScopeFilter(filters),
+      buildQueryFilter(parsed, now),
+    ]
+      .filter(Boolean)
+      .join(" AND ");
+    const hierarchy = await this.loadHierarchy();
+    const progress = rollupProgress(hierarchy.childrenOf);
+    if (!parsed.text) {
+      const rows = await this.scanRows(
+        [NOT_DELETED, filter].filter(Boolean).join(" AND "),
+        TODO_COLUMNS
+      );
+      return rows
+        .sort(TODO_SORTS.newest)
+        .slice(0, filters.limit ? resultLimit : FILTER_ONLY_RESULT_LIMIT)
+        .map((row) => ({
+          ...toTodoItem(row),
+          matchedTerms: [],
+          matchedBy: "filter",
+          ...treeFields(row, hierarchy, progress),
+        }));
+    }
+    const candidateLimit =
+      mode === "hybrid"
+        ? Math.max(HYBRID_CANDIDATE_LIMIT, resultLimit)
+        : resultLimit;
+
+    let semanticRows = [];
+    if (mode !== "keyword") {
+      const queryVector = await this.getEmbedding(parsed.text);
+      // A todo found through its notes ranks by its nearest passage unless
+      // its text is nearer.
+      semanticRows = nearestFirst(
+        [
+          ...(await this.semanticSearch(queryVector, filter, candidateLimit)),
+          ...(await this.passageSearch(queryVector, filter, candidateLimit)),
+        ],
+        candidateLimit
+      );
+    }
+    // Keyword hits are cheap, so they're looked up in every mode to label
+    // semantic results that also contain the query terms.
+    const keywordRows = await this.keywordSearch(
+      parsed.text,
+      filter,
+      mode === "semantic" ? resultLimit : candidateLimit
+    );
+
+    const semanticById = new Map(semanticRows.map((r) => [r.id, r]));
+    const keywordById = new Map(keywordRows.map((r) => [r.id, r]));
+    let rankedIds;
+    if (mode === "semantic") {
+      rankedIds = semanticRows.map((r) => r.id);
+    } else if (mode === "keyword") {
+      rankedIds = keywordRows.map((r) => r.id);
+    } else {
+      rankedIds = reciprocalRankFusion([
+        semanticRows.map((r) => r.id),
+        keywordRows.map((r) => r.id),
+      ]).map((entry) => entry.id);
+    }
+
+    return rankedIds.slice(0, resultLimit).map((id) => {
+      const semantic = semanticById.get(id);
+      const keyword = keywordById.get(id);
+      const matchedBy =
+        semantic && keyword ? "both" : keyword ? "keyword" : "semantic";
+      return {
+        ...toTodoItem(semantic || keyword),
+        score: semantic ? semantic._distance : undefined,
+        keywordScore: keyword ? keyword._keywordScore : undefined,
+        matchedTerms: keyword ? keyword._matchedTerms : [],
+        matchedBy,
+        matchedPassage: (semantic && semantic._passage) || null,
+        // Subtask hits show where they sit in the tree.
+        ...treeFields(semantic || keyword, hierarchy, progress),
+      };
+    });
+  }
+
+  /**
+   * Edits a todo (see applyEdit). A recurring todo is edited either as this
+   * occurrence only or, with `options.scope: "series"`, as the whole series;
+   * one-off todos ignore `scope`. Leaving `newText` undefined keeps the
+   * text. Resolves with { item }.
+   */
+  async updateTodo(todoId, newText, options = {}) {
+    if (newText !== undefined) requireText(newText);
+    const existing = await this.getTodoRow(todoId);
+    if (!existing) {
+      throw new Error(`Todo ${todoId} not found.`);
+    }
+    const seriesEdit =
+      Boolean(existing.recurrence) && options.scope === "series";
+    const changes = {
+      text: newText,
+      project: options.project,
+      dueAt: options.dueAt,
+      remindAt: options.remindAt,
+      priority: options.priority,
+      notes: options.notes,
+    };
+    if (!existing.recurrence || seriesEdit) {
+      changes.recurrence = options.recurrence;
+    }
+    if (seriesEdit) {
+      changes.seriesText = newText;
+    }
+    const updatedRow = await this.applyEdit(existing, changes);
+    if (seriesEdit) {
+      const count = await this.updateOpenOccurrences(updatedRow);
+      this.log(`Applied series edit to ${count} other occurrence(s).`);
+    }
+    this.log(`Updated todo with id: ${todoId}`);
+    return { item: toTodoItem(updatedRow) };
+  }
+
+  // A todo's Markdown notes. Resolves with { item, notes }.
+  async getNotes(todoId) {
+    const row = await this.getTodoRow(todoId);
+    if (!row) {
+      throw new Error(`Todo ${todoId} not found.`);
+    }
+    return { item: toTodoItem(row), notes: row.notes || "" };
+  }
+
+  /**
+   * Replaces a todo's notes and re-chunks them for search. Resolves with
+   * { item, notes }, the notes as stored (see normalizeNotes).
+   */
+  async setNotes(todoId, notes) {
+    const existing = await this.getTodoRow(todoId);
+    if (!existing) {
+      throw new Error(`Todo ${todoId} not found.`);
+    }
+    const updatedRow = await this.applyEdit(existing, { notes });
+    this.log(`Saved notes of todo ${todoId}`);
+    return { item: toTodoItem(updatedRow), notes: updatedRow.notes };
+  }
+
+  /**
+   * Attaches the files at `filePaths` to a todo: each is read and checked
+   * (see readAttachment), its text embedded, and the file copied into the
+   * attachments directory. Files that can't be attached are skipped.
+   * Resolves with { item, attachments, failed: [{ filePath, error }] },
+   * `attachments` being the new entries.
+   */
+  async addAttachments(todoId, filePaths) {
+    const existing = await this.getTodoRow(todoId);
+    if (!existing) {
+      throw new Error(`Todo ${todoId} not found.`);
+    }
+    const current = parseAttachments(existing.attachments);
+    if (current.length + filePaths.length > MAX_ATTACHMENTS_PER_TODO) {
+      throw new Error(
+        `A todo can have at most ${MAX_ATTACHMENTS_PER_TODO} attachments.`
+      );
+    }
+    const added = [];
+    const failed = [];
+    for (const filePath of filePaths) {
+      try {
+        const { attachment, chunks } = await readAttachment(
+          filePath,
+          this.newId
+        );
+        await embedChunks(chunks, (texts) => this.getEmbeddings(texts));
+        const storedPath = attachmentPath(this.attachmentsPath, attachment);
+        fs.mkdirSync(path.dirname(storedPath), { recursive: true });
+        fs.copyFileSync(filePath, storedPath);
+        added.push({ attachment, chunks });
+      } catch (error) {
+        failed.push({ filePath, error: error.message });
+      }
+    }
+    if (added.length === 0) {
+      return { item: toTodoItem(existing), attachments: [], failed };
+    }
+    const attachments = added.map((entry) => entry.attachment);
+    const updatedRow = {
+      ...existing,
+      attachments: JSON.stringify([...current, ...attachments]),
+      updatedAt: Date.now(),
+    };
+    try {
+      await this.replaceTodoRow(updatedRow);
+    } catch (error) {
+      removeAttachmentFiles(this.attachmentsPath, attachments);
+      throw error;
+    }
+    // Written after the todo; if this fails, the next start's sync re-reads
+    // the files.
+    const rows = added.flatMap(({ attachment, chunks }) =>
+      attachmentChunkRows(todoId, attachment, chunks)
+    );
+    if (rows.length > 0) await this.chunks.add(rows);
+    this.log(`Attached ${attachments.length} file(s) to todo ${todoId}`);
+    return { item: toTodoItem(updatedRow), attachments, failed };
+  }
+
+  // Detaches a file from a todo, deleting its copy and chunks. Resolves with
+  // { item }.
+  async removeAttachment(todoId, attachmentId) {
+    const existing = await this.getTodoRow(todoId);
+    if (!existing) {
+      throw new Error(`Todo ${todoId} not found.`);
+    }
+    const attachments = parseAttachments(existing.attachments);
+    const attachment = attachments.find((entry) => entry.id === attachmentId);
+    if (!attachment) {
+      throw new Error(`Attachment ${attachmentId} not found.`);
+    }
+    const updatedRow = {
+      ...existing,
+      attachments: JSON.stringify(
+        attachments.filter((entry) => entry !== attachment)
+      ),
+      updatedAt: Date.now(),
+    };
+    await this.replaceTodoRow(updatedRow);
+    await this.chunks.delete(
+      `source = 'attachment' AND ${col("sourceId")} = ${sqlString(
+        attachmentId
+      )}`
+    );
+    removeAttachmentFiles(this.attachmentsPath, [attachment]);
+    this.log(`Removed attachment ${attachment.name} from todo ${todoId}`);
+    return { item: toTodoItem(updatedRow) };
+  }
+
+  // Path of a todo's attached file, for opening it.
+  async getAttachmentPath(todoId, attachmentId) {
+    const existing = await this.getTodoRow(todoId);
+    const attachment =
+      existing &&
+      parseAttachments(existing.attachments).find(
+        (entry) => entry.id === attachmentId
+      );
+    if (!attachment) {
+      throw new Error(`Attachment ${attachmentId} not found.`);
+    }
+    const filePath = attachmentPath(this.attachmentsPath, attachment);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`The file ${attachment.name} is missing.`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Moves a todo to the trash. `options.children` decides what happens to
+   * subtasks: "cascade" moves them to the trash too, "promote" (the
+   * default) moves them up to the deleted todo's parent.
+   */
+  async deleteTodo(todoId, options = {}) {
+    const hierarchy = await this.loadHierarchy();
+    const row = hierarchy.byId.get(todoId);
+    if (!row) {
+      throw new Error(`Todo ${todoId} not found.`);
+    }
+    const childIds = (hierarchy.childrenOf.get(todoId) || []).map((c) => c.id);
+    const cascade = options.children === "cascade";
+    const deletedIds = cascade
+      ? [todoId, ...descendantIds(todoId, hierarchy.childrenOf)]
+      : [todoId];
+    // Soft delete: the rows move to the trash until restored or purged. They
+    // share one deletedAt, which is how restore finds the cascaded subtasks.
+    const deletedAt = Date.now();
+    await this.table.update({
+      where: `id IN (${deletedIds
+        .map(sqlString)
+        .join(", ")}) AND ${NOT_DELETED}`,
+      values: { deletedAt },
+    });
+    if (!cascade && childIds.length > 0) {
+      await this.table.update({
+        where: `id IN (${childIds.map(sqlString).join(", ")})`,
+        values: { parentId: row.parentId || "" },
+      });
+    }
+    deletedIds.forEach((id) => this.keywordIndex.remove(id));
+    this.log(
+      `Moved ${deletedIds.length} todo(s) to trash, starting with id: ${todoId}`
+    );
+    return {
+      id: todoId,
+      deletedAt,
+      deletedIds,
+      promotedIds: cascade ? [] : childIds,
+    };
+  }
+
+  /**
+   * Serializes every todo outside the trash (or only `ids`), oldest first, as
+   * `format` (see import-export.js). Resolves with { content, count, failed },
+   * where `failed` lists requested ids that could not be exported.
+   */
+  async exportTodos(format, { includeVectors = false, ids = null } = {}) {
+    const columns = [...TODO_COLUMNS, "notes"];
+    if (includeVectors) columns.push("vector");
+    let rows;
+    let failed = [];
+    if (ids) {
+      ({ rows, failed } = await this.loadBatch(ids));
+    } else {
+      rows = await this.scanRows(NOT_DELETED, columns);
+    }
+    const todos = rows
+      .map((r) => ({ ...toTodoItem(r), notes: r.notes, vector: r.vector }))
+      .sort(TODO_SORTS.oldest);
+    const content = serializeTodos(todos, format, {
+      includeVectors,
+      embeddingModel: this.embedder ? this.embedder.key : undefined,
+    });
+    return { content, count: todos.length, failed };
+  }
+
+  /**
+   * Marks a todo done (or not done). Completing an occurrence of a series
+   * adds its next occurrence. Resolves with { item, nextOccurrence }.
+   */
+  async setCompleted(todoId, completed) {
+    const existing = await this.getTodoRow(todoId);
+    if (!existing) {
+      throw new Error(`Todo ${todoId} not found.`);
+    }
+    const row = {
+      ...existing,
+      completed: Boolean(completed),
+      completedAt: completed ? Date.now() : 0,
+    };
+    await this.table.update({
+      where: `id = ${sqlString(todoId)}`,
+      values: { completed: row.completed, completedAt: row.completedAt },
+    });
+    const nextRow =
+      completed && row.recurrence ? await this.createNextOccurrence(row) : null;
+    this.log(`Marked todo ${todoId} as ${completed ? "completed" : "active"}.`);
+    return {
+      item: toTodoItem(row),
+      nextOccurrence: nextRow ? toTodoItem(nextRow) : null,
+    };
+  }
+
+  /**
+   * Marks `ids` done (or not done) in one write. Completing an occurrence of
+   * a series adds its next occurrence in the same write, once per series.
+   * Resolves with { items, nextOccurrences, failed: [{ id, error }] }.
+   */
+  async setCompletedMany(ids, completed) {
+    const { rows, failed } = await this.loadBatch(ids);
+    const now = Date.now();
+    const changed = rows
+      .filter((row) => row.completed !== Boolean(completed))
+      .map((row) => ({
+        ...row,
+        completed: Boolean(completed),
+        completedAt: completed ? now : 0,
+      }));
+    const nextRows = [];
+    if (completed) {
+      // The latest selected occurrence of each series moves it on.
+      const latestBySeries = new Map();
+      changed
+        .filter((row) => row.recurrence)
+        .forEach((row) => {
+          const latest = latestBySeries.get(row.seriesId);
+          if (!latest || row.dueAt > latest.dueAt) {
+            latestBySeries.set(row.seriesId, row);
+          }
+        });
+      for (const row of latestBySeries.values()) {
+        try {
+          const nextRow = await this.buildNextOccurrence(row);
+          if (nextRow) nextRows.push(nextRow);
+        } catch (error) {
+          failed.push({
+            id: row.id,
+            error: `Done, but the next occurrence failed: ${error.message}`,
+          });
+        }
+      }
+    }
+    await this.writeBatch([...changed, ...nextRows]);
+    nextRows.forEach((row) => this.keywordIndex.add(row.id, row.text));
+    this.log(
+      `Marked ${changed.length} todo(s) as ${completed ? "done" : "open"}.`
+    );
+    const changedById = new Map(changed.map((row) => [row.id, row]));
+    return {
+      items: rows.map((row) => toTodoItem(changedById.get(row.id) || row)),
+      nextOccurrences: nextRows.map(toTodoItem),
+      failed,
+    };
+  }
+
+  /**
+   * Adds and/or removes `#tags` on `ids` in one write, by editing their text
+   * (see addTag/removeTag in tags.js). The stored vectors are kept: a tag
+   * barely moves the meaning, and re-embedding a large selection would hold
+   * up the caller. Resolves with { items (the changed todos), failed }.
+   */
+  async retagMany(ids, { add = [], remove = [] } = {}) {
+    const normalize = (tags) =>
+      [].concat(tags || []).map((tag) => {
+        const name = String(tag).trim().replace(/^#/, "").toLowerCase();
+        if (!isValidTag(name)) {
+          throw new Error(`Invalid tag: ${tag}`);
+        }
+        return name;
+      });
+    const added = normalize(add);
+    const removed = normalize(remove);
+    if (added.length === 0 && removed.length === 0) {
+      throw new Error("Choose a tag to add or remove.");
+    }
+    const { rows, failed } = await this.loadBatch(ids);
+    const updatedRows = [];
+    for (const row of rows) {
+      let text = removed.reduce(
+        (result, tag) => removeTag(result, tag),
+        row.text
+      );
+      text = added.reduce((result, tag) => addTag(result, tag), text);
+      if (text === row.text) continue;
+      if (!text) {
+        failed.push({
+          id: row.id,
+          error: "Removing the tag would leave the todo empty.",
+        });
+        continue;
+      }
+      updatedRows.push(
+        await this.buildEdit(row, { text, vector: Array.from(row.vector) })
+      );
+    }
+    await this.writeBatch(updatedRows);
+    updatedRows.forEach((row) => this.keywordIndex.add(row.id, row.text));
+    this.log(`Retagged ${updatedRows.length} todo(s).`);
+    return { items: updatedRows.map(toTodoItem), failed };
+  }
+
+  /**
+   * Moves `ids` to the trash in one write, sharing one deletedAt. With
+   * `options.children: "cascade"` their subtasks go too; otherwise subtasks
+   * that stay move up to their nearest ancestor that stays. Resolves with
+   * { deletedAt, deletedIds, promotedIds, formerParents, failed };
+   * `formerParents` maps each promoted subtask to its parent before.
+   */
+  async deleteMany(ids, options = {}) {
+    const { rows, failed } = await this.loadBatch(ids);
+    const hierarchy = await this.loadHierarchy();
+    const cascade = options.children === "cascade";
+    const deleted = new Set(rows.map((row) => row.id));
+    if (cascade) {
+      rows.forEach((row) =>
+        descendantIds(row.id, hierarchy.childrenOf).forEach((id) =>
+          deleted.add(id)
+        )
+      );
+    }
+    // Subtasks left behind, with the parent they move to and the one they
+    // had (for undo).
+    const newParents = new Map();
+    const formerParents = {};
+    if (!cascade) {
+      rows.forEach((row) => {
+        (hierarchy.childrenOf.get(row.id) || [])
+          .filter((child) => !deleted.has(child.id))
+          .forEach((child) => {
+            let parentId = row.parentId || "";
+            while (parentId && deleted.has(parentId)) {
+              parentId = hierarchy.byId.get(parentId).parentId || "";
+            }
+            newParents.set(child.id, parentId);
+            formerParents[child.id] = row.id;
+          });
+      });
+    }
+    const affectedIds = [...deleted, ...newParents.keys()];
+    const affected =
+      affectedIds.length > 0
+        ? await this.scanRows(
+            `id IN (${affectedIds
+              .map(sqlString)
+              .join(", ")}) AND ${NOT_DELETED}`
+          )
+        : [];
+    const deletedAt = Date.now();
+    await this.writeBatch(
+      affected.map((row) =>
+        deleted.has(row.id)
+          ? { ...row, deletedAt }
+          : { ...row, parentId: newParents.get(row.id) }
+      )
+    );
+    const deletedIds = affected
+      .filter((row) => deleted.has(row.id))
+      .map((row) => row.id);
+    deletedIds.forEach((id) => this.keywordIndex.remove(id));
+    this.log(`Moved ${deletedIds.length} todo(s) to trash.`);
+    return {
+      deletedAt,
+      deletedIds,
+      promotedIds: [...newParents.keys()],
+      formerParents,
+      failed,
+    };
+  }
+  /**
+   * Undoes deleteMany in one write: brings back the rows among `ids` that
+   * were trashed together at `deletedAt`, and moves the subtasks it
+   * promoted (`formerParents`, child id -> parent id) back under their
+   * restored parents. Resolves with { restoredIds, movedIds }.
+   */
+  async restoreMany(ids, deletedAt, formerParents = {}) {
+    const idList = [].concat(ids || []).map(sqlString);
+    if (idList.length === 0) {
+      throw new Error("No todos to restore.");
+    }
+    const restored = (
+      await this.scanRows(
+        `id IN (${idList.join(", ")}) AND ${col("deletedAt")} = ${Number(
+          deletedAt
+        )}`
+      )
+    ).map((row) => ({ ...row, deletedAt: 0 }));
+    const hierarchy = await this.loadHierarchy();
+    restored.forEach((row) => hierarchy.byId.set(row.id, row));
+    // Subtasks deleted or moved under one of their own subtasks since then
+    // stay where they are.
+    const moves = Object.entries(formerParents || {}).filter(
+      ([childId, parentId]) =>
+        restored.some((row) => row.id === parentId) &&
+        hierarchy.byId.has(childId) &&
+        !wouldCreateCycle(childId, parentId, hierarchy.byId)
+    );
+    const children =
+      moves.length > 0
+        ? await this.scanRows(
+            `id IN (${moves
+              .map(([childId]) => sqlString(childId))
+              .join(", ")}) AND ${NOT_DELETED}`
+          )
+        : [];
+    await this.writeBatch([
+      ...restored,
+      ...children.map((row) => ({ ...row, parentId: formerParents[row.id] })),
+    ]);
+    restored.forEach((row) => this.keywordIndex.add(row.id, row.text));
+    this.log(`Restored ${restored.length} todo(s) from trash.`);
+    return {
+      restoredIds: restored.map((row) => row.id),
+      movedIds: children.map((row) => row.id),
+    };
+  }
+}
+
+module.exports = {
+  TodoStore,
+  TODO_COLUMNS,
+  NOT_DELETED,
+  IN_TRASH,
+  SEARCH_DATE_FIELDS,
+  SEARCH_MODES,
+  MAX_SEARCH_RESULT_LIMIT,
+  TODO_SORTS,
+  toTodoItem,
+  buildDateFilter,
+  buildScopeFilter,
+  buildQueryFilter,
+  toStoredTime,
+  sqlString,
+  treeFields,
+  parseRevisions,
+  normalizeRecurrence,
+  followingDueDate,
+};
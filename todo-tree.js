@@ -0,0 +1,119 @@
+// Parent/child hierarchy helpers. Todos point at their parent through
+// `parentId` ("" for top-level todos); everything here works on plain rows
+// and leaves reading and writing the table to main.js.
+
+/**
+ * Indexes rows by id and by parent. A todo whose parent is missing (purged,
+ * in the trash, or outside the current filter) is treated as top-level.
+ */
+function indexHierarchy(rows) {
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  const childrenOf = new Map();
+  rows.forEach((row) => {
+    const parentId = row.parentId && byId.has(row.parentId) ? row.parentId : "";
+    if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+    childrenOf.get(parentId).push(row);
+  });
+  return { byId, childrenOf };
+}
+
+/** Ancestors of `id` from the top-level todo down to its direct parent. */
+function ancestorsOf(id, byId) {
+  const path = [];
+  const seen = new Set([id]);
+  let current = byId.get(id);
+  while (current && current.parentId && !seen.has(current.parentId)) {
+    const parent = byId.get(current.parentId);
+    if (!parent) break;
+    path.unshift(parent);
+    seen.add(parent.id);
+    current = parent;
+  }
+  return path;
+}
+
+/** Ids of every todo below `id`, at any depth. */
+function descendantIds(id, childrenOf) {
+  const ids = [];
+  const stack = [...(childrenOf.get(id) || [])];
+  while (stack.length > 0) {
+    const row = stack.pop();
+    ids.push(row.id);
+    stack.push(...(childrenOf.get(row.id) || []));
+  }
+  return ids;
+}
+
+// Moving `id` under `newParentId` would make it its own ancestor.
+function wouldCreateCycle(id, newParentId, byId) {
+  if (!newParentId) return false;
+  if (newParentId === id) return true;
+  return ancestorsOf(newParentId, byId).some((row) => row.id === id);
+}
+
+/**
+ * Completed/total counts over all descendants of every todo that has any,
+ * as Map<id, { done, total }>.
+ */
+function rollupProgress(childrenOf) {
+  const progress = new Map();
+  const visit = (id) => {
+    let done = 0;
+    let total = 0;
+    (childrenOf.get(id) || []).forEach((child) => {
+      total += 1;
+      if (child.completed) done += 1;
+      const below = visit(child.id);
+      done += below.done;
+      total += below.total;
+    });
+    if (total > 0) progress.set(id, { done, total });
+    return { done, total };
+  };
+  (childrenOf.get("") || []).forEach((row) => visit(row.id));
+  return progress;
+}
+
+/**
+ * Orders rows depth-first, siblings by `compare`, skipping the children of
+ * collapsed todos. Each entry is { row, depth, path } where `path` holds the
+ * rows from the top-level ancestor down to the row itself; comparing paths
+ * with comparePaths gives the same order, which is what page cursors use.
+ */
+function flattenTree(rows, compare) {
+  const { childrenOf } = indexHierarchy(rows);
+  const entries = [];
+  const visit = (parentId, depth, parentPath) => {
+    (childrenOf.get(parentId) || [])
+      .slice()
+      .sort(compare)
+      .forEach((row) => {
+        const path = [...parentPath, row];
+        entries.push({ row, depth, path });
+        if (!row.collapsed) visit(row.id, depth + 1, path);
+      });
+  };
+  visit("", 0, []);
+  return entries;
+}
+
+// Orders two tree paths: the first differing level decides, and a todo comes
+// before its own descendants.
+function comparePaths(pathA, pathB, compare) {
+  const length = Math.min(pathA.length, pathB.length);
+  for (let i = 0; i < length; i++) {
+    const order = compare(pathA[i], pathB[i]);
+    if (order !== 0) return order;
+  }
+  return pathA.length - pathB.length;
+}
+
+module.exports = {
+  indexHierarchy,
+  ancestorsOf,
+  descendantIds,
+  wouldCreateCycle,
+  rollupProgress,
+  flattenTree,
+  comparePaths,
+};
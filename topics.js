@@ -0,0 +1,241 @@
+// Topic clustering over stored todo vectors: k-means with k-means++ seeding,
+// and labels made from the words that set each cluster's most representative
+// todos apart from the rest. Nothing here touches LanceDB; main.js reads the
+// vectors and stores the result.
+
+const { tokenize } = require("./keyword-search");
+
+const MAX_ITERATIONS = 50;
+const MAX_AUTO_TOPICS = 20;
+// Todos closest to a centroid, used for the label and shown as samples.
+const REPRESENTATIVE_COUNT = 5;
+const LABEL_TERMS = 3;
+// Share of todos two clusterings must have in common to keep a custom name.
+const RENAME_CARRY_OVER = 0.5;
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be but by for from has have i in into is it its my " +
+    "of on or our so that the their then this to up was we were will with " +
+    "you your"
+  ).split(" ")
+);
+
+// Small deterministic PRNG (mulberry32), so a clustering can be reproduced.
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function squaredDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  return sum;
+}
+
+// Rule-of-thumb cluster count for `n` todos: about sqrt(n / 2).
+function autoClusterCount(n) {
+  return Math.max(2, Math.min(MAX_AUTO_TOPICS, Math.round(Math.sqrt(n / 2))));
+}
+
+function nearestCentroid(vector, centroids) {
+  let best = 0;
+  let bestDistance = Infinity;
+  centroids.forEach((centroid, index) => {
+    const distance = squaredDistance(vector, centroid);
+    if (distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+  return { index: best, distance: bestDistance };
+}
+
+// k-means++: each next seed is picked with probability proportional to its
+// squared distance from the seeds chosen so far.
+function seedCentroids(vectors, k, random) {
+  const centroids = [vectors[Math.floor(random() * vectors.length)].slice()];
+  while (centroids.length < k) {
+    const distances = vectors.map(
+      (vector) => nearestCentroid(vector, centroids).distance
+    );
+    const total = distances.reduce((sum, distance) => sum + distance, 0);
+    let target = random() * total;
+    let chosen = distances.length - 1;
+    for (let i = 0; i < distances.length; i++) {
+      target -= distances[i];
+      if (target <= 0) {
+        chosen = i;
+        break;
+      }
+    }
+    centroids.push(vectors[chosen].slice());
+  }
+  return centroids;
+}
+
+/**
+ * Lloyd's k-means. Returns { assignments, centroids } where assignments[i]
+ * is the cluster of vectors[i]. An emptied cluster is re-seeded with the
+ * vector farthest from its centroid.
+ */
+function kMeans(vectors, k, random = Math.random) {
+  const centroids = seedCentroids(vectors, k, random);
+  const assignments = new Array(vectors.length).fill(-1);
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    let changed = false;
+    vectors.forEach((vector, i) => {
+      const { index } = nearestCentroid(vector, centroids);
+      if (assignments[i] !== index) {
+        assignments[i] = index;
+        changed = true;
+      }
+    });
+    if (!changed) break;
+
+    const sums = centroids.map(() => new Array(vectors[0].length).fill(0));
+    const sizes = new Array(k).fill(0);
+    vectors.forEach((vector, i) => {
+      const sum = sums[assignments[i]];
+      for (let d = 0; d < vector.length; d++) sum[d] += vector[d];
+      sizes[assignments[i]]++;
+    });
+    sums.forEach((sum, c) => {
+      if (sizes[c] > 0) {
+        centroids[c] = sum.map((value) => value / sizes[c]);
+        return;
+      }
+      let farthest = 0;
+      let farthestDistance = -1;
+      vectors.forEach((vector, i) => {
+        const distance = squaredDistance(vector, centroids[assignments[i]]);
+        if (distance > farthestDistance) {
+          farthest = i;
+          farthestDistance = distance;
+        }
+      });
+      centroids[c] = vectors[farthest].slice();
+      assignments[farthest] = c;
+    });
+  }
+  return { assignments, centroids };
+}
+
+function labelTerms(text) {
+  return new Set(
+    tokenize(text).filter(
+      (term) => term.length > 2 && !STOP_WORDS.has(term) && !/\d/.test(term)
+    )
+  );
+}
+
+/**
+ * Label from the words shared by a cluster's representative texts, weighted
+ * against how common they are across all todos. Falls back to the most
+ * representative text when no word is shared.
+ */
+function labelFor(texts, documentFrequency, totalDocuments) {
+  const counts = new Map();
+  texts.forEach((text) =>
+    labelTerms(text).forEach((term) =>
+      counts.set(term, (counts.get(term) || 0) + 1)
+    )
+  );
+  const terms = [...counts.entries()]
+    .filter(([, count]) => count > 1 || texts.length === 1)
+    .map(([term, count]) => ({
+      term,
+      score:
+        (count / texts.length) *
+        Math.log(1 + totalDocuments / (documentFrequency.get(term) || 1)),
+    }))
+    .sort((a, b) => b.score - a.score || a.term.localeCompare(b.term))
+    .slice(0, LABEL_TERMS)
+    .map((entry) => entry.term);
+  if (terms.length > 0) return terms.join(" · ");
+  const text = texts[0] || "";
+  return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+}
+
+/**
+ * Groups rows ({ id, text, vector }) into topics. `count` is a number of
+ * topics or "auto". Returns [{ id, label, name, todoIds, sampleTexts }],
+ * largest topic first; `name` is empty until a topic is renamed.
+ */
+function clusterTodos(rows, { count = "auto", random = Math.random } = {}) {
+  if (rows.length < 2) return [];
+  const requested = count === "auto" ? autoClusterCount(rows.length) : count;
+  const k = Math.max(1, Math.min(Math.floor(requested), rows.length));
+  const vectors = rows.map((row) => Array.from(row.vector));
+  const { assignments, centroids } = kMeans(vectors, k, random);
+
+  const documentFrequency = new Map();
+  rows.forEach((row) =>
+    labelTerms(row.text).forEach((term) =>
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1)
+    )
+  );
+
+  return centroids
+    .map((centroid, c) => {
+      const members = rows
+        .map((row, i) => ({
+          row,
+          distance: squaredDistance(vectors[i], centroid),
+          cluster: assignments[i],
+        }))
+        .filter((member) => member.cluster === c)
+        .sort((a, b) => a.distance - b.distance);
+      const sampleTexts = members
+        .slice(0, REPRESENTATIVE_COUNT)
+        .map((member) => member.row.text);
+      return {
+        label: labelFor(sampleTexts, documentFrequency, rows.length),
+        name: "",
+        todoIds: members.map((member) => member.row.id),
+        sampleTexts,
+      };
+    })
+    .filter((topic) => topic.todoIds.length > 0)
+    .sort((a, b) => b.todoIds.length - a.todoIds.length)
+    .map((topic, index) => ({ id: `topic-${index + 1}`, ...topic }));
+}
+
+/**
+ * Keeps custom names across re-clustering: a new topic takes the name of the
+ * previous topic it shares most todos with, if they overlap enough (Jaccard).
+ */
+function carryOverNames(topics, previousTopics) {
+  const named = previousTopics.filter((topic) => topic.name);
+  return topics.map((topic) => {
+    const ids = new Set(topic.todoIds);
+    let bestName = "";
+    let bestOverlap = RENAME_CARRY_OVER;
+    named.forEach((previous) => {
+      const shared = previous.todoIds.filter((id) => ids.has(id)).length;
+      const union = ids.size + previous.todoIds.length - shared;
+      const overlap = union > 0 ? shared / union : 0;
+      if (overlap >= bestOverlap) {
+        bestName = previous.name;
+        bestOverlap = overlap;
+      }
+    });
+    return { ...topic, name: bestName };
+  });
+}
+
+module.exports = {
+  seededRandom,
+  autoClusterCount,
+  kMeans,
+  clusterTodos,
+  carryOverNames,
+};